@@ -0,0 +1,331 @@
+/**
+ * Cloud Functions
+ *
+ * generateDiagnostic: callable proxy between the app's diagnostic form and
+ * OpenAI, so the API key stays on the server:
+ * - Signed-in users only
+ * - At most DIAGNOSTIC_RATE_LIMIT calls per user, counted in Firestore
+ *   (diagnosticRateLimits/{uid}) so the limit holds across devices
+ * - The key comes from the OPENAI_API_KEY secret
+ *
+ * The model's JSON is returned as is; the app coerces it into the diagnostic
+ * schema (src/utils/diagnosticSchema.js) and flags anything it had to fix.
+ *
+ * checkServiceRequestArea: re-runs the service area check on every new
+ * request sent to a mechanic, so the result doesn't rest on the app's word:
+ * - Overwrites serviceAreaCheck and outsideServiceArea with the server's result
+ * - Cancels the request when the mechanic's policy is 'block' and the location
+ *   is outside their areas or missing
+ * - The geofence helpers are copied from src/utils by the copy-shared script
+ *   before the functions are served or deployed, like the chat assistant below
+ *
+ * greetChatSession, replyToChatMessage, announceChatEscalation: post the
+ * support chat's automated messages. The security rules only let users post
+ * as 'user', so these are the one way a message appears in the assistant's
+ * name:
+ * - A greeting when a session starts
+ * - The chat assistant's reply to each user message while no agent has
+ *   picked the session up (src/utils/chatAssistant.js); questions it can't
+ *   answer confidently escalate the session instead
+ * - A notice when the session is escalated to the support queue
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onDocumentCreated, onDocumentUpdated } from 'firebase-functions/v2/firestore';
+import { defineSecret } from 'firebase-functions/params';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import OpenAI from 'openai';
+import {
+  DEFAULT_OUTSIDE_AREA_POLICY,
+  DEFAULT_TRAVEL_FEE,
+  checkServiceArea,
+  calculateTravelFeeCents,
+} from './shared/geofence.js';
+import { ASSISTANT_INTENTS, createChatAssistant, needsServiceHistory, pickAssistantJob, pickAssistantQuote } from './shared/chatAssistant.js';
+
+initializeApp();
+
+const openAiKey = defineSecret('OPENAI_API_KEY');
+
+const OPENAI_MODEL = 'gpt-4o-mini';
+const DIAGNOSTIC_RATE_LIMIT = { limit: 5, windowMs: 10 * 60 * 1000 };
+const MAX_TEXT_LENGTH = 2000;
+const MAX_TROUBLE_CODES = 10;
+
+const SYSTEM_PROMPT = `You are an experienced automotive diagnostic technician helping a mobile mechanic.
+Given a vehicle, its symptoms and any OBD-II trouble codes, reply with JSON only, in this shape:
+{
+  "likelyCauses": [{ "issue": string, "probability": "High" | "Medium" | "Low", "description": string,
+                     "relatedCodes": [trouble codes from the request that point to this cause] }],
+  "recommendedTests": [{ "test": string, "purpose": string, "complexity": "Simple" | "Moderate" | "Complex" }],
+  "suggestedRepairs": [{ "repair": string, "description": string }],
+  "estimatedCosts": { "parts": { "min": number, "max": number },
+                      "labor": { "hours": { "min": number, "max": number }, "rate": number } },
+  "severityLevel": "Low" | "Medium" | "High" | "Critical",
+  "additionalNotes": string
+}
+Costs are in US dollars. List the most likely causes first.`;
+
+const text = (value) => (typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_LENGTH) : '');
+
+/**
+ * Count a call against the user's limit, in a transaction so parallel calls
+ * can't both take the last slot.
+ *
+ * @throws {HttpsError} 'resource-exhausted' when the user is over the limit
+ */
+const acquireRateLimit = async (uid, now = Date.now()) => {
+  const db = getFirestore();
+  const ref = db.collection('diagnosticRateLimits').doc(uid);
+  const { limit, windowMs } = DIAGNOSTIC_RATE_LIMIT;
+
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    const recent = (snapshot.exists ? snapshot.data().calls || [] : []).filter(time => now - time < windowMs);
+
+    if (recent.length >= limit) {
+      const minutes = Math.ceil((windowMs - (now - recent[0])) / 60000);
+      throw new HttpsError(
+        'resource-exhausted',
+        `Diagnostic limit reached. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`
+      );
+    }
+
+    transaction.set(ref, { calls: [...recent, now], updatedAt: new Date(now).toISOString() });
+  });
+};
+
+// The user's request as the model sees it
+const buildUserPrompt = ({ vehicleInfo, symptoms, additionalInfo, troubleCodes }) => {
+  const vehicle = vehicleInfo
+    ? [vehicleInfo.year, vehicleInfo.make, vehicleInfo.model].filter(Boolean).map(value => text(String(value))).join(' ')
+    : '';
+  const codes = troubleCodes.map(({ code, description }) => `${code}${description ? ` (${description})` : ''}`);
+
+  return [
+    `Vehicle: ${vehicle || 'Unknown'}${vehicleInfo?.mileage ? `, ${text(String(vehicleInfo.mileage))} miles` : ''}`,
+    `Symptoms: ${symptoms || 'None described'}`,
+    additionalInfo && `Additional information: ${additionalInfo}`,
+    codes.length > 0 && `Trouble codes: ${codes.join(', ')}`,
+  ].filter(Boolean).join('\n');
+};
+
+export const generateDiagnostic = onCall({ secrets: [openAiKey] }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to use diagnostics');
+  }
+
+  const data = request.data || {};
+  const symptoms = text(data.symptoms);
+  const troubleCodes = (Array.isArray(data.troubleCodes) ? data.troubleCodes : [])
+    .filter(entry => typeof entry?.code === 'string')
+    .slice(0, MAX_TROUBLE_CODES)
+    .map(({ code, description }) => ({ code: text(code).toUpperCase(), description: text(description) }));
+  if (!symptoms && troubleCodes.length === 0) {
+    throw new HttpsError('invalid-argument', 'Describe the symptoms or enter a trouble code');
+  }
+
+  await acquireRateLimit(request.auth.uid);
+
+  const openai = new OpenAI({ apiKey: openAiKey.value() });
+  let completion;
+  try {
+    completion = await openai.chat.completions.create({
+      model: OPENAI_MODEL,
+      response_format: { type: 'json_object' },
+      temperature: 0.2,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        {
+          role: 'user',
+          content: buildUserPrompt({
+            vehicleInfo: data.vehicleInfo || null,
+            symptoms,
+            additionalInfo: text(data.additionalInfo),
+            troubleCodes,
+          }),
+        },
+      ],
+    });
+  } catch (error) {
+    console.error('OpenAI request failed:', error);
+    throw new HttpsError('unavailable', 'The diagnostic service is unavailable');
+  }
+
+  const content = completion.choices[0]?.message?.content;
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    console.error('OpenAI returned invalid JSON:', content);
+    throw new HttpsError('internal', 'The diagnostic service returned an unreadable response');
+  }
+});
+
+// Same rules as getJobCoordinates in src/services/mapService.js: a location
+// object or top-level latitude/longitude
+const jobCoordinates = (job) => {
+  const source = job?.location && job.location.latitude !== undefined ? job.location : job;
+  const latitude = Number(source?.latitude);
+  const longitude = Number(source?.longitude);
+
+  if (source?.latitude === undefined || source?.longitude === undefined
+    || Number.isNaN(latitude) || Number.isNaN(longitude)) {
+    return null;
+  }
+  return { latitude, longitude };
+};
+
+export const checkServiceRequestArea = onDocumentCreated('serviceRequests/{requestId}', async (event) => {
+  const job = event.data?.data();
+  if (!job?.mechanicId) return;
+
+  const db = getFirestore();
+  const areaSnapshot = await db.collection('serviceAreas').doc(job.mechanicId).get();
+  const settings = areaSnapshot.exists ? areaSnapshot.data() : {};
+  const policy = settings.outsideAreaPolicy || DEFAULT_OUTSIDE_AREA_POLICY;
+  const now = new Date().toISOString();
+
+  const coordinates = jobCoordinates(job);
+  let update;
+  if (coordinates) {
+    const result = checkServiceArea(coordinates, { ...settings, outsideAreaPolicy: policy });
+    update = {
+      serviceAreaCheck: {
+        ...result,
+        travelFeeCents: result.distanceMeters !== null
+          ? calculateTravelFeeCents(result.distanceMeters, { ...DEFAULT_TRAVEL_FEE, ...settings.travelFee })
+          : 0,
+        checkedAt: now,
+        checkedBy: 'server',
+      },
+      outsideServiceArea: !result.inside,
+    };
+  } else {
+    update = { serviceAreaCheck: null, outsideServiceArea: null };
+  }
+
+  // Like the app, a 'block' policy refuses requests it cannot check
+  const blocked = coordinates ? update.serviceAreaCheck.blocked : policy === 'block';
+
+  if (blocked) {
+    update = {
+      ...update,
+      status: 'cancelled',
+      cancellation: {
+        reason: coordinates ? 'outside-service-area' : 'location-required',
+        reasonText: coordinates
+          ? 'This location is outside the mechanic\'s service area'
+          : 'The request has no location to check against the mechanic\'s service area',
+        cancelledBy: 'system',
+        cancelledAt: now,
+      },
+    };
+  }
+
+  const batch = db.batch();
+  batch.update(event.data.ref, { ...update, updatedAt: now });
+  if (blocked) {
+    batch.set(event.data.ref.collection('statusHistory').doc(), {
+      status: 'cancelled',
+      date: now,
+      updatedBy: 'system',
+      note: update.cancellation.reasonText,
+    });
+  }
+  await batch.commit();
+});
+
+const CHAT_GREETING = 'Hi! How can we help with your vehicle today?';
+
+const CHAT_ESCALATION_NOTICE = 'We\'re connecting you with a member of our support team. They\'ll reply here shortly.';
+
+const toData = (snapshot) => ({ id: snapshot.id, ...snapshot.data() });
+
+// The records the assistant answers from, read with the Admin SDK; the
+// assistant itself checks the session's job belongs to the customer
+const loadAssistantContext = async (session, intent) => {
+  const requests = getFirestore().collection('serviceRequests');
+  const [jobSnapshot, historySnapshot] = await Promise.all([
+    session.jobId ? requests.doc(session.jobId).get() : null,
+    needsServiceHistory(session, intent)
+      ? requests.where('customerId', '==', session.userId).orderBy('createdAt', 'desc').get()
+      : null,
+  ]);
+
+  const jobs = historySnapshot ? historySnapshot.docs.map(toData) : [];
+  const job = pickAssistantJob(session, jobSnapshot?.exists ? toData(jobSnapshot) : null, jobs);
+
+  let quote = null;
+  if (job && intent === ASSISTANT_INTENTS.QUOTE) {
+    const quotes = await requests.doc(job.id).collection('quotes').orderBy('createdAt', 'desc').get();
+    quote = pickAssistantQuote(job, quotes.docs.map(toData));
+  }
+
+  return { job, quote, jobs, vehicle: session.vehicleInfo || job?.vehicleInfo || null };
+};
+
+// Same fields as escalateChatSession in the app; announceChatEscalation then
+// posts the notice
+const escalateChatSession = async (sessionId, { reason = null } = {}) => {
+  const now = new Date().toISOString();
+  await getFirestore().collection('chatSessions').doc(sessionId).update({
+    status: 'escalated',
+    escalatedAt: now,
+    escalationReason: reason,
+    lastActivity: now,
+  });
+};
+
+const chatAssistant = createChatAssistant({ loadContext: loadAssistantContext, escalate: escalateChatSession });
+
+// Post an automated message the way the app's writeMessage does: the message
+// and the session's summary and unread count in one batch
+const postAssistantMessage = async (sessionRef, messageText) => {
+  const timestamp = new Date().toISOString();
+  const batch = getFirestore().batch();
+
+  batch.set(sessionRef.collection('messages').doc(), {
+    sessionId: sessionRef.id,
+    sender: 'assistant',
+    text: messageText,
+    attachments: [],
+    timestamp,
+    isAutomated: true,
+    clientMessageId: null,
+  });
+  batch.update(sessionRef, {
+    lastMessage: messageText,
+    lastActivity: timestamp,
+    unreadCount: FieldValue.increment(1),
+  });
+  await batch.commit();
+};
+
+export const greetChatSession = onDocumentCreated('chatSessions/{sessionId}', async (event) => {
+  await postAssistantMessage(event.data.ref, CHAT_GREETING);
+});
+
+export const replyToChatMessage = onDocumentCreated('chatSessions/{sessionId}/messages/{messageId}', async (event) => {
+  const message = event.data.data();
+  // Attachments on their own don't get an automated reply
+  if (message.sender !== 'user' || !message.text) return;
+
+  const sessionRef = event.data.ref.parent.parent;
+  const session = await sessionRef.get();
+  if (!session.exists || session.data().isAssignedToHuman || session.data().status !== 'active') return;
+
+  // null once the assistant has handed the session to a person
+  const reply = await chatAssistant(message.text, toData(session));
+  if (reply) {
+    await postAssistantMessage(sessionRef, reply);
+  }
+});
+
+export const announceChatEscalation = onDocumentUpdated('chatSessions/{sessionId}', async (event) => {
+  const before = event.data.before.data();
+  const after = event.data.after.data();
+  if (before.status === 'escalated' || after.status !== 'escalated') return;
+
+  await postAssistantMessage(event.data.after.ref, CHAT_ESCALATION_NOTICE);
+});
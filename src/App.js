@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { onAuthStateChanged } from 'firebase/auth';
 import { auth } from './firebase/config';
+import { shareLocationForActiveJobs } from './services/locationTrackingService';
 
 // Components
 import SignupForm from './components/SignupForm';
@@ -32,6 +33,15 @@ function App() {
     return () => unsubscribe();
   }, []);
 
+  // Share the mechanic's location for their en route and in progress jobs for
+  // as long as they are signed in, whichever screen is open
+  useEffect(() => {
+    if (!user?.uid) return;
+
+    const stopSharing = shareLocationForActiveJobs(user.uid);
+    return () => stopSharing();
+  }, [user?.uid]);
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -0,0 +1,195 @@
+/**
+ * ChatAttachment Component
+ *
+ * Inline preview for a chat message attachment:
+ * - Photos show a thumbnail and open full screen when tapped
+ * - Audio recordings play in place
+ * - PDFs show name and size and open in the system viewer
+ * While a message is still uploading, a progress bar and cancel button are shown.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  Linking,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { Audio } from 'expo-av';
+import { ATTACHMENT_KINDS, formatFileSize } from '../utils/attachments';
+
+const AudioAttachment = ({ attachment, tint }) => {
+  const soundRef = useRef(null);
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => () => {
+    soundRef.current?.unloadAsync();
+  }, []);
+
+  const togglePlayback = async () => {
+    try {
+      if (!soundRef.current) {
+        const { sound } = await Audio.Sound.createAsync({ uri: attachment.url });
+        sound.setOnPlaybackStatusUpdate(status => {
+          if (status.didJustFinish) setPlaying(false);
+        });
+        soundRef.current = sound;
+      }
+
+      if (playing) {
+        await soundRef.current.pauseAsync();
+        setPlaying(false);
+      } else {
+        await soundRef.current.playAsync();
+        setPlaying(true);
+      }
+    } catch (error) {
+      console.error('Error playing audio attachment:', error);
+      setPlaying(false);
+    }
+  };
+
+  return (
+    <TouchableOpacity style={styles.fileRow} onPress={togglePlayback}>
+      <Ionicons name={playing ? 'pause-circle' : 'play-circle'} size={32} color={tint} />
+      <View style={styles.fileDetails}>
+        <Text style={[styles.fileName, { color: tint }]} numberOfLines={1}>{attachment.name || 'Audio recording'}</Text>
+        <Text style={[styles.fileSize, { color: tint }]}>{formatFileSize(attachment.size)}</Text>
+      </View>
+    </TouchableOpacity>
+  );
+};
+
+const ChatAttachment = ({ attachment, uploadProgress = null, onCancelUpload, tint = '#333' }) => {
+  const [showFullImage, setShowFullImage] = useState(false);
+  const uploading = uploadProgress !== null && uploadProgress !== undefined;
+
+  const renderContent = () => {
+    if (attachment.kind === 'image') {
+      return (
+        <>
+          <TouchableOpacity onPress={() => setShowFullImage(true)} disabled={uploading}>
+            <Image source={{ uri: attachment.thumbnailUrl || attachment.url }} style={styles.imagePreview} />
+          </TouchableOpacity>
+          <Modal visible={showFullImage} transparent animationType="fade" onRequestClose={() => setShowFullImage(false)}>
+            <View style={styles.fullImageOverlay}>
+              <TouchableOpacity style={styles.fullImageClose} onPress={() => setShowFullImage(false)}>
+                <Ionicons name="close" size={28} color="#fff" />
+              </TouchableOpacity>
+              <Image source={{ uri: attachment.url }} style={styles.fullImage} resizeMode="contain" />
+            </View>
+          </Modal>
+        </>
+      );
+    }
+
+    if (attachment.kind === 'audio' && !uploading) {
+      return <AudioAttachment attachment={attachment} tint={tint} />;
+    }
+
+    return (
+      <TouchableOpacity
+        style={styles.fileRow}
+        onPress={() => Linking.openURL(attachment.url)}
+        disabled={uploading}
+      >
+        <Ionicons name={attachment.kind === 'audio' ? 'musical-notes-outline' : 'document-text-outline'} size={28} color={tint} />
+        <View style={styles.fileDetails}>
+          <Text style={[styles.fileName, { color: tint }]} numberOfLines={1}>
+            {attachment.name || ATTACHMENT_KINDS[attachment.kind]?.label || 'File'}
+          </Text>
+          <Text style={[styles.fileSize, { color: tint }]}>{formatFileSize(attachment.size)}</Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {renderContent()}
+      {uploading && (
+        <View style={styles.uploadRow}>
+          <View style={styles.progressTrack}>
+            <View style={[styles.progressFill, { width: `${Math.round(uploadProgress * 100)}%` }]} />
+          </View>
+          {onCancelUpload && uploadProgress < 1 && (
+            <TouchableOpacity onPress={onCancelUpload} style={styles.cancelButton} accessibilityLabel="Cancel upload">
+              <Ionicons name="close-circle" size={18} color={tint} />
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 4,
+  },
+  imagePreview: {
+    width: 200,
+    height: 150,
+    borderRadius: 8,
+    backgroundColor: '#ddd',
+  },
+  fullImageOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.9)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  fullImageClose: {
+    position: 'absolute',
+    top: 40,
+    right: 20,
+    zIndex: 1,
+    padding: 8,
+  },
+  fullImage: {
+    width: '100%',
+    height: '80%',
+  },
+  fileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    minWidth: 180,
+  },
+  fileDetails: {
+    marginLeft: 8,
+    flexShrink: 1,
+  },
+  fileName: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  fileSize: {
+    fontSize: 11,
+    opacity: 0.7,
+  },
+  uploadRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  progressTrack: {
+    flex: 1,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: 'rgba(0,0,0,0.15)',
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 4,
+    backgroundColor: '#4caf50',
+  },
+  cancelButton: {
+    marginLeft: 6,
+  },
+});
+
+export default ChatAttachment;
@@ -2,7 +2,12 @@
  * DiagnosticForm Component
  * 
  * This component provides a user interface for entering vehicle symptoms
- * and generating AI-powered diagnostic suggestions.
+ * and generating AI-powered diagnostic suggestions. The model is called
+ * through diagnosticService's server-side proxy, so no API key is needed here.
+ * OBD-II trouble codes from a scan tool can be added alongside the symptoms;
+ * each is checked and described from the offline code database, sent with
+ * the diagnostic and saved on the service request. Every completed run is
+ * stored in the vehicle's diagnostic history.
  */
 
 import React, { useState } from 'react';
@@ -19,44 +24,95 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { Picker } from '@react-native-picker/picker';
 import { generateDiagnostic } from '../services/diagnosticService';
+import { saveDiagnostic } from '../services/diagnosticHistoryService';
+import { updateServiceRequest } from '../firebase/services';
+import { lookupDtc, normalizeDtc, validateDtc, MAX_TROUBLE_CODES } from '../utils/obdCodes';
 
-const DiagnosticForm = ({ vehicleInfo, serviceRequestId, onDiagnosticComplete }) => {
+const DiagnosticForm = ({ vehicleInfo, serviceRequestId, userId, initialTroubleCodes = [], onDiagnosticComplete }) => {
   const [symptoms, setSymptoms] = useState('');
   const [additionalInfo, setAdditionalInfo] = useState('');
-  const [apiKey, setApiKey] = useState('');
+  const [troubleCodes, setTroubleCodes] = useState(() => initialTroubleCodes.map(lookupDtc).filter(Boolean));
+  const [codeInput, setCodeInput] = useState('');
+  const [codeError, setCodeError] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [showApiKeyInput, setShowApiKeyInput] = useState(false);
   
-  // Handle form submission
-  const handleSubmit = async () => {
-    if (!symptoms.trim()) {
-      Alert.alert('Error', 'Please describe the symptoms');
+  const canSubmit = symptoms.trim().length > 0 || troubleCodes.length > 0;
+  
+  const addTroubleCode = () => {
+    const error = validateDtc(codeInput);
+    if (error) {
+      setCodeError(error);
+      return;
+    }
+    
+    const code = normalizeDtc(codeInput);
+    if (troubleCodes.some(entry => entry.code === code)) {
+      setCodeError(`${code} has already been added`);
+      return;
+    }
+    if (troubleCodes.length >= MAX_TROUBLE_CODES) {
+      setCodeError(`Up to ${MAX_TROUBLE_CODES} codes can be added`);
       return;
     }
     
-    if (!apiKey.trim() && showApiKeyInput) {
-      Alert.alert('Error', 'Please enter your OpenAI API key');
+    setTroubleCodes(prev => [...prev, lookupDtc(code)]);
+    setCodeInput('');
+    setCodeError(null);
+  };
+  
+  const removeTroubleCode = (code) => {
+    setTroubleCodes(prev => prev.filter(entry => entry.code !== code));
+  };
+  
+  // Handle form submission
+  const handleSubmit = async () => {
+    if (!canSubmit) {
+      Alert.alert('Error', 'Please describe the symptoms or add a trouble code');
       return;
     }
     
     try {
       setLoading(true);
       
+      const codes = troubleCodes.map(entry => entry.code);
       const diagnosticData = {
         vehicleInfo,
         symptoms,
         additionalInfo: additionalInfo.trim(),
-        serviceRequestId
+        serviceRequestId,
+        troubleCodes: codes
       };
       
-      const results = await generateDiagnostic(diagnosticData, apiKey);
+      // Codes are worth keeping on the job even if the diagnostic fails
+      if (serviceRequestId) {
+        const saveResult = await updateServiceRequest(serviceRequestId, {
+          troubleCodes: codes,
+          troubleCodesUpdatedAt: new Date().toISOString()
+        });
+        if (!saveResult.success) {
+          console.error('Error saving trouble codes:', saveResult.error);
+        }
+      }
+      
+      const results = await generateDiagnostic(diagnosticData);
+      
+      // A result that couldn't be stored is still shown
+      let diagnosticId = null;
+      try {
+        diagnosticId = await saveDiagnostic(diagnosticData, results, userId);
+      } catch (saveError) {
+        console.error('Error saving diagnostic history:', saveError);
+      }
       
       if (onDiagnosticComplete) {
-        onDiagnosticComplete(results);
+        onDiagnosticComplete({ ...results, diagnosticId });
       }
     } catch (error) {
       console.error('Error generating diagnostic:', error);
-      Alert.alert('Error', `Failed to generate diagnostic: ${error.message}`);
+      Alert.alert(
+        error.code === 'rate-limited' ? 'Please Wait' : 'Error',
+        error.code === 'rate-limited' ? error.message : `Failed to generate diagnostic: ${error.message}`
+      );
     } finally {
       setLoading(false);
     }
@@ -100,6 +156,51 @@ const DiagnosticForm = ({ vehicleInfo, serviceRequestId, onDiagnosticComplete })
         />
       </View>
       
+      <View style={styles.formSection}>
+        <Text style={styles.sectionTitle}>Trouble Codes (OBD-II)</Text>
+        <Text style={styles.fieldDescription}>
+          Add any codes read from a scan tool, e.g. P0300
+        </Text>
+        <View style={styles.codeInputRow}>
+          <TextInput
+            style={[styles.codeInput, codeError && styles.codeInputError]}
+            value={codeInput}
+            onChangeText={(text) => {
+              setCodeInput(text);
+              setCodeError(null);
+            }}
+            placeholder="P0300"
+            autoCapitalize="characters"
+            autoCorrect={false}
+            maxLength={8}
+            onSubmitEditing={addTroubleCode}
+          />
+          <TouchableOpacity
+            style={[styles.addCodeButton, !codeInput.trim() && styles.disabledButton]}
+            onPress={addTroubleCode}
+            disabled={!codeInput.trim()}
+          >
+            <Ionicons name="add" size={20} color="#fff" />
+          </TouchableOpacity>
+        </View>
+        {codeError && <Text style={styles.codeErrorText}>{codeError}</Text>}
+        
+        {troubleCodes.map(entry => (
+          <View key={entry.code} style={styles.codeItem}>
+            <View style={styles.codeDetails}>
+              <Text style={styles.codeText}>{entry.code}</Text>
+              <Text style={styles.codeDescription}>{entry.description}</Text>
+              {!entry.known && (
+                <Text style={styles.codeUnknown}>Not in the offline code list</Text>
+              )}
+            </View>
+            <TouchableOpacity onPress={() => removeTroubleCode(entry.code)} accessibilityLabel={`Remove ${entry.code}`}>
+              <Ionicons name="close-circle" size={22} color="#999" />
+            </TouchableOpacity>
+          </View>
+        ))}
+      </View>
+      
       <View style={styles.formSection}>
         <Text style={styles.sectionTitle}>Additional Information</Text>
         <Text style={styles.fieldDescription}>
@@ -116,41 +217,11 @@ const DiagnosticForm = ({ vehicleInfo, serviceRequestId, onDiagnosticComplete })
         />
       </View>
       
-      {showApiKeyInput && (
-        <View style={styles.formSection}>
-          <Text style={styles.sectionTitle}>OpenAI API Key</Text>
-          <Text style={styles.fieldDescription}>
-            Enter your OpenAI API key to use the diagnostic assistant
-          </Text>
-          <TextInput
-            style={styles.apiKeyInput}
-            value={apiKey}
-            onChangeText={setApiKey}
-            placeholder="sk-..."
-            secureTextEntry
-          />
-        </View>
-      )}
-      
       <View style={styles.buttonContainer}>
         <TouchableOpacity
-          style={styles.apiKeyToggle}
-          onPress={() => setShowApiKeyInput(!showApiKeyInput)}
-        >
-          <Ionicons
-            name={showApiKeyInput ? 'key' : 'key-outline'}
-            size={20}
-            color="#666"
-          />
-          <Text style={styles.apiKeyToggleText}>
-            {showApiKeyInput ? 'Hide API Key' : 'Enter API Key'}
-          </Text>
-        </TouchableOpacity>
-        
-        <TouchableOpacity
-          style={[styles.submitButton, (!symptoms.trim() || (showApiKeyInput && !apiKey.trim())) && styles.disabledButton]}
+          style={[styles.submitButton, !canSubmit && styles.disabledButton]}
           onPress={handleSubmit}
-          disabled={loading || !symptoms.trim() || (showApiKeyInput && !apiKey.trim())}
+          disabled={loading || !canSubmit}
         >
           {loading ? (
             <ActivityIndicator color="#fff" size="small" />
@@ -210,28 +281,65 @@ const styles = StyleSheet.create({
     fontSize: 16,
     minHeight: 100,
   },
-  apiKeyInput: {
+  codeInputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  codeInput: {
+    flex: 1,
     backgroundColor: '#fff',
     borderWidth: 1,
     borderColor: '#e0e0e0',
     borderRadius: 8,
     padding: 12,
     fontSize: 16,
+    letterSpacing: 1,
   },
-  buttonContainer: {
-    marginTop: 10,
-    marginBottom: 30,
+  codeInputError: {
+    borderColor: '#f44336',
+  },
+  addCodeButton: {
+    backgroundColor: '#2196f3',
+    borderRadius: 8,
+    padding: 12,
+    marginLeft: 8,
+  },
+  codeErrorText: {
+    color: '#f44336',
+    fontSize: 13,
+    marginTop: 4,
   },
-  apiKeyToggle: {
+  codeItem: {
     flexDirection: 'row',
     alignItems: 'center',
-    justifyContent: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
     padding: 10,
-    marginBottom: 15,
+    marginTop: 8,
+  },
+  codeDetails: {
+    flex: 1,
+    marginRight: 8,
+  },
+  codeText: {
+    fontSize: 15,
+    fontWeight: 'bold',
   },
-  apiKeyToggleText: {
+  codeDescription: {
+    fontSize: 13,
     color: '#666',
-    marginLeft: 5,
+    marginTop: 2,
+  },
+  codeUnknown: {
+    fontSize: 12,
+    color: '#ff9800',
+    marginTop: 2,
+  },
+  buttonContainer: {
+    marginTop: 10,
+    marginBottom: 30,
   },
   submitButton: {
     backgroundColor: '#2196f3',
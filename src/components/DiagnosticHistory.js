@@ -0,0 +1,613 @@
+/**
+ * DiagnosticHistory Component
+ *
+ * Timeline of a vehicle's past diagnostics across all its service requests.
+ * The vehicle is found by its VIN or plate under its owner (`ownerId`, the
+ * customer), and only runs the signed-in user took part in are listed:
+ * - Runs newest first, with trouble codes, top cause and severity
+ * - Diff of likely causes against another run (the previous one by default)
+ * - Mechanics mark which cause the repair confirmed, or enter one the
+ *   diagnostic missed
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  subscribeToVehicleDiagnostics,
+  confirmDiagnosticCause,
+} from '../services/diagnosticHistoryService';
+import { diffLikelyCauses, isConfirmedCause } from '../utils/diagnosticDiff';
+import { describeVehicle, getVehicleKey } from '../utils/vehicle';
+
+const SEVERITY_COLORS = {
+  Low: '#4caf50',
+  Medium: '#ff9800',
+  High: '#f44336',
+  Critical: '#d32f2f',
+};
+
+const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString([], {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+});
+
+const DiagnosticHistory = ({ vehicleInfo, ownerId, mechanic = null, onClose }) => {
+  const [diagnostics, setDiagnostics] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+  const [confirmTarget, setConfirmTarget] = useState(null);
+  const [confirmNote, setConfirmNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const vehicleKey = getVehicleKey(vehicleInfo, ownerId);
+
+  useEffect(() => {
+    setLoading(true);
+    return subscribeToVehicleDiagnostics(
+      vehicleKey,
+      (runs) => {
+        setDiagnostics(runs);
+        setLoadError(null);
+        setLoading(false);
+      },
+      (error) => {
+        setLoadError(error.message);
+        setLoading(false);
+      }
+    );
+  }, [vehicleKey]);
+
+  const selectedIndex = diagnostics.findIndex(d => d.id === selectedId);
+  const selected = selectedIndex === -1 ? null : diagnostics[selectedIndex];
+
+  // Compare against the chosen run, or the one before the selected run
+  const comparison = diagnostics.find(d => d.id === compareId && d.id !== selectedId)
+    || (selectedIndex === -1 ? null : diagnostics[selectedIndex + 1] || null);
+
+  const diff = useMemo(
+    () => (selected && comparison ? diffLikelyCauses(comparison.result, selected.result) : null),
+    [selected, comparison]
+  );
+
+  const selectRun = (diagnosticId) => {
+    setSelectedId(diagnosticId === selectedId ? null : diagnosticId);
+    setCompareId(null);
+  };
+
+  const openConfirm = (cause) => {
+    setConfirmTarget(cause || { issue: '', relatedCodes: [], other: true });
+    setConfirmNote('');
+  };
+
+  const submitConfirm = async () => {
+    try {
+      setSaving(true);
+      await confirmDiagnosticCause(selected, confirmTarget, mechanic, confirmNote);
+      setConfirmTarget(null);
+    } catch (error) {
+      console.error('Error confirming diagnostic cause:', error);
+      Alert.alert('Error', error.message || 'Failed to save the confirmed cause');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderDiff = () => {
+    if (!comparison) {
+      return <Text style={styles.emptyText}>This is the first diagnostic for this vehicle</Text>;
+    }
+
+    const nothingChanged = diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+    return (
+      <View>
+        <Text style={styles.diffCaption}>Compared with {formatDate(comparison.createdAt)}</Text>
+        {nothingChanged && <Text style={styles.emptyText}>Likely causes are the same</Text>}
+        {diff.added.map(cause => (
+          <View key={`added-${cause.issue}`} style={styles.diffRow}>
+            <Ionicons name="add-circle" size={18} color="#4caf50" />
+            <Text style={styles.diffText}>{cause.issue} ({cause.probability || 'Unknown'})</Text>
+          </View>
+        ))}
+        {diff.removed.map(cause => (
+          <View key={`removed-${cause.issue}`} style={styles.diffRow}>
+            <Ionicons name="remove-circle" size={18} color="#f44336" />
+            <Text style={[styles.diffText, styles.removedText]}>{cause.issue}</Text>
+          </View>
+        ))}
+        {diff.changed.map(change => (
+          <View key={`changed-${change.issue}`} style={styles.diffRow}>
+            <Ionicons
+              name={change.direction === 'up' ? 'arrow-up-circle' : 'arrow-down-circle'}
+              size={18}
+              color={change.direction === 'up' ? '#ff9800' : '#757575'}
+            />
+            <Text style={styles.diffText}>
+              {change.issue}: {change.from || 'Unknown'} → {change.to || 'Unknown'}
+            </Text>
+          </View>
+        ))}
+        {diff.unchanged.length > 0 && !nothingChanged && (
+          <Text style={styles.diffCaption}>{diff.unchanged.length} unchanged</Text>
+        )}
+
+        {diagnostics.length > 2 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.compareChips}>
+            {diagnostics.filter(d => d.id !== selected.id).map(run => (
+              <TouchableOpacity
+                key={run.id}
+                style={[styles.chip, run.id === comparison.id && styles.chipActive]}
+                onPress={() => setCompareId(run.id)}
+              >
+                <Text style={[styles.chipText, run.id === comparison.id && styles.chipTextActive]}>
+                  {formatDate(run.createdAt)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
+      </View>
+    );
+  };
+
+  const renderDetails = (diagnostic) => (
+    <View style={styles.details}>
+      {diagnostic.symptoms ? <Text style={styles.symptoms}>"{diagnostic.symptoms}"</Text> : null}
+
+      <Text style={styles.detailTitle}>Likely Causes</Text>
+      {(diagnostic.result?.likelyCauses || []).map(cause => {
+        const confirmed = isConfirmedCause(cause, diagnostic.confirmedCause);
+        return (
+          <View key={cause.issue} style={[styles.causeRow, confirmed && styles.confirmedRow]}>
+            <View style={styles.causeInfo}>
+              <Text style={styles.causeText}>{cause.issue}</Text>
+              <Text style={styles.causeMeta}>
+                {cause.probability || 'Unknown'}
+                {cause.relatedCodes?.length > 0 ? ` · ${cause.relatedCodes.join(', ')}` : ''}
+              </Text>
+            </View>
+            {confirmed ? (
+              <Ionicons name="checkmark-circle" size={22} color="#4caf50" />
+            ) : mechanic && (
+              <TouchableOpacity style={styles.confirmButton} onPress={() => openConfirm(cause)}>
+                <Text style={styles.confirmButtonText}>Confirm</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        );
+      })}
+
+      {diagnostic.confirmedCause && (
+        <View style={styles.confirmedBox}>
+          <Text style={styles.confirmedTitle}>
+            Confirmed: {diagnostic.confirmedCause.issue}
+            {!diagnostic.confirmedCause.listed ? ' (not predicted)' : ''}
+          </Text>
+          <Text style={styles.confirmedMeta}>
+            {diagnostic.confirmedCause.confirmedByName || 'Mechanic'} · {formatDate(diagnostic.confirmedCause.confirmedAt)}
+          </Text>
+          {diagnostic.confirmedCause.note && (
+            <Text style={styles.confirmedNote}>{diagnostic.confirmedCause.note}</Text>
+          )}
+        </View>
+      )}
+
+      {mechanic && (
+        <TouchableOpacity style={styles.otherCauseButton} onPress={() => openConfirm(null)}>
+          <Ionicons name="create-outline" size={16} color="#2196f3" />
+          <Text style={styles.otherCauseText}>
+            {diagnostic.confirmedCause ? 'Change confirmed cause' : 'Cause not listed'}
+          </Text>
+        </TouchableOpacity>
+      )}
+
+      <Text style={styles.detailTitle}>Changes</Text>
+      {renderDiff()}
+    </View>
+  );
+
+  const renderConfirmModal = () => (
+    <Modal
+      visible={Boolean(confirmTarget)}
+      transparent
+      animationType="slide"
+      onRequestClose={() => setConfirmTarget(null)}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Confirm Cause</Text>
+          {confirmTarget?.other ? (
+            <TextInput
+              style={styles.input}
+              value={confirmTarget.issue}
+              onChangeText={(issue) => setConfirmTarget(prev => ({ ...prev, issue }))}
+              placeholder="What did the repair find?"
+            />
+          ) : (
+            <Text style={styles.modalCause}>{confirmTarget?.issue}</Text>
+          )}
+          <TextInput
+            style={[styles.input, styles.noteInput]}
+            value={confirmNote}
+            onChangeText={setConfirmNote}
+            placeholder="Note (optional)"
+            multiline
+            textAlignVertical="top"
+          />
+          <View style={styles.modalActions}>
+            <TouchableOpacity style={styles.modalButton} onPress={() => setConfirmTarget(null)}>
+              <Text style={styles.modalButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.modalButton, styles.modalPrimaryButton, !confirmTarget?.issue?.trim() && styles.disabledButton]}
+              onPress={submitConfirm}
+              disabled={saving || !confirmTarget?.issue?.trim()}
+            >
+              {saving ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text style={styles.modalPrimaryButtonText}>Save</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <View style={styles.headerInfo}>
+          <Text style={styles.title}>Diagnostic History</Text>
+          <Text style={styles.subtitle}>{describeVehicle(vehicleInfo)}</Text>
+        </View>
+        {onClose && (
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={24} color="#666" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {loading ? (
+        <ActivityIndicator style={styles.loading} size="large" color="#2196f3" />
+      ) : loadError ? (
+        <Text style={styles.errorText}>Couldn't load diagnostic history: {loadError}</Text>
+      ) : diagnostics.length === 0 ? (
+        <Text style={styles.emptyText}>No diagnostics have been run for this vehicle yet</Text>
+      ) : (
+        <ScrollView style={styles.timeline}>
+          {diagnostics.map((diagnostic, index) => {
+            const topCause = diagnostic.result?.likelyCauses?.[0];
+            const severity = diagnostic.result?.severityLevel;
+            const isSelected = diagnostic.id === selectedId;
+
+            return (
+              <View key={diagnostic.id} style={styles.timelineItem}>
+                <View style={styles.timelineRail}>
+                  <View style={[styles.timelineDot, diagnostic.confirmedCause && styles.timelineDotConfirmed]} />
+                  {index < diagnostics.length - 1 && <View style={styles.timelineLine} />}
+                </View>
+                <View style={styles.timelineBody}>
+                  <TouchableOpacity onPress={() => selectRun(diagnostic.id)}>
+                    <View style={styles.runHeader}>
+                      <Text style={styles.runDate}>{formatDate(diagnostic.createdAt)}</Text>
+                      {severity && (
+                        <View style={[styles.severityBadge, { backgroundColor: SEVERITY_COLORS[severity] || '#757575' }]}>
+                          <Text style={styles.severityText}>{severity}</Text>
+                        </View>
+                      )}
+                    </View>
+                    <Text style={styles.runCause} numberOfLines={isSelected ? undefined : 1}>
+                      {topCause ? topCause.issue : 'No likely causes'}
+                    </Text>
+                    <Text style={styles.runMeta}>
+                      {diagnostic.serviceRequestId ? `Job #${diagnostic.serviceRequestId}` : 'No job'}
+                      {diagnostic.troubleCodes?.length > 0 ? ` · ${diagnostic.troubleCodes.join(', ')}` : ''}
+                      {diagnostic.confirmedCause ? ' · Cause confirmed' : ''}
+                    </Text>
+                  </TouchableOpacity>
+                  {isSelected && renderDetails(diagnostic)}
+                </View>
+              </View>
+            );
+          })}
+        </ScrollView>
+      )}
+
+      {renderConfirmModal()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 15,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  headerInfo: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  loading: {
+    marginTop: 40,
+  },
+  errorText: {
+    color: '#f44336',
+    padding: 15,
+  },
+  emptyText: {
+    color: '#757575',
+    fontStyle: 'italic',
+    padding: 4,
+  },
+  timeline: {
+    padding: 15,
+  },
+  timelineItem: {
+    flexDirection: 'row',
+  },
+  timelineRail: {
+    width: 20,
+    alignItems: 'center',
+  },
+  timelineDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: '#2196f3',
+    marginTop: 4,
+  },
+  timelineDotConfirmed: {
+    backgroundColor: '#4caf50',
+  },
+  timelineLine: {
+    flex: 1,
+    width: 2,
+    backgroundColor: '#e0e0e0',
+    marginTop: 2,
+  },
+  timelineBody: {
+    flex: 1,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginLeft: 8,
+    marginBottom: 12,
+  },
+  runHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  runDate: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  severityBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+  },
+  severityText: {
+    color: '#fff',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  runCause: {
+    fontSize: 15,
+    marginTop: 4,
+  },
+  runMeta: {
+    fontSize: 12,
+    color: '#757575',
+    marginTop: 4,
+  },
+  details: {
+    marginTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+    paddingTop: 12,
+  },
+  symptoms: {
+    fontSize: 13,
+    color: '#555',
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  detailTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginTop: 8,
+    marginBottom: 6,
+  },
+  causeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+  },
+  confirmedRow: {
+    backgroundColor: '#e8f5e9',
+  },
+  causeInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  causeText: {
+    fontSize: 14,
+  },
+  causeMeta: {
+    fontSize: 12,
+    color: '#757575',
+  },
+  confirmButton: {
+    borderWidth: 1,
+    borderColor: '#4caf50',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  confirmButtonText: {
+    color: '#4caf50',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  confirmedBox: {
+    backgroundColor: '#e8f5e9',
+    borderRadius: 6,
+    padding: 10,
+    marginTop: 8,
+  },
+  confirmedTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2e7d32',
+  },
+  confirmedMeta: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  confirmedNote: {
+    fontSize: 13,
+    marginTop: 4,
+  },
+  otherCauseButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  otherCauseText: {
+    color: '#2196f3',
+    marginLeft: 4,
+    fontSize: 13,
+  },
+  diffCaption: {
+    fontSize: 12,
+    color: '#757575',
+    marginBottom: 4,
+  },
+  diffRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 3,
+  },
+  diffText: {
+    fontSize: 13,
+    marginLeft: 6,
+    flex: 1,
+  },
+  removedText: {
+    color: '#757575',
+    textDecorationLine: 'line-through',
+  },
+  compareChips: {
+    marginTop: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#2196f3',
+    borderRadius: 14,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    marginRight: 6,
+  },
+  chipActive: {
+    backgroundColor: '#2196f3',
+  },
+  chipText: {
+    fontSize: 12,
+    color: '#2196f3',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+  },
+  modalCause: {
+    fontSize: 15,
+    marginBottom: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    marginBottom: 12,
+  },
+  noteInput: {
+    minHeight: 70,
+  },
+  modalActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  modalButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  modalButtonText: {
+    color: '#666',
+    fontWeight: '600',
+  },
+  modalPrimaryButton: {
+    backgroundColor: '#4caf50',
+  },
+  modalPrimaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  disabledButton: {
+    backgroundColor: '#ccc',
+  },
+});
+
+export default DiagnosticHistory;
@@ -3,9 +3,15 @@
  * 
  * This component displays the results of an AI-powered diagnostic analysis,
  * including likely causes, recommended tests, and estimated costs.
+ * Results are normalized against the diagnostic schema before rendering, so
+ * malformed or partial model output shows what it can with a notice instead
+ * of breaking the screen.
+ * With `onCreateQuote`, mechanics pick suggested repairs to draft a quote
+ * from; it receives the picked repairs, e.g. to open QuoteForm with
+ * `diagnostic={{ id: results.diagnosticId, result: results }}`.
  */
 
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import { 
   View, 
   Text, 
@@ -16,13 +22,23 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { calculateTotalEstimatedCost } from '../services/diagnosticService';
+import { normalizeDiagnosticResult } from '../utils/diagnosticSchema';
 
-const DiagnosticResults = ({ results, onSave, onClose }) => {
+const DiagnosticResults = ({ results: rawResults, onSave, onClose, onCreateQuote }) => {
   const [expandedSection, setExpandedSection] = useState('likelyCauses');
+  // Repairs left out of a quote drafted from this diagnostic, by index
+  const [excludedRepairs, setExcludedRepairs] = useState([]);
   
-  // Format currency
+  // Coerce whatever we were given into the schema; `partial` drives the notice
+  const { result: results, partial, usable } = useMemo(
+    () => normalizeDiagnosticResult(rawResults),
+    [rawResults]
+  );
+  
+  // Format currency; anything that isn't a number shows as a dash
   const formatCurrency = (amount) => {
-    return `$${amount.toFixed(2)}`;
+    const value = Number(amount);
+    return Number.isFinite(value) ? `$${value.toFixed(2)}` : '—';
   };
   
   // Get severity color
@@ -46,6 +62,16 @@ const DiagnosticResults = ({ results, onSave, onClose }) => {
     setExpandedSection(expandedSection === section ? null : section);
   };
   
+  const toggleRepair = (index) => {
+    setExcludedRepairs(prev => (
+      prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]
+    ));
+  };
+  
+  const handleCreateQuote = () => {
+    onCreateQuote(results.suggestedRepairs.filter((_, index) => !excludedRepairs.includes(index)));
+  };
+  
   // Share diagnostic results
   const handleShare = async () => {
     try {
@@ -54,12 +80,12 @@ const DiagnosticResults = ({ results, onSave, onClose }) => {
       const shareText = `
 Vehicle Diagnostic Results
 
-Likely Issues:
-${results.likelyCauses?.map(cause => `- ${cause.issue} (${cause.probability})`).join('\n') || 'No causes identified'}
+${Array.isArray(rawResults?.troubleCodes) && rawResults.troubleCodes.length ? `Trouble Codes: ${rawResults.troubleCodes.join(', ')}\n\n` : ''}Likely Issues:
+${results.likelyCauses.map(cause => `- ${cause.issue} (${cause.probability || 'Unknown'})${cause.relatedCodes.length ? ` [${cause.relatedCodes.join(', ')}]` : ''}`).join('\n') || 'No causes identified'}
 
 Severity: ${results.severityLevel || 'Unknown'}
 
-Estimated Cost: ${formatCurrency(totalCost.min)} - ${formatCurrency(totalCost.max)}
+Estimated Cost: ${results.estimatedCosts ? `${formatCurrency(totalCost.min)} - ${formatCurrency(totalCost.max)}` : 'Not available'}
 
 ${results.additionalNotes ? `\nNotes: ${results.additionalNotes}` : ''}
       `.trim();
@@ -73,8 +99,8 @@ ${results.additionalNotes ? `\nNotes: ${results.additionalNotes}` : ''}
     }
   };
   
-  // Handle error state
-  if (results.error) {
+  // Handle error state, including results with nothing readable to show
+  if (rawResults?.error || !usable) {
     return (
       <View style={styles.container}>
         <View style={styles.header}>
@@ -86,7 +112,11 @@ ${results.additionalNotes ? `\nNotes: ${results.additionalNotes}` : ''}
         
         <View style={styles.errorContainer}>
           <Ionicons name="alert-circle" size={48} color="#f44336" />
-          <Text style={styles.errorText}>{results.message}</Text>
+          <Text style={styles.errorText}>
+            {rawResults?.error
+              ? rawResults.message || 'The diagnostic could not be completed'
+              : 'The diagnostic response could not be read'}
+          </Text>
           <Text style={styles.errorSubtext}>
             Please try again with more detailed symptoms
           </Text>
@@ -108,6 +138,15 @@ ${results.additionalNotes ? `\nNotes: ${results.additionalNotes}` : ''}
       </View>
       
       <ScrollView style={styles.content}>
+        {(partial || rawResults?.validation?.partial) && (
+          <View style={styles.partialNotice}>
+            <Ionicons name="information-circle" size={20} color="#ff9800" />
+            <Text style={styles.partialNoticeText}>
+              Some details in this diagnostic were missing or couldn't be read, so they aren't shown. A mechanic should confirm the findings.
+            </Text>
+          </View>
+        )}
+        
         <View style={styles.summaryContainer}>
           <View style={styles.severityContainer}>
             <Text style={styles.severityLabel}>Severity</Text>
@@ -126,7 +165,9 @@ ${results.additionalNotes ? `\nNotes: ${results.additionalNotes}` : ''}
           <View style={styles.costContainer}>
             <Text style={styles.costLabel}>Est. Cost</Text>
             <Text style={styles.costRange}>
-              {formatCurrency(totalCost.min)} - {formatCurrency(totalCost.max)}
+              {results.estimatedCosts
+                ? `${formatCurrency(totalCost.min)} - ${formatCurrency(totalCost.max)}`
+                : 'Not available'}
             </Text>
           </View>
         </View>
@@ -173,6 +214,15 @@ ${results.additionalNotes ? `\nNotes: ${results.additionalNotes}` : ''}
                   {cause.description && (
                     <Text style={styles.causeDescription}>{cause.description}</Text>
                   )}
+                  {cause.relatedCodes.length > 0 && (
+                    <View style={styles.codeChips}>
+                      {cause.relatedCodes.map(code => (
+                        <View key={code} style={styles.codeChip}>
+                          <Text style={styles.codeChipText}>{code}</Text>
+                        </View>
+                      ))}
+                    </View>
+                  )}
                 </View>
               ))
             ) : (
@@ -251,11 +301,22 @@ ${results.additionalNotes ? `\nNotes: ${results.additionalNotes}` : ''}
           <View style={styles.sectionContent}>
             {results.suggestedRepairs?.length > 0 ? (
               results.suggestedRepairs.map((repair, index) => (
-                <View key={index} style={styles.repairItem}>
-                  <Text style={styles.repairTitle}>{repair.repair}</Text>
-                  {repair.description && (
-                    <Text style={styles.repairDescription}>{repair.description}</Text>
+                <View key={index} style={[styles.repairItem, onCreateQuote && styles.selectableRepairItem]}>
+                  {onCreateQuote && (
+                    <TouchableOpacity onPress={() => toggleRepair(index)} style={styles.repairCheckbox}>
+                      <Ionicons
+                        name={excludedRepairs.includes(index) ? 'square-outline' : 'checkbox'}
+                        size={22}
+                        color="#2196f3"
+                      />
+                    </TouchableOpacity>
                   )}
+                  <View style={styles.repairInfo}>
+                    <Text style={styles.repairTitle}>{repair.repair}</Text>
+                    {repair.description && (
+                      <Text style={styles.repairDescription}>{repair.description}</Text>
+                    )}
+                  </View>
                 </View>
               ))
             ) : (
@@ -345,6 +406,20 @@ ${results.additionalNotes ? `\nNotes: ${results.additionalNotes}` : ''}
           <Text style={styles.actionButtonText}>Share</Text>
         </TouchableOpacity>
         
+        {onCreateQuote && results.suggestedRepairs.length > 0 && (
+          <TouchableOpacity
+            style={[
+              styles.actionButton,
+              excludedRepairs.length === results.suggestedRepairs.length && styles.disabledActionButton,
+            ]}
+            onPress={handleCreateQuote}
+            disabled={excludedRepairs.length === results.suggestedRepairs.length}
+          >
+            <Ionicons name="document-text-outline" size={20} color="#2196f3" />
+            <Text style={styles.actionButtonText}>Create Quote</Text>
+          </TouchableOpacity>
+        )}
+        
         <TouchableOpacity 
           style={[styles.actionButton, styles.primaryActionButton]} 
           onPress={onSave}
@@ -519,6 +594,16 @@ const styles = StyleSheet.create({
   repairItem: {
     marginBottom: 15,
   },
+  selectableRepairItem: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  repairCheckbox: {
+    marginRight: 10,
+  },
+  repairInfo: {
+    flex: 1,
+  },
   repairTitle: {
     fontSize: 16,
     fontWeight: '500',
@@ -594,6 +679,9 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginLeft: 5,
   },
+  disabledActionButton: {
+    opacity: 0.5,
+  },
   primaryActionButton: {
     backgroundColor: '#2196f3',
     borderColor: '#2196f3',
@@ -603,6 +691,40 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginLeft: 5,
   },
+  codeChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 6,
+  },
+  codeChip: {
+    backgroundColor: '#e3f2fd',
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginRight: 6,
+    marginTop: 4,
+  },
+  codeChipText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#1565c0',
+  },
+  partialNotice: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#fff8e1',
+    borderColor: '#ffe082',
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 15,
+  },
+  partialNoticeText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 13,
+    color: '#795548',
+  },
   errorContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -0,0 +1,406 @@
+/**
+ * JobChat Component
+ *
+ * Direct conversation between a customer and the mechanic on a job:
+ * - Real-time messages with optimistic sends
+ * - Read receipts on your own messages
+ * - Typing indicator for the other participant
+ * - Read-only once the job has ended and the thread is archived
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  THREAD_STATUSES,
+  subscribeToJobThread,
+  subscribeToJobMessages,
+  sendJobMessage,
+  markJobThreadRead,
+  setJobThreadTyping,
+  isReadByRecipient,
+  isOtherParticipantTyping,
+} from '../services/jobChatService';
+import { createTempMessageId, isTempMessageId, reconcileMessages } from '../services/chatService';
+
+// Send at most one "typing" update in this interval, and clear it after this much idle time
+const TYPING_THROTTLE_MS = 3000;
+const TYPING_IDLE_MS = 4000;
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const JobChat = ({ requestId, userId, userRole = 'customer', userName }) => {
+  const [thread, setThread] = useState(undefined); // undefined while loading, null if none
+  const [savedMessages, setSavedMessages] = useState([]);
+  const [pendingMessages, setPendingMessages] = useState([]);
+  const [inputText, setInputText] = useState('');
+  const [now, setNow] = useState(Date.now());
+
+  const scrollViewRef = useRef(null);
+  const lastTypingSent = useRef(0);
+  const typingIdleTimer = useRef(null);
+
+  const { messages } = reconcileMessages(savedMessages, pendingMessages);
+  const isArchived = thread?.status === THREAD_STATUSES.ARCHIVED;
+  const otherName = userRole === 'customer'
+    ? thread?.mechanicName || 'Your mechanic'
+    : thread?.customerName || 'Customer';
+  const otherTyping = isOtherParticipantTyping(thread, userId, now);
+
+  useEffect(() => {
+    if (!requestId) return;
+    return subscribeToJobThread(requestId, setThread);
+  }, [requestId]);
+
+  useEffect(() => {
+    if (!requestId) return;
+    return subscribeToJobMessages(requestId, (threadMessages) => {
+      setSavedMessages(threadMessages);
+      setPendingMessages(prev => reconcileMessages(threadMessages, prev).pending);
+    });
+  }, [requestId]);
+
+  // Move the read marker to the newest message from the other participant
+  const hasThread = Boolean(thread);
+  const readUpTo = thread?.readState?.[userId];
+  useEffect(() => {
+    if (!hasThread || isArchived) return;
+
+    const latestIncoming = [...savedMessages].reverse().find(msg => msg.senderId !== userId);
+    if (latestIncoming && (!readUpTo || new Date(readUpTo) < new Date(latestIncoming.timestamp))) {
+      markJobThreadRead(requestId, userId, latestIncoming.timestamp).catch(error => {
+        console.error('Error marking thread as read:', error);
+      });
+    }
+  }, [requestId, userId, savedMessages, hasThread, readUpTo, isArchived]);
+
+  // Re-render while the other participant's typing flag is set so it expires on time
+  const otherTypingSince = Object.entries(thread?.typing || {})
+    .filter(([id, typedAt]) => id !== userId && typedAt)
+    .map(([, typedAt]) => typedAt)
+    .join();
+  useEffect(() => {
+    setNow(Date.now());
+    if (!otherTypingSince) return;
+    const interval = setInterval(() => setNow(Date.now()), 2000);
+    return () => clearInterval(interval);
+  }, [otherTypingSince]);
+
+  useEffect(() => {
+    setTimeout(() => scrollViewRef.current?.scrollToEnd({ animated: true }), 100);
+  }, [messages.length]);
+
+  // Clear our typing flag when leaving the conversation
+  useEffect(() => () => {
+    clearTimeout(typingIdleTimer.current);
+    if (lastTypingSent.current) {
+      setJobThreadTyping(requestId, userId, false).catch(() => {});
+    }
+  }, [requestId, userId]);
+
+  const stopTyping = () => {
+    clearTimeout(typingIdleTimer.current);
+    if (lastTypingSent.current) {
+      lastTypingSent.current = 0;
+      setJobThreadTyping(requestId, userId, false).catch(error => {
+        console.error('Error clearing typing status:', error);
+      });
+    }
+  };
+
+  const handleChangeText = (text) => {
+    setInputText(text);
+    if (isArchived) return;
+
+    if (!text.trim()) {
+      stopTyping();
+      return;
+    }
+
+    if (Date.now() - lastTypingSent.current > TYPING_THROTTLE_MS) {
+      lastTypingSent.current = Date.now();
+      setJobThreadTyping(requestId, userId, true).catch(error => {
+        console.error('Error updating typing status:', error);
+      });
+    }
+    clearTimeout(typingIdleTimer.current);
+    typingIdleTimer.current = setTimeout(stopTyping, TYPING_IDLE_MS);
+  };
+
+  const handleSend = async () => {
+    const text = inputText.trim();
+    if (!text || isArchived) return;
+
+    setInputText('');
+    clearTimeout(typingIdleTimer.current);
+    lastTypingSent.current = 0; // sendJobMessage clears the flag
+
+    const pending = {
+      id: createTempMessageId(),
+      senderId: userId,
+      senderRole: userRole,
+      text,
+      timestamp: Date.now(),
+    };
+    setPendingMessages(prev => [...prev, pending]);
+
+    try {
+      await sendJobMessage(requestId, { userId, role: userRole, name: userName }, {
+        text,
+        clientMessageId: pending.id,
+      });
+    } catch (error) {
+      console.error('Error sending job message:', error);
+      setPendingMessages(prev => prev.filter(msg => msg.id !== pending.id));
+      setInputText(text);
+      Alert.alert('Error', error.message || 'Failed to send message');
+    }
+  };
+
+  const renderReceipt = (message) => {
+    if (isTempMessageId(message.id)) {
+      return <Ionicons name="time-outline" size={12} color="rgba(255,255,255,0.7)" />;
+    }
+    return isReadByRecipient(message, thread)
+      ? <Ionicons name="checkmark-done" size={14} color="#fff" />
+      : <Ionicons name="checkmark" size={14} color="rgba(255,255,255,0.7)" />;
+  };
+
+  const renderMessage = (message) => {
+    const isOwn = message.senderId === userId;
+
+    return (
+      <View
+        key={message.id}
+        style={[styles.messageContainer, isOwn ? styles.ownMessageContainer : styles.otherMessageContainer]}
+      >
+        <View style={[styles.messageBubble, isOwn ? styles.ownMessageBubble : styles.otherMessageBubble]}>
+          <Text style={[styles.messageText, isOwn ? styles.ownMessageText : styles.otherMessageText]}>
+            {message.text}
+          </Text>
+          <View style={styles.messageMeta}>
+            <Text style={[styles.messageTime, isOwn ? styles.ownMessageTime : styles.otherMessageTime]}>
+              {formatTime(message.timestamp)}
+            </Text>
+            {isOwn && renderReceipt(message)}
+          </View>
+        </View>
+      </View>
+    );
+  };
+
+  if (thread === undefined) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#2196f3" />
+      </View>
+    );
+  }
+
+  if (thread === null) {
+    return (
+      <View style={styles.centered}>
+        <Ionicons name="chatbubbles-outline" size={40} color="#ccc" />
+        <Text style={styles.emptyText}>
+          You can message each other here once the quote has been accepted.
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <View style={styles.header}>
+        <Text style={styles.headerTitle}>{otherName}</Text>
+        <Text style={styles.headerSubtitle}>{thread.title}</Text>
+      </View>
+
+      {isArchived && (
+        <View style={styles.archivedBanner}>
+          <Ionicons name="archive-outline" size={16} color="#666" />
+          <Text style={styles.archivedText}>This job has ended. The conversation is read-only.</Text>
+        </View>
+      )}
+
+      <ScrollView ref={scrollViewRef} style={styles.messagesContainer}>
+        {messages.length === 0 && (
+          <Text style={styles.emptyText}>No messages yet. Say hello!</Text>
+        )}
+        {messages.map(renderMessage)}
+        {otherTyping && (
+          <Text style={styles.typingText}>{otherName} is typing...</Text>
+        )}
+      </ScrollView>
+
+      {!isArchived && (
+        <View style={styles.inputContainer}>
+          <TextInput
+            style={styles.textInput}
+            value={inputText}
+            onChangeText={handleChangeText}
+            onBlur={stopTyping}
+            placeholder={`Message ${otherName}...`}
+            multiline
+            maxLength={1000}
+          />
+          <TouchableOpacity
+            style={[styles.sendButton, !inputText.trim() && styles.sendButtonDisabled]}
+            onPress={handleSend}
+            disabled={!inputText.trim()}
+          >
+            <Ionicons name="send" size={20} color={inputText.trim() ? '#fff' : '#ccc'} />
+          </TouchableOpacity>
+        </View>
+      )}
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  header: {
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  headerTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  headerSubtitle: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  archivedBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f5f5f5',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  archivedText: {
+    marginLeft: 8,
+    fontSize: 12,
+    color: '#666',
+  },
+  messagesContainer: {
+    flex: 1,
+    padding: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    marginTop: 12,
+  },
+  messageContainer: {
+    marginBottom: 12,
+  },
+  ownMessageContainer: {
+    alignItems: 'flex-end',
+  },
+  otherMessageContainer: {
+    alignItems: 'flex-start',
+  },
+  messageBubble: {
+    maxWidth: '80%',
+    padding: 12,
+    borderRadius: 16,
+  },
+  ownMessageBubble: {
+    backgroundColor: '#2196f3',
+    borderBottomRightRadius: 4,
+  },
+  otherMessageBubble: {
+    backgroundColor: '#f0f0f0',
+    borderBottomLeftRadius: 4,
+  },
+  messageText: {
+    fontSize: 14,
+    lineHeight: 20,
+  },
+  ownMessageText: {
+    color: '#fff',
+  },
+  otherMessageText: {
+    color: '#333',
+  },
+  messageMeta: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    marginTop: 4,
+  },
+  messageTime: {
+    fontSize: 10,
+    marginRight: 4,
+  },
+  ownMessageTime: {
+    color: 'rgba(255,255,255,0.7)',
+  },
+  otherMessageTime: {
+    color: '#999',
+  },
+  typingText: {
+    fontSize: 12,
+    color: '#666',
+    fontStyle: 'italic',
+    paddingVertical: 8,
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  textInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 20,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    maxHeight: 100,
+    fontSize: 14,
+    marginRight: 8,
+  },
+  sendButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#2196f3',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  sendButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+});
+
+export default JobChat;
@@ -2,9 +2,11 @@
  * JobStatusManager Component
  * 
  * This component provides enhanced job status management with:
- * - Custom status creation
+ * - Custom statuses saved per mechanic or shop, placed into the status flow
  * - Status history tracking
  * - Status change notifications
+ * - Offline status changes queued until the device reconnects
+ * - Mechanic location shared with the customer while en route or in progress
  * - Color-coded visual indicators
  */
 
@@ -21,17 +23,18 @@ import {
   TextInput
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-
-// Default status options
-const DEFAULT_STATUSES = [
-  { id: 'pending', label: 'Pending', color: '#ff9800', description: 'Service request received but not yet quoted' },
-  { id: 'quoted', label: 'Quoted', color: '#2196f3', description: 'Quote provided, awaiting customer acceptance' },
-  { id: 'accepted', label: 'Accepted', color: '#4caf50', description: 'Quote accepted, work scheduled' },
-  { id: 'in_progress', label: 'In Progress', color: '#9c27b0', description: 'Work has begun on the vehicle' },
-  { id: 'parts_needed', label: 'Parts Needed', color: '#795548', description: 'Waiting for parts to arrive' },
-  { id: 'completed', label: 'Completed', color: '#607d8b', description: 'Service completed, awaiting payment' },
-  { id: 'cancelled', label: 'Cancelled', color: '#f44336', description: 'Service request cancelled' },
-];
+import { getAvailableTransitions, buildTransitionTable } from '../utils/jobStatusMachine';
+import {
+  subscribeToCustomStatuses,
+  addCustomStatus,
+  updateCustomStatus,
+  reorderCustomStatuses,
+  archiveCustomStatus,
+  restoreCustomStatus,
+} from '../services/customStatusService';
+import { queueStatusChange, subscribeToQueue, isOnline } from '../services/offlineQueueService';
+import { subscribeToSharingState, shouldShareLocation } from '../services/locationTrackingService';
+import { createStatusRegistry } from '../utils/statusRegistry';
 
 const JobStatusManager = ({ 
   requestId, 
@@ -39,6 +42,8 @@ const JobStatusManager = ({
   statusHistory = [], 
   onUpdateStatus,
   customStatuses = [],
+  ownerId = null, // Mechanic or shop ID that owns the custom statuses
+  job = {}, // Service request data used by transition guards (latestQuoteId and latestQuote, paymentStatus)
   isMechanic = false 
 }) => {
   const [loading, setLoading] = useState(false);
@@ -47,19 +52,88 @@ const JobStatusManager = ({
   const [newStatusLabel, setNewStatusLabel] = useState('');
   const [newStatusDescription, setNewStatusDescription] = useState('');
   const [newStatusColor, setNewStatusColor] = useState('#2196f3');
+  const [newStatusFrom, setNewStatusFrom] = useState([]);
+  const [newStatusTo, setNewStatusTo] = useState([]);
+  const [editingStatusId, setEditingStatusId] = useState(null);
+  const [showManageModal, setShowManageModal] = useState(false);
+  const [ownerStatuses, setOwnerStatuses] = useState([]);
+  const [queuedChanges, setQueuedChanges] = useState([]);
+  const [locationError, setLocationError] = useState(null);
+  
+  useEffect(() => {
+    if (!ownerId) return;
+    
+    const unsubscribe = subscribeToCustomStatuses(ownerId, setOwnerStatuses);
+    return () => unsubscribe();
+  }, [ownerId]);
+  
+  // Without an owner the custom statuses come from props and can't be edited
+  const savedStatuses = ownerId ? ownerStatuses : customStatuses;
+  
+  useEffect(() => {
+    if (!requestId) return;
+    
+    const unsubscribe = subscribeToQueue((queue) => {
+      setQueuedChanges(queue.filter(item => item.type === 'status' && item.payload.requestId === requestId));
+    });
+    return () => unsubscribe();
+  }, [requestId]);
+  
+  // Location sharing runs app-wide (see App.js) so it keeps going when this
+  // screen closes; here we only show whether it is working
+  useEffect(() => {
+    if (!isMechanic || !requestId) return;
+    
+    const unsubscribe = subscribeToSharingState(requestId, ({ error }) => setLocationError(error));
+    return () => unsubscribe();
+  }, [isMechanic, requestId]);
+  
+  // While changes wait in the offline queue, show and build on the latest one
+  const pendingChange = queuedChanges.filter(item => item.status !== 'failed').slice(-1)[0];
+  const failedChange = queuedChanges.find(item => item.status === 'failed');
+  const effectiveStatus = pendingChange ? pendingChange.payload.status : currentStatus;
   
-  // Combine default and custom statuses
-  const allStatuses = [...DEFAULT_STATUSES, ...customStatuses];
+  // Default and custom statuses (archived ones stay for history lookups)
+  const statusRegistry = createStatusRegistry(savedStatuses);
+  const allStatuses = statusRegistry.statuses;
+  const transitionTable = buildTransitionTable(savedStatuses);
+  
+  // Statuses a custom status can be placed before or after
+  const flowStatuses = allStatuses.filter(s => 
+    s.id !== 'cancelled' && !s.archived && s.id !== editingStatusId
+  );
   
   // Find the current status object
-  const statusObj = allStatuses.find(s => s.id === currentStatus) || DEFAULT_STATUSES[0];
+  const statusObj = statusRegistry.get(effectiveStatus);
+  
+  // Statuses reachable from the current one, excluding cancelled (use cancel job feature instead)
+  const transitions = getAvailableTransitions(effectiveStatus, { ...job, status: effectiveStatus }, transitionTable)
+    .filter(t => t.id !== 'cancelled');
+  const nextStatuses = transitions
+    .map(t => ({ ...t, status: allStatuses.find(s => s.id === t.id) }))
+    .filter(t => t.status);
   
   const handleUpdateStatus = async (newStatus) => {
-    if (newStatus === currentStatus) return;
+    if (newStatus === effectiveStatus) return;
+    
+    const transition = transitions.find(t => t.id === newStatus);
+    if (!transition) {
+      Alert.alert('Not Allowed', `A job cannot move from ${statusObj.label} to this status`);
+      return;
+    }
+    if (!transition.allowed) {
+      Alert.alert('Not Allowed', transition.reason);
+      return;
+    }
     
     setLoading(true);
     try {
-      await onUpdateStatus(newStatus);
+      if (requestId && (!isOnline() || pendingChange)) {
+        // Offline, or earlier changes still waiting: queue so they replay in order
+        await queueStatusChange(requestId, newStatus, { updatedBy: 'mechanic' });
+      } else {
+        await onUpdateStatus(newStatus);
+      }
     } catch (error) {
       console.error('Error updating job status:', error);
       Alert.alert('Error', 'Failed to update job status');
@@ -68,57 +142,108 @@ const JobStatusManager = ({
     }
   };
   
-  const handleAddCustomStatus = async () => {
+  const resetStatusForm = () => {
+    setShowAddStatusModal(false);
+    setEditingStatusId(null);
+    setNewStatusLabel('');
+    setNewStatusDescription('');
+    setNewStatusColor('#2196f3');
+    setNewStatusFrom([]);
+    setNewStatusTo([]);
+  };
+  
+  const openEditStatus = (status) => {
+    setEditingStatusId(status.id);
+    setNewStatusLabel(status.label);
+    setNewStatusDescription(status.description || '');
+    setNewStatusColor(status.color);
+    setNewStatusFrom(status.fromStatuses || []);
+    setNewStatusTo(status.toStatuses || []);
+    setShowManageModal(false);
+    setShowAddStatusModal(true);
+  };
+  
+  const togglePlacement = (list, setList, statusId) => {
+    setList(list.includes(statusId) ? list.filter(id => id !== statusId) : [...list, statusId]);
+  };
+  
+  const handleSaveCustomStatus = async () => {
     if (!newStatusLabel.trim()) {
       Alert.alert('Error', 'Status label is required');
       return;
     }
     
+    if (!ownerId) {
+      Alert.alert('Error', 'Custom statuses can only be saved from a mechanic account');
+      return;
+    }
+    
+    if (newStatusFrom.length === 0 || newStatusTo.length === 0) {
+      Alert.alert('Error', 'Choose at least one status this comes after and one it leads to');
+      return;
+    }
+    
     setLoading(true);
     try {
-      // Generate a unique ID based on the label
-      const id = newStatusLabel.toLowerCase().replace(/\s+/g, '_');
-      
-      const newStatus = {
-        id,
+      const statusData = {
         label: newStatusLabel.trim(),
         color: newStatusColor,
-        description: newStatusDescription.trim() || undefined,
-        isCustom: true
+        description: newStatusDescription.trim(),
+        fromStatuses: newStatusFrom,
+        toStatuses: newStatusTo,
       };
       
-      // In a real implementation, this would save to Firebase
-      // For now, we'll just close the modal
+      if (editingStatusId) {
+        await updateCustomStatus(ownerId, editingStatusId, statusData);
+      } else {
+        await addCustomStatus(ownerId, statusData);
+      }
       
-      setShowAddStatusModal(false);
-      setNewStatusLabel('');
-      setNewStatusDescription('');
-      setNewStatusColor('#2196f3');
-      
-      // Alert the user that this is a demo feature
-      Alert.alert(
-        'Custom Status Created',
-        'In the full implementation, this would save the custom status to your account.'
-      );
+      resetStatusForm();
     } catch (error) {
-      console.error('Error adding custom status:', error);
-      Alert.alert('Error', 'Failed to add custom status');
+      console.error('Error saving custom status:', error);
+      Alert.alert('Error', error.message || 'Failed to save custom status');
     } finally {
       setLoading(false);
     }
   };
   
+  const handleMoveStatus = async (statusId, direction) => {
+    const ids = savedStatuses.map(s => s.id);
+    const index = ids.indexOf(statusId);
+    const target = index + direction;
+    if (target < 0 || target >= ids.length) return;
+    
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    
+    try {
+      await reorderCustomStatuses(ownerId, ids);
+    } catch (error) {
+      console.error('Error reordering custom statuses:', error);
+      Alert.alert('Error', 'Failed to reorder statuses');
+    }
+  };
+  
+  const handleToggleArchive = async (status) => {
+    try {
+      if (status.archived) {
+        await restoreCustomStatus(ownerId, status.id);
+      } else {
+        await archiveCustomStatus(ownerId, status.id);
+      }
+    } catch (error) {
+      console.error('Error archiving custom status:', error);
+      Alert.alert('Error', 'Failed to update custom status');
+    }
+  };
+  
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
   };
   
   const renderStatusHistoryItem = ({ item }) => {
-    const status = allStatuses.find(s => s.id === item.status) || { 
-      id: item.status, 
-      label: item.status.charAt(0).toUpperCase() + item.status.slice(1),
-      color: '#999'
-    };
+    const status = statusRegistry.get(item.status);
     
     return (
       <View style={styles.historyItem}>
@@ -134,6 +259,7 @@ const JobStatusManager = ({
         
         <Text style={styles.historyItemUser}>
           Updated by: {item.updatedBy === 'mechanic' ? 'Mechanic' : 'Customer'}
+          {item.updatedByName ? ` (${item.updatedByName})` : ''}
         </Text>
       </View>
     );
@@ -158,6 +284,37 @@ const JobStatusManager = ({
         <Text style={styles.statusDescription}>{statusObj.description}</Text>
       )}
       
+      {pendingChange && (
+        <View style={[styles.syncBadge, styles.pendingBadge]}>
+          <Ionicons name="cloud-upload-outline" size={12} color="#ff9800" />
+          <Text style={[styles.syncBadgeText, { color: '#ff9800' }]}>
+            {pendingChange.status === 'syncing' ? 'Syncing status change...' : 'Status change pending sync'}
+          </Text>
+        </View>
+      )}
+      
+      {isMechanic && job?.mechanicId && shouldShareLocation(currentStatus) && (
+        <View style={styles.locationSharing}>
+          <Ionicons
+            name={locationError ? 'location-outline' : 'navigate'}
+            size={12}
+            color={locationError ? '#f44336' : '#00897b'}
+          />
+          <Text style={[styles.locationSharingText, locationError && { color: '#f44336' }]}>
+            {locationError || 'Sharing your location with the customer'}
+          </Text>
+        </View>
+      )}
+      
+      {failedChange && (
+        <View style={[styles.syncBadge, styles.failedBadge]}>
+          <Ionicons name="alert-circle-outline" size={12} color="#f44336" />
+          <Text style={[styles.syncBadgeText, { color: '#f44336' }]}>
+            Could not sync status change: {failedChange.error}
+          </Text>
+        </View>
+      )}
+      
       {isMechanic && (
         <View style={styles.mechanicControls}>
           <Text style={styles.sectionTitle}>Update Status:</Text>
@@ -165,36 +322,51 @@ const JobStatusManager = ({
           <FlatList
             horizontal
             showsHorizontalScrollIndicator={false}
-            data={allStatuses.filter(s => s.id !== 'cancelled')} // Exclude cancelled status (use cancel job feature instead)
+            data={nextStatuses}
             keyExtractor={(item) => item.id}
             style={styles.statusOptions}
             renderItem={({ item }) => (
               <TouchableOpacity
                 style={[
                   styles.statusOption,
-                  { backgroundColor: item.color + '20' }, // 20% opacity
-                  currentStatus === item.id && { backgroundColor: item.color + '40' } // 40% opacity when selected
+                  { backgroundColor: item.status.color + '20' }, // 20% opacity
+                  !item.allowed && styles.statusOptionBlocked
                 ]}
                 onPress={() => handleUpdateStatus(item.id)}
-                disabled={loading || currentStatus === item.id}
+                disabled={loading}
               >
-                <Text style={[styles.statusOptionText, { color: item.color }]}>
-                  {item.label}
+                <Text style={[styles.statusOptionText, { color: item.status.color }]}>
+                  {item.status.label}
                 </Text>
-                {currentStatus === item.id && (
-                  <Ionicons name="checkmark-circle" size={16} color={item.color} style={styles.statusIcon} />
+                {!item.allowed && (
+                  <Ionicons name="lock-closed" size={14} color={item.status.color} style={styles.statusIcon} />
                 )}
               </TouchableOpacity>
             )}
+            ListEmptyComponent={
+              <Text style={styles.noTransitionsText}>No further status changes available</Text>
+            }
             ListFooterComponent={
-              <TouchableOpacity
-                style={styles.addStatusButton}
-                onPress={() => setShowAddStatusModal(true)}
-                disabled={loading}
-              >
-                <Ionicons name="add-circle-outline" size={16} color="#666" />
-                <Text style={styles.addStatusText}>Custom</Text>
-              </TouchableOpacity>
+              <View style={styles.footerButtons}>
+                <TouchableOpacity
+                  style={styles.addStatusButton}
+                  onPress={() => setShowAddStatusModal(true)}
+                  disabled={loading}
+                >
+                  <Ionicons name="add-circle-outline" size={16} color="#666" />
+                  <Text style={styles.addStatusText}>Custom</Text>
+                </TouchableOpacity>
+                {ownerId && savedStatuses.length > 0 && (
+                  <TouchableOpacity
+                    style={styles.addStatusButton}
+                    onPress={() => setShowManageModal(true)}
+                    disabled={loading}
+                  >
+                    <Ionicons name="options-outline" size={16} color="#666" />
+                    <Text style={styles.addStatusText}>Manage</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
             }
           />
         </View>
@@ -230,13 +402,13 @@ const JobStatusManager = ({
         visible={showAddStatusModal}
         transparent={true}
         animationType="fade"
-        onRequestClose={() => setShowAddStatusModal(false)}
+        onRequestClose={resetStatusForm}
       >
         <View style={styles.modalOverlay}>
           <View style={styles.modalContent}>
             <View style={styles.modalHeader}>
-              <Text style={styles.modalTitle}>Add Custom Status</Text>
-              <TouchableOpacity onPress={() => setShowAddStatusModal(false)}>
+              <Text style={styles.modalTitle}>{editingStatusId ? 'Edit Custom Status' : 'Add Custom Status'}</Text>
+              <TouchableOpacity onPress={resetStatusForm}>
                 <Ionicons name="close" size={24} color="#666" />
               </TouchableOpacity>
             </View>
@@ -275,10 +447,42 @@ const JobStatusManager = ({
               ))}
             </View>
             
+            <Text style={styles.colorSelectorLabel}>Comes after:</Text>
+            <View style={styles.placementSelector}>
+              {flowStatuses.filter(s => s.id !== 'closed').map(status => (
+                <TouchableOpacity
+                  key={status.id}
+                  style={[
+                    styles.placementOption,
+                    newStatusFrom.includes(status.id) && { backgroundColor: status.color + '40' }
+                  ]}
+                  onPress={() => togglePlacement(newStatusFrom, setNewStatusFrom, status.id)}
+                >
+                  <Text style={[styles.placementOptionText, { color: status.color }]}>{status.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            
+            <Text style={styles.colorSelectorLabel}>Leads to:</Text>
+            <View style={styles.placementSelector}>
+              {flowStatuses.filter(s => s.id !== 'pending').map(status => (
+                <TouchableOpacity
+                  key={status.id}
+                  style={[
+                    styles.placementOption,
+                    newStatusTo.includes(status.id) && { backgroundColor: status.color + '40' }
+                  ]}
+                  onPress={() => togglePlacement(newStatusTo, setNewStatusTo, status.id)}
+                >
+                  <Text style={[styles.placementOptionText, { color: status.color }]}>{status.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            
             <View style={styles.modalActions}>
               <TouchableOpacity
                 style={styles.modalCancelButton}
-                onPress={() => setShowAddStatusModal(false)}
+                onPress={resetStatusForm}
               >
                 <Text style={styles.modalCancelButtonText}>Cancel</Text>
               </TouchableOpacity>
@@ -288,13 +492,13 @@ const JobStatusManager = ({
                   styles.modalAddButton,
                   !newStatusLabel.trim() && styles.modalAddButtonDisabled
                 ]}
-                onPress={handleAddCustomStatus}
+                onPress={handleSaveCustomStatus}
                 disabled={!newStatusLabel.trim() || loading}
               >
                 {loading ? (
                   <ActivityIndicator size="small" color="#fff" />
                 ) : (
-                  <Text style={styles.modalAddButtonText}>Add Status</Text>
+                  <Text style={styles.modalAddButtonText}>{editingStatusId ? 'Save Status' : 'Add Status'}</Text>
                 )}
               </TouchableOpacity>
             </View>
@@ -302,6 +506,63 @@ const JobStatusManager = ({
         </View>
       </Modal>
       
+      {/* Manage Custom Statuses Modal */}
+      <Modal
+        visible={showManageModal}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setShowManageModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Custom Statuses</Text>
+              <TouchableOpacity onPress={() => setShowManageModal(false)}>
+                <Ionicons name="close" size={24} color="#666" />
+              </TouchableOpacity>
+            </View>
+            
+            <FlatList
+              data={savedStatuses}
+              keyExtractor={(item) => item.id}
+              style={styles.manageList}
+              renderItem={({ item, index }) => (
+                <View style={[styles.manageItem, item.archived && styles.manageItemArchived]}>
+                  <View style={[styles.statusDot, { backgroundColor: item.color }]} />
+                  <Text style={styles.manageItemLabel}>
+                    {item.label}{item.archived ? ' (archived)' : ''}
+                  </Text>
+                  <TouchableOpacity
+                    onPress={() => handleMoveStatus(item.id, -1)}
+                    disabled={index === 0}
+                    style={styles.manageAction}
+                  >
+                    <Ionicons name="arrow-up" size={18} color={index === 0 ? '#ccc' : '#666'} />
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={() => handleMoveStatus(item.id, 1)}
+                    disabled={index === savedStatuses.length - 1}
+                    style={styles.manageAction}
+                  >
+                    <Ionicons name="arrow-down" size={18} color={index === savedStatuses.length - 1 ? '#ccc' : '#666'} />
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => openEditStatus(item)} style={styles.manageAction}>
+                    <Ionicons name="create-outline" size={18} color="#2196f3" />
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => handleToggleArchive(item)} style={styles.manageAction}>
+                    <Ionicons
+                      name={item.archived ? 'arrow-undo-outline' : 'archive-outline'}
+                      size={18}
+                      color={item.archived ? '#4caf50' : '#f44336'}
+                    />
+                  </TouchableOpacity>
+                </View>
+              )}
+            />
+          </View>
+        </View>
+      </Modal>
+      
       {loading && !showAddStatusModal && (
         <View style={styles.loadingOverlay}>
           <ActivityIndicator size="large" color="#2196f3" />
@@ -349,6 +610,36 @@ const styles = StyleSheet.create({
     color: '#666',
     marginBottom: 12,
   },
+  syncBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 10,
+    marginBottom: 8,
+  },
+  pendingBadge: {
+    backgroundColor: '#ff980015',
+  },
+  failedBadge: {
+    backgroundColor: '#f4433615',
+  },
+  syncBadgeText: {
+    fontSize: 10,
+    fontWeight: '500',
+    marginLeft: 3,
+  },
+  locationSharing: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  locationSharingText: {
+    fontSize: 12,
+    color: '#00897b',
+    marginLeft: 4,
+  },
   mechanicControls: {
     marginTop: 12,
     paddingTop: 12,
@@ -379,6 +670,16 @@ const styles = StyleSheet.create({
   statusIcon: {
     marginLeft: 4,
   },
+  statusOptionBlocked: {
+    opacity: 0.5,
+  },
+  noTransitionsText: {
+    fontSize: 14,
+    color: '#999',
+    fontStyle: 'italic',
+    alignSelf: 'center',
+    marginRight: 8,
+  },
   addStatusButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -390,6 +691,9 @@ const styles = StyleSheet.create({
     borderColor: '#ddd',
     borderStyle: 'dashed',
   },
+  footerButtons: {
+    flexDirection: 'row',
+  },
   addStatusText: {
     marginLeft: 4,
     color: '#666',
@@ -513,6 +817,45 @@ const styles = StyleSheet.create({
     borderWidth: 2,
     borderColor: '#000',
   },
+  placementSelector: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  placementOption: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    margin: 3,
+  },
+  placementOptionText: {
+    fontSize: 12,
+    fontWeight: '500',
+  },
+  manageList: {
+    maxHeight: 360,
+  },
+  manageItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  manageItemArchived: {
+    opacity: 0.5,
+  },
+  manageItemLabel: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  manageAction: {
+    padding: 4,
+    marginLeft: 4,
+  },
   modalActions: {
     flexDirection: 'row',
     justifyContent: 'flex-end',
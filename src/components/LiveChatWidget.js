@@ -3,8 +3,11 @@
  * 
  * This component provides a live chat interface for customer support:
  * - Floating chat button and expandable chat window
- * - Real-time messaging with automated responses
- * - Integration with Chatbase AI assistant
+ * - Real-time messaging over Firestore listeners with automated responses
+ * - Optimistic sends, reconciled with the saved message by its temp_ ID
+ * - Photo, audio and PDF attachments with upload progress
+ * - Assistant answers grounded in the customer's jobs, quotes and service
+ *   history, handing off to a person when it isn't confident
  * - Message history and session management
  * - Escalation to human support
  */
@@ -24,16 +27,26 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import * as DocumentPicker from 'expo-document-picker';
+import ChatAttachment from './ChatAttachment';
 import {
   createChatSession,
   sendMessage,
-  getChatMessages,
-  getChatSessions,
+  subscribeToChatMessages,
+  subscribeToChatSessions,
   closeChatSession,
+  escalateChatSession,
   markMessagesAsRead,
-  getUnreadMessageCount,
-  initializeChatService,
+  countUnreadMessages,
+  createTempMessageId,
+  reconcileMessages,
 } from '../services/chatService';
+import { startChatAttachmentUpload } from '../services/chatAttachmentService';
+import { validateAttachment } from '../utils/attachments';
+
+// Hide the typing indicator if no automated reply arrives within this time
+const TYPING_TIMEOUT_MS = 15000;
 
 const LiveChatWidget = ({ 
   userId,
@@ -47,95 +60,100 @@ const LiveChatWidget = ({
   const [isVisible, setIsVisible] = useState(false);
   const [isExpanded, setIsExpanded] = useState(false);
   const [currentSession, setCurrentSession] = useState(null);
-  const [messages, setMessages] = useState([]);
+  const [savedMessages, setSavedMessages] = useState([]);
+  const [pendingMessages, setPendingMessages] = useState([]);
   const [inputText, setInputText] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [isTyping, setIsTyping] = useState(false);
-  const [unreadCount, setUnreadCount] = useState(0);
   const [sessions, setSessions] = useState([]);
   const [showSessionList, setShowSessionList] = useState(false);
   
   const scrollViewRef = useRef(null);
   const inputRef = useRef(null);
+  const awaitingReplySince = useRef(null);
+  // Upload handles by pending message ID, so uploads can be cancelled
+  const uploadsRef = useRef({});
+  
+  const { messages } = reconcileMessages(savedMessages, pendingMessages);
+  const unreadCount = countUnreadMessages(sessions);
   
   useEffect(() => {
     initializeWidget();
   }, [userId]);
   
+  // Sessions arrive in real time; the current session is kept in sync with
+  // its document so status and agent assignment changes show straight away
   useEffect(() => {
-    if (currentSession) {
-      loadMessages();
-      const interval = setInterval(loadMessages, 3000); // Poll for new messages
-      return () => clearInterval(interval);
-    }
-  }, [currentSession]);
+    if (!userId) return;
+    
+    let firstSnapshot = true;
+    return subscribeToChatSessions(userId, (userSessions) => {
+      setSessions(userSessions);
+      setCurrentSession(prev => {
+        if (prev) {
+          return userSessions.find(s => s.id === prev.id) || prev;
+        }
+        // On open, resume the most recent active session
+        if (firstSnapshot) {
+          return userSessions.find(s => s.status === 'active') || null;
+        }
+        return prev;
+      });
+      firstSnapshot = false;
+    });
+  }, [userId]);
   
   useEffect(() => {
-    if (isExpanded && scrollViewRef.current) {
-      setTimeout(() => {
-        scrollViewRef.current?.scrollToEnd({ animated: true });
-      }, 100);
-    }
-  }, [messages, isExpanded]);
-  
-  const initializeWidget = async () => {
-    try {
-      await initializeChatService();
+    if (!currentSession?.id) return;
+    
+    setSavedMessages([]);
+    return subscribeToChatMessages(currentSession.id, (sessionMessages) => {
+      setSavedMessages(sessionMessages);
       
-      if (userId) {
-        await loadSessions();
-        await updateUnreadCount();
-        
-        // Check if widget should be visible
-        setIsVisible(true);
-      }
-    } catch (error) {
-      console.error('Error initializing chat widget:', error);
-    }
-  };
-  
-  const loadSessions = async () => {
-    try {
-      const userSessions = await getChatSessions(userId);
-      setSessions(userSessions);
+      // Drop pending copies the snapshot has confirmed
+      setPendingMessages(prev => reconcileMessages(sessionMessages, prev).pending);
       
-      // Set current session to the most recent active one
-      const activeSession = userSessions.find(s => s.status === 'active');
-      if (activeSession) {
-        setCurrentSession(activeSession);
+      // Stop the typing indicator once a reply newer than the user's message arrives
+      if (awaitingReplySince.current && sessionMessages.some(msg => (
+        msg.sender !== 'user' && new Date(msg.timestamp).getTime() >= awaitingReplySince.current
+      ))) {
+        awaitingReplySince.current = null;
+        setIsTyping(false);
       }
-    } catch (error) {
-      console.error('Error loading sessions:', error);
-    }
-  };
+    });
+  }, [currentSession?.id]);
   
-  const loadMessages = async () => {
-    try {
-      if (currentSession) {
-        const sessionMessages = await getChatMessages(currentSession.id);
-        setMessages(sessionMessages);
-        
-        // Mark messages as read
-        const unreadMessageIds = sessionMessages
-          .filter(msg => !msg.isRead && msg.sender !== 'user')
-          .map(msg => msg.id);
-        
-        if (unreadMessageIds.length > 0) {
-          await markMessagesAsRead(currentSession.id, unreadMessageIds);
-          await updateUnreadCount();
-        }
-      }
-    } catch (error) {
-      console.error('Error loading messages:', error);
+  // Mark incoming messages as read while the chat window is open
+  useEffect(() => {
+    if (!isExpanded || !currentSession?.id || !currentSession.unreadCount) return;
+    
+    markMessagesAsRead(currentSession.id).catch(error => {
+      console.error('Error marking messages as read:', error);
+    });
+  }, [isExpanded, currentSession?.id, currentSession?.unreadCount]);
+  
+  // Don't leave the typing indicator up if no reply comes
+  useEffect(() => {
+    if (!isTyping) return;
+    const timeout = setTimeout(() => {
+      awaitingReplySince.current = null;
+      setIsTyping(false);
+    }, TYPING_TIMEOUT_MS);
+    return () => clearTimeout(timeout);
+  }, [isTyping]);
+  
+  useEffect(() => {
+    if (isExpanded && scrollViewRef.current) {
+      setTimeout(() => {
+        scrollViewRef.current?.scrollToEnd({ animated: true });
+      }, 100);
     }
-  };
+  }, [messages.length, isExpanded]);
   
-  const updateUnreadCount = async () => {
-    try {
-      const count = await getUnreadMessageCount(userId);
-      setUnreadCount(count);
-    } catch (error) {
-      console.error('Error updating unread count:', error);
+  const initializeWidget = () => {
+    if (userId) {
+      // Check if widget should be visible
+      setIsVisible(true);
     }
   };
   
@@ -152,14 +170,9 @@ const LiveChatWidget = ({
         vehicleInfo,
       });
       
-      // Reload sessions to get the new one
-      await loadSessions();
-      
-      // Find and set the new session as current
-      const newSession = sessions.find(s => s.id === sessionId) || 
-        { id: sessionId, userId, userType, userName, status: 'active' };
-      
-      setCurrentSession(newSession);
+      // The sessions listener replaces this with the stored document
+      setCurrentSession({ id: sessionId, userId, userType, userName, jobId, status: 'active' });
+      setPendingMessages([]);
       setIsExpanded(true);
       setShowSessionList(false);
     } catch (error) {
@@ -171,57 +184,218 @@ const LiveChatWidget = ({
   };
   
   const sendUserMessage = async () => {
-    try {
-      if (!inputText.trim() || !currentSession) return;
-      
-      const messageText = inputText.trim();
-      setInputText('');
+    if (!inputText.trim() || !currentSession) return;
+    
+    const messageText = inputText.trim();
+    setInputText('');
+    
+    // Show the message immediately; the listener swaps it for the saved copy
+    const userMessage = {
+      id: createTempMessageId(),
+      sessionId: currentSession.id,
+      sender: 'user',
+      text: messageText,
+      timestamp: Date.now(),
+    };
+    
+    setPendingMessages(prev => [...prev, userMessage]);
+    // Only sessions still with the assistant get an automated reply
+    if (currentSession.status === 'active' && !currentSession.isAssignedToHuman) {
+      awaitingReplySince.current = userMessage.timestamp;
       setIsTyping(true);
-      
-      // Add user message immediately for better UX
-      const userMessage = {
-        id: `temp_${Date.now()}`,
-        sessionId: currentSession.id,
-        sender: 'user',
-        text: messageText,
-        timestamp: Date.now(),
-        isRead: true,
-      };
-      
-      setMessages(prev => [...prev, userMessage]);
-      
-      // Send message to service
+    }
+    
+    try {
       await sendMessage(currentSession.id, 'user', {
         text: messageText,
+        clientMessageId: userMessage.id,
       });
-      
-      // Reload messages to get any automated responses
-      setTimeout(async () => {
-        await loadMessages();
-        setIsTyping(false);
-      }, 2000);
-      
     } catch (error) {
       console.error('Error sending message:', error);
+      setPendingMessages(prev => prev.filter(msg => msg.id !== userMessage.id));
+      setInputText(messageText);
+      awaitingReplySince.current = null;
       setIsTyping(false);
       Alert.alert('Error', 'Failed to send message');
     }
   };
   
+  const sendAttachment = async (file) => {
+    if (!currentSession) return;
+    
+    // The size is checked again against the bytes read for upload
+    const validationError = validateAttachment(file, { allowUnknownSize: true });
+    if (validationError) {
+      Alert.alert('Cannot Attach File', validationError);
+      return;
+    }
+    
+    const caption = inputText.trim();
+    setInputText('');
+    
+    const pendingId = createTempMessageId();
+    const upload = startChatAttachmentUpload(
+      file,
+      { sessionId: currentSession.id, jobId: currentSession.jobId, uploadedBy: userId },
+      {
+        onProgress: (progress) => setPendingMessages(prev => prev.map(msg => (
+          msg.id === pendingId ? { ...msg, uploadProgress: progress } : msg
+        ))),
+      }
+    );
+    
+    // Preview the local file while it uploads
+    const pendingMessage = {
+      id: pendingId,
+      sessionId: currentSession.id,
+      sender: 'user',
+      text: caption,
+      attachments: [{ id: upload.attachmentId, kind: file.kind, name: file.name, size: file.size, url: file.uri }],
+      uploadProgress: 0,
+      timestamp: Date.now(),
+    };
+    uploadsRef.current[pendingMessage.id] = upload;
+    setPendingMessages(prev => [...prev, pendingMessage]);
+    
+    try {
+      const attachment = await upload.done;
+      await sendMessage(currentSession.id, 'user', {
+        text: caption,
+        attachments: [attachment],
+        clientMessageId: pendingMessage.id,
+      });
+    } catch (error) {
+      setPendingMessages(prev => prev.filter(msg => msg.id !== pendingMessage.id));
+      if (error.code !== 'storage/canceled') {
+        console.error('Error sending attachment:', error);
+        Alert.alert('Error', error.message || 'Failed to send attachment');
+      }
+    } finally {
+      delete uploadsRef.current[pendingMessage.id];
+    }
+  };
+  
+  const cancelUpload = (messageId) => {
+    uploadsRef.current[messageId]?.cancel();
+  };
+  
+  const pickPhoto = async (fromCamera) => {
+    const { status } = fromCamera
+      ? await ImagePicker.requestCameraPermissionsAsync()
+      : await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (status !== 'granted') {
+      Alert.alert('Permission Denied', fromCamera
+        ? 'Please allow camera access to take photos'
+        : 'Please allow access to your photo library');
+      return;
+    }
+    
+    try {
+      const options = { mediaTypes: ImagePicker.MediaTypeOptions.Images, quality: 0.8 };
+      const result = fromCamera
+        ? await ImagePicker.launchCameraAsync(options)
+        : await ImagePicker.launchImageLibraryAsync(options);
+      
+      if (!result.canceled && result.assets && result.assets.length > 0) {
+        const asset = result.assets[0];
+        sendAttachment({
+          uri: asset.uri,
+          name: asset.fileName || asset.uri.split('/').pop(),
+          mimeType: asset.mimeType || 'image/jpeg',
+          size: asset.fileSize,
+          kind: 'image',
+        });
+      }
+    } catch (error) {
+      console.error('Error picking photo:', error);
+      Alert.alert('Error', 'Failed to pick photo');
+    }
+  };
+  
+  const pickDocument = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['audio/*', 'application/pdf'],
+        copyToCacheDirectory: true,
+      });
+      
+      if (!result.canceled && result.assets && result.assets.length > 0) {
+        const asset = result.assets[0];
+        sendAttachment({
+          uri: asset.uri,
+          name: asset.name,
+          mimeType: asset.mimeType,
+          size: asset.size,
+          kind: asset.mimeType === 'application/pdf' ? 'pdf' : 'audio',
+        });
+      }
+    } catch (error) {
+      console.error('Error picking file:', error);
+      Alert.alert('Error', 'Failed to pick file');
+    }
+  };
+  
+  const showAttachmentOptions = () => {
+    Alert.alert(
+      'Attach',
+      'Photos up to 10 MB, audio up to 20 MB and PDFs up to 15 MB',
+      [
+        { text: 'Take Photo', onPress: () => pickPhoto(true) },
+        { text: 'Photo Library', onPress: () => pickPhoto(false) },
+        { text: 'Audio or PDF', onPress: pickDocument },
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+  
   const selectSession = (session) => {
     setCurrentSession(session);
+    setPendingMessages([]);
     setShowSessionList(false);
     setIsExpanded(true);
   };
   
+  const escalateCurrentSession = () => {
+    if (!currentSession) return;
+    
+    Alert.alert(
+      'Talk to a person',
+      'We\'ll connect you with a member of our support team.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Connect',
+          onPress: async () => {
+            try {
+              await escalateChatSession(currentSession.id);
+            } catch (error) {
+              console.error('Error escalating session:', error);
+              Alert.alert('Error', 'Failed to reach support. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
+  
+  const getHeaderSubtitle = () => {
+    if (currentSession?.isAssignedToHuman) {
+      return `Connected to ${currentSession.assignedAgentName || 'support'}`;
+    }
+    if (currentSession?.status === 'escalated') {
+      return 'Waiting for a support agent...';
+    }
+    return 'Abacus AI Assistant';
+  };
+  
   const closeCurrentSession = async () => {
     try {
       if (currentSession) {
         await closeChatSession(currentSession.id);
         setCurrentSession(null);
-        setMessages([]);
+        setSavedMessages([]);
+        setPendingMessages([]);
         setIsExpanded(false);
-        await loadSessions();
       }
     } catch (error) {
       console.error('Error closing session:', error);
@@ -259,14 +433,25 @@ const LiveChatWidget = ({
             isSystem && styles.systemMessageBubble,
           ]}
         >
-          <Text
-            style={[
-              styles.messageText,
-              isUser ? styles.userMessageText : styles.assistantMessageText,
-            ]}
-          >
-            {message.text}
-          </Text>
+          {(message.attachments || []).map(attachment => (
+            <ChatAttachment
+              key={attachment.id}
+              attachment={attachment}
+              uploadProgress={message.uploadProgress}
+              onCancelUpload={message.uploadProgress !== undefined ? () => cancelUpload(message.id) : null}
+              tint={isUser ? '#fff' : '#333'}
+            />
+          ))}
+          {!!message.text && (
+            <Text
+              style={[
+                styles.messageText,
+                isUser ? styles.userMessageText : styles.assistantMessageText,
+              ]}
+            >
+              {message.text}
+            </Text>
+          )}
           <Text
             style={[
               styles.messageTime,
@@ -357,10 +542,19 @@ const LiveChatWidget = ({
                 Heinicus Mobile Mechanic
               </Text>
               <Text style={styles.chatHeaderSubtitle}>
-                {currentSession?.isAssignedToHuman ? 'Connected to mechanic' : 'Abacus AI Assistant'}
+                {getHeaderSubtitle()}
               </Text>
             </View>
             <View style={styles.chatHeaderActions}>
+              {currentSession?.status === 'active' && (
+                <TouchableOpacity
+                  style={styles.chatHeaderButton}
+                  onPress={escalateCurrentSession}
+                  accessibilityLabel="Talk to a person"
+                >
+                  <Ionicons name="person-outline" size={20} color="#666" />
+                </TouchableOpacity>
+              )}
               {sessions.length > 1 && (
                 <TouchableOpacity
                   style={styles.chatHeaderButton}
@@ -405,6 +599,14 @@ const LiveChatWidget = ({
           
           {/* Input */}
           <View style={styles.inputContainer}>
+            <TouchableOpacity
+              style={styles.attachButton}
+              onPress={showAttachmentOptions}
+              disabled={currentSession?.status === 'closed'}
+              accessibilityLabel="Attach a file"
+            >
+              <Ionicons name="attach" size={22} color="#666" />
+            </TouchableOpacity>
             <TextInput
               ref={inputRef}
               style={styles.textInput}
@@ -634,6 +836,13 @@ const styles = StyleSheet.create({
     borderTopColor: '#eee',
     backgroundColor: '#fff',
   },
+  attachButton: {
+    width: 36,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 4,
+  },
   textInput: {
     flex: 1,
     borderWidth: 1,
@@ -2,131 +2,517 @@
  * Live Job Map Component
  * 
  * This component displays job locations on a Google Map for mechanics.
- * - Fetches active job locations from Firebase
- * - Renders markers for each job
- * - Centers map on mechanic's current location (future enhancement)
+ * - Fetches active job locations from Firebase in real time
+ * - Renders markers for each job through the pluggable map provider
+ *   (pass `mapProvider` to use the fake provider in tests)
+ * - Clusters nearby jobs at low zoom; tapping a cluster zooms into it
+ * - Filters by status, date and service type
+ * - Info window per job with customer, vehicle and quote, linking to the job
+ * - Marker colors, labels and the legend come from the shared status
+ *   registry, including the owner's custom statuses
+ * - Shows and centers on the mechanic's current location
+ * - "Plan my day" orders today's jobs by travel time and appointment windows
+ *   and draws the route (local estimates when no routing API is available)
  * - Provides basic map controls (zoom, pan)
  */
 
-import React, { useEffect, useRef, useState } from 'react';
-import { View, StyleSheet, ActivityIndicator, Text } from 'react-native';
-import { loadGoogleMapsScript, subscribeToJobLocations } from '../services/mapService';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { View, StyleSheet, ActivityIndicator, Text, TouchableOpacity, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Location from 'expo-location';
+import {
+  getMapProvider,
+  subscribeToJobLocations,
+  getPlannableJobs,
+  planJobRoute,
+  filterJobLocations,
+} from '../services/mapService';
+import { getQuotesForServiceRequest } from '../firebase/services';
+import { subscribeToCustomStatuses } from '../services/customStatusService';
+import { createStatusRegistry } from '../utils/statusRegistry';
+import { formatDistance, formatEta } from '../utils/geo';
+import { clusterPoints } from '../utils/markerClustering';
+import { formatCents } from '../utils/quoteCalculator';
+import { escapeHtml } from '../utils/html';
+import { describeVehicle } from '../utils/vehicle';
 
-const LiveJobMap = ({ mechanicId }) => {
+const DEFAULT_CENTER = { latitude: 35.45, longitude: -94.78 }; // Sallisaw, OK
+const DEFAULT_ZOOM = 10;
+const CLUSTER_COLOR = '#37474f';
+
+const DATE_FILTERS = [
+  { id: 'all', label: 'Any date' },
+  { id: 'today', label: 'Today' },
+  { id: 'week', label: 'Next 7 days' },
+  { id: 'unscheduled', label: 'Unscheduled' },
+];
+
+const EMPTY_FILTERS = { statuses: [], serviceTypes: [], date: 'all' };
+
+// Planned stops are labelled with their place in the route instead of their status
+const markerOptions = (job, statusRegistry, stopNumber = null) => ({
+  position: { latitude: job.latitude, longitude: job.longitude },
+  title: `${job.title} - ${statusRegistry.getLabel(job.status)}`,
+  label: stopNumber ? String(stopNumber) : statusRegistry.getLabel(job.status).charAt(0).toUpperCase(),
+  color: statusRegistry.getColor(job.status),
+});
+
+const clusterMarkerOptions = (cluster) => ({
+  position: { latitude: cluster.latitude, longitude: cluster.longitude },
+  title: `${cluster.points.length} jobs`,
+  label: String(cluster.points.length),
+  color: CLUSTER_COLOR,
+});
+
+const formatQuote = (quote) => {
+  if (!quote) return 'No quote yet';
+  const total = quote.totals?.totalCents !== undefined
+    ? formatCents(quote.totals.totalCents)
+    : `$${Number(quote.totalCost || 0).toFixed(2)}`;
+  return `${total} (v${quote.version || 1}, ${quote.status || 'pending'})`;
+};
+
+// HTML for a job's info window; `quote` is undefined while it is loading
+const buildJobInfoContent = (job, quote, statusRegistry) => {
+  const rows = [
+    ['Customer', job.customerName],
+    ['Vehicle', describeVehicle(job.vehicleInfo)],
+    ['Service', job.serviceType],
+    ['Status', statusRegistry.getLabel(job.status)],
+    ['Quote', quote === undefined ? 'Loading...' : formatQuote(quote)],
+  ].filter(([, value]) => value);
+
+  return `
+    <div style="font-family: sans-serif; font-size: 13px; min-width: 180px;">
+      <div style="font-weight: 600; font-size: 14px; margin-bottom: 4px;">${escapeHtml(job.title)}</div>
+      ${job.address ? `<div style="color: #666; margin-bottom: 6px;">${escapeHtml(job.address)}</div>` : ''}
+      ${rows.map(([label, value]) => `<div><span style="color: #666;">${escapeHtml(label)}:</span> ${escapeHtml(value)}</div>`).join('')}
+      <a href="/service-requests/${encodeURIComponent(job.id)}" style="display: inline-block; margin-top: 8px; color: #2196f3;">View job details</a>
+    </div>`;
+};
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+const LiveJobMap = ({ mechanicId, ownerId = mechanicId, mapProvider }) => {
   const mapRef = useRef(null);
+  const markersRef = useRef({}); // Marker handles keyed by job or cluster ID
+  const clustersRef = useRef({}); // Current clusters keyed by ID, read by marker click handlers
+  const infoWindowRef = useRef(null);
+  const markerClickRef = useRef(null); // Latest click handler, so markers need not be re-created when it changes
+  const currentPosition = useRef(null);
   const [map, setMap] = useState(null);
+  const [jobs, setJobs] = useState([]);
+  const [zoom, setZoom] = useState(DEFAULT_ZOOM);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [showLegend, setShowLegend] = useState(false);
+  const [customStatuses, setCustomStatuses] = useState([]);
+  const [plan, setPlan] = useState(null);
+  const [planning, setPlanning] = useState(false);
   const [loading, setLoading] = useState(true);
-  const [jobMarkers, setJobMarkers] = useState({}); // Stores Google Maps Marker objects
+  const [error, setError] = useState(null);
 
   useEffect(() => {
+    const provider = mapProvider || getMapProvider();
+    let mapHandle = null;
+    let active = true;
+
     const initMap = async () => {
       try {
-        await loadGoogleMapsScript();
-        const googleMap = new window.google.maps.Map(mapRef.current, {
-          center: { lat: 35.45, lng: -94.78 }, // Default center (Sallisaw, OK)
-          zoom: 10,
-          mapTypeControl: false,
-          streetViewControl: false,
-          fullscreenControl: false,
-        });
-        setMap(googleMap);
-        setLoading(false);
-      } catch (error) {
-        console.error('Failed to load Google Maps:', error);
-        setLoading(false);
+        await provider.load();
+        if (!active) return;
+        mapHandle = provider.createMap(mapRef.current, { center: DEFAULT_CENTER, zoom: DEFAULT_ZOOM });
+        setMap(mapHandle);
+      } catch (err) {
+        console.error('Failed to load map:', err);
+        if (active) setError('Map could not be loaded');
+      } finally {
+        if (active) setLoading(false);
       }
     };
 
     initMap();
-  }, []);
+
+    return () => {
+      active = false;
+      mapHandle?.destroy();
+    };
+  }, [mapProvider]);
+
+  // Follow the mechanic's own position; centers the map on the first fix
+  useEffect(() => {
+    if (!map) return;
+
+    let watcher = null;
+    let marker = null;
+    let active = true;
+
+    const watchPosition = async () => {
+      try {
+        const { status } = await Location.requestForegroundPermissionsAsync();
+        if (status !== 'granted' || !active) return;
+
+        watcher = await Location.watchPositionAsync(
+          { accuracy: Location.Accuracy.Balanced, distanceInterval: 100 },
+          ({ coords }) => {
+            const position = { latitude: coords.latitude, longitude: coords.longitude };
+            currentPosition.current = position;
+            if (marker) {
+              marker.update({ position });
+            } else {
+              marker = map.addMarker({ position, title: 'You', label: 'Y', color: '#00897b' });
+              map.setCenter(position);
+            }
+          }
+        );
+        if (!active) watcher.remove();
+      } catch (err) {
+        console.error('Error getting current location:', err);
+      }
+    };
+
+    watchPosition();
+
+    return () => {
+      active = false;
+      watcher?.remove();
+      marker?.remove();
+    };
+  }, [map]);
 
   useEffect(() => {
     if (!map || !mechanicId) return;
 
+    let fitted = false;
     const unsubscribe = subscribeToJobLocations(mechanicId, (locations) => {
-      // Remove old markers that are no longer in the locations list
-      const newJobMarkers = {};
-      Object.keys(jobMarkers).forEach(jobId => {
-        if (!locations.some(loc => loc.id === jobId)) {
-          jobMarkers[jobId].setMap(null); // Remove marker from map
-        }
-      });
-
-      // Add or update new markers
-      locations.forEach(job => {
-        const position = new window.google.maps.LatLng(job.latitude, job.longitude);
-        if (jobMarkers[job.id]) {
-          // Update existing marker position
-          jobMarkers[job.id].setPosition(position);
-          jobMarkers[job.id].setTitle(job.title);
-          jobMarkers[job.id].setLabel({
-            text: job.status.charAt(0).toUpperCase(),
-            color: 'white',
-            fontWeight: 'bold',
-          });
-          jobMarkers[job.id].setIcon({
-            path: window.google.maps.SymbolPath.CIRCLE,
-            fillColor: getStatusColor(job.status),
-            fillOpacity: 0.9,
-            strokeWeight: 0,
-            scale: 10,
-          });
-          newJobMarkers[job.id] = jobMarkers[job.id];
-        } else {
-          // Create new marker
-          const marker = new window.google.maps.Marker({
-            position: position,
-            map: map,
-            title: job.title,
-            label: {
-              text: job.status.charAt(0).toUpperCase(),
-              color: 'white',
-              fontWeight: 'bold',
-            },
-            icon: {
-              path: window.google.maps.SymbolPath.CIRCLE,
-              fillColor: getStatusColor(job.status),
-              fillOpacity: 0.9,
-              strokeWeight: 0,
-              scale: 10,
-            },
-          });
-          newJobMarkers[job.id] = marker;
-        }
-      });
-      setJobMarkers(newJobMarkers);
+      setJobs(locations);
+
+      // Frame the jobs once; later updates leave the user's pan and zoom alone
+      if (!fitted && locations.length > 0) {
+        map.fitBounds(locations);
+        fitted = true;
+      }
     });
 
     return () => unsubscribe();
-  }, [map, mechanicId, jobMarkers]);
-
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'pending':
-        return '#FFC107'; // Amber
-      case 'in_progress':
-        return '#2196F3'; // Blue
-      case 'completed':
-        return '#4CAF50'; // Green
-      case 'cancelled':
-        return '#F44336'; // Red
-      default:
-        return '#9E9E9E'; // Grey
+  }, [map, mechanicId]);
+
+  useEffect(() => {
+    if (!ownerId) return;
+    return subscribeToCustomStatuses(ownerId, setCustomStatuses);
+  }, [ownerId]);
+
+  const statusRegistry = useMemo(() => createStatusRegistry(customStatuses), [customStatuses]);
+
+  useEffect(() => {
+    if (!map) return;
+    setZoom(map.getZoom());
+    return map.onViewChange(({ zoom: nextZoom }) => setZoom(nextZoom));
+  }, [map]);
+
+  const visibleJobs = useMemo(() => filterJobLocations(jobs, filters), [jobs, filters]);
+  const statusOptions = useMemo(() => [...new Set(jobs.map(job => job.status))].filter(Boolean), [jobs]);
+  const serviceTypeOptions = useMemo(() => [...new Set(jobs.map(job => job.serviceType))].filter(Boolean), [jobs]);
+  const filterCount = filters.statuses.length + filters.serviceTypes.length + (filters.date !== 'all' ? 1 : 0);
+
+  // Planned stops are always shown individually so their numbers stay visible
+  const clusters = useMemo(() => {
+    if (plan) {
+      return visibleJobs.map(job => ({ id: job.id, latitude: job.latitude, longitude: job.longitude, points: [job] }));
+    }
+    return clusterPoints(visibleJobs, zoom);
+  }, [visibleJobs, zoom, plan]);
+
+  const openJobInfo = async (job) => {
+    const infoWindow = map.openInfoWindow({ position: job, content: buildJobInfoContent(job, undefined, statusRegistry) });
+    infoWindowRef.current = { jobId: job.id, window: infoWindow };
+
+    const quoteId = job.acceptedQuoteId || job.latestQuoteId;
+    let quote = null;
+    if (quoteId) {
+      const result = await getQuotesForServiceRequest(job.id);
+      if (result.success) {
+        quote = result.data.find(q => q.id === quoteId) || null;
+      } else {
+        console.error('Error loading quote for map:', result.error);
+      }
+    }
+
+    // Another marker may have been opened while the quote loaded
+    if (infoWindowRef.current?.jobId === job.id) {
+      infoWindow.setContent(buildJobInfoContent(job, quote, statusRegistry));
     }
   };
 
-  if (loading) {
+  const handleMarkerClick = (clusterId) => {
+    const cluster = clustersRef.current[clusterId];
+    if (!cluster) return;
+
+    if (cluster.points.length > 1) {
+      map.fitBounds(cluster.points);
+    } else {
+      openJobInfo(cluster.points[0]);
+    }
+  };
+  markerClickRef.current = handleMarkerClick;
+
+  // Keep markers in step with the clusters and the current plan
+  useEffect(() => {
+    if (!map) return;
+
+    const markers = markersRef.current;
+    const stopNumbers = {};
+    plan?.stops.forEach((stop, index) => {
+      stopNumbers[stop.id] = index + 1;
+    });
+    clustersRef.current = Object.fromEntries(clusters.map(cluster => [cluster.id, cluster]));
+
+    // Remove markers for jobs and clusters that are gone
+    Object.keys(markers).forEach(id => {
+      if (!clustersRef.current[id]) {
+        markers[id].remove();
+        delete markers[id];
+      }
+    });
+
+    // Add or update markers
+    clusters.forEach(cluster => {
+      const options = cluster.points.length > 1
+        ? clusterMarkerOptions(cluster)
+        : markerOptions(cluster.points[0], statusRegistry, stopNumbers[cluster.id]);
+      if (markers[cluster.id]) {
+        markers[cluster.id].update(options);
+      } else {
+        markers[cluster.id] = map.addMarker({ ...options, onClick: () => markerClickRef.current(cluster.id) });
+      }
+    });
+  }, [map, clusters, plan, statusRegistry]);
+
+  useEffect(() => {
+    return () => {
+      Object.values(markersRef.current).forEach(marker => marker.remove());
+      markersRef.current = {};
+      infoWindowRef.current?.window.close();
+      infoWindowRef.current = null;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    if (!map || !plan || plan.stops.length === 0) return;
+
+    const route = map.drawRoute([plan.start, ...plan.stops]);
+    map.fitBounds([plan.start, ...plan.stops]);
+    return () => route.remove();
+  }, [map, plan]);
+
+  // A planned job that finishes or is cancelled drops out of the plan
+  useEffect(() => {
+    setPlan(current => (
+      current && current.stops.some(stop => !jobs.some(job => job.id === stop.id)) ? null : current
+    ));
+  }, [jobs]);
+
+  const handlePlanDay = async () => {
+    const todaysJobs = getPlannableJobs(jobs);
+    if (todaysJobs.length === 0) {
+      setError('No accepted jobs to plan for today');
+      return;
+    }
+
+    setPlanning(true);
+    setError(null);
+    try {
+      const start = currentPosition.current || { latitude: todaysJobs[0].latitude, longitude: todaysJobs[0].longitude };
+      const result = await planJobRoute(start, todaysJobs, { provider: mapProvider || getMapProvider() });
+      setPlan({ ...result, start });
+    } catch (err) {
+      console.error('Error planning route:', err);
+      setError('Could not plan a route');
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  const toggleFilter = (key, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter(v => v !== value) : [...prev[key], value],
+    }));
+  };
+  
+  const renderChip = (label, selected, onPress) => (
+    <TouchableOpacity
+      key={label}
+      style={[styles.filterChip, selected && styles.filterChipSelected]}
+      onPress={onPress}
+    >
+      <Text style={[styles.filterChipText, selected && styles.filterChipTextSelected]}>{label}</Text>
+    </TouchableOpacity>
+  );
+  
+  const renderFilters = () => (
+    <View style={styles.filterPanel}>
+      <Text style={styles.filterLabel}>Status</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {statusOptions.map(status => renderChip(
+          statusRegistry.getLabel(status),
+          filters.statuses.includes(status),
+          () => toggleFilter('statuses', status)
+        ))}
+      </ScrollView>
+      
+      <Text style={styles.filterLabel}>Date</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {DATE_FILTERS.map(option => renderChip(
+          option.label,
+          filters.date === option.id,
+          () => setFilters(prev => ({ ...prev, date: option.id }))
+        ))}
+      </ScrollView>
+      
+      {serviceTypeOptions.length > 0 && (
+        <>
+          <Text style={styles.filterLabel}>Service type</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {serviceTypeOptions.map(type => renderChip(
+              type,
+              filters.serviceTypes.includes(type),
+              () => toggleFilter('serviceTypes', type)
+            ))}
+          </ScrollView>
+        </>
+      )}
+      
+      <View style={styles.filterFooter}>
+        <Text style={styles.filterSummary}>
+          Showing {visibleJobs.length} of {jobs.length} jobs
+        </Text>
+        {filterCount > 0 && (
+          <TouchableOpacity onPress={() => setFilters(EMPTY_FILTERS)}>
+            <Text style={styles.clearFilters}>Clear filters</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+
+  // Legend lists the statuses of the jobs on the map, in status-flow order
+  const renderLegend = () => {
+    const present = statusRegistry.statuses.filter(status => statusOptions.includes(status.id));
+    const unknown = statusOptions.filter(id => !present.some(status => status.id === id)).map(statusRegistry.get);
+
     return (
-      <View style={styles.loadingContainer}>
-        <ActivityIndicator size="large" color="#2196f3" />
-        <Text style={styles.loadingText}>Loading map...</Text>
+      <View style={styles.legend}>
+        <TouchableOpacity style={styles.legendHeader} onPress={() => setShowLegend(!showLegend)}>
+          <Text style={styles.legendTitle}>Legend</Text>
+          <Ionicons name={showLegend ? 'chevron-down' : 'chevron-up'} size={14} color="#666" />
+        </TouchableOpacity>
+        {showLegend && (
+          <>
+            {[...present, ...unknown].map(status => (
+              <View key={status.id} style={styles.legendItem}>
+                <View style={[styles.legendDot, { backgroundColor: status.color }]} />
+                <Text style={styles.legendText}>{status.label}</Text>
+              </View>
+            ))}
+            <View style={styles.legendItem}>
+              <View style={[styles.legendDot, { backgroundColor: CLUSTER_COLOR }]} />
+              <Text style={styles.legendText}>Group of jobs</Text>
+            </View>
+          </>
+        )}
       </View>
     );
-  }
+  };
+
+  const renderPlan = () => (
+    <View style={styles.planPanel}>
+      <View style={styles.planHeader}>
+        <View>
+          <Text style={styles.planTitle}>Today's Route</Text>
+          <Text style={styles.planSummary}>
+            {plan.stops.length} stops · {formatEta(Math.round(plan.travelMinutes))} driving
+            {plan.distanceMeters ? ` · ${formatDistance(plan.distanceMeters)}` : ''}
+            {` · done by ${formatTime(plan.finishAt)}`}
+          </Text>
+          {plan.source === 'local' && (
+            <Text style={styles.planSource}>Travel times are estimates (routing unavailable)</Text>
+          )}
+        </View>
+        <TouchableOpacity onPress={() => setPlan(null)} style={styles.planClose}>
+          <Ionicons name="close" size={20} color="#666" />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView style={styles.planList}>
+        {plan.stops.map((stop, index) => {
+          const visit = plan.schedule[index];
+          return (
+            <View key={stop.id} style={styles.planStop}>
+              <View style={[styles.stopNumber, { backgroundColor: statusRegistry.getColor(stop.status) }]}>
+                <Text style={styles.stopNumberText}>{index + 1}</Text>
+              </View>
+              <View style={styles.stopDetails}>
+                <Text style={styles.stopTitle} numberOfLines={1}>{stop.title}</Text>
+                {stop.address && <Text style={styles.stopAddress} numberOfLines={1}>{stop.address}</Text>}
+                <Text style={[styles.stopTiming, visit.lateMinutes > 0 && styles.stopLate]}>
+                  Arrive {formatTime(visit.arrival)}
+                  {visit.waitMinutes > 0 ? ` · wait ${visit.waitMinutes} min` : ''}
+                  {visit.lateMinutes > 0 ? ` · ${visit.lateMinutes} min past window` : ''}
+                </Text>
+              </View>
+            </View>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
 
   return (
     <View style={styles.container}>
       <View ref={mapRef} style={styles.map} />
+      
+      {loading && (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#2196f3" />
+          <Text style={styles.loadingText}>Loading map...</Text>
+        </View>
+      )}
+      
+      {!loading && map && (
+        <View style={styles.filterBar}>
+          <TouchableOpacity style={styles.filterToggle} onPress={() => setShowFilters(!showFilters)}>
+            <Ionicons name="funnel-outline" size={16} color="#2196f3" />
+            <Text style={styles.filterToggleText}>
+              Filters{filterCount > 0 ? ` (${filterCount})` : ''}
+            </Text>
+          </TouchableOpacity>
+          {showFilters && renderFilters()}
+        </View>
+      )}
+      
+      {error && (
+        <View style={styles.errorBanner}>
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      )}
+      
+      {!loading && map && !plan && (
+        <TouchableOpacity style={styles.planButton} onPress={handlePlanDay} disabled={planning}>
+          {planning ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <>
+              <Ionicons name="git-network-outline" size={16} color="#fff" />
+              <Text style={styles.planButtonText}>Plan my day</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      )}
+      
+      {!loading && map && !plan && jobs.length > 0 && renderLegend()}
+      
+      {plan && renderPlan()}
     </View>
   );
 };
@@ -139,7 +525,8 @@ const styles = StyleSheet.create({
     flex: 1,
   },
   loadingContainer: {
-    flex: 1,
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: 'rgba(255, 255, 255, 0.8)',
     justifyContent: 'center',
     alignItems: 'center',
   },
@@ -148,6 +535,218 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#666',
   },
+  filterBar: {
+    position: 'absolute',
+    top: 12,
+    left: 12,
+    right: 12,
+    alignItems: 'flex-start',
+  },
+  filterToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    elevation: 2,
+  },
+  filterToggleText: {
+    fontSize: 13,
+    color: '#2196f3',
+    marginLeft: 4,
+  },
+  filterPanel: {
+    alignSelf: 'stretch',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 8,
+    elevation: 3,
+  },
+  filterLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 6,
+    marginBottom: 4,
+  },
+  filterChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginRight: 6,
+  },
+  filterChipSelected: {
+    backgroundColor: '#e3f2fd',
+    borderColor: '#2196f3',
+  },
+  filterChipText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  filterChipTextSelected: {
+    color: '#2196f3',
+    fontWeight: '500',
+  },
+  filterFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  filterSummary: {
+    fontSize: 12,
+    color: '#999',
+  },
+  clearFilters: {
+    fontSize: 12,
+    color: '#f44336',
+  },
+  legend: {
+    position: 'absolute',
+    left: 12,
+    bottom: 16,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    elevation: 2,
+  },
+  legendHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  legendTitle: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginRight: 4,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  legendDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 6,
+  },
+  legendText: {
+    fontSize: 12,
+    color: '#333',
+  },
+  errorBanner: {
+    position: 'absolute',
+    top: 56,
+    left: 12,
+    right: 12,
+    backgroundColor: '#ffebee',
+    borderRadius: 4,
+    padding: 8,
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#c62828',
+  },
+  planButton: {
+    position: 'absolute',
+    right: 16,
+    bottom: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2196f3',
+    borderRadius: 20,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    elevation: 3,
+  },
+  planButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  planPanel: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    maxHeight: '45%',
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 12,
+    borderTopRightRadius: 12,
+    padding: 16,
+    elevation: 4,
+  },
+  planHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: 8,
+  },
+  planTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  planSummary: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  planSource: {
+    fontSize: 11,
+    color: '#ff9800',
+    marginTop: 2,
+  },
+  planClose: {
+    padding: 4,
+  },
+  planList: {
+    flexGrow: 0,
+  },
+  planStop: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  stopNumber: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  stopNumberText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  stopDetails: {
+    flex: 1,
+  },
+  stopTitle: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  stopAddress: {
+    fontSize: 12,
+    color: '#666',
+  },
+  stopTiming: {
+    fontSize: 12,
+    color: '#2196f3',
+    marginTop: 2,
+  },
+  stopLate: {
+    color: '#f44336',
+  },
 });
 
 export default LiveJobMap;
@@ -3,6 +3,8 @@
  * 
  * This component provides a private notes system for mechanics to add notes
  * to service requests that are only visible to mechanics.
+ * Notes are written through the offline queue, so they can be added without
+ * a connection and show a pending badge until they sync.
  */
 
 import React, { useState, useEffect } from 'react';
@@ -17,17 +19,55 @@ import {
   Alert
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { subscribeToMechanicNotes, deleteMechanicNote } from '../services/notesService';
+import {
+  queueNote,
+  subscribeToQueue,
+} from '../services/offlineQueueService';
+import SyncBadge from './SyncBadge';
 
 const MechanicNotes = ({ 
   requestId, 
   existingNotes = [], 
   onAddNote, 
   onDeleteNote,
+  authorId = null,
   readOnly = false
 }) => {
   const [newNote, setNewNote] = useState('');
   const [loading, setLoading] = useState(false);
   const [expandedNoteId, setExpandedNoteId] = useState(null);
+  const [savedNotes, setSavedNotes] = useState(existingNotes);
+  const [queuedNotes, setQueuedNotes] = useState([]);
+  
+  useEffect(() => {
+    setSavedNotes(existingNotes);
+  }, [existingNotes]);
+  
+  useEffect(() => {
+    if (!requestId) return;
+    
+    const unsubscribeNotes = subscribeToMechanicNotes(requestId, setSavedNotes);
+    const unsubscribeQueue = subscribeToQueue((queue) => {
+      setQueuedNotes(
+        queue
+          .filter(item => item.type === 'note' && item.payload.requestId === requestId)
+          .map(item => ({ ...item.payload.note, syncStatus: item.status, syncError: item.error }))
+      );
+    });
+    
+    return () => {
+      unsubscribeNotes();
+      unsubscribeQueue();
+    };
+  }, [requestId]);
+  
+  // Queued notes first (newest activity), skipping any that already synced
+  const savedIds = new Set(savedNotes.map(note => note.id));
+  const notes = [
+    ...queuedNotes.filter(note => !savedIds.has(note.id)).reverse(),
+    ...savedNotes,
+  ];
   
   const handleAddNote = async () => {
     if (!newNote.trim()) {
@@ -41,12 +81,14 @@ const MechanicNotes = ({
       const noteData = {
         text: newNote.trim(),
         createdAt: new Date().toISOString(),
+        authorId,
       };
       
-      const success = await onAddNote(noteData);
+      const queued = await queueNote(requestId, noteData);
+      setNewNote('');
       
-      if (success) {
-        setNewNote('');
+      if (onAddNote) {
+        onAddNote(queued.payload.note);
       }
     } catch (error) {
       console.error('Error adding note:', error);
@@ -71,7 +113,10 @@ const MechanicNotes = ({
           onPress: async () => {
             setLoading(true);
             try {
-              await onDeleteNote(noteId);
+              await deleteMechanicNote(requestId, noteId);
+              if (onDeleteNote) {
+                await onDeleteNote(noteId);
+              }
             } catch (error) {
               console.error('Error deleting note:', error);
               Alert.alert('Error', 'Failed to delete note');
@@ -103,7 +148,8 @@ const MechanicNotes = ({
       <View style={styles.noteItem}>
         <View style={styles.noteHeader}>
           <Text style={styles.noteDate}>{formatDate(item.createdAt)}</Text>
-          {!readOnly && (
+          <SyncBadge syncStatus={item.syncStatus} />
+          {!readOnly && !item.syncStatus && (
             <TouchableOpacity
               onPress={() => handleDeleteNote(item.id)}
               style={styles.deleteButton}
@@ -168,9 +214,9 @@ const MechanicNotes = ({
         </View>
       )}
       
-      {existingNotes.length > 0 ? (
+      {notes.length > 0 ? (
         <FlatList
-          data={existingNotes}
+          data={notes}
           renderItem={renderNote}
           keyExtractor={(item) => item.id}
           style={styles.notesList}
@@ -0,0 +1,220 @@
+/**
+ * MechanicTracker Component
+ *
+ * Customer-facing live view of the mechanic's location for a job:
+ * - Mechanic and job location markers on the map
+ * - ETA and distance computed from the latest shared position
+ * - Shows when sharing has ended or the position has gone stale
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { View, Text, StyleSheet, ActivityIndicator } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getMapProvider, getJobCoordinates } from '../services/mapService';
+import { subscribeToMechanicLocation } from '../services/locationTrackingService';
+import { estimateEta, formatDistance, formatEta } from '../utils/geo';
+
+// A position older than this is shown as possibly out of date
+const STALE_AFTER_MS = 3 * 60 * 1000;
+
+const MechanicTracker = ({ requestId, job, mechanicName = 'Your mechanic', mapProvider }) => {
+  const mapRef = useRef(null);
+  const mechanicMarker = useRef(null);
+  const [map, setMap] = useState(null);
+  const [tracking, setTracking] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [now, setNow] = useState(Date.now());
+
+  // Keyed on the coordinates so a new job object with the same location
+  // does not rebuild the map
+  const jobCoordinates = getJobCoordinates(job);
+  const destinationLatitude = jobCoordinates?.latitude;
+  const destinationLongitude = jobCoordinates?.longitude;
+  const destination = useMemo(
+    () => (destinationLatitude === undefined ? null : { latitude: destinationLatitude, longitude: destinationLongitude }),
+    [destinationLatitude, destinationLongitude]
+  );
+
+  useEffect(() => {
+    const provider = mapProvider || getMapProvider();
+    let mapHandle = null;
+    let active = true;
+
+    provider.load()
+      .then(() => {
+        if (!active) return;
+        mapHandle = provider.createMap(mapRef.current, {
+          center: destination || { latitude: 35.45, longitude: -94.78 },
+          zoom: 13,
+        });
+        if (destination) {
+          mapHandle.addMarker({ position: destination, title: 'Vehicle location', label: 'V', color: '#f44336' });
+        }
+        setMap(mapHandle);
+      })
+      .catch(error => console.error('Failed to load map:', error))
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+
+    return () => {
+      active = false;
+      mapHandle?.destroy();
+    };
+  }, [mapProvider, destination]);
+
+  useEffect(() => {
+    if (!requestId) return;
+    return subscribeToMechanicLocation(requestId, setTracking);
+  }, [requestId]);
+
+  // Re-render periodically so "updated x min ago" and staleness stay current
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const trackingActive = Boolean(tracking?.active);
+  const mechanicLatitude = tracking?.latitude;
+  const mechanicLongitude = tracking?.longitude;
+  const mechanicPosition = useMemo(
+    () => (trackingActive && mechanicLatitude !== null && mechanicLatitude !== undefined
+      ? { latitude: mechanicLatitude, longitude: mechanicLongitude }
+      : null),
+    [trackingActive, mechanicLatitude, mechanicLongitude]
+  );
+
+  useEffect(() => {
+    if (!map) return;
+
+    if (!mechanicPosition) {
+      mechanicMarker.current?.remove();
+      mechanicMarker.current = null;
+      return;
+    }
+
+    if (mechanicMarker.current) {
+      mechanicMarker.current.update({ position: mechanicPosition });
+    } else {
+      mechanicMarker.current = map.addMarker({
+        position: mechanicPosition,
+        title: mechanicName,
+        label: 'M',
+        color: '#2196f3',
+      });
+      map.fitBounds(destination ? [mechanicPosition, destination] : [mechanicPosition]);
+    }
+  }, [map, mechanicPosition, mechanicName, destination]);
+
+  const eta = mechanicPosition && destination
+    ? estimateEta(mechanicPosition, destination, { speedMps: tracking.speed })
+    : null;
+  const updatedAgoMs = tracking?.updatedAt ? now - new Date(tracking.updatedAt).getTime() : null;
+  const isStale = updatedAgoMs !== null && updatedAgoMs > STALE_AFTER_MS;
+
+  const renderStatus = () => {
+    if (!tracking || (!tracking.active && !tracking.endedAt)) {
+      return (
+        <Text style={styles.statusText}>Live tracking starts once the mechanic is on the way.</Text>
+      );
+    }
+
+    if (!tracking.active) {
+      return <Text style={styles.statusText}>Location sharing has ended for this job.</Text>;
+    }
+
+    if (!mechanicPosition) {
+      return <Text style={styles.statusText}>Waiting for the mechanic's location...</Text>;
+    }
+
+    return (
+      <>
+        {tracking.status === 'en_route' && eta ? (
+          <View style={styles.etaRow}>
+            <Ionicons name="car" size={20} color="#2196f3" />
+            <Text style={styles.etaText}>Arriving in about {formatEta(eta.minutes)}</Text>
+            <Text style={styles.distanceText}>{formatDistance(eta.distanceMeters)} away</Text>
+          </View>
+        ) : (
+          <View style={styles.etaRow}>
+            <Ionicons name="construct" size={20} color="#9c27b0" />
+            <Text style={styles.etaText}>{mechanicName} is working on your vehicle</Text>
+          </View>
+        )}
+        {updatedAgoMs !== null && (
+          <Text style={[styles.updatedText, isStale && styles.staleText]}>
+            {isStale ? 'Location may be out of date - ' : ''}
+            Updated {Math.max(0, Math.round(updatedAgoMs / 60000))} min ago
+          </Text>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View ref={mapRef} style={styles.map} />
+
+      {loading && (
+        <View style={styles.loadingOverlay}>
+          <ActivityIndicator size="large" color="#2196f3" />
+        </View>
+      )}
+
+      <View style={styles.statusPanel}>
+        {renderStatus()}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    minHeight: 320,
+  },
+  map: {
+    flex: 1,
+  },
+  loadingOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: 'rgba(255, 255, 255, 0.8)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  statusPanel: {
+    backgroundColor: '#fff',
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  statusText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  etaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+  },
+  etaText: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  distanceText: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 8,
+  },
+  updatedText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 6,
+  },
+  staleText: {
+    color: '#ff9800',
+  },
+});
+
+export default MechanicTracker;
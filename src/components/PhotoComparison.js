@@ -0,0 +1,273 @@
+/**
+ * PhotoComparison Component
+ *
+ * Side-by-side before/after view of a job's photos, grouped by repair area,
+ * with an export button that builds the PDF job photo report.
+ */
+
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Image,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { groupPhotosByRepairArea, getPhotoCategory } from '../utils/photoReport';
+import { generatePhotoReport, sharePhotoReport } from '../services/photoReportService';
+import { getServiceRequest } from '../firebase/services';
+
+const PhotoComparison = ({
+  requestId,
+  photos = [],
+  job = null, // Service request; loaded on export when not provided
+  onReportGenerated,
+}) => {
+  const [exporting, setExporting] = useState(false);
+  const groups = useMemo(() => groupPhotosByRepairArea(photos), [photos]);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      let reportJob = job;
+      if (!reportJob) {
+        const result = await getServiceRequest(requestId);
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        reportJob = result.data;
+      }
+
+      const report = await generatePhotoReport(reportJob, photos);
+      if (onReportGenerated) {
+        onReportGenerated(report);
+      }
+      await sharePhotoReport(report.uri);
+    } catch (error) {
+      console.error('Error generating photo report:', error);
+      Alert.alert('Error', 'Failed to generate photo report');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const renderPhoto = (photo, emptyLabel) => {
+    if (!photo) {
+      return (
+        <View style={[styles.photoCell, styles.emptyCell]}>
+          <Ionicons name="image-outline" size={24} color="#ccc" />
+          <Text style={styles.emptyCellText}>{emptyLabel}</Text>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.photoCell}>
+        <Image source={{ uri: photo.url || photo.thumbnailUrl }} style={styles.photoImage} />
+        {photo.caption && (
+          <Text style={styles.photoCaption} numberOfLines={2}>{photo.caption}</Text>
+        )}
+        <Text style={styles.photoTimestamp}>
+          {new Date(photo.capturedAt || photo.timestamp).toLocaleString()}
+        </Text>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.toolbar}>
+        <Text style={styles.toolbarText}>
+          {groups.length} repair area{groups.length === 1 ? '' : 's'}
+        </Text>
+        <TouchableOpacity
+          style={[styles.exportButton, (exporting || photos.length === 0) && styles.exportButtonDisabled]}
+          onPress={handleExport}
+          disabled={exporting || photos.length === 0}
+        >
+          {exporting ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <>
+              <Ionicons name="document-text-outline" size={16} color="#fff" />
+              <Text style={styles.exportButtonText}>PDF Report</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {groups.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="git-compare-outline" size={32} color="#ccc" />
+          <Text style={styles.emptyStateText}>No photos to compare yet</Text>
+        </View>
+      ) : (
+        <ScrollView>
+          {groups.map(({ area, pairs, others }) => (
+            <View key={area.id} style={styles.areaSection}>
+              <Text style={styles.areaTitle}>{area.label}</Text>
+
+              {pairs.length > 0 ? (
+                <>
+                  <View style={styles.columnHeaders}>
+                    <Text style={[styles.columnHeader, { color: getPhotoCategory('before').color }]}>Before</Text>
+                    <Text style={[styles.columnHeader, { color: getPhotoCategory('after').color }]}>After</Text>
+                  </View>
+                  {pairs.map(({ before, after }, index) => (
+                    <View key={`${area.id}_${index}`} style={styles.pairRow}>
+                      {renderPhoto(before, 'No before photo')}
+                      {renderPhoto(after, 'No after photo')}
+                    </View>
+                  ))}
+                </>
+              ) : (
+                <Text style={styles.noPairsText}>No before/after photos for this area</Text>
+              )}
+
+              {others.length > 0 && (
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.othersRow}>
+                  {others.map(photo => {
+                    const category = getPhotoCategory(photo.category);
+                    return (
+                      <View key={photo.id} style={styles.otherPhoto}>
+                        <Image source={{ uri: photo.thumbnailUrl || photo.url }} style={styles.otherImage} />
+                        <Text style={[styles.otherLabel, { color: category.color }]}>{category.label}</Text>
+                      </View>
+                    );
+                  })}
+                </ScrollView>
+              )}
+            </View>
+          ))}
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  toolbarText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  exportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2196f3',
+    borderRadius: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    minWidth: 110,
+    justifyContent: 'center',
+  },
+  exportButtonDisabled: {
+    backgroundColor: '#90caf9',
+  },
+  exportButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '500',
+    marginLeft: 6,
+  },
+  areaSection: {
+    marginBottom: 20,
+  },
+  areaTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  columnHeaders: {
+    flexDirection: 'row',
+    marginBottom: 4,
+  },
+  columnHeader: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  pairRow: {
+    flexDirection: 'row',
+    marginBottom: 8,
+  },
+  photoCell: {
+    flex: 1,
+    marginRight: 8,
+  },
+  photoImage: {
+    width: '100%',
+    aspectRatio: 4 / 3,
+    borderRadius: 4,
+    backgroundColor: '#f5f5f5',
+  },
+  photoCaption: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  photoTimestamp: {
+    fontSize: 11,
+    color: '#666',
+    marginTop: 2,
+  },
+  emptyCell: {
+    aspectRatio: 4 / 3,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: '#eee',
+    borderStyle: 'dashed',
+    borderRadius: 4,
+  },
+  emptyCellText: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
+  noPairsText: {
+    fontSize: 13,
+    color: '#999',
+    fontStyle: 'italic',
+  },
+  othersRow: {
+    marginTop: 4,
+  },
+  otherPhoto: {
+    marginRight: 8,
+    alignItems: 'center',
+  },
+  otherImage: {
+    width: 72,
+    height: 54,
+    borderRadius: 4,
+    backgroundColor: '#f5f5f5',
+  },
+  otherLabel: {
+    fontSize: 10,
+    marginTop: 2,
+  },
+  emptyState: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  emptyStateText: {
+    fontSize: 14,
+    color: '#999',
+    marginTop: 8,
+  },
+});
+
+export default PhotoComparison;
@@ -3,9 +3,15 @@
  * 
  * This component allows users to upload photos during repair jobs,
  * with support for multiple images, captions, and categorization.
+ * Photos are uploaded to Firebase Storage with per-photo progress,
+ * cancel and retry. Without a connection, photos go to the offline queue
+ * and upload once the device is back online. Camera shots record the
+ * device's GPS position so the capture time and place can be verified.
+ * Photos are tagged with a repair area and can be viewed as a before/after
+ * comparison or exported as a PDF report.
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   View, 
   Text, 
@@ -19,32 +25,84 @@ import {
   ScrollView
 } from 'react-native';
 import * as ImagePicker from 'expo-image-picker';
+import * as Location from 'expo-location';
 import { Ionicons } from '@expo/vector-icons';
+import {
+  createPhotoId,
+  startPhotoUpload,
+  isUploadCancelled,
+  subscribeToJobPhotos,
+  deleteJobPhoto,
+} from '../services/photoService';
+import {
+  queuePhotoUpload,
+  subscribeToQueue,
+  isOnline,
+  discardQueuedAction,
+} from '../services/offlineQueueService';
+import { extractEvidenceExif } from '../utils/photoEvidence';
+import {
+  PHOTO_CATEGORIES,
+  REPAIR_AREAS,
+  DEFAULT_REPAIR_AREA,
+  getPhotoCategory,
+  getRepairArea,
+} from '../utils/photoReport';
+import PhotoComparison from './PhotoComparison';
+import SyncBadge from './SyncBadge';
 
-const PHOTO_CATEGORIES = [
-  { id: 'before', label: 'Before Repair', color: '#ff9800' },
-  { id: 'during', label: 'During Repair', color: '#2196f3' },
-  { id: 'after', label: 'After Repair', color: '#4caf50' },
-  { id: 'parts', label: 'Parts', color: '#9c27b0' },
-  { id: 'damage', label: 'Damage', color: '#f44336' },
-  { id: 'other', label: 'Other', color: '#607d8b' },
-];
+// Shared default so the prop keeps its identity between renders
+const NO_PHOTOS = [];
 
 const PhotoUpload = ({ 
   requestId, 
-  existingPhotos = [], 
+  existingPhotos = NO_PHOTOS, 
   onUploadPhoto,
   onDeletePhoto,
+  uploadedBy = null, // ID of the user taking the photos
   readOnly = false
 }) => {
   const [photos, setPhotos] = useState(existingPhotos);
-  const [uploading, setUploading] = useState(false);
+  const [uploads, setUploads] = useState([]); // In-flight, failed or cancelled uploads
+  const [queuedPhotos, setQueuedPhotos] = useState([]); // Waiting in the offline queue
+  const [deleting, setDeleting] = useState(false);
   const [selectedCategory, setSelectedCategory] = useState('before');
+  const [selectedArea, setSelectedArea] = useState(DEFAULT_REPAIR_AREA);
+  const [viewMode, setViewMode] = useState('list'); // 'list' or 'compare'
   const [caption, setCaption] = useState('');
+  const controllers = useRef({});
   
+  // With a requestId the photos come from the subscription below
   useEffect(() => {
+    if (requestId) return;
     setPhotos(existingPhotos);
-  }, [existingPhotos]);
+  }, [requestId, existingPhotos]);
+  
+  useEffect(() => {
+    if (!requestId) return;
+    
+    const unsubscribePhotos = subscribeToJobPhotos(requestId, setPhotos);
+    const unsubscribeQueue = subscribeToQueue((queue) => {
+      setQueuedPhotos(queue.filter(item => item.type === 'photo' && item.payload.requestId === requestId));
+    });
+    
+    return () => {
+      unsubscribePhotos();
+      unsubscribeQueue();
+    };
+  }, [requestId]);
+  
+  // Cancel anything still uploading when the component goes away
+  useEffect(() => {
+    const active = controllers.current;
+    return () => {
+      Object.values(active).forEach(controller => controller.cancel());
+    };
+  }, []);
+  
+  const updateUpload = (localId, changes) => {
+    setUploads(prev => prev.map(u => (u.localId === localId ? { ...u, ...changes } : u)));
+  };
   
   const requestCameraPermission = async () => {
     const { status } = await ImagePicker.requestCameraPermissionsAsync();
@@ -64,6 +122,24 @@ const PhotoUpload = ({
     return true;
   };
   
+  // Best effort: a photo without a verified location is still worth keeping
+  const getCaptureLocation = async () => {
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') return null;
+      
+      const position = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+      return {
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+        accuracy: position.coords.accuracy,
+      };
+    } catch (error) {
+      console.error('Error getting capture location:', error);
+      return null;
+    }
+  };
+  
   const takePhoto = async () => {
     const hasPermission = await requestCameraPermission();
     if (!hasPermission) return;
@@ -74,10 +150,18 @@ const PhotoUpload = ({
         allowsEditing: true,
         aspect: [4, 3],
         quality: 0.8,
+        exif: true,
       });
       
       if (!result.canceled && result.assets && result.assets.length > 0) {
-        handleUpload(result.assets[0].uri);
+        const deviceCapturedAt = new Date().toISOString();
+        const deviceLocation = await getCaptureLocation();
+        handleUpload(result.assets[0], {
+          source: 'camera',
+          exif: extractEvidenceExif(result.assets[0].exif),
+          deviceLocation,
+          deviceCapturedAt,
+        });
       }
     } catch (error) {
       console.error('Error taking photo:', error);
@@ -95,10 +179,15 @@ const PhotoUpload = ({
         allowsEditing: true,
         aspect: [4, 3],
         quality: 0.8,
+        exif: true,
       });
       
       if (!result.canceled && result.assets && result.assets.length > 0) {
-        handleUpload(result.assets[0].uri);
+        handleUpload(result.assets[0], {
+          source: 'library',
+          exif: extractEvidenceExif(result.assets[0].exif),
+          deviceCapturedAt: new Date().toISOString(),
+        });
       }
     } catch (error) {
       console.error('Error picking image:', error);
@@ -106,43 +195,114 @@ const PhotoUpload = ({
     }
   };
   
-  const handleUpload = async (uri) => {
-    if (!selectedCategory) {
-      Alert.alert('Error', 'Please select a category for the photo');
+  const queueUpload = async (upload) => {
+    try {
+      await queuePhotoUpload({
+        uri: upload.uri,
+        requestId,
+        photoId: upload.photoId,
+        category: upload.category,
+        repairArea: upload.repairArea,
+        caption: upload.caption,
+        uploadedBy,
+        timestamp: upload.timestamp,
+        capture: upload.capture,
+      });
+      setUploads(prev => prev.filter(u => u.localId !== upload.localId));
+    } catch (error) {
+      console.error('Error queueing photo:', error);
+      updateUpload(upload.localId, { status: 'error', error: 'Could not save photo for later upload' });
+    }
+  };
+  
+  const runUpload = async (upload) => {
+    if (!isOnline()) {
+      queueUpload(upload);
       return;
     }
     
-    setUploading(true);
+
+    const controller = startPhotoUpload(
+      {
+        uri: upload.uri,
+        requestId,
+        photoId: upload.photoId,
+        category: upload.category,
+        repairArea: upload.repairArea,
+        caption: upload.caption,
+        uploadedBy,
+        timestamp: upload.timestamp,
+        capture: upload.capture,
+      },
+      { onProgress: (progress) => updateUpload(upload.localId, { progress }) }
+    );
+    controllers.current[upload.localId] = controller;
     
     try {
-      // Create photo data object
-      const photoData = {
-        uri,
-        category: selectedCategory,
-        caption: caption.trim() || undefined,
-        timestamp: new Date().toISOString(),
-      };
-      
-      // In a real implementation, this would upload to Firebase Storage
-      // For now, we'll simulate the upload and just call the callback
-      
-      // Simulate upload delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      const savedPhoto = await controller.done;
       
-      const success = await onUploadPhoto(photoData);
-      
-      if (success) {
-        // Clear caption after successful upload
-        setCaption('');
+      // Keep the upload (and its photo ID) until the parent has it, so a retry
+      // after a failure here finds the saved photo instead of uploading twice
+      if (onUploadPhoto) {
+        await onUploadPhoto(savedPhoto);
       }
+      setUploads(prev => prev.filter(u => u.localId !== upload.localId));
     } catch (error) {
-      console.error('Error uploading photo:', error);
-      Alert.alert('Error', 'Failed to upload photo');
+      if (isUploadCancelled(error)) {
+        updateUpload(upload.localId, { status: 'cancelled' });
+      } else if (!isOnline()) {
+        // Lost signal mid-upload: hand the photo to the offline queue
+        queueUpload(upload);
+      } else {
+        console.error('Error uploading photo:', error);
+        updateUpload(upload.localId, { status: 'error', error: error.message || 'Upload failed' });
+      }
     } finally {
-      setUploading(false);
+      delete controllers.current[upload.localId];
     }
   };
   
+  const handleUpload = async (asset, capture) => {
+    if (!selectedCategory) {
+      Alert.alert('Error', 'Please select a category for the photo');
+      return;
+    }
+    
+    const upload = {
+      localId: `upload_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+      photoId: createPhotoId(requestId),
+      uri: asset.uri,
+      capture,
+      category: selectedCategory,
+      repairArea: selectedArea,
+      caption: caption.trim() || undefined,
+      progress: 0,
+      status: 'uploading',
+      timestamp: new Date().toISOString(),
+    };
+    
+    setUploads(prev => [...prev, upload]);
+    
+    // Clear caption once the photo is queued so the next one starts fresh
+    setCaption('');
+    
+    runUpload(upload);
+  };
+  
+  const handleCancelUpload = (localId) => {
+    controllers.current[localId]?.cancel();
+  };
+  
+  const handleRetryUpload = (upload) => {
+    const retry = { ...upload, progress: 0, status: 'uploading', error: undefined };
+    updateUpload(upload.localId, retry);
+    runUpload(retry);
+  };
+  
+  const handleDismissUpload = (localId) => {
+    setUploads(prev => prev.filter(u => u.localId !== localId));
+  };
+  
   const handleDeletePhoto = async (photoId) => {
     Alert.alert(
       'Delete Photo',
@@ -156,14 +316,17 @@ const PhotoUpload = ({
           text: 'Delete',
           style: 'destructive',
           onPress: async () => {
-            setUploading(true);
+            setDeleting(true);
             try {
-              await onDeletePhoto(photoId);
+              await deleteJobPhoto(requestId, photoId);
+              if (onDeletePhoto) {
+                await onDeletePhoto(photoId);
+              }
             } catch (error) {
               console.error('Error deleting photo:', error);
               Alert.alert('Error', 'Failed to delete photo');
             } finally {
-              setUploading(false);
+              setDeleting(false);
             }
           },
         },
@@ -172,11 +335,12 @@ const PhotoUpload = ({
   };
   
   const renderPhoto = ({ item }) => {
-    const category = PHOTO_CATEGORIES.find(c => c.id === item.category) || PHOTO_CATEGORIES[5]; // Default to "Other"
+    const category = getPhotoCategory(item.category);
+    const isQueued = Boolean(item.syncStatus);
     
     return (
       <View style={styles.photoItem}>
-        <Image source={{ uri: item.uri }} style={styles.photoImage} />
+        <Image source={{ uri: item.thumbnailUrl || item.url || item.uri }} style={styles.photoImage} />
         
         <View style={styles.photoDetails}>
           <View style={styles.photoHeader}>
@@ -191,7 +355,22 @@ const PhotoUpload = ({
               </Text>
             </View>
             
-            {!readOnly && (
+            {item.repairArea && (
+              <Text style={styles.areaText}>{getRepairArea(item.repairArea).label}</Text>
+            )}
+            
+            <SyncBadge syncStatus={item.syncStatus} />
+            
+            {!readOnly && isQueued && (
+              <TouchableOpacity
+                onPress={() => discardQueuedAction(item.queueId)}
+                style={styles.deleteButton}
+              >
+                <Ionicons name="close-circle-outline" size={16} color="#f44336" />
+              </TouchableOpacity>
+            )}
+            
+            {!readOnly && !isQueued && (
               <TouchableOpacity
                 onPress={() => handleDeletePhoto(item.id)}
                 style={styles.deleteButton}
@@ -206,13 +385,81 @@ const PhotoUpload = ({
           )}
           
           <Text style={styles.photoTimestamp}>
-            {new Date(item.timestamp).toLocaleString()}
+            {new Date(item.capturedAt || item.timestamp).toLocaleString()}
           </Text>
+          
+          {renderEvidenceBadges(item)}
         </View>
       </View>
     );
   };
   
+  const renderEvidenceBadges = (item) => {
+    if (!item.contentHash) return null;
+    
+    return (
+      <View style={styles.evidenceRow}>
+        {item.timeVerified && (
+          <View style={styles.evidenceBadge}>
+            <Ionicons name="time-outline" size={11} color="#2e7d32" />
+            <Text style={styles.evidenceText}>Time verified</Text>
+          </View>
+        )}
+        {item.locationVerified && (
+          <View style={styles.evidenceBadge}>
+            <Ionicons name="location-outline" size={11} color="#2e7d32" />
+            <Text style={styles.evidenceText}>Location verified</Text>
+          </View>
+        )}
+        <View style={styles.evidenceBadge}>
+          <Ionicons name="finger-print-outline" size={11} color="#2e7d32" />
+          <Text style={styles.evidenceText}>{item.contentHash.slice(0, 8)}</Text>
+        </View>
+      </View>
+    );
+  };
+  
+  const renderUpload = (upload) => {
+    const category = getPhotoCategory(upload.category);
+    
+    return (
+      <View key={upload.localId} style={styles.uploadItem}>
+        <Image source={{ uri: upload.uri }} style={styles.uploadThumbnail} />
+        
+        <View style={styles.uploadDetails}>
+          <Text style={[styles.categoryText, { color: category.color }]}>{category.label}</Text>
+          
+          {upload.status === 'uploading' && (
+            <View style={styles.progressTrack}>
+              <View style={[styles.progressFill, { width: `${Math.round(upload.progress * 100)}%` }]} />
+            </View>
+          )}
+          
+          <Text style={[styles.uploadStatusText, upload.status === 'error' && styles.uploadErrorText]}>
+            {upload.status === 'uploading' && `Uploading ${Math.round(upload.progress * 100)}%`}
+            {upload.status === 'cancelled' && 'Upload cancelled'}
+            {upload.status === 'error' && upload.error}
+          </Text>
+        </View>
+        
+        {upload.status === 'uploading' ? (
+          <TouchableOpacity onPress={() => handleCancelUpload(upload.localId)} style={styles.uploadAction}>
+            <Ionicons name="close-circle-outline" size={22} color="#666" />
+          </TouchableOpacity>
+        ) : (
+          <>
+            <TouchableOpacity onPress={() => handleRetryUpload(upload)} style={styles.uploadAction}>
+              <Ionicons name="refresh" size={22} color="#2196f3" />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => handleDismissUpload(upload.localId)} style={styles.uploadAction}>
+              <Ionicons name="trash-outline" size={20} color="#f44336" />
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    );
+  };
+  
   return (
     <View style={styles.container}>
       <View style={styles.header}>
@@ -251,6 +498,22 @@ const PhotoUpload = ({
             </ScrollView>
           </View>
           
+          <View style={styles.categorySelector}>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {REPAIR_AREAS.map((area) => (
+                <TouchableOpacity
+                  key={area.id}
+                  style={[styles.areaOption, selectedArea === area.id && styles.areaOptionSelected]}
+                  onPress={() => setSelectedArea(area.id)}
+                >
+                  <Text style={[styles.areaOptionText, selectedArea === area.id && styles.areaOptionTextSelected]}>
+                    {area.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          </View>
+          
           <TextInput
             style={styles.captionInput}
             value={caption}
@@ -263,7 +526,7 @@ const PhotoUpload = ({
             <TouchableOpacity
               style={[styles.uploadButton, styles.cameraButton]}
               onPress={takePhoto}
-              disabled={uploading}
+              disabled={deleting}
             >
               <Ionicons name="camera" size={18} color="#fff" style={styles.buttonIcon} />
               <Text style={styles.buttonText}>Take Photo</Text>
@@ -272,7 +535,7 @@ const PhotoUpload = ({
             <TouchableOpacity
               style={[styles.uploadButton, styles.galleryButton]}
               onPress={pickImage}
-              disabled={uploading}
+              disabled={deleting}
             >
               <Ionicons name="images" size={18} color="#fff" style={styles.buttonIcon} />
               <Text style={styles.buttonText}>Choose from Gallery</Text>
@@ -281,9 +544,45 @@ const PhotoUpload = ({
         </View>
       )}
       
-      {photos.length > 0 ? (
+      {uploads.length > 0 && (
+        <View style={styles.uploadsSection}>
+          {uploads.map(renderUpload)}
+        </View>
+      )}
+      
+      {photos.length > 0 && (
+        <View style={styles.viewToggle}>
+          {[
+            { id: 'list', label: 'All Photos', icon: 'list' },
+            { id: 'compare', label: 'Before / After', icon: 'git-compare-outline' },
+          ].map(mode => (
+            <TouchableOpacity
+              key={mode.id}
+              style={[styles.viewToggleOption, viewMode === mode.id && styles.viewToggleOptionSelected]}
+              onPress={() => setViewMode(mode.id)}
+            >
+              <Ionicons name={mode.icon} size={14} color={viewMode === mode.id ? '#fff' : '#2196f3'} />
+              <Text style={[styles.viewToggleText, viewMode === mode.id && styles.viewToggleTextSelected]}>
+                {mode.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+      
+      {viewMode === 'compare' && photos.length > 0 ? (
+        <PhotoComparison requestId={requestId} photos={photos} />
+      ) : photos.length + queuedPhotos.length > 0 ? (
         <FlatList
-          data={photos}
+          data={[
+            ...queuedPhotos.map(item => ({
+              ...item.payload,
+              id: item.id,
+              queueId: item.id,
+              syncStatus: item.status,
+            })),
+            ...photos,
+          ]}
           renderItem={renderPhoto}
           keyExtractor={(item) => item.id}
           style={styles.photosList}
@@ -296,10 +595,10 @@ const PhotoUpload = ({
         </View>
       )}
       
-      {uploading && (
+      {deleting && (
         <View style={styles.loadingOverlay}>
           <ActivityIndicator size="large" color="#2196f3" />
-          <Text style={styles.loadingText}>Uploading photo...</Text>
+          <Text style={styles.loadingText}>Deleting photo...</Text>
         </View>
       )}
     </View>
@@ -360,6 +659,56 @@ const styles = StyleSheet.create({
   categoryIcon: {
     marginLeft: 4,
   },
+  areaOption: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginRight: 8,
+  },
+  areaOptionSelected: {
+    borderColor: '#2196f3',
+    backgroundColor: '#e3f2fd',
+  },
+  areaOptionText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  areaOptionTextSelected: {
+    color: '#2196f3',
+    fontWeight: '500',
+  },
+  areaText: {
+    fontSize: 11,
+    color: '#666',
+    marginLeft: 6,
+  },
+  viewToggle: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  viewToggleOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderWidth: 1,
+    borderColor: '#2196f3',
+    borderRadius: 16,
+    marginRight: 8,
+  },
+  viewToggleOptionSelected: {
+    backgroundColor: '#2196f3',
+  },
+  viewToggleText: {
+    fontSize: 13,
+    color: '#2196f3',
+    marginLeft: 4,
+  },
+  viewToggleTextSelected: {
+    color: '#fff',
+  },
   captionInput: {
     borderWidth: 1,
     borderColor: '#e0e0e0',
@@ -397,6 +746,48 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     fontSize: 14,
   },
+  uploadsSection: {
+    marginBottom: 12,
+  },
+  uploadItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    padding: 8,
+    marginBottom: 8,
+  },
+  uploadThumbnail: {
+    width: 48,
+    height: 48,
+    borderRadius: 4,
+    marginRight: 12,
+  },
+  uploadDetails: {
+    flex: 1,
+  },
+  progressTrack: {
+    height: 4,
+    backgroundColor: '#e0e0e0',
+    borderRadius: 2,
+    marginTop: 6,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 4,
+    backgroundColor: '#2196f3',
+  },
+  uploadStatusText: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+  uploadErrorText: {
+    color: '#f44336',
+  },
+  uploadAction: {
+    padding: 6,
+  },
   photosList: {
     maxHeight: 400,
   },
@@ -443,6 +834,26 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#666',
   },
+  evidenceRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 4,
+  },
+  evidenceBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#e8f5e9',
+    borderRadius: 10,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginRight: 4,
+    marginTop: 2,
+  },
+  evidenceText: {
+    fontSize: 10,
+    color: '#2e7d32',
+    marginLeft: 3,
+  },
   emptyState: {
     alignItems: 'center',
     justifyContent: 'center',
@@ -1,61 +1,298 @@
-import React, { useState } from 'react';
-import { addQuoteToServiceRequest } from '../firebase/services';
-
-const QuoteForm = ({ requestId, requestDetails, onQuoteSubmitted }) => {
-  const [formData, setFormData] = useState({
-    laborCost: '',
-    partsCost: '',
-    estimatedHours: '',
-    notes: '',
-    totalCost: ''
-  });
-  
+import React, { useEffect, useRef, useState } from 'react';
+import { addQuoteToServiceRequest, reviseQuote, DEFAULT_QUOTE_VALIDITY_DAYS } from '../firebase/services';
+import { checkJobServiceArea } from '../services/serviceAreaService';
+import { getJobCoordinates } from '../services/mapService';
+import { getDiagnostic, linkDiagnosticQuote } from '../services/diagnosticHistoryService';
+import { formatDistance } from '../utils/geo';
+import {
+  FEE_TYPES,
+  calculateLineItemCents,
+  calculateQuoteTotals,
+  calculateLaborHours,
+  centsToDollars,
+  formatCents,
+  formatTaxRate,
+  toCents,
+} from '../utils/quoteCalculator';
+import { buildDiagnosticLineItems, compareQuoteToEstimate } from '../utils/diagnosticQuote';
+
+const inputClass = 'shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline';
+const labelClass = 'block text-gray-700 text-sm font-bold mb-2';
+
+let nextLineItemKey = 1;
+
+const createLineItem = (type) => {
+  const key = `item_${nextLineItemKey++}`;
+  switch (type) {
+    case 'part':
+      return { key, type, partNumber: '', description: '', quantity: '1', unitPrice: '' };
+    case 'labor':
+      return { key, type, description: '', hours: '', rate: '' };
+    default:
+      return { key, type: 'fee', feeType: 'shop_supplies', description: '', amount: '' };
+  }
+};
+
+// Travel fee line added from the distance between the mechanic's base and the job
+const createTravelFeeItem = ({ travelFeeCents, distanceMeters }) => ({
+  ...createLineItem('fee'),
+  feeType: 'travel',
+  description: `Travel (${formatDistance(distanceMeters)} from base)`,
+  amount: centsToDollars(travelFeeCents),
+});
+
+const isTravelFee = (item) => item.type === 'fee' && item.feeType === 'travel';
+
+const createTax = () => ({ jurisdiction: '', rate: '', appliesTo: ['part'] });
+
+// Rebuild editable form state from a saved quote when revising it
+const lineItemsFromQuote = (quote) => {
+  if (!quote?.lineItems?.length) return [createLineItem('labor'), createLineItem('part')];
+  return quote.lineItems.map(({ totalCents, ...item }) => ({ ...createLineItem(item.type), ...item }));
+};
+
+// Draft lines for repairs picked from a stored diagnostic ({ id, result })
+const lineItemsFromDiagnostic = (diagnostic, repairs) => (
+  buildDiagnosticLineItems(repairs, diagnostic.result?.estimatedCosts)
+    .map(item => ({ ...createLineItem(item.type), ...item }))
+);
+
+// Stored diagnostics carry `id`; a fresh result from DiagnosticForm carries
+// `diagnosticId`, which is null when it couldn't be saved
+const diagnosticIdOf = (diagnostic) => diagnostic?.id || diagnostic?.diagnosticId || null;
+
+const ESTIMATE_STATUSES = {
+  below: { label: 'Below estimate', className: 'text-yellow-700' },
+  within: { label: 'Within estimate', className: 'text-green-700' },
+  above: { label: 'Above estimate', className: 'text-red-700' },
+};
+
+const taxesFromQuote = (quote) => {
+  if (!quote?.taxes?.length) return [createTax()];
+  return quote.taxes.map(tax => ({
+    jurisdiction: tax.jurisdiction,
+    rate: String(tax.rateMilliBasisPoints / 100000),
+    appliesTo: tax.appliesTo,
+  }));
+};
+
+const QuoteForm = ({
+  requestId,
+  requestDetails,
+  previousQuote = null,
+  mechanicId = requestDetails?.mechanicId,
+  diagnostic = null,
+  selectedRepairs = null,
+  onQuoteSubmitted,
+}) => {
+  const [lineItems, setLineItems] = useState(() => (
+    diagnostic && selectedRepairs
+      ? lineItemsFromDiagnostic(diagnostic, selectedRepairs)
+      : lineItemsFromQuote(previousQuote)
+  ));
+  const [taxes, setTaxes] = useState(() => taxesFromQuote(previousQuote));
+  const [discount, setDiscount] = useState(() => (
+    previousQuote?.discount
+      ? { type: previousQuote.discount.type, value: previousQuote.discount.value, description: previousQuote.discount.description || '' }
+      : { type: 'fixed', value: '', description: '' }
+  ));
+  const [notes, setNotes] = useState(previousQuote?.notes || '');
+  const [validityDays, setValidityDays] = useState(String(DEFAULT_QUOTE_VALIDITY_DAYS));
+  const [serviceAreaCheck, setServiceAreaCheck] = useState(null);
+  const [sourceDiagnostic, setSourceDiagnostic] = useState(diagnostic);
+  const [diagnosticId, setDiagnosticId] = useState(
+    previousQuote?.diagnosticId || (diagnostic && selectedRepairs ? diagnosticIdOf(diagnostic) : null)
+  );
+  const [draftedFromDiagnostic, setDraftedFromDiagnostic] = useState(
+    Boolean(previousQuote?.diagnosticId || (diagnostic && selectedRepairs))
+  );
+  const [pickedRepairs, setPickedRepairs] = useState([]);
+
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [loading, setLoading] = useState(false);
-  
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setFormData(prevState => ({
-      ...prevState,
-      [name]: value
+
+  // Check the job against the mechanic's service area and add the travel fee
+  // once, unless the quote being revised already has one. If the job's
+  // location then changes, the travel fee line is replaced to match.
+  const jobCoordinates = getJobCoordinates(requestDetails);
+  const jobLatitude = jobCoordinates?.latitude;
+  const jobLongitude = jobCoordinates?.longitude;
+  const travelFeeChecked = useRef(false);
+
+  useEffect(() => {
+    if (!mechanicId || jobLatitude === undefined) return;
+
+    let active = true;
+    checkJobServiceArea(mechanicId, { latitude: jobLatitude, longitude: jobLongitude })
+      .then(check => {
+        if (!active || !check) return;
+        const relocated = travelFeeChecked.current;
+        travelFeeChecked.current = true;
+        setServiceAreaCheck(check);
+        setLineItems(prevItems => {
+          if (!relocated) {
+            return check.travelFeeCents > 0 && !prevItems.some(isTravelFee)
+              ? [...prevItems, createTravelFeeItem(check)]
+              : prevItems;
+          }
+          const otherItems = prevItems.filter(item => !isTravelFee(item));
+          return check.travelFeeCents > 0 ? [...otherItems, createTravelFeeItem(check)] : otherItems;
+        });
+      })
+      .catch(err => console.error('Error checking service area:', err));
+
+    return () => {
+      active = false;
+    };
+  }, [mechanicId, jobLatitude, jobLongitude]);
+
+  // Load the diagnostic a revised quote came from, or the job's latest one to draft from
+  const previousDiagnosticId = previousQuote?.diagnosticId;
+  const latestDiagnosticId = requestDetails?.latestDiagnosticId;
+  useEffect(() => {
+    const idToLoad = previousDiagnosticId || latestDiagnosticId;
+    if (diagnostic || !idToLoad) return;
+
+    let active = true;
+    getDiagnostic(idToLoad)
+      .then(found => {
+        if (!active || !found) return;
+        setSourceDiagnostic(found);
+        setPickedRepairs((found.result?.suggestedRepairs || []).map((_, index) => index));
+      })
+      .catch(err => console.error('Error loading diagnostic:', err));
+
+    return () => {
+      active = false;
+    };
+  }, [diagnostic, previousDiagnosticId, latestDiagnosticId]);
+
+  const totals = calculateQuoteTotals(lineItems, { taxes, discount });
+  const estimatedHours = calculateLaborHours(lineItems);
+
+  const suggestedRepairs = sourceDiagnostic?.result?.suggestedRepairs || [];
+  const linkedEstimate = draftedFromDiagnostic && sourceDiagnostic && diagnosticIdOf(sourceDiagnostic) === diagnosticId
+    ? sourceDiagnostic.result?.estimatedCosts
+    : null;
+  const estimateCheck = linkedEstimate ? compareQuoteToEstimate(lineItems, totals, linkedEstimate) : null;
+
+  const togglePickedRepair = (index) => {
+    setPickedRepairs(prev => (
+      prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]
+    ));
+  };
+
+  // Swap the blank starter rows for lines drafted from the picked repairs
+  const draftFromDiagnostic = () => {
+    const repairs = suggestedRepairs.filter((_, index) => pickedRepairs.includes(index));
+    setLineItems(prevItems => [
+      ...prevItems.filter(item => calculateLineItemCents(item) !== 0 || item.description.trim()),
+      ...lineItemsFromDiagnostic(sourceDiagnostic, repairs),
+    ]);
+    setDiagnosticId(diagnosticIdOf(sourceDiagnostic));
+    setDraftedFromDiagnostic(true);
+  };
+
+  const handleLineItemChange = (key, field, value) => {
+    setLineItems(prevItems => prevItems.map(item => (
+      item.key === key ? { ...item, [field]: value } : item
+    )));
+  };
+
+  const addLineItem = (type) => {
+    setLineItems(prevItems => [...prevItems, createLineItem(type)]);
+  };
+
+  const removeLineItem = (key) => {
+    setLineItems(prevItems => prevItems.filter(item => item.key !== key));
+  };
+
+  const handleTaxChange = (index, field, value) => {
+    setTaxes(prevTaxes => prevTaxes.map((tax, i) => (i === index ? { ...tax, [field]: value } : tax)));
+  };
+
+  const toggleTaxCategory = (index, type) => {
+    setTaxes(prevTaxes => prevTaxes.map((tax, i) => {
+      if (i !== index) return tax;
+      const appliesTo = tax.appliesTo.includes(type)
+        ? tax.appliesTo.filter(t => t !== type)
+        : [...tax.appliesTo, type];
+      return { ...tax, appliesTo };
     }));
-    
-    // Auto-calculate total cost when labor or parts costs change
-    if (name === 'laborCost' || name === 'partsCost') {
-      const laborCost = name === 'laborCost' ? parseFloat(value) || 0 : parseFloat(formData.laborCost) || 0;
-      const partsCost = name === 'partsCost' ? parseFloat(value) || 0 : parseFloat(formData.partsCost) || 0;
-      
-      setFormData(prevState => ({
-        ...prevState,
-        totalCost: (laborCost + partsCost).toFixed(2)
-      }));
+  };
+
+  const validate = () => {
+    if (serviceAreaCheck?.blocked) {
+      return 'This job is outside your service area';
+    }
+
+    if (!lineItems.some(item => item.type === 'labor' && calculateLineItemCents(item) > 0)) {
+      return 'At least one labor line with hours and a rate is required';
+    }
+
+    const incompletePart = lineItems.find(item => item.type === 'part' && item.description.trim() && !item.unitPrice);
+    if (incompletePart) {
+      return `Enter a unit price for part "${incompletePart.description.trim()}"`;
+    }
+
+    if (totals.totalCents <= 0) {
+      return 'Quote total must be greater than zero';
     }
+
+    if (!(parseInt(validityDays, 10) > 0)) {
+      return 'Quote must be valid for at least one day';
+    }
+
+    return null;
   };
-  
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setSuccess('');
-    
-    // Validate form
-    if (!formData.laborCost || !formData.estimatedHours || !formData.totalCost) {
-      setError('Labor cost, estimated hours, and total cost are required');
+
+    const validationError = validate();
+    if (validationError) {
+      setError(validationError);
       return;
     }
-    
+
     setLoading(true);
-    
+
     try {
+      // Drop blank rows and store each line with its computed cent total
+      const savedLineItems = lineItems
+        .filter(item => calculateLineItemCents(item) !== 0)
+        .map(({ key, ...item }) => ({ ...item, totalCents: calculateLineItemCents(item) }));
+
       const quoteData = {
-        ...formData,
+        lineItems: savedLineItems,
+        taxes: totals.taxBreakdown,
+        discount: totals.discountCents > 0 ? { ...discount, amountCents: totals.discountCents } : null,
+        totals,
+        estimatedHours,
+        notes,
+        validityDays: parseInt(validityDays, 10),
+        outsideServiceArea: serviceAreaCheck ? !serviceAreaCheck.inside : null,
+        diagnosticId: diagnosticId || null,
+        // Flat dollar fields kept for screens that only show a summary
+        laborCost: centsToDollars(totals.laborCents),
+        partsCost: centsToDollars(totals.partsCents),
+        totalCost: centsToDollars(totals.totalCents),
         createdAt: new Date().toISOString()
       };
-      
-      const result = await addQuoteToServiceRequest(requestId, quoteData);
-      
+
+      const result = previousQuote
+        ? await reviseQuote(requestId, previousQuote.id, quoteData)
+        : await addQuoteToServiceRequest(requestId, quoteData);
+
       if (result.success) {
-        setSuccess('Quote submitted successfully!');
+        if (diagnosticId) {
+          linkDiagnosticQuote(diagnosticId, result.id)
+            .catch(err => console.error('Error linking quote to diagnostic:', err));
+        }
+        setSuccess(previousQuote ? 'Revised quote submitted successfully!' : 'Quote submitted successfully!');
         if (onQuoteSubmitted) {
           onQuoteSubmitted();
         }
@@ -69,124 +306,276 @@ const QuoteForm = ({ requestId, requestDetails, onQuoteSubmitted }) => {
       setLoading(false);
     }
   };
-  
+
+  const renderLineItemFields = (item) => {
+    switch (item.type) {
+      case 'part':
+        return (
+          <>
+            <input className={`${inputClass} md:col-span-1`} type="text" value={item.partNumber}
+              onChange={(e) => handleLineItemChange(item.key, 'partNumber', e.target.value)} placeholder="Part #" />
+            <input className={`${inputClass} md:col-span-2`} type="text" value={item.description}
+              onChange={(e) => handleLineItemChange(item.key, 'description', e.target.value)} placeholder="Part description" />
+            <input className={inputClass} type="number" step="1" min="1" value={item.quantity}
+              onChange={(e) => handleLineItemChange(item.key, 'quantity', e.target.value)} placeholder="Qty" />
+            <input className={inputClass} type="number" step="0.01" min="0" value={item.unitPrice}
+              onChange={(e) => handleLineItemChange(item.key, 'unitPrice', e.target.value)} placeholder="Unit price" />
+          </>
+        );
+      case 'labor':
+        return (
+          <>
+            <input className={`${inputClass} md:col-span-3`} type="text" value={item.description}
+              onChange={(e) => handleLineItemChange(item.key, 'description', e.target.value)} placeholder="Labor operation" />
+            <input className={inputClass} type="number" step="0.1" min="0" value={item.hours}
+              onChange={(e) => handleLineItemChange(item.key, 'hours', e.target.value)} placeholder="Hours" />
+            <input className={inputClass} type="number" step="0.01" min="0" value={item.rate}
+              onChange={(e) => handleLineItemChange(item.key, 'rate', e.target.value)} placeholder="Rate/hr" />
+          </>
+        );
+      default:
+        return (
+          <>
+            <select className={inputClass} value={item.feeType}
+              onChange={(e) => handleLineItemChange(item.key, 'feeType', e.target.value)}>
+              {FEE_TYPES.map(fee => (
+                <option key={fee.id} value={fee.id}>{fee.label}</option>
+              ))}
+            </select>
+            <input className={`${inputClass} md:col-span-3`} type="text" value={item.description}
+              onChange={(e) => handleLineItemChange(item.key, 'description', e.target.value)} placeholder="Description (optional)" />
+            <input className={inputClass} type="number" step="0.01" min="0" value={item.amount}
+              onChange={(e) => handleLineItemChange(item.key, 'amount', e.target.value)} placeholder="Amount" />
+          </>
+        );
+    }
+  };
+
   return (
     <div className="bg-white p-6 rounded-lg shadow-md">
-      <h2 className="text-2xl font-bold mb-4">Create Quote</h2>
-      
+      <h2 className="text-2xl font-bold mb-4">
+        {previousQuote ? `Revise Quote (v${(previousQuote.version || 1) + 1})` : 'Create Quote'}
+      </h2>
+
       <div className="mb-4 p-4 bg-gray-100 rounded">
         <h3 className="font-semibold text-lg mb-2">Service Request Details</h3>
         <p><span className="font-medium">Vehicle:</span> {requestDetails?.vehicleYear} {requestDetails?.vehicleMake} {requestDetails?.vehicleModel}</p>
         <p><span className="font-medium">Service Type:</span> {requestDetails?.serviceType}</p>
         <p><span className="font-medium">Description:</span> {requestDetails?.serviceDescription}</p>
+        {serviceAreaCheck?.distanceMeters !== null && serviceAreaCheck?.distanceMeters !== undefined && (
+          <p><span className="font-medium">Distance from base:</span> {formatDistance(serviceAreaCheck.distanceMeters)}</p>
+        )}
       </div>
-      
+
+      {!draftedFromDiagnostic && suggestedRepairs.length > 0 && (
+        <div className="mb-4 p-4 bg-blue-50 border border-blue-200 rounded">
+          <h3 className="font-semibold text-lg mb-2">Start from Diagnostic</h3>
+          <p className="text-sm text-gray-600 mb-2">
+            {sourceDiagnostic.createdAt
+              ? `Diagnostic from ${new Date(sourceDiagnostic.createdAt).toLocaleDateString()}.`
+              : 'Latest diagnostic.'} Pick the repairs to quote.
+          </p>
+          {suggestedRepairs.map((repair, index) => (
+            <label key={index} className="block text-sm text-gray-700">
+              <input type="checkbox" className="mr-1" checked={pickedRepairs.includes(index)}
+                onChange={() => togglePickedRepair(index)} />
+              {repair.repair}
+            </label>
+          ))}
+          <button
+            type="button"
+            className="mt-2 text-blue-500 hover:text-blue-700 text-sm font-bold disabled:text-gray-400"
+            onClick={draftFromDiagnostic}
+            disabled={pickedRepairs.length === 0}
+          >
+            Add to Quote
+          </button>
+        </div>
+      )}
+
+      {draftedFromDiagnostic && !diagnosticId && (
+        <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-4 text-sm">
+          This diagnostic wasn't saved, so the quote won't be linked to it.
+        </div>
+      )}
+
+      {linkedEstimate && (
+        <div className="mb-4 p-4 bg-gray-100 rounded text-sm">
+          <h3 className="font-semibold text-lg mb-2">Diagnostic Estimate</h3>
+          {linkedEstimate.parts && (
+            <div className="flex justify-between">
+              <span>Parts: {formatCents(toCents(linkedEstimate.parts.min))} - {formatCents(toCents(linkedEstimate.parts.max))}</span>
+              {estimateCheck.parts && (
+                <span className={ESTIMATE_STATUSES[estimateCheck.parts].className}>{ESTIMATE_STATUSES[estimateCheck.parts].label}</span>
+              )}
+            </div>
+          )}
+          {linkedEstimate.labor?.hours && (
+            <div className="flex justify-between">
+              <span>
+                Labor: {linkedEstimate.labor.hours.min} - {linkedEstimate.labor.hours.max} hrs
+                {linkedEstimate.labor.rate ? ` @ ${formatCents(toCents(linkedEstimate.labor.rate))}/hr` : ''}
+              </span>
+              {estimateCheck.laborHours && (
+                <span className={ESTIMATE_STATUSES[estimateCheck.laborHours].className}>{ESTIMATE_STATUSES[estimateCheck.laborHours].label}</span>
+              )}
+            </div>
+          )}
+          <p className="text-gray-600 mt-2">Enter firm prices and hours for each line; the customer sees the quote, not the estimate.</p>
+        </div>
+      )}
+
+      {serviceAreaCheck && !serviceAreaCheck.inside && (
+        <div className={`${serviceAreaCheck.blocked ? 'bg-red-100 border-red-400 text-red-700' : 'bg-yellow-100 border-yellow-400 text-yellow-800'} border px-4 py-3 rounded mb-4`}>
+          {serviceAreaCheck.blocked
+            ? 'This job is outside your service area. Your settings block quotes for out-of-area jobs.'
+            : 'This job is outside your service area. Check the travel fee before sending the quote.'}
+        </div>
+      )}
+
       {error && (
         <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
           {error}
         </div>
       )}
-      
+
       {success && (
         <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
           {success}
         </div>
       )}
-      
+
       <form onSubmit={handleSubmit}>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-          <div>
-            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="laborCost">
-              Labor Cost ($)
-            </label>
-            <input
-              className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-              id="laborCost"
-              type="number"
-              step="0.01"
-              min="0"
-              name="laborCost"
-              value={formData.laborCost}
-              onChange={handleChange}
-              placeholder="0.00"
-            />
-          </div>
-          
-          <div>
-            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="partsCost">
-              Parts Cost ($)
-            </label>
-            <input
-              className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-              id="partsCost"
-              type="number"
-              step="0.01"
-              min="0"
-              name="partsCost"
-              value={formData.partsCost}
-              onChange={handleChange}
-              placeholder="0.00"
-            />
+        <div className="mb-4">
+          <h3 className="font-semibold text-lg mb-2">Line Items</h3>
+
+          {lineItems.map(item => (
+            <div key={item.key} className="flex items-center gap-2 mb-2">
+              <span className="w-14 text-xs font-bold uppercase text-gray-500">{item.type}</span>
+              <div className="grid grid-cols-1 md:grid-cols-5 gap-2 flex-1">
+                {renderLineItemFields(item)}
+              </div>
+              <span className="w-24 text-right font-medium">{formatCents(calculateLineItemCents(item))}</span>
+              <button
+                type="button"
+                className="text-red-500 hover:text-red-700 px-2"
+                onClick={() => removeLineItem(item.key)}
+                aria-label="Remove line item"
+              >
+                &times;
+              </button>
+            </div>
+          ))}
+
+          <div className="flex gap-2 mt-2">
+            <button type="button" className="text-blue-500 hover:text-blue-700 text-sm font-bold" onClick={() => addLineItem('part')}>+ Part</button>
+            <button type="button" className="text-blue-500 hover:text-blue-700 text-sm font-bold" onClick={() => addLineItem('labor')}>+ Labor</button>
+            <button type="button" className="text-blue-500 hover:text-blue-700 text-sm font-bold" onClick={() => addLineItem('fee')}>+ Fee</button>
           </div>
-          
-          <div>
-            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="estimatedHours">
-              Estimated Hours
-            </label>
-            <input
-              className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-              id="estimatedHours"
-              type="number"
-              step="0.5"
-              min="0.5"
-              name="estimatedHours"
-              value={formData.estimatedHours}
-              onChange={handleChange}
-              placeholder="1.0"
-            />
+        </div>
+
+        <div className="mb-4">
+          <h3 className="font-semibold text-lg mb-2">Sales Tax</h3>
+
+          {taxes.map((tax, index) => (
+            <div key={index} className="flex flex-wrap items-center gap-2 mb-2">
+              <input className={`${inputClass} md:w-1/3`} type="text" value={tax.jurisdiction}
+                onChange={(e) => handleTaxChange(index, 'jurisdiction', e.target.value)} placeholder="Jurisdiction (e.g. OK State)" />
+              <input className={`${inputClass} md:w-24`} type="number" step="0.001" min="0" value={tax.rate}
+                onChange={(e) => handleTaxChange(index, 'rate', e.target.value)} placeholder="Rate %" />
+              {['part', 'labor', 'fee'].map(type => (
+                <label key={type} className="text-sm text-gray-700">
+                  <input type="checkbox" className="mr-1" checked={tax.appliesTo.includes(type)}
+                    onChange={() => toggleTaxCategory(index, type)} />
+                  {type === 'part' ? 'Parts' : type === 'labor' ? 'Labor' : 'Fees'}
+                </label>
+              ))}
+              <button
+                type="button"
+                className="text-red-500 hover:text-red-700 px-2"
+                onClick={() => setTaxes(prevTaxes => prevTaxes.filter((_, i) => i !== index))}
+                aria-label="Remove tax"
+              >
+                &times;
+              </button>
+            </div>
+          ))}
+
+          <button type="button" className="text-blue-500 hover:text-blue-700 text-sm font-bold" onClick={() => setTaxes(prevTaxes => [...prevTaxes, createTax()])}>
+            + Jurisdiction
+          </button>
+        </div>
+
+        <div className="mb-4">
+          <h3 className="font-semibold text-lg mb-2">Discount</h3>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+            <select className={inputClass} value={discount.type}
+              onChange={(e) => setDiscount(prev => ({ ...prev, type: e.target.value }))}>
+              <option value="fixed">Fixed ($)</option>
+              <option value="percent">Percent (%)</option>
+            </select>
+            <input className={inputClass} type="number" step="0.01" min="0" value={discount.value}
+              onChange={(e) => setDiscount(prev => ({ ...prev, value: e.target.value }))} placeholder="0.00" />
+            <input className={inputClass} type="text" value={discount.description}
+              onChange={(e) => setDiscount(prev => ({ ...prev, description: e.target.value }))} placeholder="Reason (optional)" />
           </div>
-          
-          <div>
-            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="totalCost">
-              Total Cost ($)
-            </label>
-            <input
-              className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline bg-gray-100"
-              id="totalCost"
-              type="number"
-              step="0.01"
-              min="0"
-              name="totalCost"
-              value={formData.totalCost}
-              onChange={handleChange}
-              placeholder="0.00"
-              readOnly
-            />
+        </div>
+
+        <div className="mb-4 p-4 bg-gray-100 rounded">
+          <div className="flex justify-between"><span>Parts</span><span>{formatCents(totals.partsCents)}</span></div>
+          <div className="flex justify-between"><span>Labor ({estimatedHours} hrs)</span><span>{formatCents(totals.laborCents)}</span></div>
+          <div className="flex justify-between"><span>Fees</span><span>{formatCents(totals.feesCents)}</span></div>
+          {totals.discountCents > 0 && (
+            <div className="flex justify-between text-green-700"><span>Discount</span><span>-{formatCents(totals.discountCents)}</span></div>
+          )}
+          {totals.taxBreakdown.map((tax, index) => (
+            <div key={index} className="flex justify-between">
+              <span>{tax.jurisdiction} ({formatTaxRate(tax.rateMilliBasisPoints)}%)</span>
+              <span>{formatCents(tax.taxCents)}</span>
+            </div>
+          ))}
+          <div className="flex justify-between font-bold text-lg border-t border-gray-300 mt-2 pt-2">
+            <span>Total</span><span>{formatCents(totals.totalCents)}</span>
           </div>
         </div>
-        
+
+        <div className="mb-4">
+          <label className={labelClass} htmlFor="validityDays">
+            Quote Valid For (days)
+          </label>
+          <input
+            className={`${inputClass} md:w-32`}
+            id="validityDays"
+            type="number"
+            step="1"
+            min="1"
+            value={validityDays}
+            onChange={(e) => setValidityDays(e.target.value)}
+          />
+        </div>
+
         <div className="mb-4">
-          <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="notes">
+          <label className={labelClass} htmlFor="notes">
             Notes
           </label>
           <textarea
-            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+            className={inputClass}
             id="notes"
             name="notes"
-            value={formData.notes}
-            onChange={handleChange}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
             rows="4"
             placeholder="Additional details about the quote..."
           ></textarea>
         </div>
-        
+
         <div className="flex items-center justify-end">
           <button
             className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
             type="submit"
             disabled={loading}
           >
-            {loading ? 'Submitting Quote...' : 'Submit Quote'}
+            {loading ? 'Submitting Quote...' : previousQuote ? 'Submit Revision' : 'Submit Quote'}
           </button>
         </div>
       </form>
@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import { respondToQuote, isQuoteExpired, QUOTE_STATUSES } from '../firebase/services';
+import { formatCents, calculateLineItemCents } from '../utils/quoteCalculator';
+
+const QuoteReview = ({ requestId, quote, customerId, customerName, onResponded }) => {
+  const [decision, setDecision] = useState(null); // 'declined' or 'countered' while the reason form is open
+  const [reason, setReason] = useState('');
+  const [counterAmount, setCounterAmount] = useState('');
+
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  if (!quote) return null;
+
+  const expired = isQuoteExpired(quote);
+  const canRespond = quote.status === QUOTE_STATUSES.PENDING && !expired;
+
+  const submitResponse = async (selectedDecision) => {
+    setError('');
+    setSuccess('');
+
+    if (selectedDecision !== QUOTE_STATUSES.ACCEPTED && !reason.trim()) {
+      setError('Please tell the mechanic why');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const result = await respondToQuote(requestId, quote.id, {
+        decision: selectedDecision,
+        reason,
+        counterAmount: selectedDecision === QUOTE_STATUSES.COUNTERED ? counterAmount : undefined,
+        respondedBy: { userId: customerId, name: customerName },
+      });
+
+      if (result.success) {
+        setSuccess(
+          selectedDecision === QUOTE_STATUSES.ACCEPTED
+            ? 'Quote accepted! Your mechanic will schedule the work.'
+            : 'Your response has been sent to the mechanic.'
+        );
+        setDecision(null);
+        if (onResponded) {
+          onResponded(selectedDecision);
+        }
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      setError('An error occurred while responding to the quote');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold">Quote v{quote.version || 1}</h2>
+        <span className="px-3 py-1 rounded-full text-sm font-medium bg-gray-200 text-gray-700 capitalize">
+          {expired && quote.status === QUOTE_STATUSES.PENDING ? 'expired' : quote.status}
+        </span>
+      </div>
+
+      {quote.expiresAt && (
+        <p className={`mb-4 text-sm ${expired ? 'text-red-600' : 'text-gray-600'}`}>
+          {expired ? 'Expired' : 'Valid until'} {new Date(quote.expiresAt).toLocaleDateString()}
+        </p>
+      )}
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {success}
+        </div>
+      )}
+
+      <div className="mb-4">
+        {(quote.lineItems || []).map((item, index) => (
+          <div key={index} className="flex justify-between py-1 border-b border-gray-100">
+            <span>
+              {item.description || item.feeType || item.type}
+              {item.type === 'part' && item.partNumber && <span className="text-gray-500"> #{item.partNumber}</span>}
+              {item.type === 'part' && <span className="text-gray-500"> &times; {item.quantity}</span>}
+              {item.type === 'labor' && <span className="text-gray-500"> ({item.hours} hrs)</span>}
+            </span>
+            <span>{formatCents(item.totalCents ?? calculateLineItemCents(item))}</span>
+          </div>
+        ))}
+
+        {quote.totals ? (
+          <div className="mt-2">
+            {quote.totals.discountCents > 0 && (
+              <div className="flex justify-between text-green-700"><span>Discount</span><span>-{formatCents(quote.totals.discountCents)}</span></div>
+            )}
+            {(quote.totals.taxBreakdown || []).map((tax, index) => (
+              <div key={index} className="flex justify-between"><span>{tax.jurisdiction}</span><span>{formatCents(tax.taxCents)}</span></div>
+            ))}
+            <div className="flex justify-between font-bold text-lg mt-2">
+              <span>Total</span><span>{formatCents(quote.totals.totalCents)}</span>
+            </div>
+          </div>
+        ) : (
+          <div className="flex justify-between font-bold text-lg mt-2">
+            <span>Total</span><span>${quote.totalCost}</span>
+          </div>
+        )}
+      </div>
+
+      {quote.notes && <p className="mb-4 text-gray-700">{quote.notes}</p>}
+
+      {quote.response && (
+        <div className="mb-4 p-4 bg-gray-100 rounded text-sm">
+          <p className="capitalize"><span className="font-medium">Response:</span> {quote.response.decision}</p>
+          {quote.response.reason && <p><span className="font-medium">Reason:</span> {quote.response.reason}</p>}
+          {quote.response.counterAmount && <p><span className="font-medium">Counter offer:</span> ${quote.response.counterAmount}</p>}
+        </div>
+      )}
+
+      {canRespond && decision && (
+        <div className="mb-4">
+          <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="reason">
+            {decision === QUOTE_STATUSES.COUNTERED ? 'What would you like changed?' : 'Reason for declining'}
+          </label>
+          <textarea
+            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline mb-2"
+            id="reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            rows="3"
+          ></textarea>
+          {decision === QUOTE_STATUSES.COUNTERED && (
+            <input
+              className="shadow appearance-none border rounded w-full md:w-48 py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+              type="number"
+              step="0.01"
+              min="0"
+              value={counterAmount}
+              onChange={(e) => setCounterAmount(e.target.value)}
+              placeholder="Proposed total ($)"
+            />
+          )}
+        </div>
+      )}
+
+      {canRespond && (
+        <div className="flex items-center justify-end gap-2">
+          {decision ? (
+            <>
+              <button
+                className="text-gray-600 hover:text-gray-800 font-bold py-2 px-4"
+                type="button"
+                onClick={() => setDecision(null)}
+                disabled={loading}
+              >
+                Back
+              </button>
+              <button
+                className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+                type="button"
+                onClick={() => submitResponse(decision)}
+                disabled={loading}
+              >
+                {loading ? 'Sending...' : 'Send Response'}
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                className="text-red-600 hover:text-red-800 font-bold py-2 px-4"
+                type="button"
+                onClick={() => setDecision(QUOTE_STATUSES.DECLINED)}
+                disabled={loading}
+              >
+                Decline
+              </button>
+              <button
+                className="border border-blue-500 text-blue-500 hover:bg-blue-50 font-bold py-2 px-4 rounded"
+                type="button"
+                onClick={() => setDecision(QUOTE_STATUSES.COUNTERED)}
+                disabled={loading}
+              >
+                Counter
+              </button>
+              <button
+                className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+                type="button"
+                onClick={() => submitResponse(QUOTE_STATUSES.ACCEPTED)}
+                disabled={loading}
+              >
+                {loading ? 'Accepting...' : 'Accept Quote'}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuoteReview;
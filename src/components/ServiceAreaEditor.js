@@ -0,0 +1,538 @@
+/**
+ * ServiceAreaEditor Component
+ *
+ * Lets a mechanic define where they work:
+ * - Draw radius areas (tap the center) or polygons (tap each corner) on the map
+ * - Set the base location travel is measured from
+ * - Choose whether requests outside every area are flagged or blocked
+ * - Configure the distance-based travel fee added to quotes
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  Switch,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Location from 'expo-location';
+import { getMapProvider } from '../services/mapService';
+import { getServiceArea, saveServiceArea, generateAreaId } from '../services/serviceAreaService';
+import { AREA_TYPES, OUTSIDE_AREA_POLICIES, validateServiceArea } from '../utils/geofence';
+import { metersToMiles, milesToMeters } from '../utils/geo';
+import { toCents, centsToDollars } from '../utils/quoteCalculator';
+
+const DEFAULT_CENTER = { latitude: 35.45, longitude: -94.78 }; // Sallisaw, OK
+const AREA_COLOR = '#2196f3';
+const DRAFT_COLOR = '#ff9800';
+const BASE_COLOR = '#00897b';
+
+const DRAW_MODES = [
+  { id: AREA_TYPES.RADIUS, label: 'Radius', icon: 'radio-button-on-outline' },
+  { id: AREA_TYPES.POLYGON, label: 'Polygon', icon: 'shapes-outline' },
+  { id: 'base', label: 'Base', icon: 'home-outline' },
+];
+
+const EMPTY_DRAFT = { center: null, points: [] };
+
+// Travel fee settings are stored in cents; the form edits dollars
+const travelFeeToForm = (travelFee) => ({
+  enabled: travelFee.enabled,
+  freeMiles: String(travelFee.freeMiles ?? ''),
+  perMile: centsToDollars(travelFee.perMileCents || 0),
+  minimum: travelFee.minimumCents ? centsToDollars(travelFee.minimumCents) : '',
+  maximum: travelFee.maximumCents !== null && travelFee.maximumCents !== undefined
+    ? centsToDollars(travelFee.maximumCents)
+    : '',
+});
+
+const travelFeeFromForm = (form) => ({
+  enabled: form.enabled,
+  freeMiles: parseFloat(form.freeMiles) || 0,
+  perMileCents: toCents(form.perMile),
+  minimumCents: toCents(form.minimum),
+  maximumCents: form.maximum === '' ? null : toCents(form.maximum),
+});
+
+const describeArea = (area) => (area.type === AREA_TYPES.RADIUS
+  ? `${metersToMiles(area.radiusMeters).toFixed(1)} mi radius`
+  : `${area.points.length}-point polygon`);
+
+const areaPositions = (area) => (area.type === AREA_TYPES.RADIUS ? [area.center] : area.points);
+
+const ServiceAreaEditor = ({ ownerId, mapProvider, onSaved }) => {
+  const mapRef = useRef(null);
+  const [map, setMap] = useState(null);
+  const [areas, setAreas] = useState([]);
+  const [base, setBase] = useState(null);
+  const [policy, setPolicy] = useState('flag');
+  const [travelFee, setTravelFee] = useState(null);
+  const [mode, setMode] = useState(AREA_TYPES.RADIUS);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [radiusMiles, setRadiusMiles] = useState('15');
+  const [areaName, setAreaName] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const provider = mapProvider || getMapProvider();
+    let mapHandle = null;
+    let active = true;
+
+    const init = async () => {
+      try {
+        const [settings] = await Promise.all([getServiceArea(ownerId), provider.load()]);
+        if (!active) return;
+
+        setAreas(settings.areas);
+        setBase(settings.base);
+        setPolicy(settings.outsideAreaPolicy);
+        setTravelFee(travelFeeToForm(settings.travelFee));
+
+        mapHandle = provider.createMap(mapRef.current, { center: settings.base || DEFAULT_CENTER, zoom: 9 });
+        const positions = [...settings.areas.flatMap(areaPositions), ...(settings.base ? [settings.base] : [])];
+        if (positions.length > 1) mapHandle.fitBounds(positions);
+        setMap(mapHandle);
+      } catch (error) {
+        console.error('Error loading service area:', error);
+        Alert.alert('Error', 'Failed to load your service area');
+      } finally {
+        if (active) setLoading(false);
+      }
+    };
+
+    init();
+
+    return () => {
+      active = false;
+      mapHandle?.destroy();
+    };
+  }, [ownerId, mapProvider]);
+
+  // Taps place the radius center, add a polygon corner or move the base
+  useEffect(() => {
+    if (!map) return;
+
+    return map.onMapClick((position) => {
+      if (mode === 'base') {
+        setBase(prev => ({ ...position, address: prev?.address || null }));
+      } else if (mode === AREA_TYPES.RADIUS) {
+        setDraft({ ...EMPTY_DRAFT, center: position });
+      } else {
+        setDraft(prev => ({ ...EMPTY_DRAFT, points: [...prev.points, position] }));
+      }
+    });
+  }, [map, mode]);
+
+  const draftArea = useMemo(() => (
+    mode === AREA_TYPES.RADIUS
+      ? { type: AREA_TYPES.RADIUS, center: draft.center, radiusMeters: milesToMeters(parseFloat(radiusMiles) || 0) }
+      : { type: AREA_TYPES.POLYGON, points: draft.points }
+  ), [mode, draft, radiusMiles]);
+
+  // Redraw saved areas, the area being drawn and the base
+  useEffect(() => {
+    if (!map) return;
+
+    const shapes = areas.map(area => map.drawArea(area, { color: AREA_COLOR }));
+    const markers = [];
+
+    if (mode === AREA_TYPES.RADIUS && draft.center) {
+      if (draftArea.radiusMeters > 0) shapes.push(map.drawArea(draftArea, { color: DRAFT_COLOR }));
+      markers.push(map.addMarker({ position: draft.center, title: 'Area center', color: DRAFT_COLOR }));
+    }
+    if (mode === AREA_TYPES.POLYGON) {
+      if (draft.points.length >= 3) shapes.push(map.drawArea(draftArea, { color: DRAFT_COLOR }));
+      draft.points.forEach((point, index) => {
+        markers.push(map.addMarker({ position: point, title: `Corner ${index + 1}`, label: String(index + 1), color: DRAFT_COLOR }));
+      });
+    }
+    if (base) {
+      markers.push(map.addMarker({ position: base, title: 'Base', label: 'B', color: BASE_COLOR }));
+    }
+
+    return () => {
+      shapes.forEach(shape => shape.remove());
+      markers.forEach(marker => marker.remove());
+    };
+  }, [map, areas, draft, draftArea, mode, base]);
+
+  const changeMode = (nextMode) => {
+    setMode(nextMode);
+    setDraft(EMPTY_DRAFT);
+  };
+
+  const addArea = () => {
+    const error = validateServiceArea(draftArea);
+    if (error) {
+      Alert.alert('Error', error);
+      return;
+    }
+
+    setAreas(prev => [...prev, {
+      ...draftArea,
+      id: generateAreaId(),
+      name: areaName.trim() || `Area ${prev.length + 1}`,
+    }]);
+    setDraft(EMPTY_DRAFT);
+    setAreaName('');
+  };
+
+  const removeArea = (areaId) => {
+    setAreas(prev => prev.filter(area => area.id !== areaId));
+  };
+
+  const useCurrentLocationAsBase = async () => {
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        Alert.alert('Permission Required', 'Location permission is needed to use your current location.');
+        return;
+      }
+      const { coords } = await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced });
+      const position = { latitude: coords.latitude, longitude: coords.longitude };
+      setBase({ ...position, address: null });
+      map?.setCenter(position);
+    } catch (error) {
+      console.error('Error getting current location:', error);
+      Alert.alert('Error', 'Could not get your current location');
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saved = await saveServiceArea(ownerId, {
+        areas,
+        base,
+        outsideAreaPolicy: policy,
+        travelFee: travelFeeFromForm(travelFee),
+      });
+      Alert.alert('Saved', 'Your service area has been updated.');
+      if (onSaved) onSaved(saved);
+    } catch (error) {
+      console.error('Error saving service area:', error);
+      Alert.alert('Error', error.message || 'Failed to save your service area');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateTravelFee = (field, value) => {
+    setTravelFee(prev => ({ ...prev, [field]: value }));
+  };
+
+  const renderDrawControls = () => {
+    if (mode === 'base') {
+      return (
+        <View>
+          <Text style={styles.hint}>Tap the map where your trips start, or use your current location.</Text>
+          <TouchableOpacity style={styles.secondaryButton} onPress={useCurrentLocationAsBase}>
+            <Ionicons name="locate-outline" size={16} color="#2196f3" />
+            <Text style={styles.secondaryButtonText}>Use current location</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return (
+      <View>
+        <Text style={styles.hint}>
+          {mode === AREA_TYPES.RADIUS
+            ? 'Tap the map to place the center of the area.'
+            : 'Tap the map to add corners, in order around the area.'}
+        </Text>
+        <View style={styles.row}>
+          <TextInput
+            style={[styles.input, styles.flexInput]}
+            value={areaName}
+            onChangeText={setAreaName}
+            placeholder="Area name (optional)"
+          />
+          {mode === AREA_TYPES.RADIUS && (
+            <TextInput
+              style={[styles.input, styles.smallInput]}
+              value={radiusMiles}
+              onChangeText={setRadiusMiles}
+              keyboardType="decimal-pad"
+              placeholder="Miles"
+            />
+          )}
+        </View>
+        <View style={styles.row}>
+          {mode === AREA_TYPES.POLYGON && draft.points.length > 0 && (
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => setDraft(prev => ({ ...prev, points: prev.points.slice(0, -1) }))}
+            >
+              <Ionicons name="arrow-undo-outline" size={16} color="#2196f3" />
+              <Text style={styles.secondaryButtonText}>Undo corner</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={styles.secondaryButton} onPress={addArea}>
+            <Ionicons name="add-circle-outline" size={16} color="#2196f3" />
+            <Text style={styles.secondaryButtonText}>Add area</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.mapContainer}>
+        <View ref={mapRef} style={styles.map} />
+        {loading && (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color="#2196f3" />
+          </View>
+        )}
+      </View>
+
+      {!loading && travelFee && (
+        <ScrollView style={styles.panel}>
+          <View style={styles.modeRow}>
+            {DRAW_MODES.map(drawMode => (
+              <TouchableOpacity
+                key={drawMode.id}
+                style={[styles.modeButton, mode === drawMode.id && styles.modeButtonSelected]}
+                onPress={() => changeMode(drawMode.id)}
+              >
+                <Ionicons name={drawMode.icon} size={16} color={mode === drawMode.id ? '#2196f3' : '#666'} />
+                <Text style={[styles.modeText, mode === drawMode.id && styles.modeTextSelected]}>
+                  {drawMode.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {renderDrawControls()}
+
+          <Text style={styles.sectionTitle}>Areas</Text>
+          {areas.length === 0 ? (
+            <Text style={styles.hint}>No areas yet. Until you add one, requests from anywhere are accepted.</Text>
+          ) : (
+            areas.map(area => (
+              <View key={area.id} style={styles.areaItem}>
+                <View style={styles.areaDetails}>
+                  <Text style={styles.areaName}>{area.name}</Text>
+                  <Text style={styles.areaDescription}>{describeArea(area)}</Text>
+                </View>
+                <TouchableOpacity onPress={() => removeArea(area.id)} style={styles.removeButton}>
+                  <Ionicons name="trash-outline" size={18} color="#f44336" />
+                </TouchableOpacity>
+              </View>
+            ))
+          )}
+
+          <Text style={styles.sectionTitle}>Requests outside your areas</Text>
+          <View style={styles.row}>
+            {OUTSIDE_AREA_POLICIES.map(option => (
+              <TouchableOpacity
+                key={option.id}
+                style={[styles.modeButton, policy === option.id && styles.modeButtonSelected]}
+                onPress={() => setPolicy(option.id)}
+              >
+                <Text style={[styles.modeText, policy === option.id && styles.modeTextSelected]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.switchRow}>
+            <Text style={styles.sectionTitle}>Travel fee</Text>
+            <Switch value={travelFee.enabled} onValueChange={(value) => updateTravelFee('enabled', value)} />
+          </View>
+          {travelFee.enabled && (
+            <>
+              <Text style={styles.hint}>
+                {base ? 'Charged on quotes by driving distance from your base.' : 'Set a base location to charge travel fees.'}
+              </Text>
+              <View style={styles.row}>
+                <View style={styles.field}>
+                  <Text style={styles.fieldLabel}>Free miles</Text>
+                  <TextInput style={styles.input} value={travelFee.freeMiles} keyboardType="decimal-pad"
+                    onChangeText={(value) => updateTravelFee('freeMiles', value)} />
+                </View>
+                <View style={styles.field}>
+                  <Text style={styles.fieldLabel}>Per mile ($)</Text>
+                  <TextInput style={styles.input} value={travelFee.perMile} keyboardType="decimal-pad"
+                    onChangeText={(value) => updateTravelFee('perMile', value)} />
+                </View>
+              </View>
+              <View style={styles.row}>
+                <View style={styles.field}>
+                  <Text style={styles.fieldLabel}>Minimum ($)</Text>
+                  <TextInput style={styles.input} value={travelFee.minimum} keyboardType="decimal-pad"
+                    onChangeText={(value) => updateTravelFee('minimum', value)} placeholder="None" />
+                </View>
+                <View style={styles.field}>
+                  <Text style={styles.fieldLabel}>Maximum ($)</Text>
+                  <TextInput style={styles.input} value={travelFee.maximum} keyboardType="decimal-pad"
+                    onChangeText={(value) => updateTravelFee('maximum', value)} placeholder="No cap" />
+                </View>
+              </View>
+            </>
+          )}
+
+          <TouchableOpacity style={styles.saveButton} onPress={handleSave} disabled={saving}>
+            {saving ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.saveButtonText}>Save Service Area</Text>
+            )}
+          </TouchableOpacity>
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  mapContainer: {
+    height: 320,
+  },
+  map: {
+    flex: 1,
+  },
+  loadingContainer: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: 'rgba(255, 255, 255, 0.8)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  panel: {
+    flex: 1,
+    padding: 16,
+  },
+  modeRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  modeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginRight: 8,
+  },
+  modeButtonSelected: {
+    backgroundColor: '#e3f2fd',
+    borderColor: '#2196f3',
+  },
+  modeText: {
+    fontSize: 13,
+    color: '#666',
+    marginLeft: 4,
+  },
+  modeTextSelected: {
+    color: '#2196f3',
+    fontWeight: '500',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14,
+  },
+  flexInput: {
+    flex: 1,
+    marginRight: 8,
+  },
+  smallInput: {
+    width: 80,
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    marginRight: 16,
+  },
+  secondaryButtonText: {
+    fontSize: 14,
+    color: '#2196f3',
+    marginLeft: 4,
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  areaItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  areaDetails: {
+    flex: 1,
+  },
+  areaName: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  areaDescription: {
+    fontSize: 12,
+    color: '#666',
+  },
+  removeButton: {
+    padding: 4,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  field: {
+    flex: 1,
+    marginRight: 8,
+  },
+  fieldLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 4,
+  },
+  saveButton: {
+    backgroundColor: '#2196f3',
+    borderRadius: 6,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 16,
+    marginBottom: 32,
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
+
+export default ServiceAreaEditor;
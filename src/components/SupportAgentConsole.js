@@ -0,0 +1,674 @@
+/**
+ * SupportAgentConsole Component
+ *
+ * Console for support staff working escalated LiveChatWidget sessions:
+ * - Real-time queue of escalated sessions with SLA countdowns
+ * - Claim a session, then reply, transfer or resolve it
+ * - Job and vehicle context the session was started with
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Modal,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import ChatAttachment from './ChatAttachment';
+import { subscribeToChatMessages } from '../services/chatService';
+import {
+  subscribeToEscalationQueue,
+  claimChatSession,
+  sendAgentReply,
+  transferChatSession,
+  resolveChatSession,
+  getSessionJobContext,
+} from '../services/supportQueueService';
+import { getSlaState, formatCountdown } from '../utils/supportSla';
+import { defaultStatusRegistry } from '../utils/statusRegistry';
+import { describeVehicle } from '../utils/vehicle';
+
+const QUEUE_FILTERS = [
+  { id: 'unclaimed', label: 'Unclaimed' },
+  { id: 'mine', label: 'Mine' },
+  { id: 'all', label: 'All' },
+];
+
+const SLA_COLORS = {
+  ok: '#4caf50',
+  warning: '#ff9800',
+  breached: '#f44336',
+  met: '#607d8b',
+};
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const SupportAgentConsole = ({ agent, agents = [] }) => {
+  const [queue, setQueue] = useState([]);
+  const [filter, setFilter] = useState('unclaimed');
+  const [selectedId, setSelectedId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [jobContext, setJobContext] = useState(null);
+  const [replyText, setReplyText] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [dialog, setDialog] = useState(null); // 'transfer' | 'resolve'
+  const [dialogNote, setDialogNote] = useState('');
+  const [now, setNow] = useState(Date.now());
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    return subscribeToEscalationQueue((sessions) => {
+      setQueue(sessions);
+      setLoading(false);
+    }, () => setLoading(false));
+  }, []);
+
+  // SLA countdowns tick every second
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Resolved sessions leave the queue, which also clears the selection
+  const selected = queue.find(session => session.id === selectedId) || null;
+
+  useEffect(() => {
+    if (!selected?.id) {
+      setMessages([]);
+      return;
+    }
+    return subscribeToChatMessages(selected.id, setMessages);
+  }, [selected?.id]);
+
+  const selectedSessionId = selected?.id;
+  const selectedJobId = selected?.jobId;
+  useEffect(() => {
+    setJobContext(null);
+    if (!selectedJobId) return;
+
+    let active = true;
+    getSessionJobContext({ id: selectedSessionId, jobId: selectedJobId })
+      .then(job => {
+        if (active) setJobContext(job);
+      })
+      .catch(error => console.error('Error loading job context:', error));
+
+    return () => {
+      active = false;
+    };
+  }, [selectedSessionId, selectedJobId]);
+
+  const visibleQueue = useMemo(() => queue.filter(session => {
+    if (filter === 'unclaimed') return !session.assignedAgentId;
+    if (filter === 'mine') return session.assignedAgentId === agent.id;
+    return true;
+  }), [queue, filter, agent.id]);
+
+  const isMine = selected?.assignedAgentId === agent.id;
+
+  const runAction = async (action, errorMessage) => {
+    setBusy(true);
+    try {
+      await action();
+      return true;
+    } catch (error) {
+      console.error(`${errorMessage}:`, error);
+      Alert.alert('Error', error.message || errorMessage);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleClaim = () => runAction(() => claimChatSession(selected.id, agent), 'Error claiming session');
+
+  const handleReply = async () => {
+    const text = replyText.trim();
+    if (!text) return;
+
+    setReplyText('');
+    const sent = await runAction(() => sendAgentReply(selected.id, agent, text), 'Error sending reply');
+    if (!sent) setReplyText(text);
+  };
+
+  const handleTransfer = async (toAgent) => {
+    const done = await runAction(
+      () => transferChatSession(selected.id, agent, toAgent, dialogNote),
+      'Error transferring session'
+    );
+    if (done) {
+      setDialog(null);
+      setDialogNote('');
+    }
+  };
+
+  const handleResolve = async () => {
+    const done = await runAction(
+      () => resolveChatSession(selected.id, agent, dialogNote),
+      'Error resolving session'
+    );
+    if (done) {
+      setDialog(null);
+      setDialogNote('');
+      setSelectedId(null);
+    }
+  };
+
+  const renderSlaBadge = (label, clock) => (
+    <View style={[styles.slaBadge, { backgroundColor: SLA_COLORS[clock.level] }]}>
+      <Text style={styles.slaBadgeText}>
+        {label} {clock.level === 'met' ? 'met' : formatCountdown(clock.remainingMs)}
+      </Text>
+    </View>
+  );
+
+  // The clock that matters next: first response until an agent replies, then resolution
+  const renderSessionSla = (session) => {
+    const sla = getSlaState(session, now);
+    if (!sla) return null;
+    return session.firstResponseAt
+      ? renderSlaBadge('Resolve', sla.resolution)
+      : renderSlaBadge('Reply', sla.firstResponse);
+  };
+
+  const renderQueueItem = (session) => (
+    <TouchableOpacity
+      key={session.id}
+      style={[styles.queueItem, session.id === selectedId && styles.queueItemSelected]}
+      onPress={() => setSelectedId(session.id)}
+    >
+      <View style={styles.queueItemHeader}>
+        <Text style={styles.queueItemTitle} numberOfLines={1}>
+          {session.userName || session.userEmail || 'Customer'}
+        </Text>
+        {renderSessionSla(session)}
+      </View>
+      <Text style={styles.queueItemSubtitle} numberOfLines={1}>
+        {session.jobId ? `Job #${session.jobId}` : 'General Support'}
+        {session.assignedAgentName ? ` · ${session.assignedAgentName}` : ''}
+      </Text>
+      {session.lastMessage && (
+        <Text style={styles.queueItemMessage} numberOfLines={1}>{session.lastMessage}</Text>
+      )}
+    </TouchableOpacity>
+  );
+
+  const renderContext = () => {
+    const vehicle = describeVehicle(selected.vehicleInfo || jobContext?.vehicleInfo);
+    const rows = [
+      ['Customer', [selected.userName, selected.userEmail].filter(Boolean).join(' · ')],
+      ['Escalated', `${formatTime(selected.escalatedAt)}${selected.escalationReason ? ` · ${selected.escalationReason}` : ''}`],
+      ['Vehicle', vehicle],
+      ['Job', jobContext && `${jobContext.serviceType || 'Service request'} · ${defaultStatusRegistry.getLabel(jobContext.status)}`],
+      ['Location', jobContext?.location?.address || jobContext?.address],
+      ['Mechanic', jobContext?.mechanicName],
+    ].filter(([, value]) => value);
+
+    return (
+      <View style={styles.contextPanel}>
+        {rows.map(([label, value]) => (
+          <View key={label} style={styles.contextRow}>
+            <Text style={styles.contextLabel}>{label}</Text>
+            <Text style={styles.contextValue}>{value}</Text>
+          </View>
+        ))}
+        {(selected.transfers || []).length > 0 && (
+          <Text style={styles.transferNote}>
+            Transferred {selected.transfers.length} time{selected.transfers.length === 1 ? '' : 's'}
+            {selected.transfers[selected.transfers.length - 1].note
+              ? `: "${selected.transfers[selected.transfers.length - 1].note}"`
+              : ''}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderMessage = (message) => {
+    const fromCustomer = message.sender === 'user';
+    return (
+      <View key={message.id} style={[styles.messageRow, fromCustomer ? styles.customerRow : styles.staffRow]}>
+        <View style={[styles.messageBubble, fromCustomer ? styles.customerBubble : styles.staffBubble]}>
+          <Text style={styles.messageSender}>
+            {fromCustomer ? 'Customer' : message.sender === 'agent' ? message.agentName || 'Agent' : 'Assistant'}
+          </Text>
+          {(message.attachments || []).map(attachment => (
+            <ChatAttachment key={attachment.id} attachment={attachment} />
+          ))}
+          {!!message.text && <Text style={styles.messageText}>{message.text}</Text>}
+          <Text style={styles.messageTime}>{formatTime(message.timestamp)}</Text>
+        </View>
+      </View>
+    );
+  };
+
+  const renderDetail = () => {
+    if (!selected) {
+      return (
+        <View style={styles.emptyDetail}>
+          <Ionicons name="headset-outline" size={48} color="#ccc" />
+          <Text style={styles.emptyText}>Select a session from the queue</Text>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.detail}>
+        <View style={styles.detailHeader}>
+          <Text style={styles.detailTitle}>{selected.userName || 'Customer'}</Text>
+          <View style={styles.actions}>
+            {!selected.assignedAgentId && (
+              <TouchableOpacity style={styles.actionButton} onPress={handleClaim} disabled={busy}>
+                <Text style={styles.actionButtonText}>Claim</Text>
+              </TouchableOpacity>
+            )}
+            {isMine && (
+              <>
+                <TouchableOpacity style={[styles.actionButton, styles.secondaryAction]} onPress={() => setDialog('transfer')} disabled={busy}>
+                  <Text style={styles.secondaryActionText}>Transfer</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.actionButton, styles.resolveAction]} onPress={() => setDialog('resolve')} disabled={busy}>
+                  <Text style={styles.actionButtonText}>Resolve</Text>
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        </View>
+
+        {renderContext()}
+
+        <ScrollView style={styles.messages}>
+          {messages.map(renderMessage)}
+        </ScrollView>
+
+        {isMine ? (
+          <View style={styles.replyBar}>
+            <TextInput
+              style={styles.replyInput}
+              value={replyText}
+              onChangeText={setReplyText}
+              placeholder="Reply to the customer..."
+              multiline
+            />
+            <TouchableOpacity
+              style={[styles.sendButton, (!replyText.trim() || busy) && styles.sendButtonDisabled]}
+              onPress={handleReply}
+              disabled={!replyText.trim() || busy}
+            >
+              <Ionicons name="send" size={18} color="#fff" />
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <Text style={styles.claimHint}>
+            {selected.assignedAgentId
+              ? `Handled by ${selected.assignedAgentName || 'another agent'}`
+              : 'Claim this session to reply'}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderDialog = () => (
+    <Modal visible={Boolean(dialog)} transparent animationType="fade" onRequestClose={() => setDialog(null)}>
+      <View style={styles.modalOverlay}>
+        <View style={styles.dialog}>
+          <Text style={styles.dialogTitle}>{dialog === 'transfer' ? 'Transfer Session' : 'Resolve Session'}</Text>
+          <TextInput
+            style={styles.dialogInput}
+            value={dialogNote}
+            onChangeText={setDialogNote}
+            placeholder={dialog === 'transfer' ? 'Handover note (optional)' : 'Resolution summary (optional)'}
+            multiline
+          />
+          {dialog === 'transfer' ? (
+            <>
+              {agents.filter(a => a.id !== agent.id).map(a => (
+                <TouchableOpacity key={a.id} style={styles.dialogOption} onPress={() => handleTransfer(a)} disabled={busy}>
+                  <Ionicons name="person-outline" size={16} color="#2196f3" />
+                  <Text style={styles.dialogOptionText}>{a.name}</Text>
+                </TouchableOpacity>
+              ))}
+              <TouchableOpacity style={styles.dialogOption} onPress={() => handleTransfer(null)} disabled={busy}>
+                <Ionicons name="return-up-back-outline" size={16} color="#2196f3" />
+                <Text style={styles.dialogOptionText}>Return to queue</Text>
+              </TouchableOpacity>
+            </>
+          ) : (
+            <TouchableOpacity style={[styles.actionButton, styles.resolveAction]} onPress={handleResolve} disabled={busy}>
+              <Text style={styles.actionButtonText}>Mark Resolved</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={styles.dialogCancel} onPress={() => setDialog(null)}>
+            <Text style={styles.dialogCancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.queuePane}>
+        <Text style={styles.queueTitle}>Support Queue ({queue.length})</Text>
+        <View style={styles.filterRow}>
+          {QUEUE_FILTERS.map(option => (
+            <TouchableOpacity
+              key={option.id}
+              style={[styles.filterChip, filter === option.id && styles.filterChipSelected]}
+              onPress={() => setFilter(option.id)}
+            >
+              <Text style={[styles.filterChipText, filter === option.id && styles.filterChipTextSelected]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {loading ? (
+          <ActivityIndicator size="small" color="#2196f3" style={styles.queueLoading} />
+        ) : (
+          <ScrollView>
+            {visibleQueue.length === 0 && <Text style={styles.emptyText}>No sessions waiting</Text>}
+            {visibleQueue.map(renderQueueItem)}
+          </ScrollView>
+        )}
+      </View>
+
+      {renderDetail()}
+      {renderDialog()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    flexDirection: 'row',
+    backgroundColor: '#fff',
+  },
+  queuePane: {
+    width: 320,
+    borderRightWidth: 1,
+    borderRightColor: '#eee',
+    padding: 12,
+  },
+  queueTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  filterRow: {
+    flexDirection: 'row',
+    marginBottom: 8,
+  },
+  filterChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginRight: 6,
+  },
+  filterChipSelected: {
+    backgroundColor: '#e3f2fd',
+    borderColor: '#2196f3',
+  },
+  filterChipText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  filterChipTextSelected: {
+    color: '#2196f3',
+    fontWeight: '500',
+  },
+  queueLoading: {
+    marginTop: 24,
+  },
+  queueItem: {
+    paddingVertical: 10,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  queueItemSelected: {
+    backgroundColor: '#e3f2fd',
+  },
+  queueItemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  queueItemTitle: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '500',
+    marginRight: 8,
+  },
+  queueItemSubtitle: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  queueItemMessage: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  slaBadge: {
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+  },
+  slaBadgeText: {
+    color: '#fff',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  detail: {
+    flex: 1,
+  },
+  emptyDetail: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    marginTop: 12,
+  },
+  detailHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  detailTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  actions: {
+    flexDirection: 'row',
+  },
+  actionButton: {
+    backgroundColor: '#2196f3',
+    borderRadius: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginLeft: 8,
+    alignItems: 'center',
+  },
+  actionButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  secondaryAction: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#2196f3',
+  },
+  secondaryActionText: {
+    color: '#2196f3',
+    fontWeight: '600',
+  },
+  resolveAction: {
+    backgroundColor: '#4caf50',
+  },
+  contextPanel: {
+    backgroundColor: '#f9f9f9',
+    padding: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  contextRow: {
+    flexDirection: 'row',
+    marginBottom: 4,
+  },
+  contextLabel: {
+    width: 80,
+    fontSize: 12,
+    color: '#666',
+  },
+  contextValue: {
+    flex: 1,
+    fontSize: 12,
+    color: '#333',
+  },
+  transferNote: {
+    fontSize: 12,
+    color: '#ff9800',
+    marginTop: 4,
+  },
+  messages: {
+    flex: 1,
+    padding: 16,
+  },
+  messageRow: {
+    marginBottom: 10,
+  },
+  customerRow: {
+    alignItems: 'flex-start',
+  },
+  staffRow: {
+    alignItems: 'flex-end',
+  },
+  messageBubble: {
+    maxWidth: '75%',
+    padding: 10,
+    borderRadius: 12,
+  },
+  customerBubble: {
+    backgroundColor: '#f0f0f0',
+  },
+  staffBubble: {
+    backgroundColor: '#e3f2fd',
+  },
+  messageSender: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 2,
+  },
+  messageText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  messageTime: {
+    fontSize: 10,
+    color: '#999',
+    marginTop: 4,
+  },
+  replyBar: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    padding: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  replyInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 20,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    maxHeight: 100,
+    fontSize: 14,
+    marginRight: 8,
+  },
+  sendButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#2196f3',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  sendButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  claimHint: {
+    padding: 16,
+    textAlign: 'center',
+    color: '#999',
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dialog: {
+    width: 360,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+  },
+  dialogTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 12,
+  },
+  dialogInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 6,
+    padding: 10,
+    minHeight: 60,
+    marginBottom: 12,
+    textAlignVertical: 'top',
+  },
+  dialogOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  dialogOptionText: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#333',
+  },
+  dialogCancel: {
+    alignItems: 'center',
+    paddingTop: 12,
+  },
+  dialogCancelText: {
+    color: '#666',
+  },
+});
+
+export default SupportAgentConsole;
@@ -0,0 +1,70 @@
+/**
+ * SyncBadge Component
+ *
+ * Small badge showing whether an item made offline has reached the server:
+ * synced, pending or syncing, or failed with a tap to retry the offline queue.
+ * `syncStatus` is the queue item status, or empty once the item is synced;
+ * `onRetry` defaults to retrying every failed queue item.
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { retryFailedActions } from '../services/offlineQueueService';
+
+const SyncBadge = ({ syncStatus, onRetry = retryFailedActions }) => {
+  if (!syncStatus) {
+    return (
+      <View style={[styles.badge, styles.syncedBadge]}>
+        <Ionicons name="cloud-done-outline" size={12} color="#4caf50" />
+        <Text style={[styles.badgeText, { color: '#4caf50' }]}>Synced</Text>
+      </View>
+    );
+  }
+
+  if (syncStatus === 'failed') {
+    return (
+      <TouchableOpacity style={[styles.badge, styles.failedBadge]} onPress={onRetry}>
+        <Ionicons name="alert-circle-outline" size={12} color="#f44336" />
+        <Text style={[styles.badgeText, { color: '#f44336' }]}>Sync failed - tap to retry</Text>
+      </TouchableOpacity>
+    );
+  }
+
+  return (
+    <View style={[styles.badge, styles.pendingBadge]}>
+      <Ionicons name="cloud-upload-outline" size={12} color="#ff9800" />
+      <Text style={[styles.badgeText, { color: '#ff9800' }]}>
+        {syncStatus === 'syncing' ? 'Syncing...' : 'Pending sync'}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 10,
+    marginLeft: 8,
+    marginRight: 'auto',
+  },
+  syncedBadge: {
+    backgroundColor: '#4caf5015',
+  },
+  pendingBadge: {
+    backgroundColor: '#ff980015',
+  },
+  failedBadge: {
+    backgroundColor: '#f4433615',
+  },
+  badgeText: {
+    fontSize: 10,
+    fontWeight: '500',
+    marginLeft: 3,
+  },
+});
+
+export default SyncBadge;
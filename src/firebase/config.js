@@ -1,8 +1,9 @@
 // Firebase configuration
 import { initializeApp } from 'firebase/app';
 import { getAuth } from 'firebase/auth';
-import { getFirestore } from 'firebase/firestore';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
 import { getStorage } from 'firebase/storage';
+import { getFunctions } from 'firebase/functions';
 
 // Your web app's Firebase configuration
 // For Firebase JS SDK v7.20.0 and later, measurementId is optional
@@ -21,5 +22,13 @@ const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
 const db = getFirestore(app);
 const storage = getStorage(app);
+const functions = getFunctions(app);
 
-export { auth, db, storage };
\ No newline at end of file
+// Point Firestore at the local emulator when running tests or offline development
+if (process.env.REACT_APP_USE_FIRESTORE_EMULATOR === 'true') {
+  const host = process.env.REACT_APP_FIRESTORE_EMULATOR_HOST || 'localhost';
+  const port = parseInt(process.env.REACT_APP_FIRESTORE_EMULATOR_PORT, 10) || 8080;
+  connectFirestoreEmulator(db, host, port);
+}
+
+export { auth, db, storage, functions };
\ No newline at end of file
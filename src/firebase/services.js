@@ -0,0 +1,538 @@
+/**
+ * Firestore Service Layer
+ *
+ * CRUD helpers for the core job data stored in Firestore:
+ * - Service requests (serviceRequests collection)
+ * - Quotes (serviceRequests/{requestId}/quotes), never edited in place: reviseQuote
+ *   adds a new version and respondToQuote records the customer's answer
+ * - Status history (serviceRequests/{requestId}/statusHistory)
+ * - Payments (serviceRequests/{requestId}/payments)
+ * - Opening and archiving the job's customer-mechanic chat thread (jobThreads)
+ *
+ * Every function resolves to `{ success: true, ... }` or `{ success: false, error }`
+ * so components can surface the message directly.
+ */
+
+import {
+  collection,
+  doc,
+  addDoc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  writeBatch,
+  runTransaction,
+} from 'firebase/firestore';
+import { db } from './config';
+import { JOB_STATUS_TRANSITIONS, canTransition, buildTransitionTable } from '../utils/jobStatusMachine';
+import { QUOTE_STATUSES, isQuoteExpired } from '../utils/quoteStatus';
+import { CUSTOM_STATUSES_COLLECTION } from '../services/customStatusService';
+import { checkJobServiceArea, getServiceArea } from '../services/serviceAreaService';
+import {
+  jobThreadRef,
+  buildJobThread,
+  THREAD_ARCHIVE_STATUSES,
+  THREAD_STATUSES,
+} from '../services/jobChatService';
+
+const SERVICE_REQUESTS = 'serviceRequests';
+const QUOTES = 'quotes';
+const STATUS_HISTORY = 'statusHistory';
+const PAYMENTS = 'payments';
+
+// Quotes are valid for this many days unless the mechanic sets another expiry
+export const DEFAULT_QUOTE_VALIDITY_DAYS = 14;
+
+// Re-exported so screens keep importing quote helpers from the service layer
+export { QUOTE_STATUSES, isQuoteExpired };
+
+const requestRef = (requestId) => doc(db, SERVICE_REQUESTS, requestId);
+const subcollectionRef = (requestId, name) => collection(db, SERVICE_REQUESTS, requestId, name);
+
+const toData = (snapshot) => ({ id: snapshot.id, ...snapshot.data() });
+
+// Fixed once the request has been checked against the mechanic's service area
+const CHECKED_FIELD = 'A request\'s customer, mechanic and location cannot change after it is sent';
+
+// Fields that only the status and quote flows write, or that never change
+const PROTECTED_REQUEST_FIELDS = {
+  status: 'Use updateServiceRequestStatus to change a job status',
+  latestQuoteId: 'Use addQuoteToServiceRequest or reviseQuote to quote a job',
+  acceptedQuoteId: 'Only the customer\'s response to a quote can accept it',
+  customerId: CHECKED_FIELD,
+  mechanicId: CHECKED_FIELD,
+  location: CHECKED_FIELD,
+  latitude: CHECKED_FIELD,
+  longitude: CHECKED_FIELD,
+  serviceAreaCheck: CHECKED_FIELD,
+  outsideServiceArea: CHECKED_FIELD,
+};
+
+const failure = (action, error) => {
+  console.error(`Error ${action}:`, error);
+  return { success: false, error: error.message || `Failed ${action}`, code: error.code };
+};
+
+// Read a service request inside a transaction and reject status changes the
+// job state machine does not allow. `overrides` lets callers include fields
+// the same transaction is about to write (e.g. a new latestQuoteId together
+// with the quote itself as latestQuote).
+const readRequestForTransition = async (transaction, requestId, toStatus, overrides = {}) => {
+  const snapshot = await transaction.get(requestRef(requestId));
+  if (!snapshot.exists()) {
+    throw new Error('Service request not found');
+  }
+
+  const job = { ...snapshot.data(), ...overrides };
+  const from = job.status || 'pending';
+
+  // Include the mechanic's (or shop's) custom statuses in the transition table
+  let transitions = JOB_STATUS_TRANSITIONS;
+  const ownerId = job.shopId || job.mechanicId;
+  if (ownerId) {
+    const custom = await transaction.get(doc(db, CUSTOM_STATUSES_COLLECTION, ownerId));
+    transitions = buildTransitionTable(custom.exists() ? custom.data().statuses || [] : []);
+  }
+
+  // Quote guards check the quote itself, not just that an id is set
+  const guards = transitions[from]?.[toStatus] || [];
+  if (guards.includes('quoteRequired') && job.latestQuoteId && !job.latestQuote) {
+    const quote = await transaction.get(doc(db, SERVICE_REQUESTS, requestId, QUOTES, job.latestQuoteId));
+    job.latestQuote = quote.exists() ? quote.data() : null;
+  }
+
+  const { allowed, reason } = canTransition(from, toStatus, job, transitions);
+  if (!allowed) {
+    throw new Error(reason);
+  }
+
+  return snapshot.data();
+};
+
+// ---------------------------------------------------------------------------
+// Service requests
+// ---------------------------------------------------------------------------
+
+export const createServiceRequest = async (requestData) => {
+  try {
+    const now = new Date().toISOString();
+
+    // A request sent to a specific mechanic is checked against their service
+    // area: refused under a 'block' policy, otherwise stored with the result.
+    // The security rules refuse 'block' requests that arrive without a check,
+    // and the checkServiceRequestArea function repeats it on the server.
+    let serviceAreaCheck = null;
+    if (requestData.mechanicId) {
+      const serviceArea = await getServiceArea(requestData.mechanicId);
+      serviceAreaCheck = await checkJobServiceArea(requestData.mechanicId, requestData, serviceArea);
+      if (!serviceAreaCheck && serviceArea.outsideAreaPolicy === 'block') {
+        return {
+          success: false,
+          error: 'Add the vehicle\'s location so it can be checked against the mechanic\'s service area',
+          code: 'location-required',
+        };
+      }
+      if (serviceAreaCheck?.blocked) {
+        return {
+          success: false,
+          error: 'This location is outside the mechanic\'s service area',
+          code: 'outside-service-area',
+        };
+      }
+    }
+
+    const docRef = await addDoc(collection(db, SERVICE_REQUESTS), {
+      ...requestData,
+      ...(serviceAreaCheck && {
+        serviceAreaCheck,
+        outsideServiceArea: !serviceAreaCheck.inside,
+      }),
+      status: requestData.status || 'pending',
+      paymentStatus: requestData.paymentStatus || 'unpaid',
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    await addDoc(subcollectionRef(docRef.id, STATUS_HISTORY), {
+      status: requestData.status || 'pending',
+      date: now,
+      updatedBy: 'customer',
+    });
+
+    return { success: true, id: docRef.id };
+  } catch (error) {
+    return failure('creating service request', error);
+  }
+};
+
+export const getServiceRequest = async (requestId) => {
+  try {
+    const snapshot = await getDoc(requestRef(requestId));
+    if (!snapshot.exists()) {
+      return { success: false, error: 'Service request not found' };
+    }
+    return { success: true, data: toData(snapshot) };
+  } catch (error) {
+    return failure('fetching service request', error);
+  }
+};
+
+export const getServiceRequestsByCustomer = async (customerId) => {
+  try {
+    const q = query(
+      collection(db, SERVICE_REQUESTS),
+      where('customerId', '==', customerId),
+      orderBy('createdAt', 'desc')
+    );
+    const snapshot = await getDocs(q);
+    return { success: true, data: snapshot.docs.map(toData) };
+  } catch (error) {
+    return failure('fetching customer service requests', error);
+  }
+};
+
+export const getServiceRequestsByMechanic = async (mechanicId) => {
+  try {
+    const q = query(
+      collection(db, SERVICE_REQUESTS),
+      where('mechanicId', '==', mechanicId),
+      orderBy('createdAt', 'desc')
+    );
+    const snapshot = await getDocs(q);
+    return { success: true, data: snapshot.docs.map(toData) };
+  } catch (error) {
+    return failure('fetching mechanic service requests', error);
+  }
+};
+
+export const updateServiceRequest = async (requestId, updates) => {
+  const protectedField = Object.keys(PROTECTED_REQUEST_FIELDS)
+    .find(field => Object.prototype.hasOwnProperty.call(updates, field));
+  if (protectedField) {
+    return { success: false, error: PROTECTED_REQUEST_FIELDS[protectedField] };
+  }
+
+  try {
+    await updateDoc(requestRef(requestId), {
+      ...updates,
+      updatedAt: new Date().toISOString(),
+    });
+    return { success: true };
+  } catch (error) {
+    return failure('updating service request', error);
+  }
+};
+
+export const deleteServiceRequest = async (requestId) => {
+  try {
+    await deleteDoc(requestRef(requestId));
+    return { success: true };
+  } catch (error) {
+    return failure('deleting service request', error);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Quotes
+// ---------------------------------------------------------------------------
+
+const quoteExpiry = (quoteData, now) => {
+  if (quoteData.expiresAt) return quoteData.expiresAt;
+  const days = parseInt(quoteData.validityDays, 10) || DEFAULT_QUOTE_VALIDITY_DAYS;
+  return new Date(new Date(now).getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+};
+
+export const addQuoteToServiceRequest = async (requestId, quoteData) => {
+  try {
+    const now = new Date().toISOString();
+    const quoteRef = doc(subcollectionRef(requestId, QUOTES));
+
+    await runTransaction(db, async (transaction) => {
+      await readRequestForTransition(transaction, requestId, 'quoted', {
+        latestQuoteId: quoteRef.id,
+        latestQuote: quoteData,
+      });
+
+      transaction.set(quoteRef, {
+        ...quoteData,
+        requestId,
+        version: 1,
+        status: QUOTE_STATUSES.PENDING,
+        expiresAt: quoteExpiry(quoteData, now),
+        createdAt: quoteData.createdAt || now,
+      });
+      transaction.update(requestRef(requestId), {
+        status: 'quoted',
+        latestQuoteId: quoteRef.id,
+        updatedAt: now,
+      });
+      transaction.set(doc(subcollectionRef(requestId, STATUS_HISTORY)), {
+        status: 'quoted',
+        date: now,
+        updatedBy: 'mechanic',
+      });
+    });
+
+    return { success: true, id: quoteRef.id };
+  } catch (error) {
+    return failure('adding quote', error);
+  }
+};
+
+/**
+ * Create a new version of a quote. The previous version is marked superseded
+ * and the service request points at the new one.
+ */
+export const reviseQuote = async (requestId, previousQuoteId, quoteData) => {
+  try {
+    const now = new Date().toISOString();
+    const previousRef = doc(db, SERVICE_REQUESTS, requestId, QUOTES, previousQuoteId);
+    const quoteRef = doc(subcollectionRef(requestId, QUOTES));
+
+    await runTransaction(db, async (transaction) => {
+      const previous = await transaction.get(previousRef);
+      if (!previous.exists()) {
+        throw new Error('Quote to revise was not found');
+      }
+      if (previous.data().status === QUOTE_STATUSES.ACCEPTED) {
+        throw new Error('An accepted quote cannot be revised');
+      }
+      if (previous.data().status === QUOTE_STATUSES.SUPERSEDED) {
+        throw new Error('This quote has already been revised');
+      }
+
+      await readRequestForTransition(transaction, requestId, 'quoted', {
+        latestQuoteId: quoteRef.id,
+        latestQuote: quoteData,
+      });
+
+      const version = (previous.data().version || 1) + 1;
+
+      transaction.set(quoteRef, {
+        ...quoteData,
+        requestId,
+        version,
+        supersedes: previousQuoteId,
+        status: QUOTE_STATUSES.PENDING,
+        expiresAt: quoteExpiry(quoteData, now),
+        createdAt: quoteData.createdAt || now,
+      });
+      transaction.update(previousRef, {
+        status: QUOTE_STATUSES.SUPERSEDED,
+        supersededBy: quoteRef.id,
+        updatedAt: now,
+      });
+      transaction.update(requestRef(requestId), {
+        status: 'quoted',
+        latestQuoteId: quoteRef.id,
+        updatedAt: now,
+      });
+      transaction.set(doc(subcollectionRef(requestId, STATUS_HISTORY)), {
+        status: 'quoted',
+        date: now,
+        updatedBy: 'mechanic',
+        note: `Quote revised (version ${version})`,
+      });
+    });
+
+    return { success: true, id: quoteRef.id };
+  } catch (error) {
+    return failure('revising quote', error);
+  }
+};
+
+/**
+ * Record a customer's response to a quote.
+ *
+ * @param {string} requestId - Service request ID
+ * @param {string} quoteId - Quote being responded to
+ * @param {Object} response
+ * @param {string} response.decision - 'accepted', 'declined' or 'countered'
+ * @param {string} response.reason - Required when declining or countering
+ * @param {string} response.counterAmount - Customer's proposed total for a counter
+ * @param {Object} response.respondedBy - { userId, name }
+ */
+export const respondToQuote = async (requestId, quoteId, { decision, reason, counterAmount, respondedBy = {} }) => {
+  const validDecisions = [QUOTE_STATUSES.ACCEPTED, QUOTE_STATUSES.DECLINED, QUOTE_STATUSES.COUNTERED];
+  if (!validDecisions.includes(decision)) {
+    return { success: false, error: `Unknown quote response: ${decision}` };
+  }
+  if (decision !== QUOTE_STATUSES.ACCEPTED && !reason?.trim()) {
+    return { success: false, error: 'Please provide a reason' };
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const quoteRef = doc(db, SERVICE_REQUESTS, requestId, QUOTES, quoteId);
+
+    await runTransaction(db, async (transaction) => {
+      const quote = await transaction.get(quoteRef);
+      if (!quote.exists()) {
+        throw new Error('Quote not found');
+      }
+      if (quote.data().status !== QUOTE_STATUSES.PENDING) {
+        throw new Error(`This quote has already been ${quote.data().status}`);
+      }
+      if (isQuoteExpired(quote.data())) {
+        throw new Error('This quote has expired. Ask your mechanic for an updated quote.');
+      }
+      const job = decision === QUOTE_STATUSES.ACCEPTED
+        ? await readRequestForTransition(transaction, requestId, 'accepted', { acceptedQuoteId: quoteId })
+        : null;
+      const existingThread = job ? await transaction.get(jobThreadRef(requestId)) : null;
+
+      const responseData = {
+        decision,
+        respondedAt: now,
+        respondedBy,
+        ...(reason ? { reason: reason.trim() } : {}),
+        ...(counterAmount ? { counterAmount } : {}),
+      };
+
+      transaction.update(quoteRef, { status: decision, response: responseData, updatedAt: now });
+
+      if (decision === QUOTE_STATUSES.ACCEPTED) {
+        transaction.update(requestRef(requestId), {
+          status: 'accepted',
+          acceptedQuoteId: quoteId,
+          updatedAt: now,
+        });
+        transaction.set(doc(subcollectionRef(requestId, STATUS_HISTORY)), {
+          status: 'accepted',
+          date: now,
+          updatedBy: 'customer',
+          updatedById: respondedBy.userId || null,
+          updatedByName: respondedBy.name || null,
+          note: `Quote version ${quote.data().version || 1} accepted`,
+        });
+
+        // Accepting the quote opens the customer-mechanic conversation for the job;
+        // a thread that already exists keeps its messages and read state
+        const thread = buildJobThread(requestId, job, now);
+        if (thread && !existingThread.exists()) {
+          transaction.set(jobThreadRef(requestId), thread);
+        }
+      } else {
+        transaction.update(requestRef(requestId), {
+          latestQuoteResponse: responseData,
+          updatedAt: now,
+        });
+      }
+    });
+
+    return { success: true };
+  } catch (error) {
+    return failure('responding to quote', error);
+  }
+};
+
+export const getQuotesForServiceRequest = async (requestId) => {
+  try {
+    const q = query(subcollectionRef(requestId, QUOTES), orderBy('createdAt', 'desc'));
+    const snapshot = await getDocs(q);
+    return { success: true, data: snapshot.docs.map(toData) };
+  } catch (error) {
+    return failure('fetching quotes', error);
+  }
+};
+
+export const deleteQuote = async (requestId, quoteId) => {
+  try {
+    await deleteDoc(doc(db, SERVICE_REQUESTS, requestId, QUOTES, quoteId));
+    return { success: true };
+  } catch (error) {
+    return failure('deleting quote', error);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Status history
+// ---------------------------------------------------------------------------
+
+export const updateServiceRequestStatus = async (requestId, status, { updatedBy = 'mechanic', note } = {}) => {
+  try {
+    const now = new Date().toISOString();
+
+    await runTransaction(db, async (transaction) => {
+      await readRequestForTransition(transaction, requestId, status);
+
+      // The job's conversation becomes read-only once the job has ended
+      const thread = THREAD_ARCHIVE_STATUSES.includes(status)
+        ? await transaction.get(jobThreadRef(requestId))
+        : null;
+
+      transaction.update(requestRef(requestId), { status, updatedAt: now });
+      transaction.set(doc(subcollectionRef(requestId, STATUS_HISTORY)), {
+        status,
+        date: now,
+        updatedBy,
+        ...(note ? { note } : {}),
+      });
+      if (thread?.exists() && thread.data().status !== THREAD_STATUSES.ARCHIVED) {
+        transaction.update(jobThreadRef(requestId), {
+          status: THREAD_STATUSES.ARCHIVED,
+          archivedAt: now,
+          typing: {},
+        });
+      }
+    });
+
+    return { success: true };
+  } catch (error) {
+    return failure('updating service request status', error);
+  }
+};
+
+export const getStatusHistory = async (requestId) => {
+  try {
+    const q = query(subcollectionRef(requestId, STATUS_HISTORY), orderBy('date', 'desc'));
+    const snapshot = await getDocs(q);
+    return { success: true, data: snapshot.docs.map(toData) };
+  } catch (error) {
+    return failure('fetching status history', error);
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Payments
+// ---------------------------------------------------------------------------
+
+export const addPayment = async (requestId, paymentData) => {
+  try {
+    const now = new Date().toISOString();
+    const paymentRef = doc(subcollectionRef(requestId, PAYMENTS));
+    const batch = writeBatch(db);
+
+    batch.set(paymentRef, {
+      ...paymentData,
+      requestId,
+      date: paymentData.date || now,
+    });
+    if (paymentData.status) {
+      batch.update(requestRef(requestId), { paymentStatus: paymentData.status, updatedAt: now });
+    }
+
+    await batch.commit();
+    return { success: true, id: paymentRef.id };
+  } catch (error) {
+    return failure('adding payment', error);
+  }
+};
+
+export const getPayments = async (requestId) => {
+  try {
+    const q = query(subcollectionRef(requestId, PAYMENTS), orderBy('date', 'desc'));
+    const snapshot = await getDocs(q);
+    return { success: true, data: snapshot.docs.map(toData) };
+  } catch (error) {
+    return failure('fetching payments', error);
+  }
+};
+
+export const updatePaymentStatus = async (requestId, paymentStatus, note) => {
+  return addPayment(requestId, { status: paymentStatus, ...(note ? { note } : {}) });
+};
@@ -0,0 +1,231 @@
+/**
+ * Service layer tests against the Firestore emulator.
+ *
+ * Skipped unless REACT_APP_USE_FIRESTORE_EMULATOR is 'true'; see
+ * "Testing Before Deployment" in DEPLOYMENT.md for the command.
+ */
+
+const useEmulator = process.env.REACT_APP_USE_FIRESTORE_EMULATOR === 'true';
+const describeEmulator = useEmulator ? describe : describe.skip;
+
+describeEmulator('service layer against the Firestore emulator', () => {
+  // Loaded lazily so the suite can be skipped without Firebase credentials
+  let services;
+  let config;
+
+  beforeAll(() => {
+    config = require('./config');
+    services = require('./services');
+  });
+
+  afterAll(async () => {
+    const { terminate } = require('firebase/firestore');
+    await terminate(config.db);
+  });
+
+  describe('service requests', () => {
+    let requestId;
+
+    test('creates a request with its first status history entry', async () => {
+      const result = await services.createServiceRequest({
+        customerId: 'customer-1',
+        vehicleMake: 'Honda',
+        vehicleModel: 'Civic',
+        serviceType: 'Brake repair',
+      });
+
+      expect(result.success).toBe(true);
+      requestId = result.id;
+
+      const history = await services.getStatusHistory(requestId);
+      expect(history.success).toBe(true);
+      expect(history.data.map(entry => entry.status)).toEqual(['pending']);
+    });
+
+    test('reads the request back', async () => {
+      const result = await services.getServiceRequest(requestId);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({
+        id: requestId,
+        customerId: 'customer-1',
+        status: 'pending',
+        paymentStatus: 'unpaid',
+      });
+    });
+
+    test('updates fields but refuses status changes', async () => {
+      const updated = await services.updateServiceRequest(requestId, { serviceDescription: 'Squealing brakes' });
+      expect(updated.success).toBe(true);
+
+      const statusChange = await services.updateServiceRequest(requestId, { status: 'completed' });
+      expect(statusChange.success).toBe(false);
+
+      const move = await services.updateServiceRequest(requestId, { location: { latitude: 0, longitude: 0 } });
+      expect(move.success).toBe(false);
+
+      const result = await services.getServiceRequest(requestId);
+      expect(result.data.serviceDescription).toBe('Squealing brakes');
+      expect(result.data.status).toBe('pending');
+    });
+
+    test('deletes the request', async () => {
+      const deleted = await services.deleteServiceRequest(requestId);
+      expect(deleted.success).toBe(true);
+
+      const result = await services.getServiceRequest(requestId);
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Service request not found');
+    });
+  });
+
+  describe('quotes, status history and payments', () => {
+    const quoteData = { lineItems: [], totals: { totalCents: 25000 }, totalCost: '250.00' };
+
+    const createRequest = async () => {
+      const result = await services.createServiceRequest({ customerId: 'customer-1', serviceType: 'Brake repair' });
+      expect(result.success).toBe(true);
+      return result.id;
+    };
+
+    // Refused writes are logged by the service layer
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    test('adds a quote and records the quoted status', async () => {
+      const requestId = await createRequest();
+      const quote = await services.addQuoteToServiceRequest(requestId, quoteData);
+      expect(quote.success).toBe(true);
+
+      const quotes = await services.getQuotesForServiceRequest(requestId);
+      expect(quotes.data.map(entry => entry.id)).toEqual([quote.id]);
+
+      const result = await services.getServiceRequest(requestId);
+      expect(result.data).toMatchObject({ status: 'quoted', latestQuoteId: quote.id });
+
+      const history = await services.getStatusHistory(requestId);
+      expect(history.data.map(entry => entry.status)).toEqual(['quoted', 'pending']);
+    });
+
+    test('records payments and the job\'s payment status', async () => {
+      const requestId = await createRequest();
+
+      const payment = await services.addPayment(requestId, { amount: '250.00', method: 'card', status: 'paid' });
+      expect(payment.success).toBe(true);
+
+      expect((await services.getServiceRequest(requestId)).data.paymentStatus).toBe('paid');
+      expect((await services.getPayments(requestId)).data).toMatchObject([{ id: payment.id, status: 'paid', requestId }]);
+    });
+
+    test('refuses to accept an expired quote', async () => {
+      const requestId = await createRequest();
+      const quote = await services.addQuoteToServiceRequest(requestId, {
+        ...quoteData,
+        expiresAt: '2020-01-01T00:00:00.000Z',
+      });
+      expect(quote.success).toBe(true);
+
+      const response = await services.respondToQuote(requestId, quote.id, { decision: 'accepted' });
+      expect(response).toMatchObject({
+        success: false,
+        error: 'This quote has expired. Ask your mechanic for an updated quote.',
+      });
+
+      const result = await services.getServiceRequest(requestId);
+      expect(result.data.status).toBe('quoted');
+      expect(result.data.acceptedQuoteId).toBeUndefined();
+    });
+
+    test('supersedes the previous version when a quote is revised', async () => {
+      const requestId = await createRequest();
+      const first = await services.addQuoteToServiceRequest(requestId, quoteData);
+      const second = await services.reviseQuote(requestId, first.id, {
+        ...quoteData,
+        totals: { totalCents: 20000 },
+        totalCost: '200.00',
+      });
+      expect(second.success).toBe(true);
+
+      const quotes = await services.getQuotesForServiceRequest(requestId);
+      const byId = Object.fromEntries(quotes.data.map(quote => [quote.id, quote]));
+      expect(byId[first.id]).toMatchObject({ status: 'superseded', supersededBy: second.id, version: 1 });
+      expect(byId[second.id]).toMatchObject({ status: 'pending', supersedes: first.id, version: 2 });
+
+      expect(await services.respondToQuote(requestId, first.id, { decision: 'accepted' })).toMatchObject({
+        success: false,
+        error: 'This quote has already been superseded',
+      });
+      expect(await services.reviseQuote(requestId, first.id, quoteData)).toMatchObject({
+        success: false,
+        error: 'This quote has already been revised',
+      });
+
+      const accepted = await services.respondToQuote(requestId, second.id, {
+        decision: 'accepted',
+        respondedBy: { userId: 'customer-1', name: 'Casey' },
+      });
+      expect(accepted.success).toBe(true);
+
+      const result = await services.getServiceRequest(requestId);
+      expect(result.data).toMatchObject({ status: 'accepted', acceptedQuoteId: second.id, latestQuoteId: second.id });
+    });
+
+    test('refuses status changes the state machine does not allow', async () => {
+      const requestId = await createRequest();
+
+      expect(await services.updateServiceRequestStatus(requestId, 'completed')).toMatchObject({
+        success: false,
+        error: 'A job cannot move from pending to completed',
+      });
+      expect(await services.updateServiceRequestStatus(requestId, 'quoted')).toMatchObject({
+        success: false,
+        error: 'A quote is required before this status can be set',
+      });
+
+      const history = await services.getStatusHistory(requestId);
+      expect(history.data.map(entry => entry.status)).toEqual(['pending']);
+    });
+
+    test('closes a completed job only once it is paid', async () => {
+      const requestId = await createRequest();
+      const quote = await services.addQuoteToServiceRequest(requestId, quoteData);
+      await services.respondToQuote(requestId, quote.id, { decision: 'accepted' });
+      await services.updateServiceRequestStatus(requestId, 'in_progress');
+      await services.updateServiceRequestStatus(requestId, 'completed');
+
+      expect(await services.updateServiceRequestStatus(requestId, 'closed')).toMatchObject({
+        success: false,
+        error: 'Payment must be recorded before the job can be closed',
+      });
+
+      const payment = await services.addPayment(requestId, { amount: '250.00', method: 'card', status: 'paid' });
+      expect(payment.success).toBe(true);
+      expect((await services.getServiceRequest(requestId)).data.paymentStatus).toBe('paid');
+      expect((await services.getPayments(requestId)).data).toHaveLength(1);
+
+      expect((await services.updateServiceRequestStatus(requestId, 'closed')).success).toBe(true);
+    });
+
+    test('only the customer\'s response accepts a quote', async () => {
+      const requestId = await createRequest();
+      const quote = await services.addQuoteToServiceRequest(requestId, quoteData);
+
+      expect(await services.updateServiceRequestStatus(requestId, 'accepted')).toMatchObject({
+        success: false,
+        error: 'The customer must accept the latest quote before the job is accepted',
+      });
+      expect(await services.updateServiceRequest(requestId, { acceptedQuoteId: quote.id })).toMatchObject({
+        success: false,
+      });
+
+      const result = await services.getServiceRequest(requestId);
+      expect(result.data.status).toBe('quoted');
+    });
+
+  });
+});
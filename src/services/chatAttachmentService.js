@@ -0,0 +1,153 @@
+/**
+ * Chat Attachment Service
+ *
+ * Uploads photos, audio recordings and PDFs sent in support chat.
+ * Attachments on a job's chat are stored with the job's other media:
+ * - Files in Storage under serviceRequests/{jobId}/chatAttachments
+ * - Metadata in serviceRequests/{jobId}/chatAttachments/{attachmentId}
+ * Chats without a job keep their files under chatSessions/{sessionId}/attachments.
+ *
+ * Photos are re-encoded first so EXIF (including GPS) is never uploaded,
+ * the same as job photos.
+ */
+
+import { ref, uploadBytes, uploadBytesResumable, getDownloadURL } from 'firebase/storage';
+import { collection, doc, setDoc } from 'firebase/firestore';
+import { db, storage } from '../firebase/config';
+import { stripImageMetadata, generateThumbnail } from './photoService';
+import { CHAT_SESSIONS_COLLECTION } from './chatService';
+import { getAttachmentKind, validateAttachment } from '../utils/attachments';
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'application/pdf': 'pdf',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/m4a': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/webm': 'webm',
+};
+
+const uriToBlob = async (uri) => {
+  const response = await fetch(uri);
+  return response.blob();
+};
+
+const attachmentsCollection = ({ jobId, sessionId }) => (jobId
+  ? collection(db, 'serviceRequests', jobId, 'chatAttachments')
+  : collection(db, CHAT_SESSIONS_COLLECTION, sessionId, 'attachments'));
+
+const storageFolder = ({ jobId, sessionId }) => (jobId
+  ? `serviceRequests/${jobId}/chatAttachments`
+  : `${CHAT_SESSIONS_COLLECTION}/${sessionId}/attachments`);
+
+const canceledError = () => Object.assign(new Error('Upload cancelled'), { code: 'storage/canceled' });
+
+/**
+ * Start uploading a chat attachment.
+ *
+ * `done` resolves with the attachment to put on the message:
+ * { id, kind, name, mimeType, size, url, storagePath, thumbnailUrl }.
+ * A cancelled upload rejects with an error whose `code` is 'storage/canceled';
+ * a file that fails validation rejects with its message.
+ *
+ * @param {Object} file - { uri, name, mimeType, size } from a picker
+ * @param {Object} context - { sessionId, jobId, uploadedBy }
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with progress from 0 to 1
+ * @returns {{ attachmentId: string, done: Promise<Object>, cancel: Function }}
+ */
+export const startChatAttachmentUpload = (file, context, { onProgress } = {}) => {
+  const attachmentRef = doc(attachmentsCollection(context));
+  const attachmentId = attachmentRef.id;
+
+  let task = null;
+  let cancelled = false;
+
+  const done = (async () => {
+    const kind = getAttachmentKind(file);
+    const uploadUri = kind === 'image' ? await stripImageMetadata(file.uri) : file.uri;
+    const blob = await uriToBlob(uploadUri);
+    const mimeType = kind === 'image' ? 'image/jpeg' : file.mimeType || blob.type;
+
+    // Sizes reported by pickers can be missing or stale; check the bytes being sent
+    const error = validateAttachment({ ...file, mimeType, size: blob.size });
+    if (error) {
+      throw new Error(error);
+    }
+    if (cancelled) {
+      throw canceledError();
+    }
+
+    const extension = EXTENSIONS[mimeType] || (file.name || '').split('.').pop() || 'bin';
+    const storagePath = `${storageFolder(context)}/${attachmentId}.${extension}`;
+    task = uploadBytesResumable(ref(storage, storagePath), blob, {
+      contentType: mimeType,
+      customMetadata: { attachmentId, sessionId: context.sessionId, kind },
+    });
+
+    await new Promise((resolve, reject) => {
+      task.on(
+        'state_changed',
+        (snapshot) => {
+          if (onProgress && snapshot.totalBytes > 0) {
+            onProgress(snapshot.bytesTransferred / snapshot.totalBytes);
+          }
+        },
+        reject,
+        resolve
+      );
+    });
+
+    const url = await getDownloadURL(task.snapshot.ref);
+
+    // Previews fall back to the full image if the thumbnail fails
+    let thumbnailUrl = null;
+    if (kind === 'image') {
+      try {
+        const thumbnailBlob = await uriToBlob(await generateThumbnail(uploadUri));
+        const thumbnailSnapshot = await uploadBytes(
+          ref(storage, `${storageFolder(context)}/thumbnails/${attachmentId}.jpg`),
+          thumbnailBlob,
+          { contentType: 'image/jpeg' }
+        );
+        thumbnailUrl = await getDownloadURL(thumbnailSnapshot.ref);
+      } catch (thumbnailError) {
+        console.error('Error generating attachment thumbnail:', thumbnailError);
+      }
+    }
+
+    const attachment = {
+      id: attachmentId,
+      kind,
+      name: kind === 'image' ? `${attachmentId}.jpg` : file.name || `${attachmentId}.${extension}`,
+      mimeType,
+      size: blob.size,
+      url,
+      storagePath,
+      thumbnailUrl,
+    };
+
+    await setDoc(attachmentRef, {
+      ...attachment,
+      sessionId: context.sessionId,
+      jobId: context.jobId || null,
+      uploadedBy: context.uploadedBy || null,
+      createdAt: new Date().toISOString(),
+    });
+
+    return attachment;
+  })();
+
+  return {
+    attachmentId,
+    done,
+    cancel: () => {
+      cancelled = true;
+      task?.cancel();
+    },
+  };
+};
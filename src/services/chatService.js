@@ -0,0 +1,297 @@
+/**
+ * Chat Service
+ *
+ * Support chat sessions backing LiveChatWidget, stored in Firestore:
+ * - Sessions in chatSessions/{sessionId}
+ * - Messages in chatSessions/{sessionId}/messages, ordered by timestamp
+ *
+ * Components listen with subscribeToChatSessions() and
+ * subscribeToChatMessages() rather than polling. Messages shown before the
+ * write completes use a temporary `temp_` ID; it is stored on the message as
+ * `clientMessageId` so reconcileMessages() can swap the optimistic copy for
+ * the saved one.
+ *
+ * Messages are never edited. The app writes the user's and agents' messages;
+ * automated ones (the greeting, replies to a session no agent has picked up
+ * and the escalation notice) are posted by Cloud Functions, so nobody can
+ * write a message in the assistant's name. Read state lives on the session.
+ *
+ * Session shape:
+ * { userId, userType, userName, userEmail, jobId, vehicleInfo,
+ *   status: 'active' | 'escalated' | 'closed', isAssignedToHuman,
+ *   unreadCount, readAt, lastMessage, lastActivity, createdAt, closedAt,
+ *   escalatedAt, escalationReason, assignedAgentId, assignedAgentName,
+ *   claimedAt, firstResponseAt, resolvedAt, resolution }
+ *
+ * Message shape:
+ * { sessionId, sender: 'user' | 'assistant' | 'agent', text, timestamp,
+ *   isAutomated, clientMessageId, agentId, agentName,
+ *   attachments: [{ id, kind, name, mimeType, size, url, thumbnailUrl }] }
+ *
+ * Attachments are uploaded first (see chatAttachmentService) and sent on the
+ * message; a message may have attachments and no text.
+ */
+
+import {
+  collection,
+  doc,
+  addDoc,
+  getDocs,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  writeBatch,
+  increment,
+} from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { describeAttachments } from '../utils/attachments';
+
+export const CHAT_SESSIONS_COLLECTION = 'chatSessions';
+
+export const CHAT_SESSION_STATUSES = {
+  ACTIVE: 'active',
+  ESCALATED: 'escalated',
+  CLOSED: 'closed',
+};
+
+export const TEMP_MESSAGE_PREFIX = 'temp_';
+
+const sessionRef = (sessionId) => doc(db, CHAT_SESSIONS_COLLECTION, sessionId);
+const messagesCollection = (sessionId) => collection(db, CHAT_SESSIONS_COLLECTION, sessionId, 'messages');
+
+const toData = (snapshot) => ({ id: snapshot.id, ...snapshot.data() });
+
+/**
+ * Allocate a temporary ID for a message shown before it is saved.
+ */
+export const createTempMessageId = () => `${TEMP_MESSAGE_PREFIX}${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+export const isTempMessageId = (messageId) => typeof messageId === 'string' && messageId.startsWith(TEMP_MESSAGE_PREFIX);
+
+// ---------------------------------------------------------------------------
+// Sessions
+// ---------------------------------------------------------------------------
+
+/**
+ * Start a chat session. The greeting is posted by the server.
+ *
+ * @param {Object} sessionData - { userId, userType, userName, userEmail, jobId, vehicleInfo }
+ * @returns {Promise<string>} New session ID
+ */
+export const createChatSession = async (sessionData) => {
+  const now = new Date().toISOString();
+  const sessionDoc = await addDoc(collection(db, CHAT_SESSIONS_COLLECTION), {
+    userId: sessionData.userId,
+    userType: sessionData.userType || 'customer',
+    userName: sessionData.userName || null,
+    userEmail: sessionData.userEmail || null,
+    jobId: sessionData.jobId || null,
+    vehicleInfo: sessionData.vehicleInfo || null,
+    status: CHAT_SESSION_STATUSES.ACTIVE,
+    isAssignedToHuman: false,
+    assignedAgentId: null,
+    assignedAgentName: null,
+    firstResponseAt: null,
+    resolvedAt: null,
+    unreadCount: 0,
+    readAt: null,
+    lastMessage: null,
+    lastActivity: now,
+    createdAt: now,
+  });
+
+  return sessionDoc.id;
+};
+
+/**
+ * Get a user's chat sessions, most recent activity first.
+ */
+export const getChatSessions = async (userId) => {
+  const q = query(
+    collection(db, CHAT_SESSIONS_COLLECTION),
+    where('userId', '==', userId),
+    orderBy('lastActivity', 'desc')
+  );
+  const snapshot = await getDocs(q);
+  return snapshot.docs.map(toData);
+};
+
+/**
+ * Listen for a user's chat sessions, most recent activity first.
+ *
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToChatSessions = (userId, callback, onError) => {
+  const q = query(
+    collection(db, CHAT_SESSIONS_COLLECTION),
+    where('userId', '==', userId),
+    orderBy('lastActivity', 'desc')
+  );
+
+  return onSnapshot(
+    q,
+    (snapshot) => callback(snapshot.docs.map(toData)),
+    (error) => {
+      console.error('Error listening to chat sessions:', error);
+      if (onError) onError(error);
+    }
+  );
+};
+
+export const closeChatSession = async (sessionId) => {
+  const now = new Date().toISOString();
+  await updateDoc(sessionRef(sessionId), {
+    status: CHAT_SESSION_STATUSES.CLOSED,
+    closedAt: now,
+    lastActivity: now,
+  });
+};
+
+/**
+ * Hand a session to the support team. It joins the agent queue (see
+ * supportQueueService) and automated replies stop.
+ *
+ * @param {string} sessionId - Chat session ID
+ * @param {Object} options
+ * @param {string} options.reason - Optional note from the customer
+ */
+export const escalateChatSession = async (sessionId, { reason = null } = {}) => {
+  const now = new Date().toISOString();
+  await updateDoc(sessionRef(sessionId), {
+    status: CHAT_SESSION_STATUSES.ESCALATED,
+    escalatedAt: now,
+    escalationReason: reason,
+    lastActivity: now,
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Messages
+// ---------------------------------------------------------------------------
+
+/**
+ * Get a session's messages, oldest first.
+ */
+export const getChatMessages = async (sessionId) => {
+  const snapshot = await getDocs(query(messagesCollection(sessionId), orderBy('timestamp', 'asc')));
+  return snapshot.docs.map(toData);
+};
+
+/**
+ * Listen for a session's messages, oldest first. Local writes are delivered
+ * straight away, before the server confirms them.
+ *
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToChatMessages = (sessionId, callback, onError) => {
+  const q = query(messagesCollection(sessionId), orderBy('timestamp', 'asc'));
+
+  return onSnapshot(
+    q,
+    (snapshot) => callback(snapshot.docs.map(toData)),
+    (error) => {
+      console.error('Error listening to chat messages:', error);
+      if (onError) onError(error);
+    }
+  );
+};
+
+/**
+ * Write a message and bump the session's activity and unread count. Pass a
+ * transaction or batch as `writer` to make the writes part of it; without
+ * one they are committed straight away.
+ *
+ * @param {string} sessionId - Chat session ID
+ * @param {string} sender - 'user' or 'agent'
+ * @param {Object} message - { text, attachments, clientMessageId, ...extra fields }
+ * @param {Object} writer - Optional Firestore transaction or write batch
+ * @returns {Promise<Object>} The message as written
+ */
+export const writeMessage = async (sessionId, sender, {
+  text,
+  attachments = [],
+  isAutomated = false,
+  clientMessageId = null,
+  ...extra
+}, writer = null) => {
+  const timestamp = new Date().toISOString();
+  const messageRef = doc(messagesCollection(sessionId));
+  const batch = writer || writeBatch(db);
+
+  batch.set(messageRef, {
+    ...extra,
+    sessionId,
+    sender,
+    text,
+    attachments,
+    timestamp,
+    isAutomated,
+    clientMessageId,
+  });
+  batch.update(sessionRef(sessionId), {
+    lastMessage: text || describeAttachments(attachments),
+    lastActivity: timestamp,
+    ...(sender !== 'user' && { unreadCount: increment(1) }),
+  });
+
+  if (!writer) await batch.commit();
+  return { id: messageRef.id, sessionId, sender, text, attachments, timestamp, clientMessageId };
+};
+
+/**
+ * Send a message. A user message in a session that no human has picked up
+ * gets an automated reply from the server.
+ *
+ * @param {string} sessionId - Chat session ID
+ * @param {string} sender - 'user' or 'agent'
+ * @param {Object} message - { text, attachments, clientMessageId }
+ * @returns {Promise<Object>} The saved message
+ */
+export const sendMessage = async (sessionId, sender, message) => {
+  const text = (message?.text || '').trim();
+  if (!text && !message?.attachments?.length) {
+    throw new Error('Message text is required');
+  }
+
+  return writeMessage(sessionId, sender, { ...message, text });
+};
+
+/**
+ * Mark everything in a session as read by its user and clear the unread count.
+ */
+export const markMessagesAsRead = async (sessionId) => {
+  await updateDoc(sessionRef(sessionId), { unreadCount: 0, readAt: new Date().toISOString() });
+};
+
+/**
+ * Total unread messages across a user's sessions.
+ */
+export const getUnreadMessageCount = async (userId) => {
+  const sessions = await getChatSessions(userId);
+  return countUnreadMessages(sessions);
+};
+
+export const countUnreadMessages = (sessions) => sessions.reduce((sum, session) => sum + (session.unreadCount || 0), 0);
+
+/**
+ * Merge saved messages with optimistic ones still waiting to be saved.
+ * A pending message is dropped once a saved message carries its temporary
+ * ID as `clientMessageId`.
+ *
+ * @param {Array} savedMessages - Messages from subscribeToChatMessages()
+ * @param {Array} pendingMessages - Optimistic messages with `temp_` IDs
+ * @returns {{ messages: Array, pending: Array }} Messages to show, oldest
+ *   first, and the pending messages that are still unconfirmed
+ */
+export const reconcileMessages = (savedMessages, pendingMessages) => {
+  const confirmed = new Set(savedMessages.map(message => message.clientMessageId).filter(Boolean));
+  const pending = pendingMessages.filter(message => !confirmed.has(message.id));
+  const time = (message) => new Date(message.timestamp).getTime();
+
+  return {
+    messages: [...savedMessages, ...pending].sort((a, b) => time(a) - time(b)),
+    pending,
+  };
+};
@@ -0,0 +1,200 @@
+/**
+ * Custom Status Service
+ *
+ * Stores mechanic- or shop-defined job statuses in Firestore. All statuses for
+ * an owner live in a single document (customStatuses/{ownerId}) so reordering
+ * is atomic and the status list can be read inside a transaction.
+ *
+ * Status shape:
+ * { id, label, color, description, order, archived, fromStatuses, toStatuses }
+ */
+
+import { doc, getDoc, runTransaction, onSnapshot } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { JOB_STATUS_TRANSITIONS, findMilestoneSkips } from '../utils/jobStatusMachine';
+
+export const CUSTOM_STATUSES_COLLECTION = 'customStatuses';
+
+const CUSTOM_ID_PREFIX = 'custom_';
+
+const ownerRef = (ownerId) => doc(db, CUSTOM_STATUSES_COLLECTION, ownerId);
+
+const sortByOrder = (statuses) => [...statuses].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+
+/**
+ * Generate an ID for a custom status. IDs are namespaced with `custom_` so
+ * they can never clash with a default status, and get a numeric suffix when
+ * the owner already has a status with the same slug.
+ *
+ * @param {string} label - Status label entered by the mechanic
+ * @param {Array<string>} existingIds - IDs already in use
+ * @returns {string} Unique status ID
+ */
+export const generateCustomStatusId = (label, existingIds = []) => {
+  const slug = label
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'status';
+
+  const taken = new Set([...existingIds, ...Object.keys(JOB_STATUS_TRANSITIONS)]);
+  const baseId = `${CUSTOM_ID_PREFIX}${slug}`;
+
+  let id = baseId;
+  let suffix = 2;
+  while (taken.has(id)) {
+    id = `${baseId}_${suffix}`;
+    suffix += 1;
+  }
+
+  return id;
+};
+
+export const isCustomStatusId = (statusId) => typeof statusId === 'string' && statusId.startsWith(CUSTOM_ID_PREFIX);
+
+/**
+ * Get the custom statuses for a mechanic or shop, in display order.
+ */
+export const getCustomStatuses = async (ownerId, { includeArchived = true } = {}) => {
+  const snapshot = await getDoc(ownerRef(ownerId));
+  const statuses = snapshot.exists() ? snapshot.data().statuses || [] : [];
+  return sortByOrder(includeArchived ? statuses : statuses.filter(s => !s.archived));
+};
+
+/**
+ * Listen for changes to an owner's custom statuses.
+ *
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToCustomStatuses = (ownerId, callback) => {
+  return onSnapshot(
+    ownerRef(ownerId),
+    (snapshot) => {
+      callback(sortByOrder(snapshot.exists() ? snapshot.data().statuses || [] : []));
+    },
+    (error) => console.error('Error listening to custom statuses:', error)
+  );
+};
+
+// Reject a label another active status already uses
+const assertUniqueLabel = (statuses, status) => {
+  const label = status.label.toLowerCase();
+  if (statuses.some(s => s.id !== status.id && !s.archived && s.label.toLowerCase() === label)) {
+    throw new Error(`A status named "${status.label}" already exists`);
+  }
+};
+
+// Reject a placement that would let jobs skip quoting or acceptance
+const assertNoMilestoneSkip = (statuses, status) => {
+  const skip = findMilestoneSkips(statuses).find(s => s.statusId === status.id);
+  if (skip) {
+    throw new Error(`"${status.label}" can't lead to ${skip.to.replace(/_/g, ' ')} before the job is ${skip.missing.join(' and ')}`);
+  }
+};
+
+// Read-modify-write the owner's status list in a transaction
+const updateStatuses = async (ownerId, mutate) => {
+  let result;
+
+  await runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(ownerRef(ownerId));
+    const statuses = snapshot.exists() ? snapshot.data().statuses || [] : [];
+    const { statuses: nextStatuses, value } = mutate(sortByOrder(statuses));
+
+    result = value;
+    transaction.set(ownerRef(ownerId), {
+      ownerId,
+      statuses: nextStatuses.map((status, index) => ({ ...status, order: index })),
+      updatedAt: new Date().toISOString(),
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Add a custom status.
+ *
+ * @param {string} ownerId - Mechanic or shop ID
+ * @param {Object} statusData - { label, color, description, fromStatuses, toStatuses }
+ * @returns {Promise<Object>} The saved status
+ */
+export const addCustomStatus = async (ownerId, statusData) => {
+  const label = statusData.label?.trim();
+  if (!label) {
+    throw new Error('Status label is required');
+  }
+
+  return updateStatuses(ownerId, (statuses) => {
+    const status = {
+      id: generateCustomStatusId(label, statuses.map(s => s.id)),
+      label,
+      color: statusData.color || '#2196f3',
+      description: statusData.description?.trim() || null,
+      fromStatuses: statusData.fromStatuses || [],
+      toStatuses: statusData.toStatuses || [],
+      archived: false,
+      isCustom: true,
+      createdAt: new Date().toISOString(),
+    };
+    const next = [...statuses, status];
+    assertUniqueLabel(statuses, status);
+    assertNoMilestoneSkip(next, status);
+
+    return { statuses: next, value: { ...status, order: statuses.length } };
+  });
+};
+
+/**
+ * Update a custom status's label, color, description or placement.
+ * The ID never changes so existing jobs and history keep resolving.
+ */
+export const updateCustomStatus = async (ownerId, statusId, updates) => {
+  const { id, order, isCustom, ...editable } = updates;
+
+  return updateStatuses(ownerId, (statuses) => {
+    const existing = statuses.find(s => s.id === statusId);
+    if (!existing) {
+      throw new Error('Custom status not found');
+    }
+
+    const updated = {
+      ...existing,
+      ...editable,
+      label: editable.label !== undefined ? editable.label.trim() : existing.label,
+      updatedAt: new Date().toISOString(),
+    };
+    if (!updated.label) {
+      throw new Error('Status label is required');
+    }
+
+    const next = statuses.map(s => (s.id === statusId ? updated : s));
+    if (!updated.archived) {
+      assertUniqueLabel(statuses, updated);
+      assertNoMilestoneSkip(next, updated);
+    }
+
+    return { statuses: next, value: updated };
+  });
+};
+
+/**
+ * Reorder custom statuses. IDs not listed keep their relative order at the end.
+ */
+export const reorderCustomStatuses = async (ownerId, orderedIds) => {
+  return updateStatuses(ownerId, (statuses) => {
+    const byId = new Map(statuses.map(s => [s.id, s]));
+    const reordered = orderedIds.filter(id => byId.has(id)).map(id => byId.get(id));
+    const rest = statuses.filter(s => !orderedIds.includes(s.id));
+    const next = [...reordered, ...rest];
+    return { statuses: next, value: next };
+  });
+};
+
+export const archiveCustomStatus = async (ownerId, statusId) => {
+  return updateCustomStatus(ownerId, statusId, { archived: true });
+};
+
+export const restoreCustomStatus = async (ownerId, statusId) => {
+  return updateCustomStatus(ownerId, statusId, { archived: false });
+};
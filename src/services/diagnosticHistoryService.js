@@ -0,0 +1,198 @@
+/**
+ * Diagnostic History Service
+ *
+ * Keeps every diagnostic run in diagnostics/{diagnosticId}, against both the
+ * vehicle (`vehicleKey`, see getVehicleKey) and the service request, so a
+ * vehicle's diagnostics can be followed across jobs. The service request
+ * points at its newest run with `latestDiagnosticId`.
+ *
+ * A run on a job belongs to the job's customer; its `participants` are the
+ * customer and mechanic at the time it was saved, and only they can list it.
+ * A run without a job belongs to, and is visible to, the user who made it.
+ *
+ * Diagnostic shape:
+ * { vehicleKey, vehicleInfo, serviceRequestId, ownerId, participants,
+ *   symptoms, additionalInfo, troubleCodes, result, createdBy, createdAt,
+ *   confirmedCause: { issue, relatedCodes, listed, note, confirmedBy,
+ *                     confirmedByName, confirmedAt } | null }
+ *
+ * Quotes drafted from a run are listed in `quoteIds` and point back with
+ * their own `diagnosticId`. After the repair a mechanic records which cause
+ * was confirmed; `listed` says whether it was one of the run's likely causes.
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  updateDoc,
+  arrayUnion,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  writeBatch,
+} from 'firebase/firestore';
+import { auth, db } from '../firebase/config';
+import { getVehicleKey } from '../utils/vehicle';
+import { isConfirmedCause } from '../utils/diagnosticDiff';
+
+export const DIAGNOSTICS_COLLECTION = 'diagnostics';
+
+const diagnosticsCollection = () => collection(db, DIAGNOSTICS_COLLECTION);
+
+const toData = (snapshot) => ({ id: snapshot.id, ...snapshot.data() });
+
+/**
+ * Store a diagnostic run.
+ *
+ * @param {Object} diagnosticData - { vehicleInfo, serviceRequestId, symptoms, additionalInfo }
+ * @param {Object} result - Result from generateDiagnostic
+ * @param {string} createdBy - User who ran it (defaults to the signed-in user)
+ * @returns {Promise<string>} New diagnostic ID
+ */
+export const saveDiagnostic = async (diagnosticData, result, createdBy = null) => {
+  const creatorId = createdBy || auth.currentUser?.uid;
+  if (!creatorId) {
+    throw new Error('Sign in to save diagnostics');
+  }
+
+  let ownerId = creatorId;
+  let participants = [creatorId];
+  if (diagnosticData.serviceRequestId) {
+    const job = await getDoc(doc(db, 'serviceRequests', diagnosticData.serviceRequestId));
+    if (!job.exists()) {
+      throw new Error('Service request not found');
+    }
+    ownerId = job.data().customerId;
+    participants = [job.data().customerId, job.data().mechanicId].filter(Boolean);
+  }
+
+  const vehicleKey = getVehicleKey(diagnosticData.vehicleInfo, ownerId);
+  if (!vehicleKey && !diagnosticData.serviceRequestId) {
+    throw new Error('A diagnostic needs a vehicle VIN or license plate, or a service request, to be saved against');
+  }
+
+  const now = new Date().toISOString();
+  const diagnosticRef = doc(diagnosticsCollection());
+  const batch = writeBatch(db);
+
+  batch.set(diagnosticRef, {
+    vehicleKey,
+    vehicleInfo: diagnosticData.vehicleInfo || null,
+    serviceRequestId: diagnosticData.serviceRequestId || null,
+    ownerId,
+    participants,
+    symptoms: (diagnosticData.symptoms || '').trim(),
+    additionalInfo: (diagnosticData.additionalInfo || '').trim(),
+    troubleCodes: result.troubleCodes || [],
+    result,
+    createdBy: creatorId,
+    createdAt: now,
+    quoteIds: [],
+    confirmedCause: null,
+  });
+  if (diagnosticData.serviceRequestId) {
+    batch.update(doc(db, 'serviceRequests', diagnosticData.serviceRequestId), {
+      latestDiagnosticId: diagnosticRef.id,
+      updatedAt: now,
+    });
+  }
+
+  await batch.commit();
+  return diagnosticRef.id;
+};
+
+/**
+ * Listen for a vehicle's diagnostics that the signed-in user took part in,
+ * newest first.
+ *
+ * @param {string} vehicleKey - From getVehicleKey(vehicleInfo, ownerId)
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToVehicleDiagnostics = (vehicleKey, callback, onError) => {
+  const userId = auth.currentUser?.uid;
+  if (!vehicleKey || !userId) {
+    callback([]);
+    return () => {};
+  }
+
+  const q = query(
+    diagnosticsCollection(),
+    where('vehicleKey', '==', vehicleKey),
+    where('participants', 'array-contains', userId),
+    orderBy('createdAt', 'desc')
+  );
+
+  return onSnapshot(
+    q,
+    (snapshot) => callback(snapshot.docs.map(toData)),
+    (error) => {
+      console.error('Error listening to vehicle diagnostics:', error);
+      if (onError) onError(error);
+    }
+  );
+};
+
+/**
+ * Get a single diagnostic.
+ *
+ * @returns {Promise<Object|null>} Null when it doesn't exist
+ */
+export const getDiagnostic = async (diagnosticId) => {
+  const snapshot = await getDoc(doc(db, DIAGNOSTICS_COLLECTION, diagnosticId));
+  return snapshot.exists() ? toData(snapshot) : null;
+};
+
+/**
+ * Get a service request's diagnostics that a user took part in, newest first.
+ */
+export const getServiceRequestDiagnostics = async (serviceRequestId, userId = auth.currentUser?.uid) => {
+  const q = query(
+    diagnosticsCollection(),
+    where('serviceRequestId', '==', serviceRequestId),
+    where('participants', 'array-contains', userId),
+    orderBy('createdAt', 'desc')
+  );
+  const snapshot = await getDocs(q);
+  return snapshot.docs.map(toData);
+};
+
+/**
+ * Record the cause a repair confirmed. Replaces any earlier confirmation.
+ *
+ * @param {Object} diagnostic - Stored diagnostic
+ * @param {Object} cause - { issue, relatedCodes } from its likely causes, or a
+ *   cause the diagnostic missed
+ * @param {Object} mechanic - { id, name }
+ * @param {string} note - Optional note on what the repair found
+ */
+export const confirmDiagnosticCause = async (diagnostic, cause, mechanic, note = '') => {
+  const issue = (cause?.issue || '').trim();
+  if (!issue) {
+    throw new Error('Describe the confirmed cause');
+  }
+
+  const listed = (diagnostic.result?.likelyCauses || []).some(likely => isConfirmedCause(likely, { issue }));
+  await updateDoc(doc(db, DIAGNOSTICS_COLLECTION, diagnostic.id), {
+    confirmedCause: {
+      issue,
+      relatedCodes: cause.relatedCodes || [],
+      listed,
+      note: note.trim() || null,
+      confirmedBy: mechanic.id,
+      confirmedByName: mechanic.name || null,
+      confirmedAt: new Date().toISOString(),
+    },
+  });
+};
+
+/**
+ * Record a quote drafted from a diagnostic.
+ */
+export const linkDiagnosticQuote = async (diagnosticId, quoteId) => {
+  await updateDoc(doc(db, DIAGNOSTICS_COLLECTION, diagnosticId), {
+    quoteIds: arrayUnion(quoteId),
+  });
+};
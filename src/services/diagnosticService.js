@@ -0,0 +1,334 @@
+/**
+ * Diagnostic Service
+ *
+ * AI-assisted vehicle diagnostics behind DiagnosticForm and DiagnosticResults:
+ * - The model is called through the `generateDiagnostic` Cloud Function,
+ *   which holds the OpenAI key; no key is ever entered in or shipped with the app
+ * - The model's JSON is coerced into the diagnostic schema (utils/diagnosticSchema),
+ *   so a partly malformed response still gives a usable, flagged result
+ * - Requests are rate limited per user (the function enforces its own limit too)
+ * - A pluggable model, so tests and offline development can use the
+ *   deterministic stub (REACT_APP_DIAGNOSTIC_MODEL=stub)
+ *
+ * Model interface:
+ *   { name, generate(request) => Promise<Object|string> }
+ *   request: { vehicleInfo, symptoms, additionalInfo, serviceRequestId,
+ *              troubleCodes: [{ code, description }] }
+ * Models should list the trouble codes behind each likely cause in its
+ * `relatedCodes`.
+ *
+ * Results follow the schema in utils/diagnosticSchema, plus
+ * { model, generatedAt, troubleCodes, validation: { partial, issues } }.
+ */
+
+import { httpsCallable } from 'firebase/functions';
+import { auth, functions } from '../firebase/config';
+import { createRateLimiter } from '../utils/rateLimiter';
+import { normalizeDiagnosticResult, toAmount } from '../utils/diagnosticSchema';
+import { lookupDtc, findCodesInText, MAX_TROUBLE_CODES } from '../utils/obdCodes';
+
+export const DIAGNOSTIC_FUNCTION_NAME = 'generateDiagnostic';
+
+// Symptoms beyond this length are cut before being sent to the model
+export const MAX_SYMPTOMS_LENGTH = 2000;
+
+export const DIAGNOSTIC_RATE_LIMIT = { limit: 5, windowMs: 10 * 60 * 1000 };
+
+const rateLimiter = createRateLimiter(DIAGNOSTIC_RATE_LIMIT);
+
+// ---------------------------------------------------------------------------
+// Models
+// ---------------------------------------------------------------------------
+
+// Callable error codes the user can act on
+const PROXY_ERROR_MESSAGES = {
+  'functions/unauthenticated': 'Please sign in to use diagnostics',
+  'functions/resource-exhausted': 'Too many diagnostic requests. Please wait a few minutes and try again',
+  'functions/unavailable': 'The diagnostic service is unavailable. Please try again later',
+  'functions/deadline-exceeded': 'The diagnostic took too long. Please try again',
+};
+
+/**
+ * Model that calls the `generateDiagnostic` Cloud Function. The function
+ * builds the prompt, calls OpenAI with the server-held key and returns the
+ * model's JSON.
+ */
+export const createProxyDiagnosticModel = ({ functionName = DIAGNOSTIC_FUNCTION_NAME } = {}) => {
+  const callDiagnostic = httpsCallable(functions, functionName);
+
+  return {
+    name: 'proxy',
+    generate: async (request) => {
+      try {
+        const response = await callDiagnostic(request);
+        return response.data;
+      } catch (error) {
+        const message = PROXY_ERROR_MESSAGES[error.code];
+        if (message) {
+          throw Object.assign(new Error(message), { code: error.code });
+        }
+        throw error;
+      }
+    },
+  };
+};
+
+// Canned diagnoses for the stub model, matched on symptom keywords in order
+const STUB_DIAGNOSES = [
+  {
+    keywords: ['brake', 'grind', 'squeal', 'squeak'],
+    result: {
+      likelyCauses: [
+        { issue: 'Worn brake pads', probability: 'High', description: 'Grinding or squealing when braking usually means the pads are down to their wear indicators.' },
+        { issue: 'Warped brake rotors', probability: 'Medium', description: 'Vibration through the pedal or steering wheel under braking points to uneven rotors.' },
+      ],
+      recommendedTests: [
+        { test: 'Brake pad thickness inspection', purpose: 'Measure remaining pad material', complexity: 'Simple' },
+        { test: 'Rotor runout measurement', purpose: 'Check rotors for warping', complexity: 'Moderate' },
+      ],
+      suggestedRepairs: [
+        { repair: 'Replace front brake pads', description: 'Fit new pads and lubricate the caliper slides.' },
+        { repair: 'Resurface or replace rotors', description: 'Needed if runout is out of specification.' },
+      ],
+      estimatedCosts: { parts: { min: 80, max: 250 }, labor: { hours: { min: 1, max: 2.5 }, rate: 120 } },
+      severityLevel: 'High',
+      additionalNotes: 'Worn brakes reduce stopping power. Avoid driving until inspected.',
+    },
+  },
+  {
+    keywords: ['start', 'crank', 'click', 'battery'],
+    result: {
+      likelyCauses: [
+        { issue: 'Weak or failed battery', probability: 'High', description: 'Clicking without cranking is typical of low battery voltage.' },
+        { issue: 'Faulty starter motor', probability: 'Medium', description: 'A healthy battery with no crank points to the starter or its solenoid.' },
+      ],
+      recommendedTests: [
+        { test: 'Battery load test', purpose: 'Check the battery holds voltage under load', complexity: 'Simple' },
+        { test: 'Starter current draw test', purpose: 'Check the starter motor and solenoid', complexity: 'Moderate' },
+      ],
+      suggestedRepairs: [
+        { repair: 'Replace battery', description: 'Fit a battery matching the original cold cranking amps.' },
+      ],
+      estimatedCosts: { parts: { min: 120, max: 250 }, labor: { hours: { min: 0.5, max: 1 }, rate: 120 } },
+      severityLevel: 'Medium',
+      additionalNotes: 'Check the terminals for corrosion before replacing parts.',
+    },
+  },
+  {
+    keywords: ['overheat', 'temperature', 'coolant', 'steam'],
+    result: {
+      likelyCauses: [
+        { issue: 'Coolant leak', probability: 'High', description: 'Low coolant is the most common cause of overheating.' },
+        { issue: 'Failed thermostat', probability: 'Medium', description: 'A thermostat stuck closed stops coolant reaching the radiator.' },
+      ],
+      recommendedTests: [
+        { test: 'Cooling system pressure test', purpose: 'Find leaks in the cooling system', complexity: 'Moderate' },
+      ],
+      suggestedRepairs: [
+        { repair: 'Repair coolant leak and refill', description: 'Replace the leaking hose or component and bleed the system.' },
+        { repair: 'Replace thermostat', description: 'Fit a new thermostat and gasket.' },
+      ],
+      estimatedCosts: { parts: { min: 30, max: 200 }, labor: { hours: { min: 1, max: 3 }, rate: 120 } },
+      severityLevel: 'Critical',
+      additionalNotes: 'Driving while overheating can damage the engine. Stop and let it cool.',
+    },
+  },
+];
+
+const STUB_FALLBACK = {
+  likelyCauses: [
+    { issue: 'Needs in-person inspection', probability: 'Low', description: 'The symptoms don\'t point to a specific fault.' },
+  ],
+  recommendedTests: [
+    { test: 'On-board diagnostic scan', purpose: 'Read any stored fault codes', complexity: 'Simple' },
+  ],
+  suggestedRepairs: [],
+  estimatedCosts: { parts: { min: 0, max: 0 }, labor: { hours: { min: 0.5, max: 1 }, rate: 120 } },
+  severityLevel: 'Low',
+  additionalNotes: 'A mechanic should inspect the vehicle to narrow this down.',
+};
+
+/**
+ * Deterministic model that answers from canned diagnoses, for tests and
+ * offline development. The same symptoms always give the same result.
+ */
+export const createStubDiagnosticModel = () => ({
+  name: 'stub',
+  generate: async ({ symptoms = '', troubleCodes = [] }) => {
+    const lower = symptoms.toLowerCase();
+    const match = STUB_DIAGNOSES.find(({ keywords }) => keywords.some(keyword => lower.includes(keyword)));
+    const result = JSON.parse(JSON.stringify(match ? match.result : STUB_FALLBACK));
+
+    // Each known code contributes its most common cause, ahead of the symptom match
+    const codeCauses = troubleCodes
+      .map(({ code }) => lookupDtc(code))
+      .filter(definition => definition?.known)
+      .map((definition, index) => ({
+        issue: definition.causes[0],
+        probability: index === 0 ? 'High' : 'Medium',
+        description: `${definition.code}: ${definition.description}`,
+        relatedCodes: [definition.code],
+      }));
+
+    if (codeCauses.length > 0) {
+      result.likelyCauses = [...codeCauses, ...(match ? result.likelyCauses : [])];
+    }
+    return result;
+  },
+});
+
+let diagnosticModel = null;
+
+export const setDiagnosticModel = (model) => {
+  diagnosticModel = model;
+};
+
+/**
+ * The model in use: the one set with setDiagnosticModel(), otherwise the
+ * stub when REACT_APP_DIAGNOSTIC_MODEL is 'stub', otherwise the proxy.
+ */
+export const getDiagnosticModel = () => {
+  if (!diagnosticModel) {
+    diagnosticModel = process.env.REACT_APP_DIAGNOSTIC_MODEL === 'stub'
+      ? createStubDiagnosticModel()
+      : createProxyDiagnosticModel();
+  }
+  return diagnosticModel;
+};
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+// Models sometimes wrap JSON in a Markdown code fence
+const stripCodeFence = (text) => text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+/**
+ * Keep each cause's `relatedCodes` to codes that were actually submitted,
+ * adding any the cause's text mentions. Models sometimes cite codes that
+ * weren't read from the vehicle; those are dropped.
+ */
+export const citeTroubleCodes = (result, codes = []) => {
+  if (codes.length === 0) {
+    return result;
+  }
+
+  const likelyCauses = result.likelyCauses.map(cause => ({
+    ...cause,
+    relatedCodes: [...new Set([
+      ...(cause.relatedCodes || []).filter(code => codes.includes(code)),
+      ...findCodesInText(`${cause.issue} ${cause.description || ''}`, codes),
+    ])],
+  }));
+
+  const cited = new Set(likelyCauses.flatMap(cause => cause.relatedCodes));
+  const uncited = codes.filter(code => !cited.has(code));
+  const issues = uncited.length > 0
+    ? [...(result.validation?.issues || []), `no likely cause cites ${uncited.join(', ')}`]
+    : result.validation?.issues || [];
+
+  return {
+    ...result,
+    likelyCauses,
+    validation: { partial: issues.length > 0, issues },
+  };
+};
+
+/**
+ * Parse a model response and coerce it into the diagnostic schema (see
+ * utils/diagnosticSchema). Fields that can't be read are dropped and listed
+ * in `validation.issues`.
+ *
+ * @param {Object|string} raw - Parsed result or a JSON string
+ * @returns {Object} Normalized result with `validation: { partial, issues }`
+ * @throws {Error} When the response isn't JSON or has no causes or repairs to show
+ */
+export const parseDiagnosticResult = (raw) => {
+  let parsed = raw;
+  if (typeof raw === 'string') {
+    try {
+      parsed = JSON.parse(stripCodeFence(raw));
+    } catch (error) {
+      throw new Error('The diagnostic service returned an unreadable response');
+    }
+  }
+
+  const { result, issues, partial, usable } = normalizeDiagnosticResult(parsed);
+  if (!usable) {
+    throw new Error('The diagnostic didn\'t identify any likely causes. Try describing the symptoms in more detail');
+  }
+
+  return { ...result, validation: { partial, issues } };
+};
+
+// ---------------------------------------------------------------------------
+// Diagnostics
+// ---------------------------------------------------------------------------
+
+/**
+ * Generate a diagnostic for a vehicle's symptoms.
+ *
+ * @param {Object} diagnosticData - { vehicleInfo, symptoms, additionalInfo, serviceRequestId,
+ *   troubleCodes } (troubleCodes are code strings; invalid ones are ignored)
+ * @param {Object} options
+ * @param {Object} options.model - Model to use (defaults to getDiagnosticModel())
+ * @param {string} options.userId - Rate limit key (defaults to the signed-in user)
+ * @returns {Promise<Object>} Validated result, with `model`, `generatedAt` and `troubleCodes`
+ * @throws {Error} With code 'rate-limited' and `retryAfterMs` when over the limit
+ */
+export const generateDiagnostic = async (diagnosticData, {
+  model = getDiagnosticModel(),
+  userId = auth.currentUser?.uid || 'anonymous',
+} = {}) => {
+  const symptoms = (diagnosticData.symptoms || '').trim();
+  const troubleCodes = (diagnosticData.troubleCodes || [])
+    .map(lookupDtc)
+    .filter((definition, index, all) => definition && all.findIndex(other => other?.code === definition.code) === index)
+    .slice(0, MAX_TROUBLE_CODES);
+  if (!symptoms && troubleCodes.length === 0) {
+    throw new Error('Please describe the symptoms or enter a trouble code');
+  }
+
+  const { allowed, retryAfterMs } = rateLimiter.tryAcquire(userId);
+  if (!allowed) {
+    const minutes = Math.ceil(retryAfterMs / 60000);
+    throw Object.assign(
+      new Error(`You've reached the diagnostic limit. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}`),
+      { code: 'rate-limited', retryAfterMs }
+    );
+  }
+
+  const raw = await model.generate({
+    vehicleInfo: diagnosticData.vehicleInfo || null,
+    symptoms: symptoms.slice(0, MAX_SYMPTOMS_LENGTH),
+    additionalInfo: (diagnosticData.additionalInfo || '').trim().slice(0, MAX_SYMPTOMS_LENGTH),
+    serviceRequestId: diagnosticData.serviceRequestId || null,
+    troubleCodes: troubleCodes.map(({ code, description }) => ({ code, description })),
+  });
+
+  const codes = troubleCodes.map(({ code }) => code);
+  return {
+    ...citeTroubleCodes(parseDiagnosticResult(raw), codes),
+    troubleCodes: codes,
+    model: model.name,
+    generatedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Total estimated cost range: parts plus labor hours at the labor rate.
+ *
+ * @returns {{ min: number, max: number }} Dollars; zero when there is no estimate
+ */
+export const calculateTotalEstimatedCost = (results) => {
+  const costs = results?.estimatedCosts;
+  if (!costs) return { min: 0, max: 0 };
+
+  // Stored results may predate normalization, so nothing here is trusted to be a number
+  const amount = (value) => toAmount(value) || 0;
+  const rate = amount(costs.labor?.rate);
+  return {
+    min: amount(costs.parts?.min) + amount(costs.labor?.hours?.min) * rate,
+    max: amount(costs.parts?.max) + amount(costs.labor?.hours?.max) * rate,
+  };
+};
@@ -0,0 +1,58 @@
+import { createStubDiagnosticModel, parseDiagnosticResult } from './diagnosticService';
+
+// The Firebase app needs real project settings; these tests never call the function
+jest.mock('../firebase/config', () => ({ auth: {}, functions: {} }));
+
+describe('createStubDiagnosticModel', () => {
+  const model = createStubDiagnosticModel();
+
+  test('answers from the symptoms, the same way every time', async () => {
+    const first = await model.generate({ symptoms: 'Grinding noise when I brake' });
+    const second = await model.generate({ symptoms: 'Grinding noise when I brake' });
+
+    expect(first.likelyCauses[0].issue).toBe('Worn brake pads');
+    expect(second).toEqual(first);
+  });
+
+  test('puts known trouble codes ahead of the symptom match', async () => {
+    const result = await model.generate({
+      symptoms: 'Car will not start, just clicks',
+      troubleCodes: [{ code: 'P0171' }, { code: 'P1234' }],
+    });
+
+    expect(result.likelyCauses[0]).toMatchObject({ issue: 'Vacuum leak', probability: 'High', relatedCodes: ['P0171'] });
+    expect(result.likelyCauses[1].issue).toBe('Weak or failed battery');
+  });
+
+  test('falls back to an inspection', async () => {
+    const result = await model.generate({ symptoms: 'Strange smell' });
+    expect(result.likelyCauses[0].issue).toBe('Needs in-person inspection');
+  });
+
+  test('returns results that pass validation', async () => {
+    const result = parseDiagnosticResult(await model.generate({ symptoms: 'Engine overheating' }));
+    expect(result.validation).toEqual({ partial: false, issues: [] });
+  });
+});
+
+describe('parseDiagnosticResult', () => {
+  test('reads JSON wrapped in a code fence', () => {
+    const raw = '```json\n{"likelyCauses":[{"issue":"Dead battery","probability":"high"}],"severityLevel":"Medium"}\n```';
+    const result = parseDiagnosticResult(raw);
+
+    expect(result.likelyCauses[0]).toMatchObject({ issue: 'Dead battery', probability: 'High' });
+    expect(result.severityLevel).toBe('Medium');
+  });
+
+  test('flags fields it had to drop', () => {
+    const result = parseDiagnosticResult({ likelyCauses: ['Dead battery'] });
+
+    expect(result.validation.partial).toBe(true);
+    expect(result.validation.issues).toEqual(expect.arrayContaining(['severityLevel is missing or not recognized']));
+  });
+
+  test('rejects unreadable or empty responses', () => {
+    expect(() => parseDiagnosticResult('not json')).toThrow('unreadable response');
+    expect(() => parseDiagnosticResult({ likelyCauses: [], suggestedRepairs: [] })).toThrow('didn\'t identify any likely causes');
+  });
+});
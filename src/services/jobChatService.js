@@ -0,0 +1,240 @@
+/**
+ * Job Chat Service
+ *
+ * Direct message threads between a customer and the mechanic on a job.
+ * Each job has at most one thread, stored under the job's ID:
+ * - Thread in jobThreads/{requestId}
+ * - Messages in jobThreads/{requestId}/messages, ordered by timestamp
+ *
+ * Threads are opened when the customer accepts a quote and archived, read
+ * only, once the job is completed, closed or cancelled (both happen in the
+ * same transaction as the job update, see firebase/services).
+ *
+ * Read receipts and typing indicators live on the thread document so a
+ * single listener drives them:
+ * - readState: { [userId]: timestamp of the newest message that user has read }
+ * - typing: { [userId]: time the user last typed, or null }
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  writeBatch,
+} from 'firebase/firestore';
+import { db } from '../firebase/config';
+
+export const JOB_THREADS_COLLECTION = 'jobThreads';
+
+export const THREAD_STATUSES = {
+  OPEN: 'open',
+  ARCHIVED: 'archived',
+};
+
+// Job statuses that end the conversation
+export const THREAD_ARCHIVE_STATUSES = ['completed', 'closed', 'cancelled'];
+
+// A typing flag older than this is ignored, in case the client went away mid-message
+export const TYPING_TIMEOUT_MS = 6000;
+
+export const jobThreadRef = (requestId) => doc(db, JOB_THREADS_COLLECTION, requestId);
+const messagesCollection = (requestId) => collection(db, JOB_THREADS_COLLECTION, requestId, 'messages');
+
+const toData = (snapshot) => ({ id: snapshot.id, ...snapshot.data() });
+
+/**
+ * Thread document for a job, written when its quote is accepted.
+ *
+ * @param {string} requestId - Service request ID
+ * @param {Object} job - Service request data with customerId and mechanicId
+ * @param {string} now - ISO timestamp
+ * @returns {Object|null} Thread data, or null when the job has no customer or mechanic yet
+ */
+export const buildJobThread = (requestId, job, now = new Date().toISOString()) => {
+  if (!job?.customerId || !job?.mechanicId) return null;
+
+  return {
+    requestId,
+    customerId: job.customerId,
+    mechanicId: job.mechanicId,
+    participants: [job.customerId, job.mechanicId],
+    customerName: job.customerName || null,
+    mechanicName: job.mechanicName || null,
+    title: job.title || job.serviceType || 'Service request',
+    status: THREAD_STATUSES.OPEN,
+    lastMessage: null,
+    lastActivity: now,
+    readState: {},
+    typing: {},
+    createdAt: now,
+  };
+};
+
+/**
+ * Open a thread for a job that doesn't have one, e.g. jobs accepted before
+ * threads existed. Does nothing if the thread already exists.
+ */
+export const ensureJobThread = async (requestId) => {
+  const existing = await getDoc(jobThreadRef(requestId));
+  if (existing.exists()) return toData(existing);
+
+  const job = await getDoc(doc(db, 'serviceRequests', requestId));
+  const thread = job.exists() ? buildJobThread(requestId, job.data()) : null;
+  if (!thread) {
+    throw new Error('This job has no assigned mechanic yet');
+  }
+
+  await setDoc(jobThreadRef(requestId), thread);
+  return { id: requestId, ...thread };
+};
+
+/**
+ * Listen for a job's thread document (status, read state, typing).
+ *
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToJobThread = (requestId, callback) => {
+  return onSnapshot(
+    jobThreadRef(requestId),
+    (snapshot) => callback(snapshot.exists() ? toData(snapshot) : null),
+    (error) => console.error('Error listening to job thread:', error)
+  );
+};
+
+/**
+ * Listen for every thread a user takes part in, most recent activity first.
+ *
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToJobThreads = (userId, callback) => {
+  const q = query(
+    collection(db, JOB_THREADS_COLLECTION),
+    where('participants', 'array-contains', userId),
+    orderBy('lastActivity', 'desc')
+  );
+
+  return onSnapshot(
+    q,
+    (snapshot) => callback(snapshot.docs.map(toData)),
+    (error) => console.error('Error listening to job threads:', error)
+  );
+};
+
+/**
+ * Listen for a thread's messages, oldest first.
+ *
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToJobMessages = (requestId, callback) => {
+  const q = query(messagesCollection(requestId), orderBy('timestamp', 'asc'));
+  return onSnapshot(
+    q,
+    (snapshot) => callback(snapshot.docs.map(toData)),
+    (error) => console.error('Error listening to job messages:', error)
+  );
+};
+
+/**
+ * Send a message on a job thread. Sending also marks the thread read up to
+ * this message for the sender and clears their typing flag.
+ *
+ * @param {string} requestId - Service request ID
+ * @param {Object} sender - { userId, role: 'customer' | 'mechanic', name }
+ * @param {Object} message - { text, clientMessageId }
+ * @returns {Promise<Object>} The saved message
+ */
+export const sendJobMessage = async (requestId, sender, { text, clientMessageId = null }) => {
+  if (!text?.trim()) {
+    throw new Error('Message text is required');
+  }
+
+  const thread = await getDoc(jobThreadRef(requestId));
+  if (!thread.exists()) {
+    throw new Error('Conversation not found');
+  }
+  if (thread.data().status === THREAD_STATUSES.ARCHIVED) {
+    throw new Error('This conversation is closed because the job has ended');
+  }
+  if (!thread.data().participants.includes(sender.userId)) {
+    throw new Error('You are not part of this conversation');
+  }
+
+  const timestamp = new Date().toISOString();
+  const messageRef = doc(messagesCollection(requestId));
+  const message = {
+    requestId,
+    senderId: sender.userId,
+    senderRole: sender.role,
+    senderName: sender.name || null,
+    text: text.trim(),
+    timestamp,
+    clientMessageId,
+  };
+
+  const batch = writeBatch(db);
+  batch.set(messageRef, message);
+  batch.update(jobThreadRef(requestId), {
+    lastMessage: message.text,
+    lastActivity: timestamp,
+    [`readState.${sender.userId}`]: timestamp,
+    [`typing.${sender.userId}`]: null,
+  });
+  await batch.commit();
+
+  return { id: messageRef.id, ...message };
+};
+
+/**
+ * Record that a user has read the thread up to a message's timestamp.
+ */
+export const markJobThreadRead = async (requestId, userId, upTo) => {
+  await updateDoc(jobThreadRef(requestId), { [`readState.${userId}`]: upTo });
+};
+
+/**
+ * Set or clear a user's typing flag. Callers should throttle this to one
+ * write every few seconds while the user types.
+ */
+export const setJobThreadTyping = async (requestId, userId, isTyping) => {
+  await updateDoc(jobThreadRef(requestId), {
+    [`typing.${userId}`]: isTyping ? new Date().toISOString() : null,
+  });
+};
+
+/**
+ * Archive a job's thread so no more messages can be sent.
+ */
+export const archiveJobThread = async (requestId) => {
+  const now = new Date().toISOString();
+  await updateDoc(jobThreadRef(requestId), {
+    status: THREAD_STATUSES.ARCHIVED,
+    archivedAt: now,
+    typing: {},
+  });
+};
+
+/**
+ * Whether a message has been read by the other participant.
+ */
+export const isReadByRecipient = (message, thread) => {
+  if (!thread || !message?.senderId) return false;
+  const recipientId = thread.participants.find(id => id !== message.senderId);
+  const readUpTo = thread.readState?.[recipientId];
+  return Boolean(readUpTo) && new Date(readUpTo).getTime() >= new Date(message.timestamp).getTime();
+};
+
+/**
+ * Whether the other participant is typing right now.
+ */
+export const isOtherParticipantTyping = (thread, viewerId, now = Date.now()) => {
+  if (!thread || thread.status === THREAD_STATUSES.ARCHIVED) return false;
+  return Object.entries(thread.typing || {}).some(([userId, typedAt]) => (
+    userId !== viewerId && typedAt && now - new Date(typedAt).getTime() < TYPING_TIMEOUT_MS
+  ));
+};
@@ -0,0 +1,276 @@
+/**
+ * Location Tracking Service
+ *
+ * Shares the mechanic's live position with the customer while a job is
+ * en route or in progress:
+ * - Watches the device location and publishes it to jobTracking/{requestId}
+ *   at a throttled rate (see utils/locationThrottle)
+ * - Runs for the whole signed-in session rather than a screen: the app starts
+ *   a session for each of the mechanic's jobs that is en route or in progress,
+ *   and each session ends on its own once its job leaves those statuses; the
+ *   last position is cleared when sharing ends
+ * - Screens follow a session's state (sharing, last error) without owning it
+ * - Customers subscribe to the tracking document for a live view and ETA
+ *
+ * Tracking document shape:
+ * { requestId, mechanicId, customerId, active, status, latitude, longitude,
+ *   accuracy, heading, speed, updatedAt, startedAt, endedAt }
+ */
+
+import { collection, doc, setDoc, onSnapshot, query, where } from 'firebase/firestore';
+import * as Location from 'expo-location';
+import { db } from '../firebase/config';
+import { DEFAULT_THROTTLE, shouldPublishPosition } from '../utils/locationThrottle';
+
+export const TRACKING_STATUSES = ['en_route', 'in_progress'];
+
+const trackingRef = (requestId) => doc(db, 'jobTracking', requestId);
+
+// Active sharing sessions keyed by request ID
+const sessions = new Map();
+
+// Screens following a session's state, keyed by request ID
+const stateListeners = new Map();
+
+export const shouldShareLocation = (status) => TRACKING_STATUSES.includes(status);
+
+const sharingState = (requestId) => {
+  const session = sessions.get(requestId);
+  return { sharing: Boolean(session?.watcher), error: session?.error || null };
+};
+
+const notifyState = (requestId) => {
+  const state = sharingState(requestId);
+  (stateListeners.get(requestId) || []).forEach(listener => listener(state));
+};
+
+const publishPosition = (session, position) => {
+  const { coords, timestamp } = position;
+  const next = { latitude: coords.latitude, longitude: coords.longitude, time: timestamp || Date.now() };
+
+  if (!shouldPublishPosition(session.lastPublished, next, session.options)) return;
+  session.lastPublished = next;
+
+  setDoc(trackingRef(session.requestId), {
+    requestId: session.requestId,
+    mechanicId: session.mechanicId,
+    customerId: session.customerId,
+    active: true,
+    status: session.status,
+    latitude: coords.latitude,
+    longitude: coords.longitude,
+    accuracy: coords.accuracy ?? null,
+    heading: coords.heading ?? null,
+    speed: coords.speed ?? null,
+    updatedAt: new Date(next.time).toISOString(),
+  }, { merge: true }).catch(error => {
+    console.error('Error publishing mechanic location:', error);
+  });
+};
+
+const startWatching = async (session) => {
+  if (session.watcher || session.starting) return;
+  session.starting = true;
+
+  try {
+    const { status } = await Location.requestForegroundPermissionsAsync();
+    if (status !== 'granted') {
+      throw new Error('Location permission is required to share your location');
+    }
+
+    // The job may have ended while the permission prompt was open
+    if (session.stopped || !shouldShareLocation(session.status)) return;
+
+    await setDoc(trackingRef(session.requestId), {
+      requestId: session.requestId,
+      mechanicId: session.mechanicId,
+      customerId: session.customerId,
+      active: true,
+      status: session.status,
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+    }, { merge: true });
+
+    session.watcher = await Location.watchPositionAsync(
+      {
+        accuracy: Location.Accuracy.High,
+        timeInterval: session.options.minIntervalMs,
+        distanceInterval: session.options.minDistanceMeters / 2,
+      },
+      (position) => publishPosition(session, position)
+    );
+    session.error = null;
+  } catch (error) {
+    console.error('Error starting location sharing:', error);
+    session.error = error.message;
+    if (session.onError) session.onError(error);
+  } finally {
+    session.starting = false;
+    // Stopped while the watcher was being created
+    if (session.watcher && (session.stopped || !shouldShareLocation(session.status))) {
+      stopWatching(session);
+    }
+    notifyState(session.requestId);
+  }
+};
+
+const stopWatching = (session) => {
+  const wasSharing = Boolean(session.watcher) || session.lastPublished !== null;
+
+  session.watcher?.remove();
+  session.watcher = null;
+  session.lastPublished = null;
+
+  if (!wasSharing) return Promise.resolve();
+
+  return setDoc(trackingRef(session.requestId), {
+    active: false,
+    status: session.status,
+    latitude: null,
+    longitude: null,
+    accuracy: null,
+    heading: null,
+    speed: null,
+    endedAt: new Date().toISOString(),
+  }, { merge: true }).catch(error => {
+    console.error('Error ending location sharing:', error);
+  });
+};
+
+/**
+ * Share the mechanic's location for a job. Sharing starts once the job is en
+ * route or in progress, and the session ends when the job moves to any other
+ * status. Calling again for the same job returns the existing session's stop
+ * function.
+ *
+ * @param {string} requestId - Service request ID
+ * @param {string} mechanicId - Mechanic's user ID
+ * @param {Object} options - Throttle settings (see DEFAULT_THROTTLE) and onError
+ * @returns {Function} Stops sharing and clears the published position
+ */
+export const startLocationSharing = (requestId, mechanicId, { onError, ...options } = {}) => {
+  if (sessions.has(requestId)) {
+    return sessions.get(requestId).stop;
+  }
+
+  const session = {
+    requestId,
+    mechanicId,
+    customerId: null,
+    status: null,
+    options: { ...DEFAULT_THROTTLE, ...options },
+    onError,
+    error: null,
+    watcher: null,
+    tracked: false, // Whether the job has been in a tracking status yet
+    starting: false,
+    stopped: false,
+    lastPublished: null,
+  };
+
+  const unsubscribeJob = onSnapshot(
+    doc(db, 'serviceRequests', requestId),
+    (snapshot) => {
+      if (!snapshot.exists()) return;
+      const job = snapshot.data();
+      session.customerId = job.customerId || null;
+      session.status = job.status;
+
+      if (shouldShareLocation(job.status)) {
+        session.tracked = true;
+        startWatching(session);
+      } else if (session.tracked) {
+        session.stop();
+      }
+    },
+    (error) => console.error('Error listening to job for location sharing:', error)
+  );
+
+  session.stop = () => {
+    if (session.stopped) return Promise.resolve();
+    session.stopped = true;
+    unsubscribeJob();
+    sessions.delete(requestId);
+    const stopped = stopWatching(session);
+    notifyState(requestId);
+    return stopped;
+  };
+
+  sessions.set(requestId, session);
+  return session.stop;
+};
+
+export const stopLocationSharing = (requestId) => {
+  return sessions.get(requestId)?.stop() || Promise.resolve();
+};
+
+export const isSharingLocation = (requestId) => Boolean(sessions.get(requestId)?.watcher);
+
+/**
+ * Share the mechanic's location for each of their jobs that is en route or in
+ * progress. Meant to run for as long as the mechanic is signed in, so sharing
+ * doesn't depend on which screen is open; each job's session ends when the
+ * job leaves those statuses. Users with no such jobs share nothing.
+ *
+ * @param {string} mechanicId - Signed-in user's ID
+ * @param {Object} options - Passed to startLocationSharing()
+ * @returns {Function} Stops listening and ends every session started here (e.g. on sign-out)
+ */
+export const shareLocationForActiveJobs = (mechanicId, options = {}) => {
+  const started = new Set();
+  const q = query(
+    collection(db, 'serviceRequests'),
+    where('mechanicId', '==', mechanicId),
+    where('status', 'in', TRACKING_STATUSES)
+  );
+
+  const unsubscribe = onSnapshot(
+    q,
+    (snapshot) => {
+      snapshot.docs.forEach(jobDoc => {
+        startLocationSharing(jobDoc.id, mechanicId, options);
+        started.add(jobDoc.id);
+      });
+    },
+    (error) => console.error('Error listening to active jobs for location sharing:', error)
+  );
+
+  return () => {
+    unsubscribe();
+    started.forEach(requestId => stopLocationSharing(requestId));
+  };
+};
+
+/**
+ * Follow whether the mechanic's location is being shared for a job.
+ *
+ * @param {string} requestId - Service request ID
+ * @param {Function} callback - Called now and on every change with { sharing, error }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToSharingState = (requestId, callback) => {
+  if (!stateListeners.has(requestId)) stateListeners.set(requestId, new Set());
+  const listeners = stateListeners.get(requestId);
+  listeners.add(callback);
+  callback(sharingState(requestId));
+
+  return () => {
+    listeners.delete(callback);
+    if (listeners.size === 0) stateListeners.delete(requestId);
+  };
+};
+
+/**
+ * Listen for the mechanic's shared position on a job.
+ *
+ * @param {string} requestId - Service request ID
+ * @param {Function} callback - Called with the tracking document, or null before sharing starts
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToMechanicLocation = (requestId, callback) => {
+  return onSnapshot(
+    trackingRef(requestId),
+    (snapshot) => callback(snapshot.exists() ? snapshot.data() : null),
+    (error) => console.error('Error listening to mechanic location:', error)
+  );
+};
@@ -0,0 +1,572 @@
+/**
+ * Map Service
+ *
+ * Map plumbing for the live job map:
+ * - Loads the Google Maps JavaScript API once, using REACT_APP_GOOGLE_MAPS_API_KEY
+ * - Real-time Firestore subscription to a mechanic's active jobs with coordinates
+ * - A pluggable map provider so components never touch window.google directly;
+ *   the in-memory fake provider lets the map run without a network or API key
+ * - Day route planning, using the provider's travel times when it has a
+ *   routing API and local estimates otherwise
+ * - Drawing service areas and picking points for the service area editor
+ *
+ * Provider interface:
+ *   load() => Promise<void>
+ *   createMap(container, { center, zoom }) => MapHandle
+ *   getTravelMatrix(positions) => Promise<{ minutes, meters }>  (optional)
+ *
+ * MapHandle:
+ *   addMarker({ position, title, label, color, onClick }) => MarkerHandle
+ *   drawRoute(positions) => { remove() }
+ *   drawArea(area, { color }) => { remove() }  (radius or polygon service area)
+ *   onMapClick(callback) => unsubscribe  (called with { latitude, longitude })
+ *   openInfoWindow({ position, content }) => { setContent(content), close() }
+ *     (content is an HTML string; one info window is open at a time)
+ *   onViewChange(callback) => unsubscribe  (called with { zoom } after pans and zooms)
+ *   setCenter({ latitude, longitude }), setZoom(zoom), getZoom()
+ *   fitBounds(positions), destroy()
+ *
+ * MarkerHandle:
+ *   update({ position, title, label, color }), remove()
+ */
+
+import { collection, query, where, onSnapshot } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { planRoute, DEFAULT_JOB_DURATION_MINUTES } from '../utils/routePlanner';
+
+const GOOGLE_MAPS_SCRIPT_ID = 'google-maps-script';
+
+// Jobs in these statuses are finished and no longer shown on the map
+export const INACTIVE_JOB_STATUSES = ['completed', 'closed', 'cancelled'];
+
+// Jobs the mechanic has committed to and can be routed to
+export const PLANNABLE_JOB_STATUSES = ['accepted', 'en_route', 'in_progress'];
+
+// Distance Matrix allows 100 elements per request, so 10 points including the start
+const MAX_MATRIX_POINTS = 10;
+
+// A job with only `scheduledAt` should be reached within this many minutes of it
+const SCHEDULED_ARRIVAL_WINDOW_MINUTES = 30;
+
+// ---------------------------------------------------------------------------
+// Google Maps script
+// ---------------------------------------------------------------------------
+
+let scriptPromise = null;
+
+/**
+ * Load the Google Maps JavaScript API. Repeated calls share one script tag
+ * and one promise; a failed load can be retried.
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey - Defaults to REACT_APP_GOOGLE_MAPS_API_KEY
+ * @param {Array<string>} options.libraries - Extra Maps libraries to load
+ * @returns {Promise<Object>} window.google.maps
+ */
+export const loadGoogleMapsScript = ({
+  apiKey = process.env.REACT_APP_GOOGLE_MAPS_API_KEY,
+  libraries = [],
+} = {}) => {
+  if (typeof window !== 'undefined' && window.google?.maps) {
+    return Promise.resolve(window.google.maps);
+  }
+
+  if (!scriptPromise) {
+    scriptPromise = new Promise((resolve, reject) => {
+      if (typeof document === 'undefined') {
+        reject(new Error('Google Maps can only be loaded in a browser'));
+        return;
+      }
+      if (!apiKey) {
+        reject(new Error('REACT_APP_GOOGLE_MAPS_API_KEY is not set'));
+        return;
+      }
+
+      const params = new URLSearchParams({ key: apiKey, v: 'weekly' });
+      if (libraries.length > 0) {
+        params.set('libraries', libraries.join(','));
+      }
+
+      const script = document.createElement('script');
+      script.id = GOOGLE_MAPS_SCRIPT_ID;
+      script.src = `https://maps.googleapis.com/maps/api/js?${params.toString()}`;
+      script.async = true;
+      script.defer = true;
+      script.onload = () => resolve(window.google.maps);
+      script.onerror = () => {
+        script.remove();
+        reject(new Error('Failed to load the Google Maps script'));
+      };
+
+      document.head.appendChild(script);
+    }).catch(error => {
+      scriptPromise = null;
+      throw error;
+    });
+  }
+
+  return scriptPromise;
+};
+
+// ---------------------------------------------------------------------------
+// Providers
+// ---------------------------------------------------------------------------
+
+/**
+ * Map provider backed by the Google Maps JavaScript API.
+ */
+export const createGoogleMapsProvider = (options = {}) => {
+  const markerIcon = (maps, color) => ({
+    path: maps.SymbolPath.CIRCLE,
+    fillColor: color,
+    fillOpacity: 0.9,
+    strokeWeight: 0,
+    scale: 10,
+  });
+
+  const markerLabel = (label) => (label ? { text: label, color: 'white', fontWeight: 'bold' } : null);
+  const toLatLng = (p) => ({ lat: p.latitude, lng: p.longitude });
+
+  return {
+    name: 'google',
+    load: () => loadGoogleMapsScript(options),
+    getTravelMatrix: async (positions) => {
+      if (positions.length > MAX_MATRIX_POINTS) {
+        throw new Error(`Travel matrix supports at most ${MAX_MATRIX_POINTS} points`);
+      }
+
+      const maps = window.google.maps;
+      const points = positions.map(toLatLng);
+      const response = await new maps.DistanceMatrixService().getDistanceMatrix({
+        origins: points,
+        destinations: points,
+        travelMode: maps.TravelMode.DRIVING,
+      });
+
+      const minutes = [];
+      const meters = [];
+      response.rows.forEach((row, i) => {
+        minutes[i] = [];
+        meters[i] = [];
+        row.elements.forEach((element, j) => {
+          if (element.status !== 'OK') {
+            throw new Error(`No route between stops (${element.status})`);
+          }
+          minutes[i][j] = i === j ? 0 : Math.round(element.duration.value / 60);
+          meters[i][j] = i === j ? 0 : element.distance.value;
+        });
+      });
+
+      return { minutes, meters };
+    },
+    createMap: (container, { center, zoom = 10 } = {}) => {
+      const maps = window.google.maps;
+      const map = new maps.Map(container, {
+        center: { lat: center.latitude, lng: center.longitude },
+        zoom,
+        mapTypeControl: false,
+        streetViewControl: false,
+        fullscreenControl: false,
+      });
+      const infoWindow = new maps.InfoWindow();
+
+      return {
+        native: map,
+        addMarker: ({ position, title, label, color, onClick }) => {
+          const marker = new maps.Marker({
+            map,
+            position: { lat: position.latitude, lng: position.longitude },
+            title,
+            label: markerLabel(label),
+            icon: markerIcon(maps, color),
+          });
+          const listener = onClick ? marker.addListener('click', onClick) : null;
+
+          return {
+            native: marker,
+            update: (changes) => {
+              if (changes.position) {
+                marker.setPosition({ lat: changes.position.latitude, lng: changes.position.longitude });
+              }
+              if (changes.title !== undefined) marker.setTitle(changes.title);
+              if (changes.label !== undefined) marker.setLabel(markerLabel(changes.label));
+              if (changes.color) marker.setIcon(markerIcon(maps, changes.color));
+            },
+            remove: () => {
+              listener?.remove();
+              marker.setMap(null);
+            },
+          };
+        },
+        drawRoute: (positions) => {
+          // Straight segments show at once; road geometry replaces them when Directions answers
+          const polyline = new maps.Polyline({
+            map,
+            path: positions.map(toLatLng),
+            strokeColor: '#2196f3',
+            strokeOpacity: 0.8,
+            strokeWeight: 4,
+          });
+          let renderer = null;
+          let removed = false;
+
+          if (positions.length >= 2 && positions.length <= 27) {
+            new maps.DirectionsService().route({
+              origin: toLatLng(positions[0]),
+              destination: toLatLng(positions[positions.length - 1]),
+              waypoints: positions.slice(1, -1).map(p => ({ location: toLatLng(p), stopover: true })),
+              travelMode: maps.TravelMode.DRIVING,
+            }).then(result => {
+              if (removed) return;
+              renderer = new maps.DirectionsRenderer({
+                map,
+                directions: result,
+                suppressMarkers: true,
+                preserveViewport: true,
+              });
+              polyline.setMap(null);
+            }).catch(error => {
+              console.error('Error loading route directions:', error);
+            });
+          }
+
+          return {
+            remove: () => {
+              removed = true;
+              polyline.setMap(null);
+              renderer?.setMap(null);
+            },
+          };
+        },
+        drawArea: (area, { color = '#2196f3' } = {}) => {
+          const shapeOptions = {
+            map,
+            strokeColor: color,
+            strokeOpacity: 0.8,
+            strokeWeight: 2,
+            fillColor: color,
+            fillOpacity: 0.15,
+            clickable: false,
+          };
+          const shape = area.type === 'radius'
+            ? new maps.Circle({ ...shapeOptions, center: toLatLng(area.center), radius: area.radiusMeters })
+            : new maps.Polygon({ ...shapeOptions, paths: area.points.map(toLatLng) });
+
+          return { remove: () => shape.setMap(null) };
+        },
+        onMapClick: (callback) => {
+          const listener = map.addListener('click', (event) => {
+            callback({ latitude: event.latLng.lat(), longitude: event.latLng.lng() });
+          });
+          return () => listener.remove();
+        },
+        openInfoWindow: ({ position, content }) => {
+          infoWindow.setContent(content);
+          infoWindow.setPosition(toLatLng(position));
+          infoWindow.open({ map });
+          return {
+            setContent: (next) => infoWindow.setContent(next),
+            close: () => infoWindow.close(),
+          };
+        },
+        onViewChange: (callback) => {
+          const listener = map.addListener('idle', () => callback({ zoom: map.getZoom() }));
+          return () => listener.remove();
+        },
+        setCenter: ({ latitude, longitude }) => map.setCenter({ lat: latitude, lng: longitude }),
+        setZoom: (level) => map.setZoom(level),
+        getZoom: () => map.getZoom(),
+        fitBounds: (positions) => {
+          if (positions.length === 0) return;
+          const bounds = new maps.LatLngBounds();
+          positions.forEach(p => bounds.extend({ lat: p.latitude, lng: p.longitude }));
+          map.fitBounds(bounds);
+        },
+        destroy: () => {
+          infoWindow.close();
+          maps.event.clearInstanceListeners(map);
+        },
+      };
+    },
+  };
+};
+
+/**
+ * In-memory map provider for tests and offline development. Maps and
+ * markers are plain objects that can be inspected through `maps`.
+ */
+export const createFakeMapProvider = () => {
+  const maps = [];
+  let nextMarkerId = 1;
+
+  return {
+    name: 'fake',
+    maps,
+    load: () => Promise.resolve(),
+    createMap: (container, { center, zoom = 10 } = {}) => {
+      const state = { container, center, zoom, markers: new Map(), areas: new Set(), infoWindow: null, destroyed: false };
+      const viewListeners = new Set();
+      const clickListeners = new Set();
+      const notifyView = () => viewListeners.forEach(listener => listener({ zoom: state.zoom }));
+      maps.push(state);
+
+      return {
+        native: state,
+        addMarker: (markerOptions) => {
+          const id = nextMarkerId;
+          nextMarkerId += 1;
+          state.markers.set(id, { ...markerOptions });
+
+          return {
+            native: state.markers.get(id),
+            update: (changes) => state.markers.set(id, { ...state.markers.get(id), ...changes }),
+            remove: () => state.markers.delete(id),
+            click: () => state.markers.get(id)?.onClick?.(),
+          };
+        },
+        drawRoute: (positions) => {
+          state.route = positions;
+          return {
+            remove: () => {
+              state.route = null;
+            },
+          };
+        },
+        drawArea: (area, { color = '#2196f3' } = {}) => {
+          const shape = { ...area, color };
+          state.areas.add(shape);
+          return { remove: () => state.areas.delete(shape) };
+        },
+        onMapClick: (callback) => {
+          clickListeners.add(callback);
+          return () => clickListeners.delete(callback);
+        },
+        click: (position) => clickListeners.forEach(listener => listener(position)),
+        openInfoWindow: ({ position, content }) => {
+          state.infoWindow = { position, content };
+          return {
+            setContent: (next) => {
+              if (state.infoWindow) state.infoWindow.content = next;
+            },
+            close: () => {
+              state.infoWindow = null;
+            },
+          };
+        },
+        onViewChange: (callback) => {
+          viewListeners.add(callback);
+          return () => viewListeners.delete(callback);
+        },
+        setCenter: (position) => {
+          state.center = position;
+          notifyView();
+        },
+        setZoom: (level) => {
+          state.zoom = level;
+          notifyView();
+        },
+        getZoom: () => state.zoom,
+        fitBounds: (positions) => {
+          state.bounds = positions;
+          notifyView();
+        },
+        destroy: () => {
+          state.destroyed = true;
+          state.markers.clear();
+          state.areas.clear();
+        },
+      };
+    },
+  };
+};
+
+let mapProvider = null;
+
+export const setMapProvider = (provider) => {
+  mapProvider = provider;
+};
+
+/**
+ * The active map provider. Defaults to Google Maps; falls back to the fake
+ * provider when REACT_APP_MAP_PROVIDER is 'fake'.
+ */
+export const getMapProvider = () => {
+  if (!mapProvider) {
+    mapProvider = process.env.REACT_APP_MAP_PROVIDER === 'fake'
+      ? createFakeMapProvider()
+      : createGoogleMapsProvider();
+  }
+  return mapProvider;
+};
+
+// ---------------------------------------------------------------------------
+// Job locations
+// ---------------------------------------------------------------------------
+
+/**
+ * Read coordinates from a service request. Accepts `location: { latitude,
+ * longitude }` (plain object or Firestore GeoPoint) or top-level fields.
+ *
+ * @returns {{ latitude: number, longitude: number } | null}
+ */
+export const getJobCoordinates = (job) => {
+  const source = job?.location && job.location.latitude !== undefined ? job.location : job;
+  const latitude = Number(source?.latitude);
+  const longitude = Number(source?.longitude);
+
+  if (source?.latitude === undefined || source?.longitude === undefined
+    || Number.isNaN(latitude) || Number.isNaN(longitude)) {
+    return null;
+  }
+  return { latitude, longitude };
+};
+
+const toJobLocation = (snapshot) => {
+  const job = snapshot.data();
+  const coordinates = getJobCoordinates(job);
+  if (!coordinates) return null;
+
+  return {
+    id: snapshot.id,
+    ...coordinates,
+    title: job.title || job.serviceType || 'Service request',
+    status: job.status,
+    serviceType: job.serviceType || null,
+    customerName: job.customerName || null,
+    vehicleInfo: job.vehicleInfo || null,
+    latestQuoteId: job.latestQuoteId || null,
+    acceptedQuoteId: job.acceptedQuoteId || null,
+    address: job.location?.address || job.address || null,
+    scheduledAt: job.scheduledAt || null,
+    appointmentWindow: job.appointmentWindow || null,
+    estimatedDurationMinutes: job.estimatedDurationMinutes
+      || (job.estimatedHours ? Math.round(Number(job.estimatedHours) * 60) : null),
+    createdAt: job.createdAt || null,
+  };
+};
+
+/**
+ * Listen for a mechanic's active jobs that have coordinates. Completed,
+ * closed and cancelled jobs are left out.
+ *
+ * @param {string} mechanicId - Mechanic's user ID
+ * @param {Function} callback - Called with [{ id, latitude, longitude, title, status, ... }]
+ * @param {Function} onError - Optional error handler
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToJobLocations = (mechanicId, callback, onError) => {
+  const q = query(
+    collection(db, 'serviceRequests'),
+    where('mechanicId', '==', mechanicId),
+    where('status', 'not-in', INACTIVE_JOB_STATUSES)
+  );
+
+  return onSnapshot(
+    q,
+    (snapshot) => callback(snapshot.docs.map(toJobLocation).filter(Boolean)),
+    (error) => {
+      console.error('Error listening to job locations:', error);
+      if (onError) onError(error);
+    }
+  );
+};
+
+const isSameDay = (a, b) => a.toDateString() === b.toDateString();
+
+const jobDate = (job) => job.appointmentWindow?.start || job.scheduledAt || null;
+
+/**
+ * Filter job locations for the map.
+ *
+ * @param {Array} jobs - Job locations from subscribeToJobLocations()
+ * @param {Object} filters
+ * @param {Array<string>} filters.statuses - Status IDs to keep (all when empty)
+ * @param {Array<string>} filters.serviceTypes - Service types to keep (all when empty)
+ * @param {string} filters.date - 'all', 'today', 'week' (next 7 days) or 'unscheduled'
+ * @param {Date} now - Reference time for date filters
+ * @returns {Array} Matching jobs
+ */
+export const filterJobLocations = (jobs, { statuses = [], serviceTypes = [], date = 'all' } = {}, now = new Date()) => {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  return jobs.filter(job => {
+    if (statuses.length > 0 && !statuses.includes(job.status)) return false;
+    if (serviceTypes.length > 0 && !serviceTypes.includes(job.serviceType)) return false;
+
+    const scheduled = jobDate(job);
+    switch (date) {
+      case 'today':
+        return Boolean(scheduled) && isSameDay(new Date(scheduled), now);
+      case 'week': {
+        if (!scheduled) return false;
+        const time = new Date(scheduled).getTime();
+        return time >= startOfToday.getTime() && time < startOfToday.getTime() + 7 * dayMs;
+      }
+      case 'unscheduled':
+        return !scheduled;
+      default:
+        return true;
+    }
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Route planning
+// ---------------------------------------------------------------------------
+
+/**
+ * Pick the jobs worth routing to on a given day: committed jobs that are
+ * scheduled that day, plus unscheduled ones.
+ */
+export const getPlannableJobs = (jobs, day = new Date()) => {
+  return jobs.filter(job => {
+    if (!PLANNABLE_JOB_STATUSES.includes(job.status)) return false;
+    const scheduled = jobDate(job);
+    return !scheduled || isSameDay(new Date(scheduled), day);
+  });
+};
+
+const toStop = (job) => {
+  const windowStart = jobDate(job);
+  const windowEnd = job.appointmentWindow?.end
+    || (job.scheduledAt
+      ? new Date(new Date(job.scheduledAt).getTime() + SCHEDULED_ARRIVAL_WINDOW_MINUTES * 60000).toISOString()
+      : null);
+
+  return {
+    ...job,
+    windowStart,
+    windowEnd,
+    durationMinutes: job.estimatedDurationMinutes || DEFAULT_JOB_DURATION_MINUTES,
+  };
+};
+
+/**
+ * Plan the visiting order for a mechanic's jobs. Uses the map provider's
+ * routing API for travel times when it has one, and falls back to local
+ * straight-line estimates when it doesn't or the request fails.
+ *
+ * @param {Object} start - { latitude, longitude } of the mechanic
+ * @param {Array} jobs - Job locations from subscribeToJobLocations()
+ * @param {Object} options
+ * @param {Object} options.provider - Map provider (defaults to getMapProvider())
+ * @param {number} options.startTime - Departure time (defaults to now)
+ * @returns {Promise<Object>} planRoute() result plus `source`: 'routing' or 'local'
+ */
+export const planJobRoute = async (start, jobs, { provider = getMapProvider(), startTime = Date.now() } = {}) => {
+  const stops = jobs.map(toStop);
+  let matrix = null;
+  let source = 'local';
+
+  if (provider.getTravelMatrix && stops.length > 0) {
+    try {
+      matrix = await provider.getTravelMatrix([start, ...stops]);
+      source = 'routing';
+    } catch (error) {
+      console.error('Routing API unavailable, using local estimates:', error);
+    }
+  }
+
+  return { ...planRoute(start, stops, { matrix, startTime }), source };
+};
@@ -0,0 +1,209 @@
+import { onSnapshot, where } from 'firebase/firestore';
+import {
+  createFakeMapProvider,
+  getMapProvider,
+  setMapProvider,
+  getJobCoordinates,
+  subscribeToJobLocations,
+  filterJobLocations,
+  getPlannableJobs,
+  planJobRoute,
+  INACTIVE_JOB_STATUSES,
+} from './mapService';
+
+// The Firebase app needs real project settings; the listener is faked below
+jest.mock('../firebase/config', () => ({ db: {} }));
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((db, path) => path),
+  query: jest.fn((...parts) => parts),
+  where: jest.fn((...clause) => clause),
+  onSnapshot: jest.fn(),
+}));
+
+const snapshotOf = (jobs) => ({
+  docs: Object.entries(jobs).map(([id, job]) => ({ id, data: () => job })),
+});
+
+describe('getJobCoordinates', () => {
+  test('reads a location object or top-level fields', () => {
+    expect(getJobCoordinates({ location: { latitude: 40.7, longitude: -74 } })).toEqual({ latitude: 40.7, longitude: -74 });
+    expect(getJobCoordinates({ latitude: '40.7', longitude: '-74' })).toEqual({ latitude: 40.7, longitude: -74 });
+  });
+
+  test('returns null without usable coordinates', () => {
+    expect(getJobCoordinates({ location: { address: '1 Main St' } })).toBeNull();
+    expect(getJobCoordinates({ latitude: 'north', longitude: -74 })).toBeNull();
+    expect(getJobCoordinates(null)).toBeNull();
+  });
+});
+
+describe('createFakeMapProvider', () => {
+  test('keeps markers as inspectable objects', async () => {
+    const provider = createFakeMapProvider();
+    await provider.load();
+    const map = provider.createMap('container', { center: { latitude: 40.7, longitude: -74 } });
+
+    const onClick = jest.fn();
+    const marker = map.addMarker({ position: { latitude: 40.71, longitude: -74.01 }, title: 'Brakes', onClick });
+    const [state] = provider.maps;
+    expect(state.zoom).toBe(10);
+    expect([...state.markers.values()]).toEqual([expect.objectContaining({ title: 'Brakes' })]);
+
+    marker.update({ title: 'Brakes (en route)' });
+    marker.click();
+    expect([...state.markers.values()][0].title).toBe('Brakes (en route)');
+    expect(onClick).toHaveBeenCalledTimes(1);
+
+    marker.remove();
+    expect(state.markers.size).toBe(0);
+
+    map.addMarker({ position: { latitude: 40.72, longitude: -74.02 } });
+    map.destroy();
+    expect(state).toMatchObject({ destroyed: true });
+    expect(state.markers.size).toBe(0);
+  });
+});
+
+describe('getMapProvider', () => {
+  afterEach(() => {
+    setMapProvider(null);
+    delete process.env.REACT_APP_MAP_PROVIDER;
+  });
+
+  test('uses the fake provider when REACT_APP_MAP_PROVIDER is fake', () => {
+    process.env.REACT_APP_MAP_PROVIDER = 'fake';
+    expect(getMapProvider().name).toBe('fake');
+  });
+
+  test('returns the provider that was set', () => {
+    const provider = createFakeMapProvider();
+    setMapProvider(provider);
+    expect(getMapProvider()).toBe(provider);
+  });
+});
+
+describe('subscribeToJobLocations', () => {
+  test('listens to the mechanic\'s active jobs and drops those without coordinates', () => {
+    const unsubscribe = jest.fn();
+    onSnapshot.mockImplementation((q, next) => {
+      next(snapshotOf({
+        'job-1': { status: 'accepted', serviceType: 'Brakes', location: { latitude: 40.7, longitude: -74 } },
+        'job-2': { status: 'pending', serviceType: 'Battery' },
+      }));
+      return unsubscribe;
+    });
+    const callback = jest.fn();
+
+    expect(subscribeToJobLocations('mechanic-1', callback)).toBe(unsubscribe);
+    expect(where).toHaveBeenCalledWith('mechanicId', '==', 'mechanic-1');
+    expect(where).toHaveBeenCalledWith('status', 'not-in', INACTIVE_JOB_STATUSES);
+    expect(callback).toHaveBeenCalledWith([
+      expect.objectContaining({ id: 'job-1', latitude: 40.7, longitude: -74, title: 'Brakes', status: 'accepted' }),
+    ]);
+  });
+
+  test('passes listener errors on', () => {
+    const error = new Error('permission-denied');
+    onSnapshot.mockImplementation((q, next, fail) => fail(error));
+    const onError = jest.fn();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    subscribeToJobLocations('mechanic-1', jest.fn(), onError);
+    expect(onError).toHaveBeenCalledWith(error);
+    console.error.mockRestore();
+  });
+});
+
+describe('filterJobLocations', () => {
+  const now = new Date(2026, 0, 5, 9);
+  const jobs = [
+    { id: 'brakes-today', status: 'accepted', serviceType: 'Brakes', scheduledAt: new Date(2026, 0, 5, 15).toISOString() },
+    { id: 'battery-friday', status: 'en_route', serviceType: 'Battery', appointmentWindow: { start: new Date(2026, 0, 9, 8).toISOString() } },
+    { id: 'brakes-next-month', status: 'accepted', serviceType: 'Brakes', scheduledAt: new Date(2026, 1, 5, 8).toISOString() },
+    { id: 'oil-unscheduled', status: 'pending', serviceType: 'Oil Change' },
+  ];
+  const filtered = (filters) => filterJobLocations(jobs, filters, now).map(job => job.id);
+
+  test('keeps everything without filters', () => {
+    expect(filtered()).toHaveLength(4);
+  });
+
+  test('filters by status and service type together', () => {
+    expect(filtered({ statuses: ['accepted'] })).toEqual(['brakes-today', 'brakes-next-month']);
+    expect(filtered({ statuses: ['accepted', 'en_route'], serviceTypes: ['Battery'] })).toEqual(['battery-friday']);
+  });
+
+  test('filters by date', () => {
+    expect(filtered({ date: 'today' })).toEqual(['brakes-today']);
+    expect(filtered({ date: 'week' })).toEqual(['brakes-today', 'battery-friday']);
+    expect(filtered({ date: 'unscheduled' })).toEqual(['oil-unscheduled']);
+  });
+});
+
+describe('getPlannableJobs', () => {
+  test('keeps committed jobs scheduled that day or not at all', () => {
+    const day = new Date(2026, 0, 5, 9);
+    const jobs = [
+      { id: 'today', status: 'accepted', scheduledAt: new Date(2026, 0, 5, 14).toISOString() },
+      { id: 'window', status: 'en_route', appointmentWindow: { start: new Date(2026, 0, 5, 10).toISOString() } },
+      { id: 'unscheduled', status: 'in_progress' },
+      { id: 'tomorrow', status: 'accepted', scheduledAt: new Date(2026, 0, 6, 9).toISOString() },
+      { id: 'not-accepted', status: 'quoted' },
+    ];
+
+    expect(getPlannableJobs(jobs, day).map(job => job.id)).toEqual(['today', 'window', 'unscheduled']);
+  });
+});
+
+describe('planJobRoute', () => {
+  const start = { latitude: 40.7, longitude: -74 };
+  const jobs = [
+    { id: 'far', latitude: 40.9, longitude: -74 },
+    { id: 'near', latitude: 40.75, longitude: -74 },
+  ];
+  const startTime = Date.UTC(2026, 0, 5, 13);
+
+  test('uses local estimates when the provider has no routing API', async () => {
+    const plan = await planJobRoute(start, jobs, { provider: createFakeMapProvider(), startTime });
+
+    expect(plan.source).toBe('local');
+    expect(plan.stops.map(stop => stop.id)).toEqual(['near', 'far']);
+  });
+
+  test('uses the provider\'s travel matrix when it has one', async () => {
+    // The routing API says the far job is quicker to reach first
+    const getTravelMatrix = jest.fn().mockResolvedValue({
+      minutes: [[0, 5, 20], [5, 0, 20], [20, 20, 0]],
+      meters: [[0, 4000, 15000], [4000, 0, 15000], [15000, 15000, 0]],
+    });
+    const provider = { ...createFakeMapProvider(), getTravelMatrix };
+
+    const plan = await planJobRoute(start, jobs, { provider, startTime });
+
+    expect(getTravelMatrix).toHaveBeenCalledWith([start, expect.objectContaining({ id: 'far' }), expect.objectContaining({ id: 'near' })]);
+    expect(plan.source).toBe('routing');
+    expect(plan.stops.map(stop => stop.id)).toEqual(['far', 'near']);
+    expect(plan.distanceMeters).toBe(19000);
+  });
+
+  test('falls back to local estimates when the routing API fails', async () => {
+    const provider = { ...createFakeMapProvider(), getTravelMatrix: jest.fn().mockRejectedValue(new Error('OVER_QUERY_LIMIT')) };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const plan = await planJobRoute(start, jobs, { provider, startTime });
+
+    expect(plan.source).toBe('local');
+    expect(plan.stops.map(stop => stop.id)).toEqual(['near', 'far']);
+    console.error.mockRestore();
+  });
+
+  test('counts a job with only scheduledAt as late 30 minutes after it', async () => {
+    // Scheduled an hour before departure, 43 minutes' drive away
+    const scheduled = [{ id: 'early', latitude: 40.9, longitude: -74, scheduledAt: new Date(startTime - 60 * 60000).toISOString() }];
+
+    const plan = await planJobRoute(start, scheduled, { provider: createFakeMapProvider(), startTime });
+
+    expect(plan.schedule[0].travelMinutes).toBe(43);
+    expect(plan.lateMinutes).toBe(60 + 43 - 30);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Mechanic Notes Service
+ *
+ * Private mechanic notes stored in serviceRequests/{requestId}/notes.
+ * Note IDs can be allocated up front with createNoteId() so a note queued
+ * while offline keeps the same ID when it is replayed.
+ */
+
+import {
+  collection,
+  doc,
+  setDoc,
+  deleteDoc,
+  onSnapshot,
+  query,
+  orderBy,
+} from 'firebase/firestore';
+import { db } from '../firebase/config';
+
+const notesCollection = (requestId) => collection(db, 'serviceRequests', requestId, 'notes');
+
+/**
+ * Allocate a Firestore ID for a new note. Works without a connection.
+ */
+export const createNoteId = (requestId) => doc(notesCollection(requestId)).id;
+
+/**
+ * Save a note. Writing with a known ID makes replays idempotent.
+ *
+ * @param {string} requestId - Service request ID
+ * @param {Object} noteData - { id, text, createdAt, authorId }
+ */
+export const addMechanicNote = async (requestId, noteData) => {
+  const { id = createNoteId(requestId), ...data } = noteData;
+  await setDoc(doc(notesCollection(requestId), id), {
+    ...data,
+    requestId,
+    createdAt: data.createdAt || new Date().toISOString(),
+  });
+  return { id, ...data };
+};
+
+export const deleteMechanicNote = async (requestId, noteId) => {
+  await deleteDoc(doc(notesCollection(requestId), noteId));
+};
+
+/**
+ * Listen for a job's notes, newest first.
+ *
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToMechanicNotes = (requestId, callback) => {
+  const q = query(notesCollection(requestId), orderBy('createdAt', 'desc'));
+  return onSnapshot(
+    q,
+    (snapshot) => callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))),
+    (error) => console.error('Error listening to mechanic notes:', error)
+  );
+};
@@ -0,0 +1,321 @@
+/**
+ * Offline Queue Service
+ *
+ * Persists job photos, mechanic notes and status changes made without a
+ * connection and replays them in order once connectivity returns:
+ * - Queue stored in AsyncStorage so it survives app restarts
+ * - Photos copied into app storage so the picker cache can't lose them
+ * - First-in, first-out replay; a transient failure pauses the queue, and a
+ *   failed action holds back later actions for the same job (other jobs carry
+ *   on) so no action ever overtakes an earlier one for its job
+ * - Starts itself on first use; connectivity is watched from then on
+ * - Listeners for queue contents and connectivity drive pending/synced badges
+ *
+ * Queue item shape:
+ * { id, type: 'photo' | 'note' | 'status', payload, status: 'pending' | 'syncing' | 'failed',
+ *   attempts, error, createdAt }
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import * as FileSystem from 'expo-file-system';
+import { startPhotoUpload, createPhotoId } from './photoService';
+import { addMechanicNote, createNoteId } from './notesService';
+import { updateServiceRequestStatus } from '../firebase/services';
+
+const QUEUE_STORAGE_KEY = '@mobileMechanic/offlineQueue';
+const QUEUE_FILES_DIR = `${FileSystem.documentDirectory}offline-queue/`;
+const MAX_ATTEMPTS = 5;
+
+// Firestore / Storage error codes that mean "try again later" rather than "this will never work"
+const TRANSIENT_ERROR_CODES = [
+  'unavailable',
+  'deadline-exceeded',
+  'storage/retry-limit-exceeded',
+  'storage/unknown',
+];
+
+let queue = [];
+let loadPromise = null;
+let flushPromise = null;
+let flushAgain = false;
+let online = true;
+let connectivityKnown = false;
+let unsubscribeNetInfo = null;
+
+const queueListeners = new Set();
+const connectivityListeners = new Set();
+
+// ---------------------------------------------------------------------------
+// Replay handlers
+// ---------------------------------------------------------------------------
+
+const handlers = {
+  photo: async (payload) => {
+    const photo = await startPhotoUpload(payload).done;
+    await FileSystem.deleteAsync(payload.uri, { idempotent: true });
+    return photo;
+  },
+  note: async ({ requestId, note }) => addMechanicNote(requestId, note),
+  status: async ({ requestId, status, updatedBy, note }) => {
+    const result = await updateServiceRequestStatus(requestId, status, { updatedBy, note });
+    if (!result.success) {
+      throw Object.assign(new Error(result.error), { code: result.code });
+    }
+    return result;
+  },
+};
+
+const isTransientError = (error) => !online || TRANSIENT_ERROR_CODES.includes(error?.code);
+
+// ---------------------------------------------------------------------------
+// Persistence and listeners
+// ---------------------------------------------------------------------------
+
+const loadQueue = () => {
+  if (!loadPromise) {
+    loadPromise = AsyncStorage.getItem(QUEUE_STORAGE_KEY)
+      .then(stored => {
+        // Anything left mid-sync by a previous session goes back to pending
+        queue = stored
+          ? JSON.parse(stored).map(item => (item.status === 'syncing' ? { ...item, status: 'pending' } : item))
+          : [];
+      })
+      .catch(error => {
+        console.error('Error loading offline queue:', error);
+        queue = [];
+      });
+  }
+  return loadPromise;
+};
+
+const saveQueue = async () => {
+  queueListeners.forEach(listener => listener(queue));
+  try {
+    await AsyncStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    console.error('Error saving offline queue:', error);
+  }
+};
+
+const updateItem = async (id, changes) => {
+  queue = queue.map(item => (item.id === id ? { ...item, ...changes } : item));
+  await saveQueue();
+};
+
+const removeItem = async (id) => {
+  queue = queue.filter(item => item.id !== id);
+  await saveQueue();
+};
+
+/**
+ * Listen for queue changes. The listener is called right away with the
+ * current queue.
+ *
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToQueue = (listener) => {
+  initializeOfflineQueue();
+  queueListeners.add(listener);
+  loadQueue().then(() => {
+    if (queueListeners.has(listener)) listener(queue);
+  });
+  return () => queueListeners.delete(listener);
+};
+
+/**
+ * Listen for connectivity changes. The listener is called right away.
+ *
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToConnectivity = (listener) => {
+  connectivityListeners.add(listener);
+  listener(online);
+  return () => connectivityListeners.delete(listener);
+};
+
+export const isOnline = () => online;
+
+// ---------------------------------------------------------------------------
+// Replay
+// ---------------------------------------------------------------------------
+
+/**
+ * Replay pending actions in order. A call made during a replay schedules one
+ * more pass so actions queued mid-run are not left waiting for a reconnect.
+ */
+export const flushQueue = () => {
+  if (flushPromise) {
+    flushAgain = true;
+  } else {
+    flushPromise = (async () => {
+      await loadQueue();
+
+      // Jobs with a failed action: their later actions wait until it is retried or discarded
+      const blockedJobs = new Set();
+
+      for (const item of [...queue]) {
+        if (!online) break;
+        if (item.status === 'failed' || blockedJobs.has(item.payload?.requestId)) {
+          blockedJobs.add(item.payload?.requestId);
+          continue;
+        }
+
+        const handler = handlers[item.type];
+        if (!handler) {
+          await updateItem(item.id, { status: 'failed', error: `Unknown action type: ${item.type}` });
+          blockedJobs.add(item.payload?.requestId);
+          continue;
+        }
+
+        await updateItem(item.id, { status: 'syncing', attempts: item.attempts + 1 });
+
+        try {
+          await handler(item.payload);
+          await removeItem(item.id);
+        } catch (error) {
+          console.error(`Error replaying queued ${item.type}:`, error);
+
+          if (isTransientError(error) && item.attempts + 1 < MAX_ATTEMPTS) {
+            // Keep order: stop here and try again on the next reconnect
+            await updateItem(item.id, { status: 'pending', error: error.message });
+            break;
+          }
+
+          await updateItem(item.id, { status: 'failed', error: error.message });
+          blockedJobs.add(item.payload?.requestId);
+        }
+      }
+    })().finally(() => {
+      flushPromise = null;
+      if (flushAgain) {
+        flushAgain = false;
+        flushQueue();
+      }
+    });
+  }
+  return flushPromise;
+};
+
+/**
+ * Load the persisted queue and start replaying whenever the device comes
+ * back online. Called by the first subscriber or queued action; safe to call
+ * more than once.
+ *
+ * @returns {Function} Stops listening for connectivity changes
+ */
+export const initializeOfflineQueue = () => {
+  loadQueue();
+
+  if (!unsubscribeNetInfo) {
+    unsubscribeNetInfo = NetInfo.addEventListener(state => {
+      const nowOnline = Boolean(state.isConnected) && state.isInternetReachable !== false;
+      // The first report also counts, so actions left from a previous session replay on launch
+      const cameOnline = nowOnline && (!online || !connectivityKnown);
+
+      online = nowOnline;
+      connectivityKnown = true;
+      connectivityListeners.forEach(listener => listener(online));
+
+      if (cameOnline) {
+        flushQueue();
+      }
+    });
+  }
+
+  return () => {
+    if (unsubscribeNetInfo) {
+      unsubscribeNetInfo();
+      unsubscribeNetInfo = null;
+    }
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Enqueueing
+// ---------------------------------------------------------------------------
+
+const enqueue = async (type, payload) => {
+  initializeOfflineQueue();
+  await loadQueue();
+
+  const item = {
+    id: `${type}_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+    type,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    error: null,
+    createdAt: new Date().toISOString(),
+  };
+
+  queue = [...queue, item];
+  await saveQueue();
+
+  if (online) {
+    flushQueue();
+  }
+
+  return item;
+};
+
+/**
+ * Queue a photo upload. The image is copied into app storage first; the
+ * capture evidence travels with the payload so it is recorded on replay.
+ *
+ * The photo ID is allocated now (unless the caller already has one) so a
+ * replay after a partial upload writes the same photo rather than a copy.
+ *
+ * @param {Object} photo - { uri, requestId, photoId, category, repairArea, caption, uploadedBy, capture }
+ */
+export const queuePhotoUpload = async (photo) => {
+  await FileSystem.makeDirectoryAsync(QUEUE_FILES_DIR, { intermediates: true });
+  const localUri = `${QUEUE_FILES_DIR}${Date.now()}_${Math.random().toString(36).slice(2, 7)}.jpg`;
+  await FileSystem.copyAsync({ from: photo.uri, to: localUri });
+
+  return enqueue('photo', {
+    ...photo,
+    photoId: photo.photoId || createPhotoId(photo.requestId),
+    uri: localUri,
+    timestamp: photo.timestamp || new Date().toISOString(),
+  });
+};
+
+/**
+ * Queue a mechanic note. The note ID is allocated now so replays are idempotent.
+ *
+ * @param {string} requestId - Service request ID
+ * @param {Object} note - { text, createdAt, authorId }
+ */
+export const queueNote = async (requestId, note) => {
+  return enqueue('note', { requestId, note: { ...note, id: note.id || createNoteId(requestId) } });
+};
+
+/**
+ * Queue a job status change.
+ */
+export const queueStatusChange = async (requestId, status, { updatedBy = 'mechanic', note } = {}) => {
+  return enqueue('status', { requestId, status, updatedBy, ...(note ? { note } : {}) });
+};
+
+/**
+ * Put failed actions back in line and replay them.
+ */
+export const retryFailedActions = async () => {
+  await loadQueue();
+  queue = queue.map(item => (item.status === 'failed' ? { ...item, status: 'pending', attempts: 0 } : item));
+  await saveQueue();
+  return flushQueue();
+};
+
+/**
+ * Drop an action from the queue without replaying it.
+ */
+export const discardQueuedAction = async (id) => {
+  await loadQueue();
+  const item = queue.find(i => i.id === id);
+  if (item?.type === 'photo') {
+    await FileSystem.deleteAsync(item.payload.uri, { idempotent: true });
+  }
+  await removeItem(id);
+};
@@ -0,0 +1,63 @@
+/**
+ * Photo Report Service
+ *
+ * Renders the job photo report to PDF, stores it with the job so it can be
+ * attached to invoices, and opens the share sheet for downloading.
+ */
+
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { storage } from '../firebase/config';
+import { updateServiceRequest } from '../firebase/services';
+import { buildPhotoReportHtml } from '../utils/photoReport';
+
+const reportStoragePath = (requestId, generatedAt) => {
+  return `serviceRequests/${requestId}/reports/photo-report-${generatedAt.replace(/[:.]/g, '-')}.pdf`;
+};
+
+/**
+ * Generate the PDF photo report for a job and save it to Storage. The
+ * latest report is recorded on the service request as `photoReport`.
+ *
+ * @param {Object} job - Service request (must include id)
+ * @param {Array} photos - Uploaded job photos
+ * @returns {Promise<{ uri: string, url: string, storagePath: string, generatedAt: string }>}
+ *   `uri` is the local PDF, `url` the stored copy
+ */
+export const generatePhotoReport = async (job, photos) => {
+  const generatedAt = new Date().toISOString();
+  const html = buildPhotoReportHtml(job, photos, { generatedAt });
+  const { uri } = await Print.printToFileAsync({ html });
+
+  const blob = await (await fetch(uri)).blob();
+  const storagePath = reportStoragePath(job.id, generatedAt);
+  const snapshot = await uploadBytes(ref(storage, storagePath), blob, {
+    contentType: 'application/pdf',
+  });
+  const url = await getDownloadURL(snapshot.ref);
+
+  const photoReport = { url, storagePath, generatedAt, photoCount: photos.length };
+  const result = await updateServiceRequest(job.id, { photoReport });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  return { uri, ...photoReport };
+};
+
+/**
+ * Open the system share sheet for a generated report.
+ *
+ * @param {string} uri - Local PDF URI from generatePhotoReport()
+ */
+export const sharePhotoReport = async (uri) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('Sharing is not available on this device');
+  }
+  await Sharing.shareAsync(uri, {
+    mimeType: 'application/pdf',
+    dialogTitle: 'Job Photo Report',
+    UTI: 'com.adobe.pdf',
+  });
+};
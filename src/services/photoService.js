@@ -0,0 +1,323 @@
+/**
+ * Photo Service
+ *
+ * Handles job photo storage:
+ * - Resumable uploads to Firebase Storage with progress, pause and cancel
+ * - Thumbnail generation before upload
+ * - Photo metadata saved to serviceRequests/{requestId}/photos
+ * - Evidence: EXIF (device, owner, location tags) is stripped by re-encoding
+ *   before upload, and the verified capture time, GPS and a SHA-256 hash of
+ *   the uploaded bytes go to serviceRequests/{requestId}/photoEvidence, which
+ *   customers cannot read
+ */
+
+import {
+  ref,
+  uploadBytes,
+  uploadBytesResumable,
+  getDownloadURL,
+  deleteObject,
+} from 'firebase/storage';
+import {
+  collection,
+  doc,
+  getDoc,
+  deleteDoc,
+  onSnapshot,
+  query,
+  orderBy,
+  writeBatch,
+  serverTimestamp,
+} from 'firebase/firestore';
+import * as ImageManipulator from 'expo-image-manipulator';
+import * as FileSystem from 'expo-file-system';
+import * as Crypto from 'expo-crypto';
+import { db, storage } from '../firebase/config';
+import { buildPhotoEvidence, bytesToHex } from '../utils/photoEvidence';
+
+const THUMBNAIL_WIDTH = 320;
+const HASH_ALGORITHM = 'SHA-256';
+
+const photosCollection = (requestId) => collection(db, 'serviceRequests', requestId, 'photos');
+const evidenceCollection = (requestId) => collection(db, 'serviceRequests', requestId, 'photoEvidence');
+
+const photoStoragePath = (requestId, photoId) => `serviceRequests/${requestId}/photos/${photoId}.jpg`;
+const thumbnailStoragePath = (requestId, photoId) => `serviceRequests/${requestId}/photos/thumbnails/${photoId}.jpg`;
+
+// Read a local file URI (camera or gallery) into a Blob for upload
+const uriToBlob = async (uri) => {
+  const response = await fetch(uri);
+  return response.blob();
+};
+
+/**
+ * Re-encode an image without its metadata. ImageManipulator writes a fresh
+ * JPEG and does not copy EXIF, so camera serials, owner names and embedded
+ * GPS never reach Storage.
+ *
+ * @param {string} uri - Local image URI
+ * @returns {Promise<string>} Local URI of the stripped copy
+ */
+export const stripImageMetadata = async (uri) => {
+  const result = await ImageManipulator.manipulateAsync(
+    uri,
+    [],
+    { compress: 0.9, format: ImageManipulator.SaveFormat.JPEG }
+  );
+  return result.uri;
+};
+
+/**
+ * SHA-256 of a file's bytes, as lowercase hex.
+ *
+ * @param {string} uri - Local file URI
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashFile = async (uri) => {
+  const base64 = await FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.Base64 });
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  const digest = await Crypto.digest(Crypto.CryptoDigestAlgorithm.SHA256, bytes);
+  return bytesToHex(digest);
+};
+
+/**
+ * Create a small JPEG thumbnail for list views.
+ *
+ * @param {string} uri - Local image URI
+ * @returns {Promise<string>} Local URI of the thumbnail
+ */
+export const generateThumbnail = async (uri) => {
+  const result = await ImageManipulator.manipulateAsync(
+    uri,
+    [{ resize: { width: THUMBNAIL_WIDTH } }],
+    { compress: 0.6, format: ImageManipulator.SaveFormat.JPEG }
+  );
+  return result.uri;
+};
+
+/**
+ * Allocate a photo ID before uploading, so retries and offline replays of the
+ * same photo write the same documents instead of duplicating it.
+ */
+export const createPhotoId = (requestId) => doc(photosCollection(requestId)).id;
+
+const cancelledError = () => Object.assign(new Error('Upload cancelled'), { code: 'storage/canceled' });
+
+// Delete Storage files, ignoring ones that are already gone
+const removeStoredFiles = async (paths) => {
+  await Promise.all(paths.filter(Boolean).map(path => deleteObject(ref(storage, path)).catch(error => {
+    if (error.code !== 'storage/object-not-found') throw error;
+  })));
+};
+
+/**
+ * Start uploading a job photo.
+ *
+ * The returned controller can pause, resume or cancel the upload. `done`
+ * resolves with the saved photo metadata once the image, its thumbnail and
+ * the Firestore documents have all been written. A cancelled upload rejects
+ * with an error whose `code` is 'storage/canceled'; cancelling after the
+ * files are in Storage removes them again, and only once the documents are
+ * written is it too late to cancel.
+ *
+ * Pass `photoId` (from createPhotoId) to retry a photo: if it was already
+ * saved, `done` resolves with the saved photo without uploading again.
+ *
+ * `capture` describes how the photo was taken and feeds the evidence record:
+ * { source: 'camera' | 'library', exif, deviceLocation, deviceCapturedAt }.
+ * Only the stripped copy of the image is uploaded.
+ *
+ * @param {Object} photo - { uri, requestId, photoId, category, repairArea, caption, uploadedBy, timestamp, capture }
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with progress from 0 to 1
+ * @returns {{ photoId: string, done: Promise<Object>, pause: Function, resume: Function, cancel: Function }}
+ */
+export const startPhotoUpload = (photo, { onProgress } = {}) => {
+  const { uri, requestId, category, repairArea, caption, uploadedBy, timestamp, capture = {} } = photo;
+  const photoId = photo.photoId || createPhotoId(requestId);
+  const photoRef = doc(photosCollection(requestId), photoId);
+
+  let task = null;
+  let cancelled = false;
+
+  const done = (async () => {
+    const existing = await getDoc(photoRef);
+    if (existing.exists()) {
+      return { id: photoId, ...existing.data() };
+    }
+
+    const strippedUri = await stripImageMetadata(uri);
+    const contentHash = await hashFile(strippedUri);
+    const blob = await uriToBlob(strippedUri);
+    if (cancelled) {
+      throw cancelledError();
+    }
+
+    const storagePath = photoStoragePath(requestId, photoId);
+    task = uploadBytesResumable(ref(storage, storagePath), blob, {
+      contentType: blob.type || 'image/jpeg',
+      customMetadata: { requestId, category, photoId, contentHash },
+    });
+
+    await new Promise((resolve, reject) => {
+      task.on(
+        'state_changed',
+        (snapshot) => {
+          if (onProgress && snapshot.totalBytes > 0) {
+            onProgress(snapshot.bytesTransferred / snapshot.totalBytes);
+          }
+        },
+        reject,
+        resolve
+      );
+    });
+
+    const url = await getDownloadURL(task.snapshot.ref);
+
+    // A failed thumbnail should not lose the photo; list views fall back to the full image
+    let thumbnailPath = null;
+    let thumbnailUrl = null;
+    try {
+      const thumbnailBlob = await uriToBlob(await generateThumbnail(strippedUri));
+      thumbnailPath = thumbnailStoragePath(requestId, photoId);
+      const thumbnailSnapshot = await uploadBytes(ref(storage, thumbnailPath), thumbnailBlob, {
+        contentType: 'image/jpeg',
+      });
+      thumbnailUrl = await getDownloadURL(thumbnailSnapshot.ref);
+    } catch (error) {
+      console.error('Error generating photo thumbnail:', error);
+      thumbnailPath = null;
+    }
+
+    // Cancelled after the upload finished: remove the files rather than save the photo
+    if (cancelled) {
+      await removeStoredFiles([storagePath, thumbnailPath]);
+      throw cancelledError();
+    }
+
+    const evidence = buildPhotoEvidence({
+      ...capture,
+      deviceCapturedAt: capture.deviceCapturedAt || timestamp,
+    });
+
+    const photoData = {
+      requestId,
+      category,
+      repairArea: repairArea || null,
+      caption: caption || null,
+      uploadedBy: uploadedBy || null,
+      storagePath,
+      url,
+      thumbnailPath,
+      thumbnailUrl,
+      contentType: blob.type || 'image/jpeg',
+      size: blob.size,
+      timestamp: timestamp || new Date().toISOString(),
+      capturedAt: evidence.capturedAt,
+      contentHash,
+      hashAlgorithm: HASH_ALGORITHM,
+      timeVerified: evidence.timeVerified,
+      locationVerified: evidence.locationVerified,
+    };
+
+    // The exact position stays in the evidence record; the photo document
+    // only says whether it was verified
+    const batch = writeBatch(db);
+    batch.set(photoRef, photoData);
+    batch.set(doc(evidenceCollection(requestId), photoId), {
+      ...evidence,
+      photoId,
+      requestId,
+      storagePath,
+      contentHash,
+      hashAlgorithm: HASH_ALGORITHM,
+      uploadedBy: uploadedBy || null,
+      receivedAt: serverTimestamp(),
+    });
+    await batch.commit();
+
+    return { id: photoId, ...photoData };
+  })();
+
+  return {
+    photoId,
+    done,
+    pause: () => task?.pause(),
+    resume: () => task?.resume(),
+    cancel: () => {
+      cancelled = true;
+      task?.cancel();
+    },
+  };
+};
+
+/**
+ * Re-check a stored photo against its evidence record: the file in Storage
+ * must still hash to the recorded value, and the capture time must not be
+ * later than the time the server received the upload.
+ *
+ * @returns {Promise<{ hashMatches: boolean, timeConsistent: boolean, evidence: Object }>}
+ */
+export const verifyPhotoEvidence = async (requestId, photoId) => {
+  const [photoSnapshot, evidenceSnapshot] = await Promise.all([
+    getDoc(doc(photosCollection(requestId), photoId)),
+    getDoc(doc(evidenceCollection(requestId), photoId)),
+  ]);
+  if (!photoSnapshot.exists() || !evidenceSnapshot.exists()) {
+    throw new Error('No evidence recorded for this photo');
+  }
+
+  const evidence = evidenceSnapshot.data();
+  const localUri = `${FileSystem.cacheDirectory}evidence_${photoId}.jpg`;
+
+  try {
+    await FileSystem.downloadAsync(photoSnapshot.data().url, localUri);
+    const hash = await hashFile(localUri);
+    const receivedAt = evidence.receivedAt?.toDate?.();
+
+    return {
+      hashMatches: hash === evidence.contentHash,
+      timeConsistent: Boolean(evidence.capturedAt && receivedAt)
+        && new Date(evidence.capturedAt) <= receivedAt,
+      evidence,
+    };
+  } finally {
+    await FileSystem.deleteAsync(localUri, { idempotent: true });
+  }
+};
+
+export const isUploadCancelled = (error) => error?.code === 'storage/canceled';
+
+/**
+ * Listen for a job's photos, newest first.
+ *
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToJobPhotos = (requestId, callback) => {
+  const q = query(photosCollection(requestId), orderBy('timestamp', 'desc'));
+  return onSnapshot(
+    q,
+    (snapshot) => callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))),
+    (error) => console.error('Error listening to job photos:', error)
+  );
+};
+
+/**
+ * Delete a photo, its thumbnail and its metadata. The evidence record is kept
+ * so the photo's hash and capture time stay on file.
+ */
+export const deleteJobPhoto = async (requestId, photoId) => {
+  const photoRef = doc(photosCollection(requestId), photoId);
+  const snapshot = await getDoc(photoRef);
+  if (!snapshot.exists()) return;
+
+  // Already-deleted files should not block removing the metadata
+  const { storagePath, thumbnailPath } = snapshot.data();
+  await removeStoredFiles([storagePath, thumbnailPath]);
+
+  await deleteDoc(photoRef);
+};
@@ -0,0 +1,118 @@
+/**
+ * Service Area Service
+ *
+ * Stores the areas a mechanic (or shop) covers. Everything for an owner lives
+ * in one document, serviceAreas/{ownerId}, so it can be read in a single get
+ * when a request is created or a quote is written.
+ *
+ * Document shape:
+ * {
+ *   areas: [{ id, name, type: 'radius' | 'polygon', center, radiusMeters, points }],
+ *   base: { latitude, longitude, address },  // where travel is measured from
+ *   outsideAreaPolicy: 'flag' | 'block',
+ *   travelFee: { enabled, freeMiles, perMileCents, minimumCents, maximumCents },
+ *   updatedAt
+ * }
+ */
+
+import { doc, getDoc, setDoc, onSnapshot } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { getJobCoordinates } from './mapService';
+import {
+  DEFAULT_OUTSIDE_AREA_POLICY,
+  DEFAULT_TRAVEL_FEE,
+  checkServiceArea,
+  calculateTravelFeeCents,
+  validateServiceArea,
+} from '../utils/geofence';
+
+export const SERVICE_AREAS_COLLECTION = 'serviceAreas';
+
+const ownerRef = (ownerId) => doc(db, SERVICE_AREAS_COLLECTION, ownerId);
+
+// Fill in defaults so callers never deal with a missing document or field
+const normalize = (data = {}) => ({
+  areas: data.areas || [],
+  base: data.base || null,
+  outsideAreaPolicy: data.outsideAreaPolicy || DEFAULT_OUTSIDE_AREA_POLICY,
+  travelFee: { ...DEFAULT_TRAVEL_FEE, ...data.travelFee },
+  updatedAt: data.updatedAt || null,
+});
+
+/**
+ * Generate an ID for a new area.
+ */
+export const generateAreaId = () => `area_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Get a mechanic's service area settings. Owners without a document get the
+ * defaults: no areas (everywhere is covered) and the default travel fee.
+ */
+export const getServiceArea = async (ownerId) => {
+  const snapshot = await getDoc(ownerRef(ownerId));
+  return normalize(snapshot.exists() ? snapshot.data() : {});
+};
+
+/**
+ * Listen for changes to a mechanic's service area settings.
+ *
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToServiceArea = (ownerId, callback) => {
+  return onSnapshot(
+    ownerRef(ownerId),
+    (snapshot) => callback(normalize(snapshot.exists() ? snapshot.data() : {})),
+    (error) => console.error('Error listening to service area:', error)
+  );
+};
+
+/**
+ * Save a mechanic's service area settings, replacing the stored areas.
+ *
+ * @param {string} ownerId - Mechanic or shop ID
+ * @param {Object} settings - { areas, base, outsideAreaPolicy, travelFee }
+ * @returns {Promise<Object>} The saved settings
+ */
+export const saveServiceArea = async (ownerId, settings) => {
+  const areas = settings.areas || [];
+  areas.forEach(area => {
+    const error = validateServiceArea(area);
+    if (error) {
+      throw new Error(`${area.name || 'Area'}: ${error}`);
+    }
+  });
+
+  if (settings.travelFee?.enabled && !settings.base) {
+    throw new Error('Set a base location to charge travel fees');
+  }
+
+  const saved = normalize({ ...settings, areas, updatedAt: new Date().toISOString() });
+  await setDoc(ownerRef(ownerId), saved);
+  return saved;
+};
+
+/**
+ * Check a service request against a mechanic's service area and work out
+ * the travel fee for it.
+ *
+ * @param {string} ownerId - Mechanic or shop ID
+ * @param {Object} job - Service request with a location
+ * @param {Object} serviceArea - Settings already loaded (read from Firestore when omitted)
+ * @returns {Promise<Object|null>} checkServiceArea() result plus `travelFeeCents`
+ *   and `checkedAt`, or null when the job has no coordinates
+ */
+export const checkJobServiceArea = async (ownerId, job, serviceArea = null) => {
+  const coordinates = getJobCoordinates(job);
+  if (!coordinates) return null;
+
+  const settings = serviceArea || await getServiceArea(ownerId);
+  const result = checkServiceArea(coordinates, settings);
+
+  return {
+    ...result,
+    travelFeeCents: result.distanceMeters !== null
+      ? calculateTravelFeeCents(result.distanceMeters, settings.travelFee)
+      : 0,
+    checkedAt: new Date().toISOString(),
+  };
+};
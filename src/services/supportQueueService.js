@@ -0,0 +1,192 @@
+/**
+ * Support Queue Service
+ *
+ * Agent-side handling of chat sessions customers have escalated to a human
+ * (see escalateChatSession in chatService):
+ * - Real-time queue of escalated sessions, oldest first
+ * - Claiming a session, replying, transferring and resolving
+ * - Loading the job and vehicle context a session was started with
+ *
+ * Claims, transfers and replies run in transactions so two agents can't pick
+ * up the same session, and a reply is only saved by the agent holding it.
+ */
+
+import {
+  collection,
+  doc,
+  query,
+  where,
+  orderBy,
+  onSnapshot,
+  runTransaction,
+} from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { getServiceRequest } from '../firebase/services';
+import { CHAT_SESSIONS_COLLECTION, CHAT_SESSION_STATUSES, writeMessage } from './chatService';
+
+const sessionRef = (sessionId) => doc(db, CHAT_SESSIONS_COLLECTION, sessionId);
+
+/**
+ * Listen for escalated sessions, longest waiting first. Includes sessions
+ * already claimed by an agent until they are resolved.
+ *
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToEscalationQueue = (callback, onError) => {
+  const q = query(
+    collection(db, CHAT_SESSIONS_COLLECTION),
+    where('status', '==', CHAT_SESSION_STATUSES.ESCALATED),
+    orderBy('escalatedAt', 'asc')
+  );
+
+  return onSnapshot(
+    q,
+    (snapshot) => callback(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))),
+    (error) => {
+      console.error('Error listening to escalation queue:', error);
+      if (onError) onError(error);
+    }
+  );
+};
+
+// Read an escalated session in a transaction and check it is still open
+const readEscalatedSession = async (transaction, sessionId) => {
+  const snapshot = await transaction.get(sessionRef(sessionId));
+  if (!snapshot.exists()) {
+    throw new Error('Chat session not found');
+  }
+  if (snapshot.data().status !== CHAT_SESSION_STATUSES.ESCALATED) {
+    throw new Error('This session is no longer in the support queue');
+  }
+  return snapshot.data();
+};
+
+/**
+ * Claim a session for an agent.
+ *
+ * @param {string} sessionId - Chat session ID
+ * @param {Object} agent - { id, name }
+ */
+export const claimChatSession = async (sessionId, agent) => {
+  await runTransaction(db, async (transaction) => {
+    const session = await readEscalatedSession(transaction, sessionId);
+    if (session.assignedAgentId && session.assignedAgentId !== agent.id) {
+      throw new Error(`Already claimed by ${session.assignedAgentName || 'another agent'}`);
+    }
+
+    transaction.update(sessionRef(sessionId), {
+      assignedAgentId: agent.id,
+      assignedAgentName: agent.name || null,
+      isAssignedToHuman: true,
+      claimedAt: new Date().toISOString(),
+    });
+  });
+};
+
+/**
+ * Reply to a session as an agent. The first reply stops the first-response
+ * SLA clock; the message and the clock are saved together.
+ *
+ * @param {string} sessionId - Chat session ID
+ * @param {Object} agent - { id, name }
+ * @param {string} text - Reply text
+ * @returns {Promise<Object>} The saved message
+ */
+export const sendAgentReply = async (sessionId, agent, text) => {
+  const replyText = (text || '').trim();
+  if (!replyText) {
+    throw new Error('Reply text is required');
+  }
+
+  return runTransaction(db, async (transaction) => {
+    const session = await readEscalatedSession(transaction, sessionId);
+    if (session.assignedAgentId !== agent.id) {
+      throw new Error('Claim this session before replying');
+    }
+
+    const message = await writeMessage(
+      sessionId,
+      'agent',
+      { text: replyText, agentId: agent.id, agentName: agent.name || null },
+      transaction
+    );
+    if (!session.firstResponseAt) {
+      transaction.update(sessionRef(sessionId), { firstResponseAt: message.timestamp });
+    }
+    return message;
+  });
+};
+
+/**
+ * Transfer a session to another agent, or back to the unclaimed queue when
+ * `toAgent` is null. SLA clocks keep running.
+ *
+ * @param {string} sessionId - Chat session ID
+ * @param {Object} fromAgent - { id, name } of the agent handing over
+ * @param {Object|null} toAgent - { id, name } of the receiving agent
+ * @param {string} note - Optional handover note, kept on the session
+ */
+export const transferChatSession = async (sessionId, fromAgent, toAgent, note = '') => {
+  await runTransaction(db, async (transaction) => {
+    const session = await readEscalatedSession(transaction, sessionId);
+    if (session.assignedAgentId && session.assignedAgentId !== fromAgent.id) {
+      throw new Error('Only the assigned agent can transfer this session');
+    }
+
+    transaction.update(sessionRef(sessionId), {
+      assignedAgentId: toAgent?.id || null,
+      assignedAgentName: toAgent?.name || null,
+      isAssignedToHuman: Boolean(toAgent),
+      claimedAt: toAgent ? new Date().toISOString() : null,
+      transfers: [
+        ...(session.transfers || []),
+        {
+          fromAgentId: fromAgent.id,
+          toAgentId: toAgent?.id || null,
+          note: note.trim() || null,
+          at: new Date().toISOString(),
+        },
+      ],
+    });
+  });
+};
+
+/**
+ * Resolve a session. It leaves the queue and is closed for the customer.
+ *
+ * @param {string} sessionId - Chat session ID
+ * @param {Object} agent - { id, name }
+ * @param {string} resolution - Summary of the outcome
+ */
+export const resolveChatSession = async (sessionId, agent, resolution = '') => {
+  const now = new Date().toISOString();
+
+  await runTransaction(db, async (transaction) => {
+    const session = await readEscalatedSession(transaction, sessionId);
+    if (session.assignedAgentId !== agent.id) {
+      throw new Error('Only the assigned agent can resolve this session');
+    }
+
+    transaction.update(sessionRef(sessionId), {
+      status: CHAT_SESSION_STATUSES.CLOSED,
+      resolvedAt: now,
+      resolvedBy: agent.id,
+      resolution: resolution.trim() || null,
+      closedAt: now,
+      lastActivity: now,
+    });
+  });
+};
+
+/**
+ * Load the job a session was started from, for the agent's context panel.
+ *
+ * @returns {Promise<Object|null>} Service request, or null when the session
+ *   has no job or it can't be read
+ */
+export const getSessionJobContext = async (session) => {
+  if (!session?.jobId) return null;
+
+  const result = await getServiceRequest(session.jobId);
+  return result.success ? result.data : null;
+};
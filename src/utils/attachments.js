@@ -0,0 +1,103 @@
+/**
+ * Attachment Helpers
+ *
+ * File type and size rules for chat attachments. Files are classified by
+ * MIME type, falling back to the file extension because pickers don't
+ * always report a type.
+ */
+
+const MB = 1024 * 1024;
+
+export const ATTACHMENT_KINDS = {
+  image: {
+    label: 'Photo',
+    noun: 'photo',
+    maxBytes: 10 * MB,
+    mimeTypes: ['image/jpeg', 'image/png', 'image/heic', 'image/heif', 'image/webp'],
+    extensions: ['jpg', 'jpeg', 'png', 'heic', 'heif', 'webp'],
+  },
+  audio: {
+    label: 'Audio recording',
+    noun: 'audio recording',
+    maxBytes: 20 * MB,
+    mimeTypes: ['audio/mpeg', 'audio/mp4', 'audio/m4a', 'audio/x-m4a', 'audio/aac', 'audio/wav', 'audio/x-wav', 'audio/webm'],
+    extensions: ['mp3', 'm4a', 'aac', 'wav', 'webm'],
+  },
+  pdf: {
+    label: 'PDF',
+    noun: 'PDF',
+    maxBytes: 15 * MB,
+    mimeTypes: ['application/pdf'],
+    extensions: ['pdf'],
+  },
+};
+
+const extensionOf = (name = '') => {
+  const match = /\.([a-z0-9]+)$/i.exec(name);
+  return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * Work out what kind of attachment a file is.
+ *
+ * @param {{ mimeType: string, name: string }} file
+ * @returns {string|null} 'image', 'audio', 'pdf', or null when not allowed
+ */
+export const getAttachmentKind = ({ mimeType, name } = {}) => {
+  const type = (mimeType || '').toLowerCase();
+  const extension = extensionOf(name);
+
+  const entry = Object.entries(ATTACHMENT_KINDS).find(([, kind]) => kind.mimeTypes.includes(type))
+    || (!type || type === 'application/octet-stream'
+      ? Object.entries(ATTACHMENT_KINDS).find(([, kind]) => kind.extensions.includes(extension))
+      : null);
+
+  return entry ? entry[0] : null;
+};
+
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < MB) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / MB).toFixed(1)} MB`;
+};
+
+/**
+ * Check a file can be attached.
+ *
+ * Pickers don't always report a size; pass `allowUnknownSize` to check only
+ * the type then, and check the size once the bytes have been read.
+ *
+ * @param {{ mimeType: string, name: string, size: number }} file
+ * @param {Object} options
+ * @param {boolean} options.allowUnknownSize - Accept a file with no size
+ * @returns {string|null} Error message, or null when the file is allowed
+ */
+export const validateAttachment = (file, { allowUnknownSize = false } = {}) => {
+  const kind = getAttachmentKind(file);
+  if (!kind) {
+    return 'Only photos, audio recordings and PDFs can be attached';
+  }
+
+  const { label, noun, maxBytes } = ATTACHMENT_KINDS[kind];
+  if (allowUnknownSize && (file.size === undefined || file.size === null)) {
+    return null;
+  }
+  if (!file.size) {
+    return `This ${noun} appears to be empty`;
+  }
+  if (file.size > maxBytes) {
+    return `${label}s can be up to ${formatFileSize(maxBytes)} (this one is ${formatFileSize(file.size)})`;
+  }
+  return null;
+};
+
+/**
+ * Short text standing in for attachments, e.g. in a session's last message.
+ */
+export const describeAttachments = (attachments = []) => {
+  if (attachments.length === 0) return '';
+  if (attachments.length > 1) return `Sent ${attachments.length} attachments`;
+  const kind = ATTACHMENT_KINDS[attachments[0].kind];
+  return `Sent a ${kind ? kind.noun : 'file'}`;
+};
@@ -0,0 +1,292 @@
+/**
+ * Chat Assistant
+ *
+ * Automated support chat replies grounded in the customer's own records.
+ * For each message the assistant:
+ * 1. Works out what is being asked (job status, quote, payment, maintenance)
+ * 2. Loads the relevant records: the session's job (or the customer's most
+ *    recent open job), its latest quote and their service history
+ * 3. Asks a model for an answer and a confidence from 0 to 1
+ *
+ * When the confidence is below CONFIDENCE_THRESHOLD, or the customer asks
+ * for a person, the session is escalated to the support queue instead.
+ *
+ * Models are `async ({ message, intent, context, now }) => ({ text, confidence })`.
+ * localAssistantModel answers from templates without any network access and
+ * is deterministic, so it doubles as the stub model in tests.
+ *
+ * The assistant runs in the replyToChatMessage Cloud Function, which loads
+ * the records and escalates with the Admin SDK; this module only decides
+ * what to say. Imports carry the .js extension so Node can load the copy in
+ * functions/shared.
+ */
+
+import { defaultStatusRegistry } from './statusRegistry.js';
+import { describeVehicle } from './vehicle.js';
+import { formatCents, toCents } from './quoteCalculator.js';
+import { MAINTENANCE_ITEMS, findMaintenanceItem, getNextServiceDue } from './maintenanceSchedule.js';
+import { QUOTE_STATUSES, isQuoteExpired } from './quoteStatus.js';
+
+// Answers below this confidence are handed to a person
+export const CONFIDENCE_THRESHOLD = 0.6;
+
+export const ASSISTANT_INTENTS = {
+  JOB_STATUS: 'job_status',
+  QUOTE: 'quote',
+  PAYMENT: 'payment',
+  MAINTENANCE: 'maintenance',
+  HUMAN: 'human',
+  GREETING: 'greeting',
+  UNKNOWN: 'unknown',
+};
+
+const INTENT_KEYWORDS = {
+  [ASSISTANT_INTENTS.HUMAN]: ['human', 'person', 'real agent', 'talk to someone', 'speak to someone', 'representative'],
+  [ASSISTANT_INTENTS.QUOTE]: ['quote', 'how much', 'price', 'cost', 'estimate'],
+  [ASSISTANT_INTENTS.PAYMENT]: ['pay', 'payment', 'invoice', 'charged', 'refund'],
+  [ASSISTANT_INTENTS.MAINTENANCE]: ['due', 'maintenance', 'next service', 'service interval'],
+  [ASSISTANT_INTENTS.JOB_STATUS]: ['status', 'repair', 'progress', 'where is', 'eta', 'arrive', 'how long', 'ready', 'done yet'],
+  [ASSISTANT_INTENTS.GREETING]: ['hello', 'hi', 'hey', 'thanks', 'thank you'],
+};
+
+// Jobs in these statuses no longer count as the customer's current job
+const FINISHED_STATUSES = ['closed', 'cancelled'];
+
+const formatDate = (isoDate) => new Date(isoDate).toLocaleDateString();
+
+const hasWord = (text, keyword) => new RegExp(`\\b${keyword}\\b`).test(text);
+
+/**
+ * Work out what a message is asking about. Earlier intents in
+ * INTENT_KEYWORDS win ties, so "how much is my oil change" is a quote question.
+ *
+ * @returns {string} One of ASSISTANT_INTENTS
+ */
+export const classifyIntent = (text = '') => {
+  const lower = text.toLowerCase();
+  // Naming a maintenance item ("oil change") counts towards maintenance
+  const maintenanceHit = findMaintenanceItem(lower) ? 1 : 0;
+
+  let best = { intent: ASSISTANT_INTENTS.UNKNOWN, hits: 0 };
+  Object.entries(INTENT_KEYWORDS).forEach(([intent, keywords]) => {
+    const hits = keywords.filter(keyword => hasWord(lower, keyword)).length
+      + (intent === ASSISTANT_INTENTS.MAINTENANCE ? maintenanceHit : 0);
+    if (hits > best.hits) {
+      best = { intent, hits };
+    }
+  });
+  return best.intent;
+};
+
+// A job is only used if it belongs to the person asking
+const belongsTo = (job, userId) => job && (job.customerId === userId || job.mechanicId === userId);
+
+/**
+ * Whether the records for a question need the customer's service history:
+ * when the session isn't about a job, or to work out maintenance.
+ */
+export const needsServiceHistory = (session, intent) => !session.jobId || intent === ASSISTANT_INTENTS.MAINTENANCE;
+
+/**
+ * Pick the job a question is about: the session's job if it belongs to the
+ * customer, otherwise their most recent open one.
+ *
+ * @param {Object} session - Chat session ({ userId, jobId })
+ * @param {Object|null} sessionJob - The session's job, when it has one
+ * @param {Array} jobs - The customer's service requests, newest first
+ * @returns {Object|null}
+ */
+export const pickAssistantJob = (session, sessionJob, jobs = []) => {
+  if (belongsTo(sessionJob, session.userId)) return sessionJob;
+  return jobs.find(j => !FINISHED_STATUSES.includes(j.status)) || null;
+};
+
+/**
+ * Pick the quote to answer from: the job's latest, or else the newest.
+ *
+ * @param {Object} job - Service request
+ * @param {Array} quotes - The job's quotes, newest first
+ * @returns {Object|null}
+ */
+export const pickAssistantQuote = (job, quotes = []) => (
+  quotes.find(q => q.id === job.latestQuoteId) || quotes[0] || null
+);
+
+const forVehicle = (vehicle) => (vehicle ? ` for your ${describeVehicle(vehicle)}` : '');
+
+const quoteTotalCents = (quote) => {
+  if (Number.isFinite(quote.totals?.totalCents)) return quote.totals.totalCents;
+  return quote.totalCost !== undefined ? toCents(quote.totalCost) : null;
+};
+
+const answerJobStatus = ({ job }) => {
+  if (!job) {
+    return { text: 'I couldn\'t find an open service request on your account. You can start one from the home screen.', confidence: 0.7 };
+  }
+
+  const status = defaultStatusRegistry.get(job.status);
+  if (status.unknown) {
+    return { text: null, confidence: 0.3 };
+  }
+
+  const description = status.description ? ` (${status.description.toLowerCase()})` : '';
+  return {
+    text: `Your ${job.serviceType || 'service request'}${forVehicle(job.vehicleInfo)} is ${status.label}${description}. `
+      + `It was last updated on ${formatDate(job.updatedAt || job.createdAt)}.`,
+    confidence: 0.9,
+  };
+};
+
+const answerQuote = ({ job, quote }, now) => {
+  if (!job) {
+    return { text: 'I couldn\'t find a service request with a quote on your account.', confidence: 0.7 };
+  }
+  if (!quote) {
+    return { text: `Your mechanic hasn't sent a quote for your ${job.serviceType || 'service request'} yet. You'll be notified as soon as they do.`, confidence: 0.85 };
+  }
+
+  const totalCents = quoteTotalCents(quote);
+  if (totalCents === null) {
+    return { text: null, confidence: 0.3 };
+  }
+
+  const amount = `Your quote for ${job.serviceType || 'this job'} is ${formatCents(totalCents)}`;
+  if (quote.status === QUOTE_STATUSES.ACCEPTED) {
+    return { text: `${amount}, which you accepted.`, confidence: 0.9 };
+  }
+  if (quote.status === QUOTE_STATUSES.DECLINED) {
+    return { text: `${amount}, which you declined.`, confidence: 0.85 };
+  }
+  if (quote.status === QUOTE_STATUSES.COUNTERED) {
+    return { text: `${amount}. Your mechanic is reviewing your counter offer.`, confidence: 0.85 };
+  }
+  if (isQuoteExpired(quote, now)) {
+    return { text: `${amount}, but it expired on ${formatDate(quote.expiresAt)}. Ask your mechanic for an updated quote.`, confidence: 0.85 };
+  }
+  return {
+    text: `${amount}. It's waiting for your response${quote.expiresAt ? ` and is valid until ${formatDate(quote.expiresAt)}` : ''}.`,
+    confidence: 0.9,
+  };
+};
+
+const PAYMENT_ANSWERS = {
+  unpaid: 'hasn\'t been paid yet. Payment is taken once the work is completed.',
+  pending: 'is being processed.',
+  paid: 'has been paid in full. Thank you!',
+  refunded: 'has been refunded.',
+};
+
+const answerPayment = ({ job }) => {
+  if (!job) {
+    return { text: 'I couldn\'t find a service request on your account to check payment for.', confidence: 0.7 };
+  }
+
+  const answer = PAYMENT_ANSWERS[job.paymentStatus || 'unpaid'];
+  return answer
+    ? { text: `Your ${job.serviceType || 'service request'} ${answer}`, confidence: 0.85 }
+    : { text: null, confidence: 0.3 };
+};
+
+const describeDue = (due, now) => {
+  const { label } = due.item;
+  const mileage = due.dueMileage ? ` or at ${due.dueMileage.toLocaleString()} miles, whichever comes first` : '';
+  const lastDone = `Your last ${label.toLowerCase()} with us was on ${formatDate(due.lastDoneAt)}.`;
+
+  if (due.overdue) {
+    return `${lastDone} The next one was due on ${formatDate(due.dueAt)}${mileage}, so it's time to book one.`;
+  }
+  return `${lastDone} The next one is due by ${formatDate(due.dueAt)}${mileage}`
+    + `${due.daysUntilDue <= 30 ? ` - that's within the next ${Math.max(due.daysUntilDue, 1)} days` : ''}.`;
+};
+
+const answerMaintenance = ({ jobs, vehicle }, message, now) => {
+  const itemKey = findMaintenanceItem(message);
+  const itemKeys = itemKey ? [itemKey] : Object.keys(MAINTENANCE_ITEMS);
+  const due = itemKeys
+    .map(key => getNextServiceDue(jobs, key, { vehicle, now }))
+    .filter(Boolean);
+
+  if (due.length === 0) {
+    const label = itemKey ? MAINTENANCE_ITEMS[itemKey].label.toLowerCase() : 'routine maintenance';
+    return {
+      text: `I don't have a record of ${label}${forVehicle(vehicle)} with us, so I can't tell when it's next due. A mechanic can check it on your next visit.`,
+      confidence: 0.7,
+    };
+  }
+
+  return { text: due.map(d => describeDue(d, now)).join(' '), confidence: 0.85 };
+};
+
+/**
+ * Deterministic, offline model. Answers from templates filled in with the
+ * loaded records.
+ */
+export const localAssistantModel = async ({ message, intent, context, now = new Date() }) => {
+  switch (intent) {
+    case ASSISTANT_INTENTS.JOB_STATUS:
+      return answerJobStatus(context);
+    case ASSISTANT_INTENTS.QUOTE:
+      return answerQuote(context, now);
+    case ASSISTANT_INTENTS.PAYMENT:
+      return answerPayment(context);
+    case ASSISTANT_INTENTS.MAINTENANCE:
+      return answerMaintenance(context, message, now);
+    case ASSISTANT_INTENTS.GREETING:
+      return {
+        text: 'Hi! I can tell you where your repair is at, what your quote came to, your payment status and when maintenance is next due.',
+        confidence: 0.9,
+      };
+    default:
+      return { text: null, confidence: 0 };
+  }
+};
+
+/**
+ * Model that returns canned replies by intent, for tests.
+ *
+ * @param {Object} replies - { [intent]: { text, confidence } }
+ */
+export const createStubModel = (replies = {}) => async ({ intent }) => (
+  replies[intent] || { text: null, confidence: 0 }
+);
+
+/**
+ * Build a reply generator.
+ *
+ * @param {Object} options
+ * @param {Function} options.model - Model to answer with (defaults to localAssistantModel)
+ * @param {Function} options.loadContext - async (session, intent) => { job, quote, jobs, vehicle }
+ * @param {Function} options.escalate - async (sessionId, { reason }) => void
+ * @param {number} options.confidenceThreshold
+ * @returns {Function} async (text, session) => reply text, or null after escalating
+ */
+export const createChatAssistant = ({
+  model = localAssistantModel,
+  loadContext,
+  escalate,
+  confidenceThreshold = CONFIDENCE_THRESHOLD,
+}) => async (text, session) => {
+  const intent = classifyIntent(text);
+
+  if (intent === ASSISTANT_INTENTS.HUMAN) {
+    await escalate(session.id, { reason: 'Customer asked for a person' });
+    return null;
+  }
+
+  let answer;
+  try {
+    const context = intent === ASSISTANT_INTENTS.GREETING || intent === ASSISTANT_INTENTS.UNKNOWN
+      ? {}
+      : await loadContext(session, intent);
+    answer = await model({ message: text, intent, context, now: new Date() });
+  } catch (error) {
+    console.error('Error generating assistant answer:', error);
+    answer = null;
+  }
+
+  if (!answer?.text || answer.confidence < confidenceThreshold) {
+    await escalate(session.id, { reason: `Assistant wasn't confident answering: "${text.slice(0, 200)}"` });
+    return null;
+  }
+  return answer.text;
+};
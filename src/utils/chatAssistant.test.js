@@ -0,0 +1,112 @@
+import {
+  ASSISTANT_INTENTS,
+  classifyIntent,
+  createChatAssistant,
+  createStubModel,
+  pickAssistantJob,
+  pickAssistantQuote,
+} from './chatAssistant';
+
+const session = { id: 'session-1', userId: 'customer-1', jobId: 'job-1' };
+
+describe('classifyIntent', () => {
+  test.each([
+    ['Where is my repair at?', ASSISTANT_INTENTS.JOB_STATUS],
+    ['How much is the quote?', ASSISTANT_INTENTS.QUOTE],
+    ['Was my payment received?', ASSISTANT_INTENTS.PAYMENT],
+    ['When is my next oil change?', ASSISTANT_INTENTS.MAINTENANCE],
+    ['Can I talk to someone please', ASSISTANT_INTENTS.HUMAN],
+    ['Hello', ASSISTANT_INTENTS.GREETING],
+    ['asdf', ASSISTANT_INTENTS.UNKNOWN],
+  ])('%s -> %s', (text, intent) => {
+    expect(classifyIntent(text)).toBe(intent);
+  });
+
+  test('earlier intents win ties', () => {
+    expect(classifyIntent('how much is my oil change')).toBe(ASSISTANT_INTENTS.QUOTE);
+  });
+
+  test('matches whole words only', () => {
+    expect(classifyIntent('this is a history lesson')).toBe(ASSISTANT_INTENTS.UNKNOWN);
+  });
+});
+
+describe('createChatAssistant', () => {
+  const setup = (replies) => {
+    const escalate = jest.fn().mockResolvedValue();
+    const loadContext = jest.fn().mockResolvedValue({ job: null, quote: null, jobs: [], vehicle: null });
+    const assistant = createChatAssistant({ model: createStubModel(replies), loadContext, escalate });
+    return { assistant, escalate, loadContext };
+  };
+
+  test('answers confident replies without escalating', async () => {
+    const { assistant, escalate, loadContext } = setup({
+      [ASSISTANT_INTENTS.QUOTE]: { text: 'Your quote is $250.00', confidence: 0.9 },
+    });
+
+    await expect(assistant('How much is my quote?', session)).resolves.toBe('Your quote is $250.00');
+    expect(loadContext).toHaveBeenCalledWith(session, ASSISTANT_INTENTS.QUOTE);
+    expect(escalate).not.toHaveBeenCalled();
+  });
+
+  test('escalates when the customer asks for a person', async () => {
+    const { assistant, escalate, loadContext } = setup();
+
+    await expect(assistant('I want to talk to someone', session)).resolves.toBeNull();
+    expect(escalate).toHaveBeenCalledWith('session-1', { reason: 'Customer asked for a person' });
+    expect(loadContext).not.toHaveBeenCalled();
+  });
+
+  test('escalates low-confidence answers', async () => {
+    const { assistant, escalate } = setup({
+      [ASSISTANT_INTENTS.PAYMENT]: { text: 'Maybe paid?', confidence: 0.3 },
+    });
+
+    await expect(assistant('Did my payment go through?', session)).resolves.toBeNull();
+    expect(escalate).toHaveBeenCalledWith('session-1', {
+      reason: 'Assistant wasn\'t confident answering: "Did my payment go through?"',
+    });
+  });
+
+  test('escalates when there is no answer or loading fails', async () => {
+    const { assistant, escalate, loadContext } = setup();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    loadContext.mockRejectedValueOnce(new Error('offline'));
+
+    await expect(assistant('What is the status of my repair?', session)).resolves.toBeNull();
+    await expect(assistant('asdf', session)).resolves.toBeNull();
+    expect(escalate).toHaveBeenCalledTimes(2);
+    console.error.mockRestore();
+  });
+});
+
+describe('pickAssistantJob', () => {
+  const jobs = [
+    { id: 'job-3', customerId: 'customer-1', status: 'closed' },
+    { id: 'job-2', customerId: 'customer-1', status: 'in_progress' },
+  ];
+
+  test('uses the session\'s job when it belongs to the customer', () => {
+    const sessionJob = { id: 'job-1', customerId: 'customer-1', status: 'completed' };
+    expect(pickAssistantJob(session, sessionJob, jobs)).toBe(sessionJob);
+  });
+
+  test('ignores a session job that belongs to someone else', () => {
+    const otherJob = { id: 'job-1', customerId: 'customer-2', mechanicId: 'mechanic-9' };
+    expect(pickAssistantJob(session, otherJob, jobs).id).toBe('job-2');
+  });
+
+  test('falls back to the most recent open job', () => {
+    expect(pickAssistantJob({ userId: 'customer-1' }, null, jobs).id).toBe('job-2');
+    expect(pickAssistantJob({ userId: 'customer-1' }, null, [jobs[0]])).toBeNull();
+  });
+});
+
+describe('pickAssistantQuote', () => {
+  test('prefers the job\'s latest quote over the newest one', () => {
+    const quotes = [{ id: 'quote-3' }, { id: 'quote-2' }];
+    expect(pickAssistantQuote({ latestQuoteId: 'quote-2' }, quotes).id).toBe('quote-2');
+    expect(pickAssistantQuote({}, quotes).id).toBe('quote-3');
+    expect(pickAssistantQuote({}, [])).toBeNull();
+  });
+});
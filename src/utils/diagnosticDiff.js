@@ -0,0 +1,63 @@
+/**
+ * Diagnostic Diff
+ *
+ * Compares the likely causes of two diagnostic runs on the same vehicle so
+ * mechanics can see what changed: causes that appeared or dropped out, and
+ * causes whose probability went up or down. Causes are matched on their
+ * issue text, ignoring case and punctuation.
+ */
+
+import { PROBABILITIES } from './diagnosticSchema';
+
+const causeKey = (issue = '') => issue.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Higher is more likely; unknown probabilities rank lowest
+const probabilityRank = (probability) => {
+  const index = PROBABILITIES.indexOf(probability);
+  return index === -1 ? 0 : PROBABILITIES.length - index;
+};
+
+/**
+ * Compare likely causes between two runs.
+ *
+ * @param {Object} previous - Earlier diagnostic result
+ * @param {Object} current - Later diagnostic result
+ * @returns {{ added: Array, removed: Array, changed: Array, unchanged: Array }}
+ *   `changed` entries are { issue, from, to, direction: 'up' | 'down' }
+ */
+export const diffLikelyCauses = (previous, current) => {
+  const before = new Map((previous?.likelyCauses || []).map(cause => [causeKey(cause.issue), cause]));
+  const after = new Map((current?.likelyCauses || []).map(cause => [causeKey(cause.issue), cause]));
+
+  const diff = { added: [], removed: [], changed: [], unchanged: [] };
+
+  after.forEach((cause, key) => {
+    const earlier = before.get(key);
+    if (!earlier) {
+      diff.added.push(cause);
+    } else if (earlier.probability !== cause.probability) {
+      diff.changed.push({
+        issue: cause.issue,
+        from: earlier.probability || null,
+        to: cause.probability || null,
+        direction: probabilityRank(cause.probability) > probabilityRank(earlier.probability) ? 'up' : 'down',
+      });
+    } else {
+      diff.unchanged.push(cause);
+    }
+  });
+
+  before.forEach((cause, key) => {
+    if (!after.has(key)) {
+      diff.removed.push(cause);
+    }
+  });
+
+  return diff;
+};
+
+/**
+ * Whether a cause matches the one confirmed on a diagnostic.
+ */
+export const isConfirmedCause = (cause, confirmedCause) => Boolean(confirmedCause)
+  && causeKey(cause.issue) === causeKey(confirmedCause.issue);
@@ -0,0 +1,72 @@
+/**
+ * Diagnostic Quotes
+ *
+ * Drafts quote line items from a diagnostic's suggested repairs. A diagnostic
+ * only estimates costs as ranges for the whole job, so drafted lines start
+ * from the low end of each range split evenly across the selected repairs;
+ * the mechanic adjusts them with the estimate shown alongside for comparison.
+ */
+
+import { calculateLaborHours, centsToDollars } from './quoteCalculator';
+import { toAmount } from './diagnosticSchema';
+
+// Split an amount in hundredths into `count` shares that add back up to it,
+// e.g. 1000 over 3 -> [334, 333, 333]. Empty strings when there is no amount.
+const splitHundredths = (amount, count) => {
+  if (!amount) return Array(count).fill('');
+  const total = Math.round(amount * 100);
+  const share = Math.floor(total / count);
+  return Array.from({ length: count }, (_, i) => share + (i < total % count ? 1 : 0));
+};
+
+const formatHours = (hundredths) => (hundredths === '' ? '' : String(hundredths / 100));
+
+/**
+ * Line items for the selected repairs: a labor line and a parts line each,
+ * pre-filled with the estimate's minimum hours and parts cost.
+ *
+ * @param {Array} repairs - Suggested repairs, [{ repair, description }]
+ * @param {Object} estimatedCosts - Diagnostic cost estimate
+ * @returns {Array} Line items without form keys
+ */
+export const buildDiagnosticLineItems = (repairs = [], estimatedCosts = null) => {
+  const selected = repairs.filter(repair => repair?.repair);
+  const rate = toAmount(estimatedCosts?.labor?.rate);
+  const hours = splitHundredths(toAmount(estimatedCosts?.labor?.hours?.min), selected.length);
+  const partCents = splitHundredths(toAmount(estimatedCosts?.parts?.min), selected.length);
+
+  return selected.flatMap(({ repair }, i) => [
+    { type: 'labor', description: repair, hours: formatHours(hours[i]), rate: rate ? String(rate) : '' },
+    {
+      type: 'part',
+      partNumber: '',
+      description: `Parts: ${repair}`,
+      quantity: '1',
+      unitPrice: partCents[i] === '' ? '' : centsToDollars(partCents[i]),
+    },
+  ]);
+};
+
+// Where a firm value falls against an estimated { min, max } range
+const rangeStatus = (value, range) => {
+  const min = toAmount(range?.min);
+  const max = toAmount(range?.max);
+  if (min === null || max === null) return null;
+  if (value < min) return 'below';
+  if (value > max) return 'above';
+  return 'within';
+};
+
+/**
+ * Compare a quote's firm parts total and labor hours with the diagnostic estimate.
+ *
+ * @param {Array} lineItems - Quote line items
+ * @param {Object} totals - From calculateQuoteTotals
+ * @param {Object} estimatedCosts - Diagnostic cost estimate
+ * @returns {{ parts: string|null, laborHours: string|null }} 'below', 'within' or
+ *   'above' each; null where the estimate has no range
+ */
+export const compareQuoteToEstimate = (lineItems, totals, estimatedCosts) => ({
+  parts: rangeStatus(totals.partsCents / 100, estimatedCosts?.parts),
+  laborHours: rangeStatus(calculateLaborHours(lineItems), estimatedCosts?.labor?.hours),
+});
@@ -0,0 +1,60 @@
+import { buildDiagnosticLineItems, compareQuoteToEstimate } from './diagnosticQuote';
+import { calculateQuoteTotals } from './quoteCalculator';
+
+const estimatedCosts = { parts: { min: 100, max: 250 }, labor: { hours: { min: 2, max: 3 }, rate: 120 } };
+const repairs = [
+  { repair: 'Replace ignition coil' },
+  { repair: 'Replace spark plugs' },
+  { repair: 'Clean throttle body' },
+];
+
+describe('buildDiagnosticLineItems', () => {
+  test('drafts a labor and a parts line per repair', () => {
+    const items = buildDiagnosticLineItems(repairs.slice(0, 1), estimatedCosts);
+
+    expect(items).toEqual([
+      { type: 'labor', description: 'Replace ignition coil', hours: '2', rate: '120' },
+      { type: 'part', partNumber: '', description: 'Parts: Replace ignition coil', quantity: '1', unitPrice: '100.00' },
+    ]);
+  });
+
+  test('splits the minimum hours and parts cost across repairs without losing a cent', () => {
+    const items = buildDiagnosticLineItems(repairs, estimatedCosts);
+    const labor = items.filter(item => item.type === 'labor');
+    const parts = items.filter(item => item.type === 'part');
+
+    expect(labor.map(item => item.hours)).toEqual(['0.67', '0.67', '0.66']);
+    expect(parts.map(item => item.unitPrice)).toEqual(['33.34', '33.33', '33.33']);
+
+    const totals = calculateQuoteTotals(items);
+    expect(totals.partsCents).toBe(10000);
+    expect(compareQuoteToEstimate(items, totals, estimatedCosts)).toEqual({ parts: 'within', laborHours: 'within' });
+  });
+
+  test('leaves values the estimate does not have empty', () => {
+    const items = buildDiagnosticLineItems(repairs.slice(0, 1), { parts: { min: 0, max: 50 }, labor: { hours: null, rate: null } });
+
+    expect(items[0]).toMatchObject({ hours: '', rate: '' });
+    expect(items[1].unitPrice).toBe('');
+    expect(buildDiagnosticLineItems(repairs.slice(0, 1))[1].unitPrice).toBe('');
+  });
+
+  test('skips repairs without a name', () => {
+    const items = buildDiagnosticLineItems([{ description: 'No name' }, ...repairs.slice(0, 1)], estimatedCosts);
+
+    expect(items).toHaveLength(2);
+    expect(items[0].hours).toBe('2');
+  });
+});
+
+describe('compareQuoteToEstimate', () => {
+  test('places parts and hours against the estimated ranges', () => {
+    const items = [
+      { type: 'labor', hours: '4', rate: '120' },
+      { type: 'part', quantity: '1', unitPrice: '80' },
+    ];
+
+    expect(compareQuoteToEstimate(items, calculateQuoteTotals(items), estimatedCosts)).toEqual({ parts: 'below', laborHours: 'above' });
+    expect(compareQuoteToEstimate(items, calculateQuoteTotals(items), null)).toEqual({ parts: null, laborHours: null });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Diagnostic Result Schema
+ *
+ * The strict shape of an AI diagnostic result, and the normalizer that
+ * coerces model output into it. Models get details wrong ("$1,200" for a
+ * number, "high" for "High", a bare string for a cause), so each field is
+ * coerced where the meaning is clear and dropped where it isn't. Every
+ * change is recorded as an issue, so screens can say when a result is
+ * partial instead of breaking on it.
+ *
+ * Schema:
+ * { likelyCauses: [{ issue: string, probability: PROBABILITY|null, description: string|null,
+ *                   relatedCodes: string[] }],
+ *   recommendedTests: [{ test: string, purpose: string|null, complexity: COMPLEXITY|null }],
+ *   suggestedRepairs: [{ repair: string, description: string|null }],
+ *   estimatedCosts: { parts: { min, max }, labor: { hours: { min, max }, rate } } | null,
+ *   severityLevel: SEVERITY_LEVEL | null,
+ *   additionalNotes: string | null }
+ */
+
+import { normalizeDtc, isValidDtc } from './obdCodes';
+
+export const PROBABILITIES = ['High', 'Medium', 'Low'];
+export const COMPLEXITIES = ['Simple', 'Moderate', 'Complex'];
+export const SEVERITY_LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+// Model output beyond these is dropped rather than shown
+const MAX_ITEMS = 10;
+const MAX_TEXT_LENGTH = 1000;
+
+const toText = (value) => {
+  if (typeof value === 'number') return String(value);
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  return text ? text.slice(0, MAX_TEXT_LENGTH) : null;
+};
+
+/**
+ * Coerce a number, accepting strings like "$1,200.50" or "2.5 hours".
+ *
+ * @returns {number|null} Null for anything that isn't a finite, non-negative number
+ */
+export const toAmount = (value) => {
+  const number = typeof value === 'string'
+    ? parseFloat(value.replace(/[$,\s]/g, ''))
+    : value;
+  return typeof number === 'number' && Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+// Match an enum case-insensitively, e.g. 'high' -> 'High'
+const toEnum = (value, allowed) => {
+  const text = toText(value);
+  if (!text) return null;
+  return allowed.find(option => option.toLowerCase() === text.toLowerCase()) || null;
+};
+
+// Percentages and 0-1 scores map onto High/Medium/Low
+const toProbability = (value) => {
+  const named = toEnum(value, PROBABILITIES);
+  if (named) return named;
+
+  let score = toAmount(typeof value === 'string' ? value.replace('%', '') : value);
+  if (score === null) return null;
+  if (score > 1) score /= 100;
+  if (score >= 0.66) return 'High';
+  if (score >= 0.33) return 'Medium';
+  return 'Low';
+};
+
+// Valid, de-duplicated OBD-II codes from a list
+const toCodes = (value) => (Array.isArray(value)
+  ? [...new Set(value.filter(isValidDtc).map(normalizeDtc))]
+  : []);
+
+/**
+ * Coerce a { min, max } range. A single number becomes a fixed range and
+ * reversed bounds are swapped.
+ *
+ * @returns {{ min: number, max: number }|null}
+ */
+export const toRange = (value) => {
+  const single = toAmount(value);
+  if (single !== null) return { min: single, max: single };
+  if (!value || typeof value !== 'object') return null;
+
+  const min = toAmount(value.min);
+  const max = toAmount(value.max);
+  if (min === null && max === null) return null;
+  if (min === null || max === null) {
+    const known = min === null ? max : min;
+    return { min: known, max: known };
+  }
+  return { min: Math.min(min, max), max: Math.max(min, max) };
+};
+
+/**
+ * Normalize a list field. Strings become items with just the main field;
+ * items without it are dropped.
+ */
+const normalizeList = (value, field, mainKey, normalizeItem, issues) => {
+  if (value === undefined || value === null) {
+    issues.push(`${field} is missing`);
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    issues.push(`${field} is not a list`);
+    return [];
+  }
+
+  const items = value
+    .map(item => (typeof item === 'string' ? { [mainKey]: item } : item))
+    .filter(item => item && typeof item === 'object')
+    .map(normalizeItem)
+    .filter(item => item[mainKey]);
+
+  if (items.length < value.length) {
+    issues.push(`${value.length - items.length} unreadable ${field} entr${value.length - items.length === 1 ? 'y was' : 'ies were'} removed`);
+  }
+  if (items.length > MAX_ITEMS) {
+    issues.push(`${field} was cut to ${MAX_ITEMS} entries`);
+  }
+  return items.slice(0, MAX_ITEMS);
+};
+
+const normalizeCosts = (value, issues) => {
+  if (!value) {
+    issues.push('estimatedCosts is missing');
+    return null;
+  }
+
+  const parts = toRange(value.parts);
+  const hours = toRange(value.labor?.hours ?? value.labor?.hoursRange);
+  const rate = toAmount(value.labor?.rate);
+
+  if (!parts && !(hours && rate !== null)) {
+    issues.push('estimatedCosts could not be read');
+    return null;
+  }
+  if (!parts) issues.push('parts cost is missing');
+  if (!hours || rate === null) issues.push('labor estimate is incomplete');
+
+  return {
+    parts: parts || { min: 0, max: 0 },
+    labor: { hours: hours || { min: 0, max: 0 }, rate: rate ?? 0 },
+  };
+};
+
+/**
+ * Coerce a diagnostic result into the schema.
+ *
+ * @param {*} raw - Result from a model or from storage
+ * @returns {{ result: Object, issues: string[], partial: boolean, usable: boolean }}
+ *   `usable` is false when there is nothing worth showing (no causes or repairs)
+ */
+export const normalizeDiagnosticResult = (raw) => {
+  const issues = [];
+  const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+  if (source !== raw) {
+    issues.push('result is not an object');
+  }
+
+  const result = {
+    likelyCauses: normalizeList(source.likelyCauses, 'likelyCauses', 'issue', item => ({
+      issue: toText(item.issue ?? item.cause ?? item.name),
+      probability: toProbability(item.probability ?? item.likelihood),
+      description: toText(item.description),
+      relatedCodes: toCodes(item.relatedCodes),
+    }), issues),
+    recommendedTests: normalizeList(source.recommendedTests, 'recommendedTests', 'test', item => ({
+      test: toText(item.test ?? item.name),
+      purpose: toText(item.purpose),
+      complexity: toEnum(item.complexity, COMPLEXITIES),
+    }), issues),
+    suggestedRepairs: normalizeList(source.suggestedRepairs, 'suggestedRepairs', 'repair', item => ({
+      repair: toText(item.repair ?? item.name),
+      description: toText(item.description),
+    }), issues),
+    estimatedCosts: normalizeCosts(source.estimatedCosts, issues),
+    severityLevel: toEnum(source.severityLevel ?? source.severity, SEVERITY_LEVELS),
+    additionalNotes: toText(source.additionalNotes),
+  };
+
+  if (!result.severityLevel) {
+    issues.push('severityLevel is missing or not recognized');
+  }
+
+  return {
+    result,
+    issues,
+    partial: issues.length > 0,
+    usable: result.likelyCauses.length > 0 || result.suggestedRepairs.length > 0,
+  };
+};
@@ -0,0 +1,129 @@
+import { normalizeDiagnosticResult, toAmount, toRange } from './diagnosticSchema';
+
+const validResult = {
+  likelyCauses: [{ issue: 'Worn spark plugs', probability: 'High', description: 'Plugs are past their interval', relatedCodes: ['P0300'] }],
+  recommendedTests: [{ test: 'Spark plug inspection', purpose: 'Check electrode wear', complexity: 'Simple' }],
+  suggestedRepairs: [{ repair: 'Replace spark plugs', description: 'All four cylinders' }],
+  estimatedCosts: { parts: { min: 40, max: 80 }, labor: { hours: { min: 1, max: 1.5 }, rate: 120 } },
+  severityLevel: 'High',
+  additionalNotes: 'Avoid hard acceleration until repaired',
+};
+
+describe('toAmount', () => {
+  test('reads numbers and formatted strings', () => {
+    expect(toAmount(120)).toBe(120);
+    expect(toAmount('$1,200.50')).toBe(1200.5);
+    expect(toAmount('2.5 hours')).toBe(2.5);
+  });
+
+  test('rejects negative, non-finite and unreadable values', () => {
+    expect(toAmount(-5)).toBeNull();
+    expect(toAmount(Infinity)).toBeNull();
+    expect(toAmount('about a hundred')).toBeNull();
+    expect(toAmount(null)).toBeNull();
+  });
+});
+
+describe('toRange', () => {
+  test('turns a single amount into a fixed range', () => {
+    expect(toRange('$150')).toEqual({ min: 150, max: 150 });
+  });
+
+  test('swaps reversed bounds and fills a missing one', () => {
+    expect(toRange({ min: 300, max: 100 })).toEqual({ min: 100, max: 300 });
+    expect(toRange({ max: '90' })).toEqual({ min: 90, max: 90 });
+  });
+
+  test('returns null without any bound', () => {
+    expect(toRange({ min: 'n/a' })).toBeNull();
+    expect(toRange(undefined)).toBeNull();
+  });
+});
+
+describe('normalizeDiagnosticResult', () => {
+  test('passes a valid result through without issues', () => {
+    const { result, issues, partial, usable } = normalizeDiagnosticResult(validResult);
+
+    expect(result).toEqual(validResult);
+    expect(issues).toEqual([]);
+    expect(partial).toBe(false);
+    expect(usable).toBe(true);
+  });
+
+  test('coerces enums case-insensitively and maps scores onto probabilities', () => {
+    const { result } = normalizeDiagnosticResult({
+      ...validResult,
+      likelyCauses: [
+        { issue: 'Vacuum leak', probability: 'medium' },
+        { issue: 'Faulty coil', probability: '80%' },
+        { issue: 'Bad fuel', probability: 0.1 },
+      ],
+      recommendedTests: [{ test: 'Smoke test', complexity: 'MODERATE' }],
+      severity: 'critical',
+      severityLevel: undefined,
+    });
+
+    expect(result.likelyCauses.map(cause => cause.probability)).toEqual(['Medium', 'High', 'Low']);
+    expect(result.recommendedTests[0].complexity).toBe('Moderate');
+    expect(result.severityLevel).toBe('Critical');
+  });
+
+  test('drops values outside the enums and invalid codes', () => {
+    const { result, issues } = normalizeDiagnosticResult({
+      ...validResult,
+      likelyCauses: [{ issue: 'Misfire', probability: 'certain', relatedCodes: ['p0300', 'P0300', 'X1234', 42] }],
+      severityLevel: 'Apocalyptic',
+    });
+
+    expect(result.likelyCauses[0]).toMatchObject({ probability: null, relatedCodes: ['P0300'] });
+    expect(result.severityLevel).toBeNull();
+    expect(issues).toContain('severityLevel is missing or not recognized');
+  });
+
+  test('turns strings into list items and removes unreadable entries', () => {
+    const { result, issues } = normalizeDiagnosticResult({
+      ...validResult,
+      suggestedRepairs: ['Replace ignition coil', null, { description: 'No repair named' }],
+    });
+
+    expect(result.suggestedRepairs).toEqual([{ repair: 'Replace ignition coil', description: null }]);
+    expect(issues).toContain('2 unreadable suggestedRepairs entries were removed');
+  });
+
+  test('cuts long lists', () => {
+    const causes = Array.from({ length: 12 }, (_, i) => `Cause ${i + 1}`);
+    const { result, issues } = normalizeDiagnosticResult({ ...validResult, likelyCauses: causes });
+
+    expect(result.likelyCauses).toHaveLength(10);
+    expect(issues).toContain('likelyCauses was cut to 10 entries');
+  });
+
+  test('reads formatted costs and reports a missing labor estimate', () => {
+    const { result, issues } = normalizeDiagnosticResult({
+      ...validResult,
+      estimatedCosts: { parts: { min: '$1,200', max: '$900' } },
+    });
+
+    expect(result.estimatedCosts).toEqual({
+      parts: { min: 900, max: 1200 },
+      labor: { hours: { min: 0, max: 0 }, rate: 0 },
+    });
+    expect(issues).toContain('labor estimate is incomplete');
+  });
+
+  test('drops costs it cannot read', () => {
+    const { result, issues } = normalizeDiagnosticResult({ ...validResult, estimatedCosts: { parts: 'varies' } });
+
+    expect(result.estimatedCosts).toBeNull();
+    expect(issues).toContain('estimatedCosts could not be read');
+  });
+
+  test('marks a result without causes or repairs as unusable', () => {
+    const { result, issues, partial, usable } = normalizeDiagnosticResult('Sorry, I cannot help with that');
+
+    expect(issues).toEqual(expect.arrayContaining(['result is not an object', 'likelyCauses is missing']));
+    expect(result.likelyCauses).toEqual([]);
+    expect(partial).toBe(true);
+    expect(usable).toBe(false);
+  });
+});
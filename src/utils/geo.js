@@ -0,0 +1,81 @@
+/**
+ * Geo Helpers
+ *
+ * Distance and travel-time estimates from plain { latitude, longitude }
+ * points. Used where a routing API is unavailable or too expensive to call
+ * on every location update.
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Roads are rarely straight; scale straight-line distance to approximate driving distance
+export const ROAD_DISTANCE_FACTOR = 1.3;
+
+// Assumed average driving speed when the device does not report a usable one
+export const DEFAULT_SPEED_KPH = 40;
+
+// Below this the reported speed is treated as stopped (traffic light, parked)
+const MIN_MOVING_SPEED_MPS = 3;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points.
+ *
+ * @param {{ latitude: number, longitude: number }} from
+ * @param {{ latitude: number, longitude: number }} to
+ * @returns {number} Distance in meters
+ */
+export const haversineDistanceMeters = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Estimated driving distance between two points.
+ *
+ * @returns {number} Distance in meters
+ */
+export const estimateRoadDistanceMeters = (from, to) => {
+  return haversineDistanceMeters(from, to) * ROAD_DISTANCE_FACTOR;
+};
+
+/**
+ * Estimate the time to drive from one point to another.
+ *
+ * @param {Object} from - Current position
+ * @param {Object} to - Destination
+ * @param {Object} options
+ * @param {number} options.speedMps - Reported speed in meters per second
+ * @returns {{ distanceMeters: number, minutes: number }}
+ */
+export const estimateEta = (from, to, { speedMps = null } = {}) => {
+  const distanceMeters = estimateRoadDistanceMeters(from, to);
+  const metersPerSecond = speedMps && speedMps >= MIN_MOVING_SPEED_MPS
+    ? speedMps
+    : (DEFAULT_SPEED_KPH * 1000) / 3600;
+
+  return {
+    distanceMeters,
+    minutes: Math.max(1, Math.round(distanceMeters / metersPerSecond / 60)),
+  };
+};
+
+export const metersToMiles = (meters) => meters / 1609.344;
+
+export const milesToMeters = (miles) => miles * 1609.344;
+
+export const formatDistance = (meters) => {
+  const miles = metersToMiles(meters);
+  return miles < 0.1 ? `${Math.round(meters * 3.28084)} ft` : `${miles.toFixed(1)} mi`;
+};
+
+export const formatEta = (minutes) => {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} hr ${rest} min` : `${hours} hr`;
+};
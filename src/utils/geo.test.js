@@ -0,0 +1,30 @@
+import { haversineDistanceMeters, estimateEta, ROAD_DISTANCE_FACTOR } from './geo';
+
+// 0.1 degrees of latitude is about 11.1 km
+const start = { latitude: 40.7, longitude: -74 };
+const tenthNorth = { latitude: 40.8, longitude: -74 };
+
+describe('estimateEta', () => {
+  test('scales straight-line distance to road distance', () => {
+    const { distanceMeters } = estimateEta(start, tenthNorth);
+    expect(distanceMeters).toBeCloseTo(haversineDistanceMeters(start, tenthNorth) * ROAD_DISTANCE_FACTOR, 6);
+    expect(distanceMeters).toBeCloseTo(14455, -1);
+  });
+
+  test('assumes the default speed without a reported one', () => {
+    expect(estimateEta(start, tenthNorth).minutes).toBe(22);
+  });
+
+  test('uses the reported speed while moving', () => {
+    expect(estimateEta(start, tenthNorth, { speedMps: 20 }).minutes).toBe(12);
+  });
+
+  test('ignores speeds too low to be driving', () => {
+    expect(estimateEta(start, tenthNorth, { speedMps: 2 }).minutes).toBe(22);
+    expect(estimateEta(start, tenthNorth, { speedMps: 0 }).minutes).toBe(22);
+  });
+
+  test('never estimates less than a minute', () => {
+    expect(estimateEta(start, start)).toEqual({ distanceMeters: 0, minutes: 1 });
+  });
+});
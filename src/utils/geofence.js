@@ -0,0 +1,142 @@
+/**
+ * Geofence Helpers
+ *
+ * Pure functions behind mechanic service areas, shared by the app and the
+ * checkServiceRequestArea Cloud Function:
+ * - Radius and polygon containment checks
+ * - Deciding whether a job location is inside a mechanic's service area
+ * - Distance-based travel fees measured from the mechanic's base
+ *
+ * Area shapes:
+ * - { id, name, type: 'radius', center: { latitude, longitude }, radiusMeters }
+ * - { id, name, type: 'polygon', points: [{ latitude, longitude }, ...] }
+ */
+
+// The .js extension lets Cloud Functions load this file as is (see functions/package.json)
+import { haversineDistanceMeters, estimateRoadDistanceMeters, metersToMiles } from './geo.js';
+
+export const AREA_TYPES = {
+  RADIUS: 'radius',
+  POLYGON: 'polygon',
+};
+
+// What happens to a request outside every area: it is flagged for the mechanic or refused
+export const OUTSIDE_AREA_POLICIES = [
+  { id: 'flag', label: 'Flag it' },
+  { id: 'block', label: 'Block it' },
+];
+
+export const DEFAULT_OUTSIDE_AREA_POLICY = 'flag';
+
+// Travel fee amounts are in cents; a null maximum means no cap
+export const DEFAULT_TRAVEL_FEE = {
+  enabled: true,
+  freeMiles: 10,
+  perMileCents: 150,
+  minimumCents: 0,
+  maximumCents: null,
+};
+
+/**
+ * Ray-casting point-in-polygon test on latitude/longitude. Accurate for
+ * service-area sized polygons that don't cross the antimeridian.
+ *
+ * @param {{ latitude: number, longitude: number }} point
+ * @param {Array<{ latitude: number, longitude: number }>} polygon - Vertices in order; need not be closed
+ * @returns {boolean}
+ */
+export const isPointInPolygon = (point, polygon = []) => {
+  if (polygon.length < 3) return false;
+
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.latitude > point.latitude) !== (b.latitude > point.latitude)
+      && point.longitude < ((b.longitude - a.longitude) * (point.latitude - a.latitude)) / (b.latitude - a.latitude) + a.longitude;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+export const isPointInArea = (point, area) => {
+  switch (area?.type) {
+    case AREA_TYPES.RADIUS:
+      return Boolean(area.center) && haversineDistanceMeters(area.center, point) <= area.radiusMeters;
+    case AREA_TYPES.POLYGON:
+      return isPointInPolygon(point, area.points);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check that an area can be saved.
+ *
+ * @returns {string|null} Error message, or null when the area is valid
+ */
+export const validateServiceArea = (area) => {
+  switch (area?.type) {
+    case AREA_TYPES.RADIUS:
+      if (!area.center) return 'Pick the center of the area on the map';
+      if (!(area.radiusMeters > 0)) return 'Radius must be greater than zero';
+      return null;
+    case AREA_TYPES.POLYGON:
+      if (!area.points || area.points.length < 3) return 'An area needs at least three points';
+      return null;
+    default:
+      return 'Unknown area type';
+  }
+};
+
+/**
+ * Decide whether a location is inside a mechanic's service area.
+ * Mechanics who haven't drawn any areas cover everywhere.
+ *
+ * @param {{ latitude: number, longitude: number }} point - Job location
+ * @param {Object} serviceArea - { areas, base, outsideAreaPolicy }
+ * @returns {{ inside: boolean, configured: boolean, areaId: string|null,
+ *   distanceMeters: number|null, blocked: boolean }} `distanceMeters` is the
+ *   estimated driving distance from the mechanic's base, when one is set
+ */
+export const checkServiceArea = (point, serviceArea) => {
+  const areas = serviceArea?.areas || [];
+  const base = serviceArea?.base;
+  const distanceMeters = base ? estimateRoadDistanceMeters(base, point) : null;
+
+  if (areas.length === 0) {
+    return { inside: true, configured: false, areaId: null, distanceMeters, blocked: false };
+  }
+
+  const match = areas.find(area => isPointInArea(point, area));
+  return {
+    inside: Boolean(match),
+    configured: true,
+    areaId: match?.id || null,
+    distanceMeters,
+    blocked: !match && serviceArea.outsideAreaPolicy === 'block',
+  };
+};
+
+/**
+ * Travel fee for a trip from the mechanic's base. Miles past the free
+ * allowance are charged per mile, then the minimum and maximum apply.
+ *
+ * @param {number} distanceMeters - Driving distance from the base
+ * @param {Object} travelFee - Settings in the shape of DEFAULT_TRAVEL_FEE
+ * @returns {number} Fee in cents (0 when disabled or within the free miles)
+ */
+export const calculateTravelFeeCents = (distanceMeters, travelFee = DEFAULT_TRAVEL_FEE) => {
+  const settings = { ...DEFAULT_TRAVEL_FEE, ...travelFee };
+  if (!settings.enabled || !(distanceMeters > 0)) return 0;
+
+  const chargeableMiles = metersToMiles(distanceMeters) - (Number(settings.freeMiles) || 0);
+  if (chargeableMiles <= 0) return 0;
+
+  let cents = Math.round(chargeableMiles * (Number(settings.perMileCents) || 0));
+  cents = Math.max(cents, Number(settings.minimumCents) || 0);
+  if (settings.maximumCents !== null && settings.maximumCents !== undefined) {
+    cents = Math.min(cents, Number(settings.maximumCents));
+  }
+  return cents;
+};
@@ -0,0 +1,121 @@
+import {
+  isPointInPolygon,
+  isPointInArea,
+  checkServiceArea,
+  calculateTravelFeeCents,
+  validateServiceArea,
+} from './geofence';
+import { haversineDistanceMeters, milesToMeters } from './geo';
+
+// A square around lower Manhattan
+const square = [
+  { latitude: 40.70, longitude: -74.02 },
+  { latitude: 40.70, longitude: -73.97 },
+  { latitude: 40.75, longitude: -73.97 },
+  { latitude: 40.75, longitude: -74.02 },
+];
+const insideSquare = { latitude: 40.72, longitude: -74.0 };
+const outsideSquare = { latitude: 40.78, longitude: -74.0 };
+
+describe('isPointInPolygon', () => {
+  test('tells points inside from points outside', () => {
+    expect(isPointInPolygon(insideSquare, square)).toBe(true);
+    expect(isPointInPolygon(outsideSquare, square)).toBe(false);
+    expect(isPointInPolygon({ latitude: 40.72, longitude: -73.9 }, square)).toBe(false);
+  });
+
+  test('handles concave shapes', () => {
+    // An L: the square with its north-east quarter cut away
+    const l = [
+      { latitude: 40.70, longitude: -74.02 },
+      { latitude: 40.70, longitude: -73.97 },
+      { latitude: 40.725, longitude: -73.97 },
+      { latitude: 40.725, longitude: -73.995 },
+      { latitude: 40.75, longitude: -73.995 },
+      { latitude: 40.75, longitude: -74.02 },
+    ];
+    expect(isPointInPolygon({ latitude: 40.74, longitude: -74.01 }, l)).toBe(true);
+    expect(isPointInPolygon({ latitude: 40.74, longitude: -73.98 }, l)).toBe(false);
+  });
+
+  test('needs at least three points', () => {
+    expect(isPointInPolygon(insideSquare, square.slice(0, 2))).toBe(false);
+  });
+});
+
+describe('isPointInArea', () => {
+  const center = { latitude: 40.7, longitude: -74 };
+  const point = { latitude: 40.75, longitude: -74 };
+  const distance = haversineDistanceMeters(center, point);
+
+  test('includes points on the edge of a radius', () => {
+    expect(isPointInArea(point, { type: 'radius', center, radiusMeters: distance })).toBe(true);
+    expect(isPointInArea(point, { type: 'radius', center, radiusMeters: distance - 1 })).toBe(false);
+  });
+
+  test('checks polygons and rejects unknown shapes', () => {
+    expect(isPointInArea(insideSquare, { type: 'polygon', points: square })).toBe(true);
+    expect(isPointInArea(insideSquare, { type: 'circle', center, radiusMeters: 1e6 })).toBe(false);
+  });
+});
+
+describe('validateServiceArea', () => {
+  test('explains what is missing', () => {
+    expect(validateServiceArea({ type: 'radius', center: insideSquare, radiusMeters: 1000 })).toBeNull();
+    expect(validateServiceArea({ type: 'radius', center: insideSquare, radiusMeters: 0 })).toBe('Radius must be greater than zero');
+    expect(validateServiceArea({ type: 'polygon', points: square.slice(0, 2) })).toBe('An area needs at least three points');
+  });
+});
+
+describe('checkServiceArea', () => {
+  const areas = [{ id: 'downtown', type: 'polygon', points: square }];
+
+  test('covers everywhere until areas are drawn', () => {
+    expect(checkServiceArea(outsideSquare, { areas: [], outsideAreaPolicy: 'block' })).toMatchObject({
+      inside: true,
+      configured: false,
+      blocked: false,
+    });
+  });
+
+  test('reports the matching area', () => {
+    expect(checkServiceArea(insideSquare, { areas, outsideAreaPolicy: 'block' })).toMatchObject({
+      inside: true,
+      areaId: 'downtown',
+      blocked: false,
+    });
+  });
+
+  test('blocks outside points only under the block policy', () => {
+    expect(checkServiceArea(outsideSquare, { areas, outsideAreaPolicy: 'block' })).toMatchObject({ inside: false, blocked: true });
+    expect(checkServiceArea(outsideSquare, { areas, outsideAreaPolicy: 'flag' })).toMatchObject({ inside: false, blocked: false });
+  });
+
+  test('measures from the base when one is set', () => {
+    expect(checkServiceArea(insideSquare, { areas }).distanceMeters).toBeNull();
+    expect(checkServiceArea(insideSquare, { areas, base: outsideSquare }).distanceMeters).toBeGreaterThan(0);
+  });
+});
+
+describe('calculateTravelFeeCents', () => {
+  const fee = { enabled: true, freeMiles: 10, perMileCents: 150, minimumCents: 500, maximumCents: 2000 };
+
+  test('is free within the free miles', () => {
+    expect(calculateTravelFeeCents(milesToMeters(10), fee)).toBe(0);
+  });
+
+  test('charges per mile past the free miles', () => {
+    expect(calculateTravelFeeCents(milesToMeters(20), fee)).toBe(1500);
+  });
+
+  test('applies the minimum and the maximum', () => {
+    expect(calculateTravelFeeCents(milesToMeters(11), fee)).toBe(500);
+    expect(calculateTravelFeeCents(milesToMeters(50), fee)).toBe(2000);
+    expect(calculateTravelFeeCents(milesToMeters(50), { ...fee, maximumCents: null })).toBe(6000);
+  });
+
+  test('charges nothing when disabled or without a distance', () => {
+    expect(calculateTravelFeeCents(milesToMeters(50), { ...fee, enabled: false })).toBe(0);
+    expect(calculateTravelFeeCents(null, fee)).toBe(0);
+  });
+});
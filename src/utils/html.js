@@ -0,0 +1,13 @@
+/**
+ * HTML Helpers
+ *
+ * Escaping for values interpolated into generated HTML (PDF reports, map
+ * info windows).
+ */
+
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
@@ -0,0 +1,249 @@
+/**
+ * Job Status State Machine
+ *
+ * Declarative table of the status changes a job may go through, with named
+ * guards that must pass before a transition is allowed. The table has no
+ * Firebase or UI dependencies so it can be exercised on its own and shared by
+ * JobStatusManager and the Firestore service layer.
+ *
+ * Each entry maps a source status to the statuses it may move to and the
+ * guards each of those transitions requires:
+ *
+ *   pending: { quoted: ['quoteRequired'], cancelled: [] }
+ *
+ * Mechanic-defined custom statuses are spliced into the table with
+ * buildTransitionTable(). They can add steps to the flow but never skip
+ * quoting or acceptance.
+ */
+
+export const JOB_STATUS_TRANSITIONS = {
+  pending: { quoted: ['quoteRequired'], cancelled: [] },
+  quoted: { quoted: ['quoteRequired'], accepted: ['quoteRequired', 'quoteAccepted'], pending: [], cancelled: [] },
+  accepted: { en_route: [], in_progress: [], cancelled: [] },
+  en_route: { in_progress: [], accepted: [], cancelled: [] },
+  in_progress: { parts_needed: [], completed: [] },
+  parts_needed: { in_progress: [], cancelled: [] },
+  completed: { closed: ['paymentRecorded'] },
+  closed: {},
+  cancelled: {},
+};
+
+// A quote counts once it has a positive total; quotes saved before itemized
+// totals only have the flat totalCost
+const hasQuoteTotal = (quote) => (quote?.totals?.totalCents || 0) > 0 || Number(quote?.totalCost) > 0;
+
+/**
+ * Guards receive the service request document and return true when the
+ * transition may proceed. `message` is shown when the guard fails.
+ *
+ * Guards that need the quote read `job.latestQuote`, the quote document
+ * `latestQuoteId` points at; the service layer loads it, or passes the quote
+ * it is about to write.
+ */
+export const TRANSITION_GUARDS = {
+  quoteRequired: {
+    check: (job) => Boolean(job?.latestQuoteId) && hasQuoteTotal(job.latestQuote),
+    message: 'A quote is required before this status can be set',
+  },
+  // acceptedQuoteId is only written by the customer's response to a quote
+  // (respondToQuote), so the mechanic cannot accept on the customer's behalf
+  quoteAccepted: {
+    check: (job) => Boolean(job?.acceptedQuoteId) && job.acceptedQuoteId === job.latestQuoteId,
+    message: 'The customer must accept the latest quote before the job is accepted',
+  },
+  paymentRecorded: {
+    check: (job) => job?.paymentStatus === 'paid',
+    message: 'Payment must be recorded before the job can be closed',
+  },
+};
+
+// Guards required by any default transition into `to`. Custom statuses that
+// lead into a guarded status inherit them, so e.g. a custom status cannot be
+// used to skip the payment check before closing.
+const entryGuards = (to, base) => {
+  const guards = new Set();
+  Object.values(base).forEach(targets => {
+    (targets[to] || []).forEach(guard => guards.add(guard));
+  });
+  return [...guards];
+};
+
+// Statuses every job passes through before work starts, in order
+export const MILESTONE_STATUSES = ['quoted', 'accepted'];
+
+// For each default status, the milestones every path from pending to it goes through
+const requiredMilestones = (base) => {
+  const reachableWithout = (blocked) => {
+    const seen = new Set(['pending']);
+    const queue = ['pending'];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const next of Object.keys(base[current] || {})) {
+        if (next !== blocked && !seen.has(next)) {
+          seen.add(next);
+          queue.push(next);
+        }
+      }
+    }
+    return seen;
+  };
+
+  const required = {};
+  Object.keys(base).forEach(status => {
+    required[status] = new Set();
+  });
+  MILESTONE_STATUSES.filter(milestone => base[milestone]).forEach(milestone => {
+    const reachable = reachableWithout(milestone);
+    Object.keys(base).forEach(status => {
+      if (status === milestone || !reachable.has(status)) required[status].add(milestone);
+    });
+  });
+  return required;
+};
+
+/**
+ * Find custom status transitions that would let a job skip a milestone, e.g.
+ * a status placed after pending that leads to completed.
+ *
+ * A job in a custom status is only known to have passed the milestones of
+ * every status that leads into it. Moving on to a default status is allowed
+ * when that covers the target's milestones, apart from the target itself
+ * (entering quoted or accepted keeps its own guards).
+ *
+ * @param {Array} customStatuses - [{ id, fromStatuses, toStatuses }]
+ * @param {Object} base - Default table (defaults to JOB_STATUS_TRANSITIONS)
+ * @returns {Array<{ statusId: string, to: string, missing: Array<string> }>}
+ */
+export const findMilestoneSkips = (customStatuses = [], base = JOB_STATUS_TRANSITIONS) => {
+  const required = requiredMilestones(base);
+
+  // Milestones passed in each custom status; start from all and narrow down
+  // until stable, since custom statuses can lead into each other
+  const passed = {};
+  customStatuses.forEach(status => {
+    passed[status.id] = new Set(MILESTONE_STATUSES);
+  });
+
+  const passedBefore = (from) => required[from] || passed[from] || new Set();
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const status of customStatuses) {
+      const sources = (status.fromStatuses || []).filter(from => (
+        from !== status.id && (base[from] ? !isTerminalStatus(from, base) : Boolean(passed[from]))
+      ));
+      const next = new Set(MILESTONE_STATUSES.filter(milestone => (
+        sources.length > 0 && sources.every(from => passedBefore(from).has(milestone))
+      )));
+      if (next.size !== passed[status.id].size) {
+        passed[status.id] = next;
+        changed = true;
+      }
+    }
+  }
+
+  const skips = [];
+  customStatuses.forEach(status => {
+    (status.toStatuses || []).filter(to => required[to]).forEach(to => {
+      const missing = [...required[to]].filter(milestone => milestone !== to && !passed[status.id].has(milestone));
+      if (missing.length > 0) skips.push({ statusId: status.id, to, missing });
+    });
+  });
+  return skips;
+};
+
+/**
+ * Build a transition table that includes custom statuses.
+ *
+ * Each custom status lists `fromStatuses` (statuses that may move into it) and
+ * `toStatuses` (statuses it may move on to). Archived custom statuses keep
+ * their outgoing transitions so jobs already in them are not stranded, but
+ * nothing can move into them. Transitions that would skip a milestone (see
+ * findMilestoneSkips) are left out.
+ *
+ * @param {Array} customStatuses - [{ id, fromStatuses, toStatuses, archived }]
+ * @param {Object} base - Table to extend (defaults to JOB_STATUS_TRANSITIONS)
+ * @returns {Object} New transition table
+ */
+export const buildTransitionTable = (customStatuses = [], base = JOB_STATUS_TRANSITIONS) => {
+  const table = {};
+  Object.keys(base).forEach(from => {
+    table[from] = { ...base[from] };
+  });
+
+  const archived = new Set();
+  customStatuses.forEach(status => {
+    table[status.id] = {};
+    if (status.archived) archived.add(status.id);
+  });
+
+  const skipped = new Set(findMilestoneSkips(customStatuses, base).map(skip => `${skip.statusId}>${skip.to}`));
+
+  customStatuses.forEach(status => {
+    (status.toStatuses || []).forEach(to => {
+      if (table[to] && to !== status.id && !archived.has(to) && !skipped.has(`${status.id}>${to}`)) {
+        table[status.id][to] = entryGuards(to, base);
+      }
+    });
+
+    if (status.archived) return;
+
+    (status.fromStatuses || []).forEach(from => {
+      // Terminal default statuses stay terminal
+      if (table[from] && from !== status.id && !(base[from] && isTerminalStatus(from, base))) {
+        table[from][status.id] = [];
+      }
+    });
+  });
+
+  return table;
+};
+
+/**
+ * Check whether a job may move from one status to another.
+ *
+ * @param {string} from - Current status ID
+ * @param {string} to - Requested status ID
+ * @param {Object} job - Service request data the guards inspect
+ * @param {Object} transitions - Transition table (defaults to JOB_STATUS_TRANSITIONS)
+ * @returns {{ allowed: boolean, reason: string|null }}
+ */
+export const canTransition = (from, to, job = {}, transitions = JOB_STATUS_TRANSITIONS) => {
+  const targets = transitions[from];
+
+  if (!targets) {
+    return { allowed: false, reason: `Unknown status: ${from}` };
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(targets, to)) {
+    return { allowed: false, reason: `A job cannot move from ${from} to ${to}` };
+  }
+
+  for (const guardName of targets[to]) {
+    const guard = TRANSITION_GUARDS[guardName];
+    if (!guard) {
+      return { allowed: false, reason: `Unknown transition guard: ${guardName}` };
+    }
+    if (!guard.check(job)) {
+      return { allowed: false, reason: guard.message };
+    }
+  }
+
+  return { allowed: true, reason: null };
+};
+
+/**
+ * List the statuses reachable from `from`, each with the result of its guards.
+ *
+ * @returns {Array<{ id: string, allowed: boolean, reason: string|null }>}
+ */
+export const getAvailableTransitions = (from, job = {}, transitions = JOB_STATUS_TRANSITIONS) => {
+  return Object.keys(transitions[from] || {})
+    .filter(to => to !== from)
+    .map(to => ({ id: to, ...canTransition(from, to, job, transitions) }));
+};
+
+export const isTerminalStatus = (status, transitions = JOB_STATUS_TRANSITIONS) => {
+  return Object.keys(transitions[status] || {}).length === 0;
+};
@@ -0,0 +1,177 @@
+import {
+  JOB_STATUS_TRANSITIONS,
+  TRANSITION_GUARDS,
+  buildTransitionTable,
+  findMilestoneSkips,
+  canTransition,
+  getAvailableTransitions,
+  isTerminalStatus,
+} from './jobStatusMachine';
+
+const quotedJob = {
+  status: 'quoted',
+  latestQuoteId: 'quote-1',
+  latestQuote: { totals: { totalCents: 25000 } },
+};
+
+// As respondToQuote sees the job when the customer accepts the latest quote
+const customerAcceptedJob = { ...quotedJob, acceptedQuoteId: 'quote-1' };
+
+describe('TRANSITION_GUARDS', () => {
+  test('quoteRequired needs a quote with a positive total, not just its id', () => {
+    const { check } = TRANSITION_GUARDS.quoteRequired;
+
+    expect(check(quotedJob)).toBe(true);
+    expect(check({ latestQuoteId: 'quote-1' })).toBe(false);
+    expect(check({ latestQuoteId: 'quote-1', latestQuote: { totals: { totalCents: 0 } } })).toBe(false);
+    expect(check({ latestQuote: { totals: { totalCents: 25000 } } })).toBe(false);
+  });
+
+  test('quoteRequired accepts quotes saved with only a flat totalCost', () => {
+    expect(TRANSITION_GUARDS.quoteRequired.check({ latestQuoteId: 'q', latestQuote: { totalCost: '180.00' } })).toBe(true);
+  });
+
+  test('quoteAccepted needs the customer to have accepted the latest quote', () => {
+    const { check } = TRANSITION_GUARDS.quoteAccepted;
+
+    expect(check(customerAcceptedJob)).toBe(true);
+    expect(check(quotedJob)).toBe(false);
+    expect(check({ ...customerAcceptedJob, latestQuoteId: 'quote-2' })).toBe(false);
+  });
+
+  test('paymentRecorded needs a paid job', () => {
+    const { check } = TRANSITION_GUARDS.paymentRecorded;
+
+    expect(check({ paymentStatus: 'paid' })).toBe(true);
+    expect(check({ paymentStatus: 'unpaid' })).toBe(false);
+    expect(check(null)).toBe(false);
+  });
+});
+
+describe('canTransition', () => {
+  test('allows a listed transition whose guards pass', () => {
+    expect(canTransition('quoted', 'accepted', customerAcceptedJob)).toEqual({ allowed: true, reason: null });
+  });
+
+  test('does not let the mechanic accept a quote for the customer', () => {
+    expect(canTransition('quoted', 'accepted', quotedJob)).toEqual({
+      allowed: false,
+      reason: TRANSITION_GUARDS.quoteAccepted.message,
+    });
+    expect(getAvailableTransitions('quoted', quotedJob).find(t => t.id === 'accepted')).toMatchObject({ allowed: false });
+  });
+
+  test('rejects a transition missing from the table', () => {
+    expect(canTransition('pending', 'completed')).toEqual({
+      allowed: false,
+      reason: 'A job cannot move from pending to completed',
+    });
+  });
+
+  test('reports the failing guard', () => {
+    expect(canTransition('pending', 'quoted', { status: 'pending' })).toEqual({
+      allowed: false,
+      reason: TRANSITION_GUARDS.quoteRequired.message,
+    });
+    expect(canTransition('completed', 'closed', { paymentStatus: 'unpaid' })).toEqual({
+      allowed: false,
+      reason: TRANSITION_GUARDS.paymentRecorded.message,
+    });
+  });
+
+  test('rejects unknown statuses and guards', () => {
+    expect(canTransition('teleported', 'pending').reason).toBe('Unknown status: teleported');
+    expect(canTransition('a', 'b', {}, { a: { b: ['noSuchGuard'] } }).reason).toBe('Unknown transition guard: noSuchGuard');
+  });
+});
+
+describe('getAvailableTransitions', () => {
+  test('lists every target with its guard result', () => {
+    expect(getAvailableTransitions('pending', { status: 'pending' })).toEqual([
+      { id: 'quoted', allowed: false, reason: TRANSITION_GUARDS.quoteRequired.message },
+      { id: 'cancelled', allowed: true, reason: null },
+    ]);
+  });
+
+  test('leaves out self-transitions such as re-quoting', () => {
+    expect(getAvailableTransitions('quoted', quotedJob).map(t => t.id)).toEqual(['accepted', 'pending', 'cancelled']);
+  });
+
+  test('returns nothing for unknown statuses', () => {
+    expect(getAvailableTransitions('teleported')).toEqual([]);
+  });
+});
+
+describe('isTerminalStatus', () => {
+  test('closed and cancelled are terminal', () => {
+    expect(isTerminalStatus('closed')).toBe(true);
+    expect(isTerminalStatus('cancelled')).toBe(true);
+    expect(isTerminalStatus('completed')).toBe(false);
+  });
+
+  test('every status in the table can reach a terminal status', () => {
+    const reachesTerminal = (status, seen = new Set()) => {
+      if (isTerminalStatus(status)) return true;
+      seen.add(status);
+      return Object.keys(JOB_STATUS_TRANSITIONS[status])
+        .some(next => !seen.has(next) && reachesTerminal(next, seen));
+    };
+
+    Object.keys(JOB_STATUS_TRANSITIONS).forEach(status => {
+      expect(reachesTerminal(status)).toBe(true);
+    });
+  });
+});
+
+describe('custom statuses', () => {
+  const inspection = { id: 'custom_inspection', fromStatuses: ['pending'], toStatuses: ['quoted'] };
+  const shortcut = { id: 'custom_shortcut', fromStatuses: ['pending'], toStatuses: ['completed'] };
+  const diagnosing = { id: 'custom_diagnosing', fromStatuses: ['accepted'], toStatuses: ['in_progress', 'completed'] };
+
+  test('are placed between the statuses they list', () => {
+    const table = buildTransitionTable([inspection, diagnosing]);
+
+    expect(table.pending.custom_inspection).toEqual([]);
+    expect(table.custom_inspection.quoted).toEqual(['quoteRequired']);
+    expect(table.accepted.custom_diagnosing).toEqual([]);
+    expect(Object.keys(table.custom_diagnosing)).toEqual(['in_progress', 'completed']);
+  });
+
+  test('cannot skip quoting and acceptance', () => {
+    expect(findMilestoneSkips([shortcut])).toEqual([
+      { statusId: 'custom_shortcut', to: 'completed', missing: ['quoted', 'accepted'] },
+    ]);
+
+    const table = buildTransitionTable([shortcut]);
+    expect(table.pending.custom_shortcut).toEqual([]);
+    expect(canTransition('custom_shortcut', 'completed', {}, table).allowed).toBe(false);
+  });
+
+  test('leading into accepted still need the customer to accept', () => {
+    const review = { id: 'custom_review', fromStatuses: ['quoted'], toStatuses: ['accepted'] };
+    const table = buildTransitionTable([review]);
+
+    expect(table.custom_review.accepted).toEqual(['quoteRequired', 'quoteAccepted']);
+    expect(canTransition('custom_review', 'accepted', quotedJob, table).allowed).toBe(false);
+  });
+
+  test('cannot reach accepted from pending without a quote', () => {
+    const skips = findMilestoneSkips([{ id: 'custom_fast', fromStatuses: ['pending'], toStatuses: ['accepted'] }]);
+    expect(skips).toEqual([{ statusId: 'custom_fast', to: 'accepted', missing: ['quoted'] }]);
+  });
+
+  test('cannot skip milestones through a chain of custom statuses', () => {
+    const first = { id: 'custom_first', fromStatuses: ['pending'], toStatuses: ['custom_second'] };
+    const second = { id: 'custom_second', fromStatuses: ['custom_first'], toStatuses: ['in_progress'] };
+
+    expect(findMilestoneSkips([first, second])).toEqual([
+      { statusId: 'custom_second', to: 'in_progress', missing: ['quoted', 'accepted'] },
+    ]);
+  });
+
+  test('only counts milestones passed on every way in', () => {
+    const mixed = { id: 'custom_mixed', fromStatuses: ['accepted', 'pending'], toStatuses: ['completed'] };
+    expect(findMilestoneSkips([mixed])).toHaveLength(1);
+    expect(findMilestoneSkips([diagnosing])).toEqual([]);
+  });
+});
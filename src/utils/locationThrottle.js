@@ -0,0 +1,34 @@
+/**
+ * Location Throttle
+ *
+ * Decides which device positions are worth publishing while a mechanic
+ * shares their location, so the tracking document is not rewritten on every
+ * GPS fix. A position is published when enough time has passed and the
+ * mechanic has moved far enough, or when the heartbeat is due.
+ */
+
+import { haversineDistanceMeters } from './geo';
+
+export const DEFAULT_THROTTLE = {
+  minIntervalMs: 15000, // Never publish more often than this
+  minDistanceMeters: 50, // Skip updates that moved less than this...
+  heartbeatMs: 60000, // ...unless this long has passed since the last one
+};
+
+/**
+ * Decide whether a new position is worth publishing.
+ *
+ * @param {Object|null} last - { latitude, longitude, time } of the last published position
+ * @param {Object} next - { latitude, longitude, time } of the new position
+ * @param {Object} options - See DEFAULT_THROTTLE
+ * @returns {boolean}
+ */
+export const shouldPublishPosition = (last, next, options = DEFAULT_THROTTLE) => {
+  if (!last) return true;
+
+  const elapsed = next.time - last.time;
+  if (elapsed < options.minIntervalMs) return false;
+  if (elapsed >= options.heartbeatMs) return true;
+
+  return haversineDistanceMeters(last, next) >= options.minDistanceMeters;
+};
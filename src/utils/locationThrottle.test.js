@@ -0,0 +1,31 @@
+import { shouldPublishPosition, DEFAULT_THROTTLE } from './locationThrottle';
+
+// 0.001 degrees of latitude is about 111 m
+const last = { latitude: 40.7, longitude: -74, time: 0 };
+const nearby = { latitude: 40.7002, longitude: -74 }; // ~22 m away
+const farther = { latitude: 40.701, longitude: -74 }; // ~111 m away
+
+describe('shouldPublishPosition', () => {
+  test('publishes the first position', () => {
+    expect(shouldPublishPosition(null, { ...nearby, time: 0 })).toBe(true);
+  });
+
+  test('never publishes before the minimum interval', () => {
+    expect(shouldPublishPosition(last, { ...farther, time: DEFAULT_THROTTLE.minIntervalMs - 1 })).toBe(false);
+  });
+
+  test('publishes after the interval once the mechanic has moved far enough', () => {
+    expect(shouldPublishPosition(last, { ...farther, time: DEFAULT_THROTTLE.minIntervalMs })).toBe(true);
+    expect(shouldPublishPosition(last, { ...nearby, time: DEFAULT_THROTTLE.minIntervalMs })).toBe(false);
+  });
+
+  test('publishes a heartbeat without movement', () => {
+    expect(shouldPublishPosition(last, { ...last, time: DEFAULT_THROTTLE.heartbeatMs - 1 })).toBe(false);
+    expect(shouldPublishPosition(last, { ...last, time: DEFAULT_THROTTLE.heartbeatMs })).toBe(true);
+  });
+
+  test('takes custom thresholds', () => {
+    const options = { minIntervalMs: 1000, minDistanceMeters: 10, heartbeatMs: 5000 };
+    expect(shouldPublishPosition(last, { ...nearby, time: 1000 }, options)).toBe(true);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Maintenance Schedule
+ *
+ * Works out when routine services are next due from a customer's completed
+ * service requests. A service counts as done when a completed or closed job's
+ * service type or description mentions it; the due date and mileage are the
+ * standard interval from that job's date and recorded `vehicleInfo.mileage`.
+ */
+
+import { vehicleMatches } from './vehicle.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DONE_STATUSES = ['completed', 'closed'];
+
+export const MAINTENANCE_ITEMS = {
+  oil_change: {
+    label: 'Oil change',
+    keywords: ['oil change', 'oil and filter', 'oil service', 'lube'],
+    intervalMonths: 6,
+    intervalMiles: 5000,
+  },
+  tire_rotation: {
+    label: 'Tire rotation',
+    keywords: ['tire rotation', 'rotate tires', 'tyre rotation'],
+    intervalMonths: 6,
+    intervalMiles: 6000,
+  },
+  brake_inspection: {
+    label: 'Brake inspection',
+    keywords: ['brake'],
+    intervalMonths: 12,
+    intervalMiles: 12000,
+  },
+};
+
+const addMonths = (isoDate, months) => {
+  const date = new Date(isoDate);
+  date.setMonth(date.getMonth() + months);
+  return date.toISOString();
+};
+
+const jobDate = (job) => job.completedAt || job.updatedAt || job.createdAt;
+
+// Requests store their description as serviceDescription; older ones used description
+const mentions = (job, keywords) => {
+  const text = `${job.serviceType || ''} ${job.serviceDescription || job.description || ''}`.toLowerCase();
+  return keywords.some(keyword => text.includes(keyword));
+};
+
+/**
+ * Find which maintenance item a piece of text is about.
+ *
+ * @returns {string|null} Key of MAINTENANCE_ITEMS
+ */
+export const findMaintenanceItem = (text = '') => {
+  const lower = text.toLowerCase();
+  const entry = Object.entries(MAINTENANCE_ITEMS).find(([key, item]) => (
+    lower.includes(key.replace('_', ' ')) || item.keywords.some(keyword => lower.includes(keyword))
+  ));
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Work out when a maintenance item is next due.
+ *
+ * @param {Array} jobs - Customer's service requests
+ * @param {string} itemKey - Key of MAINTENANCE_ITEMS
+ * @param {Object} options
+ * @param {Object} options.vehicle - Only count jobs on this vehicle
+ * @param {Date} options.now
+ * @returns {Object|null} { item, lastDoneAt, lastJobId, dueAt, dueMileage,
+ *   overdue, daysUntilDue }, or null when there is no record of it being done
+ */
+export const getNextServiceDue = (jobs = [], itemKey, { vehicle = null, now = new Date() } = {}) => {
+  const item = MAINTENANCE_ITEMS[itemKey];
+  if (!item) return null;
+
+  const lastJob = jobs
+    .filter(job => DONE_STATUSES.includes(job.status) && mentions(job, item.keywords))
+    .filter(job => !vehicle || vehicleMatches(job.vehicleInfo, vehicle))
+    .sort((a, b) => new Date(jobDate(b)) - new Date(jobDate(a)))[0];
+
+  if (!lastJob) return null;
+
+  const lastDoneAt = jobDate(lastJob);
+  const dueAt = addMonths(lastDoneAt, item.intervalMonths);
+  const mileage = Number(lastJob.vehicleInfo?.mileage);
+
+  return {
+    item: { key: itemKey, ...item },
+    lastDoneAt,
+    lastJobId: lastJob.id,
+    dueAt,
+    dueMileage: Number.isFinite(mileage) && mileage > 0 ? mileage + item.intervalMiles : null,
+    overdue: new Date(dueAt) < now,
+    daysUntilDue: Math.ceil((new Date(dueAt) - now) / DAY_MS),
+  };
+};
@@ -0,0 +1,68 @@
+import { getNextServiceDue, findMaintenanceItem } from './maintenanceSchedule';
+
+const civic = { year: '2018', make: 'Honda', model: 'Civic', licensePlate: 'ABC1234', mileage: '42000' };
+
+const oilChange = {
+  id: 'job-1',
+  status: 'completed',
+  serviceType: 'maintenance',
+  serviceDescription: 'Oil change and filter',
+  vehicleInfo: civic,
+  completedAt: '2024-01-15T12:00:00.000Z',
+};
+
+describe('findMaintenanceItem', () => {
+  test('matches item names and keywords', () => {
+    expect(findMaintenanceItem('When is my next oil change?')).toBe('oil_change');
+    expect(findMaintenanceItem('rotate tires please')).toBe('tire_rotation');
+    expect(findMaintenanceItem('my car is making a noise')).toBeNull();
+  });
+});
+
+describe('getNextServiceDue', () => {
+  test('adds the interval to the last completed job', () => {
+    const due = getNextServiceDue([oilChange], 'oil_change', { now: new Date('2024-05-01T12:00:00.000Z') });
+
+    expect(due).toMatchObject({
+      lastDoneAt: oilChange.completedAt,
+      lastJobId: 'job-1',
+      dueAt: '2024-07-15T12:00:00.000Z',
+      dueMileage: 47000,
+      overdue: false,
+    });
+    expect(due.daysUntilDue).toBe(75);
+  });
+
+  test('reads the description saved on service requests', () => {
+    const job = { ...oilChange, serviceType: 'other' };
+    expect(getNextServiceDue([job], 'oil_change')).not.toBeNull();
+    expect(getNextServiceDue([{ ...job, serviceDescription: undefined, description: 'oil change' }], 'oil_change'))
+      .not.toBeNull();
+  });
+
+  test('uses the most recent completed job and ignores open ones', () => {
+    const jobs = [
+      oilChange,
+      { ...oilChange, id: 'job-2', completedAt: '2024-03-01T12:00:00.000Z' },
+      { ...oilChange, id: 'job-3', status: 'in_progress', completedAt: undefined, createdAt: '2024-04-01T12:00:00.000Z' },
+    ];
+
+    expect(getNextServiceDue(jobs, 'oil_change').lastJobId).toBe('job-2');
+  });
+
+  test('flags overdue services', () => {
+    const due = getNextServiceDue([oilChange], 'oil_change', { now: new Date('2024-08-01T12:00:00.000Z') });
+    expect(due.overdue).toBe(true);
+    expect(due.daysUntilDue).toBeLessThan(0);
+  });
+
+  test('only counts jobs on the given vehicle', () => {
+    expect(getNextServiceDue([oilChange], 'oil_change', { vehicle: { licensePlate: 'XYZ999' } })).toBeNull();
+    expect(getNextServiceDue([oilChange], 'oil_change', { vehicle: { licensePlate: 'abc 1234' } })).not.toBeNull();
+  });
+
+  test('returns null without a record or for unknown items', () => {
+    expect(getNextServiceDue([oilChange], 'tire_rotation')).toBeNull();
+    expect(getNextServiceDue([oilChange], 'spark_plugs')).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Marker Clustering
+ *
+ * Groups nearby map points into clusters for the current zoom level. Points
+ * are projected to Web Mercator pixels (the projection Google Maps uses) so
+ * the cluster radius stays constant on screen at every zoom.
+ */
+
+const TILE_SIZE = 256;
+
+export const DEFAULT_CLUSTER_RADIUS_PX = 60;
+
+// At this zoom and closer every point is shown on its own
+export const MAX_CLUSTER_ZOOM = 15;
+
+const project = ({ latitude, longitude }, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.min(Math.max(Math.sin((latitude * Math.PI) / 180), -0.9999), 0.9999);
+  return {
+    x: scale * (0.5 + longitude / 360),
+    y: scale * (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)),
+  };
+};
+
+/**
+ * Cluster points for a zoom level. A point joins the first cluster whose
+ * seed lies within `radiusPx` of it; otherwise it seeds a new cluster.
+ *
+ * @param {Array} points - Objects with latitude, longitude and id
+ * @param {number} zoom - Map zoom level
+ * @param {Object} options
+ * @param {number} options.radiusPx - Cluster radius in screen pixels
+ * @param {number} options.maxZoom - Zoom at which clustering stops
+ * @returns {Array<{ id: string, latitude: number, longitude: number, points: Array }>}
+ *   Single points come back as clusters of one; `id` is the point's ID for
+ *   those and a stable ID built from the members otherwise
+ */
+export const clusterPoints = (points, zoom, {
+  radiusPx = DEFAULT_CLUSTER_RADIUS_PX,
+  maxZoom = MAX_CLUSTER_ZOOM,
+} = {}) => {
+  if (zoom >= maxZoom) {
+    return points.map(point => ({ id: point.id, latitude: point.latitude, longitude: point.longitude, points: [point] }));
+  }
+
+  const clusters = [];
+
+  // Sort so the result does not depend on the order the points arrived in
+  [...points]
+    .sort((a, b) => String(a.id).localeCompare(String(b.id)))
+    .forEach(point => {
+      const pixel = project(point, zoom);
+      const cluster = clusters.find(c => Math.hypot(c.seed.x - pixel.x, c.seed.y - pixel.y) <= radiusPx);
+      if (cluster) {
+        cluster.points.push(point);
+      } else {
+        clusters.push({ seed: pixel, points: [point] });
+      }
+    });
+
+  return clusters.map(({ points: members }) => {
+    if (members.length === 1) {
+      const [point] = members;
+      return { id: point.id, latitude: point.latitude, longitude: point.longitude, points: members };
+    }
+
+    return {
+      id: `cluster_${members.map(p => p.id).join('_')}`,
+      latitude: members.reduce((sum, p) => sum + p.latitude, 0) / members.length,
+      longitude: members.reduce((sum, p) => sum + p.longitude, 0) / members.length,
+      points: members,
+    };
+  });
+};
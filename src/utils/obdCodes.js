@@ -0,0 +1,135 @@
+/**
+ * OBD-II Trouble Codes
+ *
+ * Format validation and an offline definition lookup for diagnostic trouble
+ * codes (DTCs) read from a scan tool, e.g. P0300 or P0420.
+ *
+ * A code is a system letter (P, C, B or U), a digit 0-3 saying whether it is
+ * generic (SAE) or manufacturer-specific, and three hex digits. Common
+ * generic codes have full definitions here; any other valid code still gets
+ * a description of its system and subsystem.
+ */
+
+export const MAX_TROUBLE_CODES = 10;
+
+const DTC_PATTERN = /^[PCBU][0-3][0-9A-F]{3}$/;
+
+export const DTC_SYSTEMS = {
+  P: 'Powertrain',
+  C: 'Chassis',
+  B: 'Body',
+  U: 'Network',
+};
+
+// Third character of generic powertrain codes
+const POWERTRAIN_SUBSYSTEMS = {
+  0: 'Fuel and air metering, or auxiliary emission controls',
+  1: 'Fuel and air metering',
+  2: 'Fuel and air metering (injector circuit)',
+  3: 'Ignition system or misfire',
+  4: 'Auxiliary emission controls',
+  5: 'Vehicle speed, idle control or auxiliary inputs',
+  6: 'Computer or output circuit',
+  7: 'Transmission',
+  8: 'Transmission',
+  9: 'Transmission',
+  A: 'Hybrid propulsion',
+};
+
+export const DTC_DEFINITIONS = {
+  P0010: { description: 'Camshaft position actuator circuit (bank 1)', severity: 'Medium', causes: ['Faulty variable valve timing solenoid', 'Wiring fault in the actuator circuit', 'Low or dirty engine oil'] },
+  P0011: { description: 'Camshaft timing over-advanced (bank 1)', severity: 'Medium', causes: ['Low or dirty engine oil', 'Faulty variable valve timing solenoid', 'Worn timing chain'] },
+  P0101: { description: 'Mass air flow sensor range/performance', severity: 'Medium', causes: ['Dirty mass air flow sensor', 'Vacuum leak after the sensor', 'Clogged air filter'] },
+  P0113: { description: 'Intake air temperature sensor circuit high', severity: 'Low', causes: ['Disconnected or faulty intake air temperature sensor', 'Open circuit in sensor wiring'] },
+  P0128: { description: 'Coolant temperature below thermostat regulating temperature', severity: 'Low', causes: ['Thermostat stuck open', 'Faulty coolant temperature sensor'] },
+  P0131: { description: 'O2 sensor circuit low voltage (bank 1, sensor 1)', severity: 'Medium', causes: ['Faulty upstream oxygen sensor', 'Exhaust leak before the sensor', 'Wiring short to ground'] },
+  P0135: { description: 'O2 sensor heater circuit (bank 1, sensor 1)', severity: 'Low', causes: ['Failed oxygen sensor heater', 'Blown heater fuse', 'Wiring fault'] },
+  P0171: { description: 'System too lean (bank 1)', severity: 'Medium', causes: ['Vacuum leak', 'Dirty mass air flow sensor', 'Weak fuel pump or clogged fuel filter', 'Leaking intake gasket'] },
+  P0172: { description: 'System too rich (bank 1)', severity: 'Medium', causes: ['Leaking fuel injector', 'Faulty fuel pressure regulator', 'Dirty mass air flow sensor'] },
+  P0174: { description: 'System too lean (bank 2)', severity: 'Medium', causes: ['Vacuum leak', 'Dirty mass air flow sensor', 'Low fuel pressure'] },
+  P0300: { description: 'Random/multiple cylinder misfire detected', severity: 'High', causes: ['Worn spark plugs', 'Faulty ignition coils', 'Vacuum leak', 'Low fuel pressure'] },
+  P0301: { description: 'Cylinder 1 misfire detected', severity: 'High', causes: ['Worn spark plug in cylinder 1', 'Faulty ignition coil on cylinder 1', 'Clogged fuel injector on cylinder 1'] },
+  P0302: { description: 'Cylinder 2 misfire detected', severity: 'High', causes: ['Worn spark plug in cylinder 2', 'Faulty ignition coil on cylinder 2', 'Clogged fuel injector on cylinder 2'] },
+  P0303: { description: 'Cylinder 3 misfire detected', severity: 'High', causes: ['Worn spark plug in cylinder 3', 'Faulty ignition coil on cylinder 3', 'Clogged fuel injector on cylinder 3'] },
+  P0304: { description: 'Cylinder 4 misfire detected', severity: 'High', causes: ['Worn spark plug in cylinder 4', 'Faulty ignition coil on cylinder 4', 'Clogged fuel injector on cylinder 4'] },
+  P0325: { description: 'Knock sensor 1 circuit (bank 1)', severity: 'Medium', causes: ['Faulty knock sensor', 'Damaged knock sensor wiring'] },
+  P0335: { description: 'Crankshaft position sensor circuit', severity: 'High', causes: ['Faulty crankshaft position sensor', 'Damaged reluctor ring', 'Wiring fault'] },
+  P0340: { description: 'Camshaft position sensor circuit (bank 1)', severity: 'High', causes: ['Faulty camshaft position sensor', 'Wiring fault', 'Timing belt or chain out of position'] },
+  P0401: { description: 'Exhaust gas recirculation flow insufficient', severity: 'Medium', causes: ['Carbon-blocked EGR passages', 'Faulty EGR valve'] },
+  P0420: { description: 'Catalyst system efficiency below threshold (bank 1)', severity: 'Medium', causes: ['Worn catalytic converter', 'Faulty downstream oxygen sensor', 'Exhaust leak'] },
+  P0430: { description: 'Catalyst system efficiency below threshold (bank 2)', severity: 'Medium', causes: ['Worn catalytic converter', 'Faulty downstream oxygen sensor', 'Exhaust leak'] },
+  P0440: { description: 'Evaporative emission system malfunction', severity: 'Low', causes: ['Loose or damaged fuel cap', 'Leaking EVAP hose', 'Faulty purge valve'] },
+  P0442: { description: 'Evaporative emission system small leak detected', severity: 'Low', causes: ['Loose fuel cap', 'Cracked EVAP hose', 'Faulty purge or vent valve'] },
+  P0455: { description: 'Evaporative emission system large leak detected', severity: 'Low', causes: ['Missing or loose fuel cap', 'Disconnected EVAP hose', 'Faulty vent valve'] },
+  P0456: { description: 'Evaporative emission system very small leak detected', severity: 'Low', causes: ['Fuel cap seal worn', 'Small crack in an EVAP hose'] },
+  P0500: { description: 'Vehicle speed sensor malfunction', severity: 'Medium', causes: ['Faulty vehicle speed sensor', 'Wiring fault', 'Faulty ABS wheel speed sensor'] },
+  P0505: { description: 'Idle air control system malfunction', severity: 'Medium', causes: ['Dirty throttle body', 'Faulty idle air control valve', 'Vacuum leak'] },
+  P0562: { description: 'System voltage low', severity: 'Medium', causes: ['Failing alternator', 'Weak battery', 'Corroded battery terminals'] },
+  P0700: { description: 'Transmission control system malfunction', severity: 'High', causes: ['Transmission fault stored in the transmission control module; read its codes'] },
+  P0715: { description: 'Input/turbine speed sensor circuit', severity: 'High', causes: ['Faulty input speed sensor', 'Wiring fault', 'Low transmission fluid'] },
+  P0741: { description: 'Torque converter clutch circuit performance or stuck off', severity: 'High', causes: ['Worn torque converter clutch', 'Faulty torque converter solenoid', 'Old or low transmission fluid'] },
+  C0035: { description: 'Left front wheel speed sensor circuit', severity: 'Medium', causes: ['Faulty wheel speed sensor', 'Damaged sensor wiring', 'Dirty tone ring'] },
+  U0100: { description: 'Lost communication with engine control module', severity: 'High', causes: ['Wiring fault on the CAN bus', 'Failed engine control module', 'Low battery voltage'] },
+};
+
+/**
+ * Normalize scan tool input: upper case with spaces and dashes removed.
+ */
+export const normalizeDtc = (input = '') => String(input).toUpperCase().replace(/[\s-]/g, '');
+
+export const isValidDtc = (code) => DTC_PATTERN.test(normalizeDtc(code));
+
+/**
+ * Check a code's format.
+ *
+ * @returns {string|null} Error message, or null when the code is valid
+ */
+export const validateDtc = (input) => {
+  const code = normalizeDtc(input);
+  if (!code) return 'Enter a trouble code';
+  if (!DTC_SYSTEMS[code[0]]) return 'Codes start with P, C, B or U';
+  if (code.length !== 5) return 'Codes are a letter followed by four characters, e.g. P0300';
+  if (!DTC_PATTERN.test(code)) return `${code} isn't a valid OBD-II code`;
+  return null;
+};
+
+// Generic codes are defined by SAE and mean the same on every vehicle
+const isGeneric = (code) => code[1] === '0' || (code[0] === 'P' && code[1] === '2') || (code[0] === 'U' && code[1] === '3');
+
+/**
+ * Look up a code in the offline database.
+ *
+ * @returns {{ code, system, generic, known, description, severity, causes }|null}
+ *   Null when the code isn't valid; `known` is false for codes without a full definition
+ */
+export const lookupDtc = (input) => {
+  const code = normalizeDtc(input);
+  if (!DTC_PATTERN.test(code)) return null;
+
+  const system = DTC_SYSTEMS[code[0]];
+  const generic = isGeneric(code);
+  const definition = DTC_DEFINITIONS[code];
+
+  if (definition) {
+    return { code, system, generic, known: true, ...definition };
+  }
+
+  const subsystem = code[0] === 'P' && generic ? POWERTRAIN_SUBSYSTEMS[code[2]] : null;
+  return {
+    code,
+    system,
+    generic,
+    known: false,
+    description: `${generic ? 'Generic' : 'Manufacturer-specific'} ${system.toLowerCase()} code${subsystem ? ` - ${subsystem.toLowerCase()}` : ''}`,
+    severity: null,
+    causes: [],
+  };
+};
+
+/**
+ * Find which of the given codes a piece of text mentions.
+ */
+export const findCodesInText = (text = '', codes = []) => {
+  const upper = String(text).toUpperCase();
+  return codes.filter(code => new RegExp(`\\b${code}\\b`).test(upper));
+};
@@ -0,0 +1,84 @@
+import { findCodesInText, isValidDtc, lookupDtc, normalizeDtc, validateDtc } from './obdCodes';
+
+describe('normalizeDtc', () => {
+  test('upper-cases and strips spaces and dashes', () => {
+    expect(normalizeDtc(' p0-30 0 ')).toBe('P0300');
+    expect(normalizeDtc()).toBe('');
+  });
+});
+
+describe('isValidDtc', () => {
+  test('accepts every system letter and hex digits', () => {
+    ['P0300', 'p0420', 'C0035', 'B1A2F', 'U3000', 'P2A00'].forEach(code => {
+      expect(isValidDtc(code)).toBe(true);
+    });
+  });
+
+  test('rejects codes in the wrong format', () => {
+    ['', 'X0300', 'P4300', 'P030', 'P03000', 'P0G00'].forEach(code => {
+      expect(isValidDtc(code)).toBe(false);
+    });
+  });
+});
+
+describe('validateDtc', () => {
+  test('explains what is wrong with a code', () => {
+    expect(validateDtc('  ')).toBe('Enter a trouble code');
+    expect(validateDtc('X0300')).toBe('Codes start with P, C, B or U');
+    expect(validateDtc('P030')).toBe('Codes are a letter followed by four characters, e.g. P0300');
+    expect(validateDtc('P5300')).toBe("P5300 isn't a valid OBD-II code");
+    expect(validateDtc('p0300')).toBeNull();
+  });
+});
+
+describe('lookupDtc', () => {
+  test('returns the full definition of a known code', () => {
+    expect(lookupDtc('p0300')).toMatchObject({
+      code: 'P0300',
+      system: 'Powertrain',
+      generic: true,
+      known: true,
+      severity: 'High',
+      description: 'Random/multiple cylinder misfire detected',
+    });
+  });
+
+  test('describes the subsystem of an unknown generic powertrain code', () => {
+    expect(lookupDtc('P0799')).toEqual({
+      code: 'P0799',
+      system: 'Powertrain',
+      generic: true,
+      known: false,
+      description: 'Generic powertrain code - transmission',
+      severity: null,
+      causes: [],
+    });
+  });
+
+  test('marks unknown manufacturer codes as manufacturer-specific', () => {
+    expect(lookupDtc('B1234')).toMatchObject({ generic: false, known: false, description: 'Manufacturer-specific body code' });
+    expect(lookupDtc('P1300').description).toBe('Manufacturer-specific powertrain code');
+    expect(lookupDtc('U3001').generic).toBe(true);
+  });
+
+  test('returns null for invalid codes', () => {
+    expect(lookupDtc('P99')).toBeNull();
+    expect(lookupDtc('hello')).toBeNull();
+  });
+});
+
+describe('findCodesInText', () => {
+  test('finds whole codes mentioned in any case', () => {
+    const text = 'Misfire (p0300) likely caused by the coil; see P0301.';
+    expect(findCodesInText(text, ['P0300', 'P0301', 'P0420'])).toEqual(['P0300', 'P0301']);
+  });
+
+  test('ignores codes that are only part of a longer token', () => {
+    expect(findCodesInText('Part number P03001 is on order', ['P0300'])).toEqual([]);
+  });
+
+  test('handles missing text or codes', () => {
+    expect(findCodesInText(undefined, ['P0300'])).toEqual([]);
+    expect(findCodesInText('P0300')).toEqual([]);
+  });
+});
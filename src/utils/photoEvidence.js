@@ -0,0 +1,141 @@
+/**
+ * Photo Evidence Helpers
+ *
+ * Pure helpers for turning camera EXIF data and device readings into the
+ * verified evidence fields stored alongside job photos:
+ * - Capture time from EXIF DateTimeOriginal, cross-checked against the device clock
+ * - GPS position from the device at capture, falling back to EXIF GPS tags
+ * - Hex encoding for content hashes
+ */
+
+// EXIF capture time and the device clock may drift apart by this much
+// before the capture time is treated as unverified
+export const CAPTURE_TIME_TOLERANCE_MS = 10 * 60 * 1000;
+
+// The only EXIF tags kept from the picker; everything else (device serial,
+// owner name, software, thumbnails) is dropped before the photo is queued
+const EVIDENCE_EXIF_TAGS = [
+  'DateTimeOriginal',
+  'OffsetTimeOriginal',
+  'GPSLatitude',
+  'GPSLatitudeRef',
+  'GPSLongitude',
+  'GPSLongitudeRef',
+];
+
+export const extractEvidenceExif = (exif) => {
+  if (!exif) return null;
+
+  const picked = {};
+  EVIDENCE_EXIF_TAGS.forEach(tag => {
+    if (exif[tag] !== undefined && exif[tag] !== null) {
+      picked[tag] = exif[tag];
+    }
+  });
+
+  // Android reports GPS under a nested {GPS} dictionary on some devices
+  if (exif['{GPS}']) {
+    const gps = exif['{GPS}'];
+    if (gps.Latitude !== undefined) picked.GPSLatitude = gps.Latitude;
+    if (gps.LatitudeRef) picked.GPSLatitudeRef = gps.LatitudeRef;
+    if (gps.Longitude !== undefined) picked.GPSLongitude = gps.Longitude;
+    if (gps.LongitudeRef) picked.GPSLongitudeRef = gps.LongitudeRef;
+  }
+
+  return Object.keys(picked).length > 0 ? picked : null;
+};
+
+/**
+ * Parse EXIF DateTimeOriginal ("2024:05:01 14:03:22") into an ISO string.
+ * Uses OffsetTimeOriginal when present, otherwise the device's local zone.
+ */
+export const parseExifCaptureTime = (exif) => {
+  const raw = exif?.DateTimeOriginal;
+  if (!raw || typeof raw !== 'string') return null;
+
+  const match = raw.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match;
+  const offset = exif.OffsetTimeOriginal;
+  const date = offset && /^[+-]\d{2}:\d{2}$/.test(offset)
+    ? new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`)
+    : new Date(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const parseExifCoordinate = (value, ref) => {
+  let degrees = null;
+
+  if (typeof value === 'number') {
+    degrees = value;
+  } else if (Array.isArray(value) && value.length === 3) {
+    const [d, m, s] = value.map(Number);
+    degrees = d + m / 60 + s / 3600;
+  }
+
+  if (degrees === null || Number.isNaN(degrees)) return null;
+  return ref === 'S' || ref === 'W' ? -Math.abs(degrees) : degrees;
+};
+
+export const parseExifGps = (exif) => {
+  if (!exif) return null;
+
+  const latitude = parseExifCoordinate(exif.GPSLatitude, exif.GPSLatitudeRef);
+  const longitude = parseExifCoordinate(exif.GPSLongitude, exif.GPSLongitudeRef);
+
+  if (latitude === null || longitude === null) return null;
+  return { latitude, longitude };
+};
+
+/**
+ * Build the evidence record for a photo.
+ *
+ * @param {Object} capture
+ * @param {Object} capture.exif - Tags from extractEvidenceExif()
+ * @param {Object} capture.deviceLocation - { latitude, longitude, accuracy } read at capture
+ * @param {string} capture.deviceCapturedAt - Device clock when the photo was taken or picked
+ * @param {string} capture.source - 'camera' or 'library'
+ * @returns {Object} Evidence fields (without the content hash)
+ */
+export const buildPhotoEvidence = ({ exif, deviceLocation, deviceCapturedAt, source }) => {
+  const exifCapturedAt = parseExifCaptureTime(exif);
+  const exifGps = parseExifGps(exif);
+
+  // Camera photos are taken "now", so EXIF time must agree with the device clock.
+  // Library photos can be old; their EXIF time is recorded but never verified.
+  const timeVerified = source === 'camera'
+    && Boolean(exifCapturedAt)
+    && Boolean(deviceCapturedAt)
+    && Math.abs(new Date(exifCapturedAt) - new Date(deviceCapturedAt)) <= CAPTURE_TIME_TOLERANCE_MS;
+
+  let location = null;
+  if (source === 'camera' && deviceLocation) {
+    location = {
+      latitude: deviceLocation.latitude,
+      longitude: deviceLocation.longitude,
+      accuracy: deviceLocation.accuracy ?? null,
+      source: 'device',
+    };
+  } else if (exifGps) {
+    location = { ...exifGps, accuracy: null, source: 'exif' };
+  }
+
+  return {
+    source: source || 'library',
+    capturedAt: exifCapturedAt || deviceCapturedAt || null,
+    capturedAtSource: exifCapturedAt ? 'exif' : 'device',
+    exifCapturedAt,
+    deviceCapturedAt: deviceCapturedAt || null,
+    timeVerified,
+    location,
+    locationVerified: Boolean(location) && location.source === 'device',
+  };
+};
+
+export const bytesToHex = (buffer) => {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
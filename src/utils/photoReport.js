@@ -0,0 +1,180 @@
+/**
+ * Photo Report Helpers
+ *
+ * Shared photo categories and repair areas, plus the pure functions behind
+ * the before/after comparison view and the PDF job photo report:
+ * - Grouping photos by repair area and pairing before/after shots
+ * - Building the report HTML rendered to PDF by expo-print
+ */
+
+import { escapeHtml } from './html';
+import { describeVehicle } from './vehicle';
+import { defaultStatusRegistry } from './statusRegistry';
+
+export const PHOTO_CATEGORIES = [
+  { id: 'before', label: 'Before Repair', color: '#ff9800' },
+  { id: 'during', label: 'During Repair', color: '#2196f3' },
+  { id: 'after', label: 'After Repair', color: '#4caf50' },
+  { id: 'parts', label: 'Parts', color: '#9c27b0' },
+  { id: 'damage', label: 'Damage', color: '#f44336' },
+  { id: 'other', label: 'Other', color: '#607d8b' },
+];
+
+export const REPAIR_AREAS = [
+  { id: 'general', label: 'General' },
+  { id: 'engine', label: 'Engine' },
+  { id: 'brakes', label: 'Brakes' },
+  { id: 'suspension', label: 'Suspension & Steering' },
+  { id: 'tires', label: 'Tires & Wheels' },
+  { id: 'electrical', label: 'Electrical' },
+  { id: 'exhaust', label: 'Exhaust' },
+  { id: 'body', label: 'Body & Glass' },
+  { id: 'interior', label: 'Interior' },
+];
+
+export const DEFAULT_REPAIR_AREA = 'general';
+
+export const getPhotoCategory = (categoryId) => {
+  return PHOTO_CATEGORIES.find(c => c.id === categoryId) || PHOTO_CATEGORIES[PHOTO_CATEGORIES.length - 1];
+};
+
+export const getRepairArea = (areaId) => {
+  return REPAIR_AREAS.find(a => a.id === areaId)
+    || (areaId ? { id: areaId, label: areaId } : REPAIR_AREAS[0]);
+};
+
+const photoTime = (photo) => new Date(photo.capturedAt || photo.timestamp || 0).getTime();
+
+/**
+ * Group photos by repair area, oldest first within each group. Each group
+ * pairs before and after shots in capture order; whichever side runs out
+ * first leaves `null` in the pair.
+ *
+ * @param {Array} photos - Job photos
+ * @returns {Array<{ area: Object, pairs: Array<{ before, after }>, others: Array }>}
+ *   Groups in REPAIR_AREAS order, custom areas last
+ */
+export const groupPhotosByRepairArea = (photos = []) => {
+  const groups = new Map();
+
+  [...photos]
+    .sort((a, b) => photoTime(a) - photoTime(b))
+    .forEach(photo => {
+      const areaId = photo.repairArea || DEFAULT_REPAIR_AREA;
+      if (!groups.has(areaId)) {
+        groups.set(areaId, { area: getRepairArea(areaId), before: [], after: [], others: [] });
+      }
+
+      const group = groups.get(areaId);
+      if (photo.category === 'before') group.before.push(photo);
+      else if (photo.category === 'after') group.after.push(photo);
+      else group.others.push(photo);
+    });
+
+  const areaOrder = REPAIR_AREAS.map(a => a.id);
+  const rank = (areaId) => {
+    const index = areaOrder.indexOf(areaId);
+    return index === -1 ? areaOrder.length : index;
+  };
+
+  return [...groups.values()]
+    .sort((a, b) => rank(a.area.id) - rank(b.area.id))
+    .map(({ area, before, after, others }) => {
+      const pairs = [];
+      for (let i = 0; i < Math.max(before.length, after.length); i += 1) {
+        pairs.push({ before: before[i] || null, after: after[i] || null });
+      }
+      return { area, pairs, others };
+    });
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '');
+
+const renderPhotoCell = (photo, emptyLabel) => {
+  if (!photo) {
+    return `<td class="photo empty">${escapeHtml(emptyLabel)}</td>`;
+  }
+
+  return `
+    <td class="photo">
+      <img src="${escapeHtml(photo.url || photo.uri)}" />
+      ${photo.caption ? `<div class="caption">${escapeHtml(photo.caption)}</div>` : ''}
+      <div class="meta">${escapeHtml(formatDateTime(photo.capturedAt || photo.timestamp))}
+        ${photo.timeVerified ? ' &middot; time verified' : ''}
+        ${photo.locationVerified ? ' &middot; location verified' : ''}</div>
+    </td>`;
+};
+
+/**
+ * Build the HTML for the job photo report.
+ *
+ * @param {Object} job - Service request
+ * @param {Array} photos - Uploaded job photos
+ * @param {Object} options
+ * @param {string} options.generatedAt - Report timestamp (defaults to now)
+ * @returns {string} Standalone HTML document
+ */
+export const buildPhotoReportHtml = (job, photos, { generatedAt = new Date().toISOString() } = {}) => {
+  const groups = groupPhotosByRepairArea(photos);
+
+  const details = [
+    ['Job', job?.id],
+    ['Service', job?.serviceType],
+    ['Customer', job?.customerName],
+    ['Vehicle', describeVehicle(job?.vehicleInfo || job?.vehicle)],
+    ['Location', job?.location?.address || job?.address],
+    ['Status', job?.status && defaultStatusRegistry.getLabel(job.status)],
+    ['Requested', formatDateTime(job?.createdAt)],
+  ].filter(([, value]) => value);
+
+  const sections = groups.map(({ area, pairs, others }) => `
+    <h2>${escapeHtml(area.label)}</h2>
+    ${pairs.length > 0 ? `
+      <table class="pairs">
+        <tr><th>Before</th><th>After</th></tr>
+        ${pairs.map(({ before, after }) => `
+          <tr>${renderPhotoCell(before, 'No before photo')}${renderPhotoCell(after, 'No after photo')}</tr>
+        `).join('')}
+      </table>` : ''}
+    ${others.length > 0 ? `
+      <table class="others">
+        ${others.map(photo => `
+          <tr>
+            <th>${escapeHtml(getPhotoCategory(photo.category).label)}</th>
+            ${renderPhotoCell(photo)}
+          </tr>
+        `).join('')}
+      </table>` : ''}
+  `).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <style>
+      body { font-family: -apple-system, Helvetica, Arial, sans-serif; color: #333; margin: 24px; }
+      h1 { font-size: 22px; margin-bottom: 4px; }
+      h2 { font-size: 16px; border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 24px; }
+      .generated { color: #666; font-size: 12px; margin-bottom: 16px; }
+      .details td { padding: 2px 12px 2px 0; font-size: 13px; }
+      .details td:first-child { color: #666; }
+      table { width: 100%; border-collapse: collapse; page-break-inside: avoid; }
+      th { text-align: left; font-size: 12px; color: #666; padding: 4px; vertical-align: top; }
+      .pairs th, .pairs td.photo { width: 50%; }
+      td.photo { padding: 4px; vertical-align: top; }
+      td.photo img { width: 100%; max-height: 260px; object-fit: contain; border-radius: 4px; }
+      td.empty { color: #999; font-style: italic; font-size: 12px; }
+      .caption { font-size: 12px; margin-top: 4px; }
+      .meta { font-size: 10px; color: #888; margin-top: 2px; }
+    </style>
+  </head>
+  <body>
+    <h1>Job Photo Report</h1>
+    <div class="generated">Generated ${escapeHtml(formatDateTime(generatedAt))} &middot; ${photos.length} photo${photos.length === 1 ? '' : 's'}</div>
+    <table class="details">
+      ${details.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('')}
+    </table>
+    ${sections || '<p>No photos have been uploaded for this job.</p>'}
+  </body>
+</html>`;
+};
@@ -0,0 +1,178 @@
+/**
+ * Quote Calculator
+ *
+ * Integer-cent arithmetic for itemized quotes. All money values are carried
+ * as whole cents, discount percentages as basis points and tax rates as
+ * thousandths of a basis point (so 8.875% is exact), so totals never pick
+ * up floating point rounding errors.
+ *
+ * Line item types:
+ * - part:  { partNumber, description, quantity, unitPrice }
+ * - labor: { description, hours, rate }
+ * - fee:   { feeType: 'shop_supplies' | 'disposal' | 'travel' | 'other', description, amount }
+ */
+
+export const LINE_ITEM_TYPES = [
+  { id: 'part', label: 'Part' },
+  { id: 'labor', label: 'Labor' },
+  { id: 'fee', label: 'Fee' },
+];
+
+export const FEE_TYPES = [
+  { id: 'shop_supplies', label: 'Shop Supplies' },
+  { id: 'disposal', label: 'Disposal Fee' },
+  { id: 'travel', label: 'Travel Fee' },
+  { id: 'other', label: 'Other Fee' },
+];
+
+// Parse a decimal into an integer with `decimals` implied places, rounding
+// half away from zero. Parsing is done on the string digits rather than
+// multiplying a float.
+const parseScaled = (value, decimals) => {
+  if (value === null || value === undefined || value === '') return 0;
+  const str = String(value).replace(/[$,\s]/g, '');
+  const match = str.match(/^(-)?(\d*)(?:\.(\d*))?$/);
+  if (!match) return 0;
+
+  const [, sign, whole = '', fraction = ''] = match;
+  const padded = (fraction + '0'.repeat(decimals + 1)).slice(0, decimals + 1);
+  let scaled = parseInt(whole || '0', 10) * 10 ** decimals + parseInt(padded.slice(0, decimals), 10);
+  if (parseInt(padded[decimals], 10) >= 5) scaled += 1;
+
+  return sign ? -scaled : scaled;
+};
+
+/**
+ * Parse a dollar amount ("12.5", 12.5, "$1,204.99") into integer cents.
+ */
+export const toCents = (value) => parseScaled(value, 2);
+
+/**
+ * Parse a percentage ("8.25", 8.25) into integer basis points (825).
+ */
+export const toBasisPoints = (value) => parseScaled(value, 2);
+
+/**
+ * Parse a tax rate percentage ("8.875") into thousandths of a basis point (887500).
+ */
+export const toMilliBasisPoints = (value) => parseScaled(value, 5);
+
+/**
+ * Display a tax rate stored in thousandths of a basis point, e.g. "8.875".
+ */
+export const formatTaxRate = (milliBasisPoints) => (milliBasisPoints / 100000).toFixed(3);
+
+export const centsToDollars = (cents) => (cents / 100).toFixed(2);
+
+export const formatCents = (cents) => {
+  const sign = cents < 0 ? '-' : '';
+  return `${sign}$${centsToDollars(Math.abs(cents))}`;
+};
+
+const parseQuantity = (value) => {
+  const quantity = parseFloat(value);
+  return Number.isFinite(quantity) && quantity > 0 ? quantity : 0;
+};
+
+// Apply basis points to a cent amount, rounding half away from zero
+const applyBasisPoints = (cents, basisPoints) => Math.round((cents * basisPoints) / 10000);
+
+const applyMilliBasisPoints = (cents, milliBasisPoints) => Math.round((cents * milliBasisPoints) / 10000000);
+
+/**
+ * Total for a single line item, in cents.
+ */
+export const calculateLineItemCents = (item) => {
+  switch (item.type) {
+    case 'part':
+      return Math.round(parseQuantity(item.quantity) * toCents(item.unitPrice));
+    case 'labor':
+      return Math.round(parseQuantity(item.hours) * toCents(item.rate));
+    case 'fee':
+      return toCents(item.amount);
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Compute the totals for a quote.
+ *
+ * @param {Array} lineItems - Part, labor and fee line items
+ * @param {Object} options
+ * @param {Array} options.taxes - [{ jurisdiction, rate, appliesTo: ['part', 'labor', 'fee'] }]
+ * @param {Object} options.discount - { type: 'percent' | 'fixed', value, description }
+ * @returns {Object} Cent totals plus a per-jurisdiction tax breakdown
+ */
+export const calculateQuoteTotals = (lineItems = [], { taxes = [], discount = null } = {}) => {
+  const byType = { part: 0, labor: 0, fee: 0 };
+
+  lineItems.forEach(item => {
+    if (byType[item.type] !== undefined) {
+      byType[item.type] += calculateLineItemCents(item);
+    }
+  });
+
+  const subtotalCents = byType.part + byType.labor + byType.fee;
+
+  let discountCents = 0;
+  if (discount && discount.value) {
+    discountCents = discount.type === 'percent'
+      ? applyBasisPoints(subtotalCents, toBasisPoints(discount.value))
+      : toCents(discount.value);
+    discountCents = Math.min(Math.max(discountCents, 0), subtotalCents);
+  }
+
+  // The discount is spread across item types in proportion to their share of
+  // the subtotal so each jurisdiction taxes the discounted amount. Shares are
+  // rounded per type; the cent or two left over goes to the largest type so
+  // the shares add up to the whole discount.
+  const types = Object.keys(byType);
+  const shares = {};
+  types.forEach(type => {
+    shares[type] = subtotalCents > 0 ? Math.round((discountCents * byType[type]) / subtotalCents) : 0;
+  });
+  const largestType = types.reduce((largest, type) => (byType[type] > byType[largest] ? type : largest));
+  shares[largestType] += discountCents - types.reduce((sum, type) => sum + shares[type], 0);
+
+  const discountedByType = {};
+  types.forEach(type => {
+    discountedByType[type] = byType[type] - shares[type];
+  });
+
+  const taxBreakdown = taxes
+    .filter(tax => tax.rate !== '' && tax.rate !== undefined)
+    .map(tax => {
+      const appliesTo = tax.appliesTo || ['part'];
+      const taxableCents = appliesTo.reduce((sum, type) => sum + (discountedByType[type] || 0), 0);
+      return {
+        jurisdiction: tax.jurisdiction || 'Sales Tax',
+        rateMilliBasisPoints: toMilliBasisPoints(tax.rate),
+        appliesTo,
+        taxableCents,
+        taxCents: applyMilliBasisPoints(taxableCents, toMilliBasisPoints(tax.rate)),
+      };
+    });
+
+  const taxCents = taxBreakdown.reduce((sum, tax) => sum + tax.taxCents, 0);
+
+  return {
+    partsCents: byType.part,
+    laborCents: byType.labor,
+    feesCents: byType.fee,
+    subtotalCents,
+    discountCents,
+    taxCents,
+    taxBreakdown,
+    totalCents: subtotalCents - discountCents + taxCents,
+  };
+};
+
+/**
+ * Sum of labor hours across labor line items.
+ */
+export const calculateLaborHours = (lineItems = []) => {
+  return lineItems
+    .filter(item => item.type === 'labor')
+    .reduce((sum, item) => sum + parseQuantity(item.hours), 0);
+};
@@ -0,0 +1,95 @@
+import {
+  toCents,
+  toMilliBasisPoints,
+  formatTaxRate,
+  calculateQuoteTotals,
+} from './quoteCalculator';
+
+const part = (unitPrice, quantity = '1') => ({ type: 'part', quantity, unitPrice });
+const labor = (hours, rate) => ({ type: 'labor', hours, rate });
+const fee = (amount, feeType = 'shop_supplies') => ({ type: 'fee', feeType, amount });
+
+describe('toCents', () => {
+  test('parses dollar strings without float error', () => {
+    expect(toCents('$1,204.99')).toBe(120499);
+    expect(toCents('0.29')).toBe(29);
+    expect(toCents('12.345')).toBe(1235);
+    expect(toCents('')).toBe(0);
+  });
+});
+
+describe('tax rates', () => {
+  test('keep three decimals of a percent', () => {
+    expect(toMilliBasisPoints('8.875')).toBe(887500);
+    expect(toMilliBasisPoints('8.88')).toBe(888000);
+    expect(formatTaxRate(887500)).toBe('8.875');
+  });
+
+  test('charge 8.875% rather than 8.88%', () => {
+    const totals = calculateQuoteTotals(
+      [{ type: 'part', quantity: '1', unitPrice: '1000' }],
+      { taxes: [{ jurisdiction: 'NY', rate: '8.875', appliesTo: ['part'] }] }
+    );
+
+    expect(totals.taxBreakdown[0]).toMatchObject({ rateMilliBasisPoints: 887500, taxCents: 8875 });
+    expect(totals.totalCents).toBe(108875);
+  });
+});
+
+describe('discounts', () => {
+  test('take a percentage of the subtotal', () => {
+    const totals = calculateQuoteTotals([part('200'), labor('2', '90')], { discount: { type: 'percent', value: '10' } });
+
+    expect(totals.subtotalCents).toBe(38000);
+    expect(totals.discountCents).toBe(3800);
+    expect(totals.totalCents).toBe(34200);
+  });
+
+  test('take a fixed amount, never more than the subtotal', () => {
+    expect(calculateQuoteTotals([part('50')], { discount: { type: 'fixed', value: '15.50' } }).totalCents).toBe(3450);
+    expect(calculateQuoteTotals([part('50')], { discount: { type: 'fixed', value: '80' } })).toMatchObject({
+      discountCents: 5000,
+      totalCents: 0,
+    });
+  });
+
+  test('are taxed on the discounted amount of each item type', () => {
+    const totals = calculateQuoteTotals([part('100'), labor('1', '100')], {
+      discount: { type: 'fixed', value: '50' },
+      taxes: [{ jurisdiction: 'State', rate: '10', appliesTo: ['part'] }],
+    });
+
+    // Half the discount comes off the parts
+    expect(totals.taxBreakdown[0]).toMatchObject({ taxableCents: 7500, taxCents: 750 });
+    expect(totals.totalCents).toBe(15750);
+  });
+
+  test('give the rounding remainder to the largest item type', () => {
+    const even = calculateQuoteTotals([part('10'), labor('1', '10'), fee('10')], {
+      discount: { type: 'fixed', value: '1' },
+      taxes: [{ rate: '10', appliesTo: ['part', 'labor', 'fee'] }],
+    });
+
+    // 100 cents over three equal types rounds to 33 each; the shares must still add up to 100
+    expect(even.taxBreakdown[0].taxableCents).toBe(2900);
+
+    const uneven = calculateQuoteTotals([part('20'), labor('1', '10'), fee('10')], {
+      discount: { type: 'fixed', value: '0.02' },
+      taxes: [{ rate: '10', appliesTo: ['part'] }, { rate: '10', appliesTo: ['labor', 'fee'] }],
+    });
+
+    // Labor and fees each round half a cent up to one; the parts give the extra cent back
+    expect(uneven.taxBreakdown.map(tax => tax.taxableCents)).toEqual([2000, 1998]);
+  });
+});
+
+describe('shop fees', () => {
+  test('are added to the subtotal and taxed only where a tax applies to fees', () => {
+    const totals = calculateQuoteTotals([part('100'), fee('12.50'), fee('5', 'disposal')], {
+      taxes: [{ jurisdiction: 'State', rate: '8', appliesTo: ['part'] }],
+    });
+
+    expect(totals).toMatchObject({ partsCents: 10000, feesCents: 1750, subtotalCents: 11750, taxCents: 800 });
+    expect(totals.totalCents).toBe(12550);
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * Quote Status
+ *
+ * Quote response states and expiry, shared by the service layer, the quote
+ * screens and the chat assistant (which also runs in Cloud Functions).
+ */
+
+export const QUOTE_STATUSES = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  COUNTERED: 'countered',
+  SUPERSEDED: 'superseded',
+};
+
+export const isQuoteExpired = (quote, now = new Date()) => {
+  return Boolean(quote?.expiresAt) && new Date(quote.expiresAt) < now;
+};
@@ -0,0 +1,47 @@
+/**
+ * Rate Limiter
+ *
+ * Sliding-window limit on how often something can happen per key (usually
+ * a user ID). State is kept in memory, so it resets when the app restarts;
+ * anything that must hold across devices also needs a server-side limit.
+ */
+
+/**
+ * Create a rate limiter.
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Calls allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @returns {{ tryAcquire: Function, reset: Function }}
+ */
+export const createRateLimiter = ({ limit, windowMs }) => {
+  const callsByKey = new Map();
+
+  /**
+   * Record a call if the key is under its limit.
+   *
+   * @returns {{ allowed: boolean, remaining: number, retryAfterMs: number }}
+   */
+  const tryAcquire = (key, now = Date.now()) => {
+    const recent = (callsByKey.get(key) || []).filter(time => now - time < windowMs);
+
+    if (recent.length >= limit) {
+      callsByKey.set(key, recent);
+      return { allowed: false, remaining: 0, retryAfterMs: windowMs - (now - recent[0]) };
+    }
+
+    recent.push(now);
+    callsByKey.set(key, recent);
+    return { allowed: true, remaining: limit - recent.length, retryAfterMs: 0 };
+  };
+
+  const reset = (key) => {
+    if (key === undefined) {
+      callsByKey.clear();
+    } else {
+      callsByKey.delete(key);
+    }
+  };
+
+  return { tryAcquire, reset };
+};
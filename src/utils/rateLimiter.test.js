@@ -0,0 +1,32 @@
+import { createRateLimiter } from './rateLimiter';
+
+describe('createRateLimiter', () => {
+  const windowMs = 10 * 60 * 1000;
+
+  test('allows up to the limit within a window', () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs });
+
+    expect(limiter.tryAcquire('user-1', 0)).toEqual({ allowed: true, remaining: 1, retryAfterMs: 0 });
+    expect(limiter.tryAcquire('user-1', 1000)).toEqual({ allowed: true, remaining: 0, retryAfterMs: 0 });
+    expect(limiter.tryAcquire('user-1', 2000)).toEqual({ allowed: false, remaining: 0, retryAfterMs: windowMs - 2000 });
+  });
+
+  test('frees a slot once the oldest call leaves the window', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs });
+    limiter.tryAcquire('user-1', 0);
+
+    expect(limiter.tryAcquire('user-1', windowMs - 1).allowed).toBe(false);
+    expect(limiter.tryAcquire('user-1', windowMs).allowed).toBe(true);
+  });
+
+  test('counts each key separately and can be reset', () => {
+    const limiter = createRateLimiter({ limit: 1, windowMs });
+    limiter.tryAcquire('user-1', 0);
+
+    expect(limiter.tryAcquire('user-2', 0).allowed).toBe(true);
+    limiter.reset('user-1');
+    expect(limiter.tryAcquire('user-1', 0).allowed).toBe(true);
+    limiter.reset();
+    expect(limiter.tryAcquire('user-2', 0).allowed).toBe(true);
+  });
+});
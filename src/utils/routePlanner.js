@@ -0,0 +1,242 @@
+/**
+ * Route Planner
+ *
+ * Orders a mechanic's stops for the day. Works from a travel-time matrix so
+ * the same solver runs on routing API data or on local straight-line
+ * estimates when no routing API is available.
+ *
+ * - Up to EXACT_SOLVER_LIMIT stops: exhaustive search with pruning
+ * - More stops: nearest-neighbor start improved with 2-opt
+ *
+ * Cost is total driving time plus penalties for arriving after a stop's
+ * appointment window closes and (lightly) for waiting before it opens.
+ */
+
+import { estimateEta } from './geo';
+
+export const EXACT_SOLVER_LIMIT = 8;
+export const DEFAULT_JOB_DURATION_MINUTES = 60;
+
+const LATE_PENALTY_PER_MINUTE = 10;
+const WAIT_PENALTY_PER_MINUTE = 0.2;
+const MINUTE_MS = 60000;
+
+/**
+ * Build a travel-time matrix from straight-line estimates. Index 0 is the
+ * start position, index i is stops[i - 1].
+ *
+ * @returns {{ minutes: number[][], meters: number[][] }}
+ */
+export const buildLocalTravelMatrix = (start, stops) => {
+  const points = [start, ...stops];
+  const minutes = points.map(() => []);
+  const meters = points.map(() => []);
+
+  points.forEach((from, i) => {
+    points.forEach((to, j) => {
+      if (i === j) {
+        minutes[i][j] = 0;
+        meters[i][j] = 0;
+      } else {
+        const eta = estimateEta(from, to);
+        minutes[i][j] = eta.minutes;
+        meters[i][j] = eta.distanceMeters;
+      }
+    });
+  });
+
+  return { minutes, meters };
+};
+
+// Drive to one stop and serve it: the single cost step shared by
+// evaluateRoute and the exact solver, so both always score a route alike
+const visitStop = (stop, travel, time) => {
+  const arrival = time + travel * MINUTE_MS;
+  const waitMs = stop.windowStart && arrival < stop.windowStart ? stop.windowStart - arrival : 0;
+  const start = arrival + waitMs;
+  const lateMs = stop.windowEnd && start > stop.windowEnd ? start - stop.windowEnd : 0;
+  const wait = waitMs / MINUTE_MS;
+  const late = lateMs / MINUTE_MS;
+
+  return {
+    arrival,
+    start,
+    departure: start + (stop.durationMinutes || DEFAULT_JOB_DURATION_MINUTES) * MINUTE_MS,
+    wait,
+    late,
+    cost: travel + late * LATE_PENALTY_PER_MINUTE + wait * WAIT_PENALTY_PER_MINUTE,
+  };
+};
+
+/**
+ * Walk a visiting order and compute arrival times, waits and lateness.
+ *
+ * @param {Array<number>} order - Stop indexes (1-based, matching the matrix)
+ * @param {Array} stops - Stops with windowStart, windowEnd (ms) and durationMinutes
+ * @param {Object} matrix - { minutes, meters }
+ * @param {number} startTime - Departure time in ms
+ */
+export const evaluateRoute = (order, stops, matrix, startTime) => {
+  let time = startTime;
+  let position = 0;
+  let cost = 0;
+  let travelMinutes = 0;
+  let distanceMeters = 0;
+  let lateMinutes = 0;
+
+  const schedule = order.map(index => {
+    const stop = stops[index - 1];
+    const travel = matrix.minutes[position][index];
+    const visit = visitStop(stop, travel, time);
+
+    travelMinutes += travel;
+    distanceMeters += matrix.meters?.[position]?.[index] || 0;
+    lateMinutes += visit.late;
+    cost += visit.cost;
+    time = visit.departure;
+    position = index;
+
+    return {
+      id: stop.id,
+      arrival: new Date(visit.arrival).toISOString(),
+      start: new Date(visit.start).toISOString(),
+      departure: new Date(visit.departure).toISOString(),
+      travelMinutes: travel,
+      waitMinutes: Math.round(visit.wait),
+      lateMinutes: Math.round(visit.late),
+    };
+  });
+
+  return {
+    schedule,
+    cost,
+    travelMinutes,
+    distanceMeters,
+    lateMinutes: Math.round(lateMinutes),
+    finishAt: new Date(time).toISOString(),
+  };
+};
+
+// Exhaustive search over visiting orders. Cost is accumulated stop by stop
+// so partial routes that already cost more than the best complete one are
+// pruned without re-walking them.
+const solveExact = (stops, matrix, startTime) => {
+  const n = stops.length;
+  let bestOrder = null;
+  let bestCost = Infinity;
+
+  const search = (order, remaining, position, time, cost) => {
+    if (cost >= bestCost) return;
+
+    if (remaining.length === 0) {
+      bestOrder = order;
+      bestCost = cost;
+      return;
+    }
+
+    remaining.forEach(index => {
+      const visit = visitStop(stops[index - 1], matrix.minutes[position][index], time);
+      search(
+        [...order, index],
+        remaining.filter(i => i !== index),
+        index,
+        visit.departure,
+        cost + visit.cost
+      );
+    });
+  };
+
+  search([], Array.from({ length: n }, (_, i) => i + 1), 0, startTime, 0);
+  return { order: bestOrder, ...evaluateRoute(bestOrder, stops, matrix, startTime) };
+};
+
+// Closest remaining stop, preferring the one whose window opens first on ties
+const nearestStop = (remaining, position, stops, matrix) => {
+  let next = null;
+  remaining.forEach(index => {
+    const travel = matrix.minutes[position][index];
+    const opens = stops[index - 1].windowStart || 0;
+    if (!next || travel < next.travel || (travel === next.travel && opens < next.opens)) {
+      next = { index, travel, opens };
+    }
+  });
+  return next;
+};
+
+const solveHeuristic = (stops, matrix, startTime) => {
+  // Nearest neighbor
+  const remaining = new Set(stops.map((_, i) => i + 1));
+  const order = [];
+  let position = 0;
+
+  while (remaining.size > 0) {
+    const next = nearestStop(remaining, position, stops, matrix);
+    order.push(next.index);
+    remaining.delete(next.index);
+    position = next.index;
+  }
+
+  // 2-opt: reverse segments while that lowers the cost
+  let best = { order, ...evaluateRoute(order, stops, matrix, startTime) };
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < best.order.length - 1; i += 1) {
+      for (let j = i + 1; j < best.order.length; j += 1) {
+        const candidate = [
+          ...best.order.slice(0, i),
+          ...best.order.slice(i, j + 1).reverse(),
+          ...best.order.slice(j + 1),
+        ];
+        const result = evaluateRoute(candidate, stops, matrix, startTime);
+        if (result.cost < best.cost - 1e-9) {
+          best = { order: candidate, ...result };
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Compute a visiting order for the day's stops.
+ *
+ * @param {Object} start - { latitude, longitude } where the day starts
+ * @param {Array} stops - [{ id, latitude, longitude, windowStart, windowEnd, durationMinutes }]
+ *   Window times are ms timestamps or ISO strings and may be omitted
+ * @param {Object} options
+ * @param {Object} options.matrix - Travel matrix from a routing API; local estimates when omitted
+ * @param {number} options.startTime - Departure time (defaults to now)
+ * @returns {{ stops: Array, schedule: Array, travelMinutes: number, distanceMeters: number,
+ *   lateMinutes: number, finishAt: string, solver: string }} `stops` in visiting order;
+ *   `solver` is 'exact' or '2-opt'
+ */
+export const planRoute = (start, stops, { matrix = null, startTime = Date.now() } = {}) => {
+  if (stops.length === 0) {
+    return { stops: [], schedule: [], travelMinutes: 0, distanceMeters: 0, lateMinutes: 0, finishAt: new Date(startTime).toISOString(), solver: 'exact' };
+  }
+
+  const normalized = stops.map(stop => ({
+    ...stop,
+    windowStart: stop.windowStart ? new Date(stop.windowStart).getTime() : null,
+    windowEnd: stop.windowEnd ? new Date(stop.windowEnd).getTime() : null,
+  }));
+  const travelMatrix = matrix || buildLocalTravelMatrix(start, normalized);
+
+  const solver = normalized.length <= EXACT_SOLVER_LIMIT ? 'exact' : '2-opt';
+  const solution = solver === 'exact'
+    ? solveExact(normalized, travelMatrix, startTime)
+    : solveHeuristic(normalized, travelMatrix, startTime);
+
+  return {
+    stops: solution.order.map(index => stops[index - 1]),
+    schedule: solution.schedule,
+    travelMinutes: solution.travelMinutes,
+    distanceMeters: solution.distanceMeters,
+    lateMinutes: solution.lateMinutes,
+    finishAt: solution.finishAt,
+    solver,
+  };
+};
@@ -0,0 +1,134 @@
+import {
+  planRoute,
+  evaluateRoute,
+  buildLocalTravelMatrix,
+  EXACT_SOLVER_LIMIT,
+} from './routePlanner';
+
+const START_TIME = Date.UTC(2026, 0, 5, 8);
+const MINUTE_MS = 60000;
+const at = (minutes) => START_TIME + minutes * MINUTE_MS;
+
+// Stops on a straight road, 10 minutes of driving per unit. Index 0 of the
+// matrix is the start at x = 0.
+const lineMatrix = (positions) => {
+  const points = [0, ...positions];
+  return {
+    minutes: points.map(a => points.map(b => Math.abs(a - b) * 10)),
+    meters: points.map(a => points.map(b => Math.abs(a - b) * 1000)),
+  };
+};
+
+const stopsAt = (positions, extra = {}) => positions.map((x, i) => ({ id: `stop-${i + 1}`, x, ...extra }));
+
+const ids = (plan) => plan.stops.map(stop => stop.id);
+
+// Always drive to the closest stop next
+const nearestNeighborOrder = (matrix, count) => {
+  const remaining = new Set(Array.from({ length: count }, (_, i) => i + 1));
+  const order = [];
+  let position = 0;
+  while (remaining.size > 0) {
+    const travel = matrix.minutes[position];
+    const next = [...remaining].reduce((best, i) => (travel[i] < travel[best] ? i : best));
+    order.push(next);
+    remaining.delete(next);
+    position = next;
+  }
+  return order;
+};
+
+describe('planRoute', () => {
+  test('the exact solver does at least as well as nearest neighbor', () => {
+    // Nearest neighbor goes to +1 first and has to double back past the start
+    const positions = [1, -2, 5];
+    const matrix = lineMatrix(positions);
+    const stops = stopsAt(positions);
+
+    const plan = planRoute(null, stops, { matrix, startTime: START_TIME });
+    const greedy = evaluateRoute(nearestNeighborOrder(matrix, stops.length), stops, matrix, START_TIME);
+
+    expect(plan.solver).toBe('exact');
+    expect(ids(plan)).toEqual(['stop-2', 'stop-1', 'stop-3']);
+    expect(plan.travelMinutes).toBe(90);
+    expect(greedy.travelMinutes).toBe(110);
+  });
+
+  test('a closing time window puts a farther stop first', () => {
+    const matrix = lineMatrix([1, -3]);
+    const stops = [
+      { id: 'near' },
+      { id: 'far', windowEnd: new Date(at(40)).toISOString() },
+    ];
+
+    const plan = planRoute(null, stops, { matrix, startTime: START_TIME });
+
+    expect(ids(plan)).toEqual(['far', 'near']);
+    expect(plan.lateMinutes).toBe(0);
+    expect(plan.schedule[0].arrival).toBe(new Date(at(30)).toISOString());
+  });
+
+  test('returns an empty plan without stops', () => {
+    expect(planRoute(null, [], { startTime: START_TIME })).toMatchObject({
+      stops: [],
+      travelMinutes: 0,
+      finishAt: new Date(START_TIME).toISOString(),
+    });
+  });
+
+  test(`switches from the exact solver to 2-opt above ${EXACT_SOLVER_LIMIT} stops`, () => {
+    const solve = (count) => {
+      const positions = Array.from({ length: count }, (_, i) => count - i);
+      return planRoute(null, stopsAt(positions), { matrix: lineMatrix(positions), startTime: START_TIME });
+    };
+
+    const exact = solve(EXACT_SOLVER_LIMIT);
+    const heuristic = solve(EXACT_SOLVER_LIMIT + 1);
+
+    expect(exact.solver).toBe('exact');
+    expect(heuristic.solver).toBe('2-opt');
+    // Both drive straight out along the road, visiting the stops in reverse
+    expect(exact.stops.map(stop => stop.x)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+    expect(heuristic.stops.map(stop => stop.x)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(heuristic.travelMinutes).toBe(90);
+  });
+});
+
+describe('evaluateRoute', () => {
+  const matrix = lineMatrix([3]);
+
+  test('penalises arriving after the window closes', () => {
+    const onTime = evaluateRoute([1], [{ id: 'a', windowEnd: at(30) }], matrix, START_TIME);
+    const late = evaluateRoute([1], [{ id: 'a', windowEnd: at(20) }], matrix, START_TIME);
+
+    expect(onTime.cost).toBe(30);
+    expect(late.lateMinutes).toBe(10);
+    expect(late.schedule[0].lateMinutes).toBe(10);
+    expect(late.cost).toBe(30 + 10 * 10);
+  });
+
+  test('waits for the window to open at a small cost', () => {
+    const result = evaluateRoute([1], [{ id: 'a', windowStart: at(60), durationMinutes: 45 }], matrix, START_TIME);
+
+    expect(result.schedule[0]).toMatchObject({
+      arrival: new Date(at(30)).toISOString(),
+      start: new Date(at(60)).toISOString(),
+      departure: new Date(at(105)).toISOString(),
+      waitMinutes: 30,
+    });
+    expect(result.cost).toBeCloseTo(30 + 30 * 0.2, 6);
+  });
+});
+
+describe('buildLocalTravelMatrix', () => {
+  test('estimates travel between every pair of points', () => {
+    const start = { latitude: 40.7, longitude: -74 };
+    const stops = [{ latitude: 40.8, longitude: -74 }, { latitude: 40.7, longitude: -73.9 }];
+    const { minutes, meters } = buildLocalTravelMatrix(start, stops);
+
+    expect(minutes).toHaveLength(3);
+    expect(minutes[0][0]).toBe(0);
+    expect(minutes[0][1]).toBe(22);
+    expect(meters[1][2]).toBeCloseTo(meters[2][1], 6);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Job Status Registry
+ *
+ * The single source of labels, colors and descriptions for job statuses.
+ * Components look statuses up here instead of keeping their own tables, so
+ * the status badge, the map markers and the map legend always agree.
+ *
+ * A registry combines the default statuses with a mechanic's or shop's
+ * custom statuses (see customStatusService). Unknown IDs, such as a status
+ * from a shop the viewer doesn't belong to, resolve to a neutral fallback.
+ */
+
+export const DEFAULT_STATUSES = [
+  { id: 'pending', label: 'Pending', color: '#ff9800', description: 'Service request received but not yet quoted' },
+  { id: 'quoted', label: 'Quoted', color: '#2196f3', description: 'Quote provided, awaiting customer acceptance' },
+  { id: 'accepted', label: 'Accepted', color: '#4caf50', description: 'Quote accepted, work scheduled' },
+  { id: 'en_route', label: 'En Route', color: '#00897b', description: 'Mechanic is on the way to the vehicle' },
+  { id: 'in_progress', label: 'In Progress', color: '#9c27b0', description: 'Work has begun on the vehicle' },
+  { id: 'parts_needed', label: 'Parts Needed', color: '#795548', description: 'Waiting for parts to arrive' },
+  { id: 'completed', label: 'Completed', color: '#607d8b', description: 'Service completed, awaiting payment' },
+  { id: 'closed', label: 'Closed', color: '#455a64', description: 'Payment received, job closed' },
+  { id: 'cancelled', label: 'Cancelled', color: '#f44336', description: 'Service request cancelled' },
+];
+
+const FALLBACK_COLOR = '#9e9e9e';
+
+const humanize = (statusId) => String(statusId || 'unknown')
+  .replace(/^custom_/, '')
+  .replace(/_/g, ' ')
+  .replace(/\b\w/g, c => c.toUpperCase());
+
+/**
+ * Build a registry from the default statuses plus custom ones.
+ *
+ * @param {Array} customStatuses - Custom statuses (archived ones are kept so
+ *   jobs and history that still use them resolve)
+ * @returns {{ statuses: Array, activeStatuses: Array, get: Function, getColor: Function, getLabel: Function }}
+ */
+export const createStatusRegistry = (customStatuses = []) => {
+  const statuses = [...DEFAULT_STATUSES, ...customStatuses];
+  const byId = new Map(statuses.map(status => [status.id, status]));
+
+  const get = (statusId) => byId.get(statusId) || {
+    id: statusId,
+    label: humanize(statusId),
+    color: FALLBACK_COLOR,
+    description: null,
+    unknown: true,
+  };
+
+  return {
+    statuses,
+    activeStatuses: statuses.filter(status => !status.archived),
+    get,
+    getColor: (statusId) => get(statusId).color,
+    getLabel: (statusId) => get(statusId).label,
+  };
+};
+
+// Registry with only the default statuses, for views without an owner's custom statuses
+export const defaultStatusRegistry = createStatusRegistry();
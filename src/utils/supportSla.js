@@ -0,0 +1,71 @@
+/**
+ * Support SLA Helpers
+ *
+ * Service-level targets for escalated chat sessions and the countdowns the
+ * agent console shows for them. Both clocks start when the customer
+ * escalates:
+ * - First response: an agent replies
+ * - Resolution: an agent resolves the session
+ */
+
+export const SLA_TARGETS = {
+  firstResponseMinutes: 5,
+  resolutionMinutes: 60,
+};
+
+// Countdowns turn amber when less than this share of the target is left
+const WARNING_FRACTION = 0.25;
+
+const MINUTE_MS = 60000;
+
+const clockState = (startedAt, targetMinutes, completedAt, now) => {
+  const start = new Date(startedAt).getTime();
+  const dueAt = start + targetMinutes * MINUTE_MS;
+
+  if (completedAt) {
+    const met = new Date(completedAt).getTime() <= dueAt;
+    return { dueAt: new Date(dueAt).toISOString(), met, breached: !met, remainingMs: 0, level: met ? 'met' : 'breached' };
+  }
+
+  const remainingMs = dueAt - now;
+  let level = 'ok';
+  if (remainingMs <= 0) level = 'breached';
+  else if (remainingMs <= targetMinutes * MINUTE_MS * WARNING_FRACTION) level = 'warning';
+
+  return { dueAt: new Date(dueAt).toISOString(), met: false, breached: remainingMs <= 0, remainingMs, level };
+};
+
+/**
+ * SLA state for an escalated session.
+ *
+ * @param {Object} session - Chat session with escalatedAt, firstResponseAt and resolvedAt
+ * @param {number} now - Current time in ms
+ * @param {Object} targets - Overrides for SLA_TARGETS
+ * @returns {{ firstResponse: Object, resolution: Object } | null} Each clock has
+ *   dueAt, remainingMs, met, breached and level ('ok' | 'warning' | 'breached' | 'met');
+ *   null when the session was never escalated
+ */
+export const getSlaState = (session, now = Date.now(), targets = SLA_TARGETS) => {
+  if (!session?.escalatedAt) return null;
+
+  const { firstResponseMinutes, resolutionMinutes } = { ...SLA_TARGETS, ...targets };
+  return {
+    firstResponse: clockState(session.escalatedAt, firstResponseMinutes, session.firstResponseAt, now),
+    resolution: clockState(session.escalatedAt, resolutionMinutes, session.resolvedAt, now),
+  };
+};
+
+/**
+ * Format a countdown as "4:59", "1:02:00" or "-0:30" once overdue.
+ */
+export const formatCountdown = (ms) => {
+  const sign = ms < 0 ? '-' : '';
+  const totalSeconds = Math.floor(Math.abs(ms) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${sign}${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${sign}${minutes}:${seconds}`;
+};
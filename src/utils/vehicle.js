@@ -0,0 +1,49 @@
+/**
+ * Vehicle Helpers
+ *
+ * Formatting and matching for vehicle details stored on service requests
+ * (`vehicleInfo: { year, make, model, licensePlate, vin }`).
+ */
+
+/**
+ * One-line vehicle description, e.g. "2018 Honda Civic (ABC1234)".
+ *
+ * @param {Object} vehicle - { year, make, model, licensePlate }
+ * @returns {string} Empty string when no vehicle is given
+ */
+export const describeVehicle = (vehicle) => {
+  if (!vehicle) return '';
+  return [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ')
+    + (vehicle.licensePlate ? ` (${vehicle.licensePlate})` : '');
+};
+
+const normalize = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Whether two vehicle records describe the same vehicle. VIN wins when both
+ * have one, then license plate, then year, make and model.
+ */
+export const vehicleMatches = (a, b) => {
+  if (!a || !b) return false;
+  if (a.vin && b.vin) return normalize(a.vin) === normalize(b.vin);
+  if (a.licensePlate && b.licensePlate) return normalize(a.licensePlate) === normalize(b.licensePlate);
+  return ['year', 'make', 'model'].every(field => normalize(a[field]) === normalize(b[field]))
+    && Boolean(a.make || a.model);
+};
+
+/**
+ * Stable key for grouping one owner's records by vehicle: the VIN when
+ * known, otherwise the license plate. Year, make and model can't tell two
+ * cars apart, and the owner is part of the key so records never group
+ * across customers.
+ *
+ * @param {Object} vehicle - { vin, licensePlate }
+ * @param {string} ownerId - Customer who owns the vehicle
+ * @returns {string|null} Null without an owner, or when the vehicle has no VIN or plate
+ */
+export const getVehicleKey = (vehicle, ownerId) => {
+  if (!vehicle || !ownerId) return null;
+  if (vehicle.vin) return `${ownerId}:vin:${normalize(vehicle.vin)}`;
+  if (vehicle.licensePlate) return `${ownerId}:plate:${normalize(vehicle.licensePlate)}`;
+  return null;
+};